@@ -0,0 +1,681 @@
+#!/usr/bin/env node
+/**
+ * CartCli Module
+ *
+ * Command-line interface for operating a cart from the terminal: one command
+ * per run against a cart file, or an interactive REPL.
+ *
+ *   shopping-cart [--cart FILE] [--json] <command> [arguments]
+ *
+ * Features:
+ * - Commands to add, update and remove items, apply and remove codes, and set
+ *   the region, locale and customer group (see COMMANDS, or `shopping-cart help`)
+ * - Text output, or JSON with --json for scripts
+ * - The cart lives in a JSON file (ShoppingCart#toJSON) that each command reads
+ *   and writes back, so customer carts can be reproduced and scenarios scripted
+ * - `shopping-cart repl` reads commands from the terminal, or from a pipe
+ * - Exit status 0 on success, 1 if a cart command failed, 2 for usage errors
+ *
+ * Node.js only. Installed as the `shopping-cart` bin of the package.
+ */
+
+// Companion modules: required in Node, or read from the globals registered
+// by their own <script> tags in the browser (include them before this file)
+const CliModules = typeof module !== 'undefined' && module.exports
+    ? {
+        ShoppingCart: require('./ShoppingCart.js'),
+        CartError: require('./CartError.js')
+    }
+    : window;
+
+class CartCli {
+    // Cart file used without --cart or the SHOPPING_CART_FILE environment variable
+    static DEFAULT_CART_FILE = 'cart.json';
+
+    // Prompt shown by the REPL on a terminal
+    static PROMPT = 'cart> ';
+
+    // Exit statuses returned by run()
+    static EXIT_CODES = { OK: 0, FAILED: 1, USAGE: 2 };
+
+    // Commands: usage, description, accepted number of arguments [min, max], and
+    // whether a successful run changes the cart (and so is saved to the cart file)
+    static COMMANDS = {
+        new: {
+            usage: 'new [--currency CODE] [--locale TAG] [--region CODE] [--group NAME]',
+            description: 'Start an empty cart',
+            args: [0, 0],
+            changes: true
+        },
+        add: {
+            usage: 'add <product> <price> [quantity] [--tax-category NAME] [--attr KEY=VALUE]... [--addon NAME=PRICE]...',
+            description: 'Add an item (with a catalog: add <sku> [quantity])',
+            args: [1, 3],
+            changes: true
+        },
+        update: {
+            usage: 'update <product|line-id> <quantity> [--attr KEY=VALUE]...',
+            description: "Change a line's quantity",
+            args: [2, 2],
+            changes: true
+        },
+        remove: {
+            usage: 'remove <product|line-id> [--attr KEY=VALUE]...',
+            description: 'Remove a line',
+            args: [1, 1],
+            changes: true
+        },
+        apply: { usage: 'apply <code>', description: 'Apply a discount code', args: [1, 1], changes: true },
+        unapply: { usage: 'unapply <code>', description: 'Remove a discount code', args: [1, 1], changes: true },
+        set: {
+            usage: 'set <region|locale|group> <value>',
+            description: 'Change the region, locale or customer group',
+            args: [2, 2],
+            changes: true
+        },
+        clear: { usage: 'clear', description: 'Remove every item and code', args: [0, 0], changes: true },
+        undo: { usage: 'undo', description: 'Undo the last change (REPL only: history is not saved)', args: [0, 0], changes: true },
+        redo: { usage: 'redo', description: 'Redo the last undone change (REPL only)', args: [0, 0], changes: true },
+        items: { usage: 'items', description: 'List the lines with their ids', args: [0, 0], changes: false },
+        totals: { usage: 'totals', description: 'Print the totals', args: [0, 0], changes: false },
+        summary: { usage: 'summary', description: 'Print the summary (the whole cart with --json)', args: [0, 0], changes: false },
+        load: { usage: 'load <file>', description: 'Replace the cart with one saved in a file', args: [1, 1], changes: true },
+        save: { usage: 'save [file]', description: 'Write the cart to a file (default: the cart file)', args: [0, 1], changes: false },
+        repl: { usage: 'repl', description: 'Read commands interactively (exit or Ctrl+D to leave)', args: [0, 0], changes: false },
+        help: { usage: 'help [command]', description: 'Show the commands, or one command', args: [0, 1], changes: false }
+    };
+
+    // Options taking a value (attr and addon may repeat); all others are flags
+    static #VALUE_OPTIONS = ['cart', 'currency', 'locale', 'region', 'group', 'tax-category', 'attr', 'addon'];
+    static #FLAGS = ['json', 'help'];
+
+    #output; // { write(text) } results are printed to
+    #errorOutput; // { write(text) } errors and warnings are printed to
+    #cartOptions; // Options every cart is created or loaded with (promotions, catalog, ...)
+    #cartFile; // File the cart is read from and saved to
+    #json; // Whether results are printed as JSON
+    #cart; // Current ShoppingCart, read from the cart file on first use
+    #handlers; // { command: parsed => { text, json } }
+
+    /**
+     * @param {Object} options - CLI options
+     * @param {Object} options.output - Stream results are written to (default: process.stdout)
+     * @param {Object} options.errorOutput - Stream errors are written to (default: process.stderr)
+     * @param {Object} options.cartOptions - ShoppingCart options for new and loaded carts (default: {})
+     * @param {string} options.cartFile - Cart file (default: $SHOPPING_CART_FILE or ./cart.json)
+     * @throws {CartError} - INVALID_CONFIG if an output has no write method
+     */
+    constructor({
+        output = process.stdout,
+        errorOutput = process.stderr,
+        cartOptions = {},
+        cartFile = process.env.SHOPPING_CART_FILE || CartCli.DEFAULT_CART_FILE
+    } = {}) {
+        const { CartError } = CliModules;
+
+        if (!output || typeof output.write !== 'function' || !errorOutput || typeof errorOutput.write !== 'function') {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, 'Outputs must have a write method');
+        }
+
+        this.#output = output;
+        this.#errorOutput = errorOutput;
+        this.#cartOptions = cartOptions;
+        this.#cartFile = cartFile;
+        this.#json = false;
+        this.#cart = null;
+        this.#handlers = {
+            new: parsed => this.#newCart(parsed),
+            add: parsed => this.#addItem(parsed),
+            update: parsed => this.#updateItem(parsed),
+            remove: parsed => this.#removeItem(parsed),
+            apply: ({ args }) => this.#change(cart => cart.applyDiscount(args[0]), `Applied ${args[0].toUpperCase()}`),
+            unapply: ({ args }) => this.#change(cart => cart.removeDiscount(args[0]), `Removed ${args[0].toUpperCase()}`),
+            set: parsed => this.#setting(parsed),
+            clear: () => this.#change(cart => cart.clearCart(), 'Cart cleared'),
+            undo: () => this.#change(cart => cart.undo(), 'Undone'),
+            redo: () => this.#change(cart => cart.redo(), 'Redone'),
+            items: () => this.#listItems(),
+            totals: () => this.#showTotals(),
+            summary: () => ({ text: this.#getCart().getSummary(), json: this.#view() }),
+            load: ({ args }) => this.#load(args[0]),
+            save: ({ args }) => this.#save(args[0] || this.#cartFile),
+            help: ({ args }) => this.#help(args[0])
+        };
+    }
+
+    /**
+     * Gets the current cart (read from the cart file, or a new one, on first use)
+     * @returns {ShoppingCart} - Cart
+     * @throws {CartError} - INVALID_STATE or STORAGE_FAILED if the cart file can't be read
+     */
+    getCart() {
+        return this.#getCart();
+    }
+
+    /**
+     * Runs a command line. Changes are saved to the cart file; `repl` reads
+     * commands from the input until it ends or `exit` is entered
+     * @param {Array} argv - Arguments, e.g. process.argv.slice(2)
+     * @param {Object} input - Readable stream the REPL reads (default: process.stdin)
+     * @returns {Promise<number>} - Exit status (see EXIT_CODES); for the REPL, the
+     *                              worst status of the commands it ran
+     */
+    async run(argv, input = process.stdin) {
+        let parsed;
+
+        try {
+            parsed = CartCli.#parse(argv);
+        } catch (error) {
+            return this.#report(error);
+        }
+
+        this.#cartFile = parsed.options.cart || this.#cartFile;
+        this.#json = Boolean(parsed.options.json);
+
+        if (parsed.command === 'repl' && !parsed.options.help) {
+            return this.#repl(input);
+        }
+
+        return this.#execute(parsed, true);
+    }
+
+    // Private helper running one parsed command and printing its result; with
+    // save, a successful change is written to the cart file
+    #execute(parsed, save) {
+        const { CartError } = CliModules;
+        const command = CartCli.COMMANDS[parsed.command];
+
+        try {
+            if (!command || !this.#handlers[parsed.command]) {
+                throw CartCli.#usageError(`Unknown command: "${parsed.command}" (run "shopping-cart help")`);
+            }
+
+            if (parsed.options.help) {
+                this.#print(this.#help(parsed.command), parsed);
+                return CartCli.EXIT_CODES.OK;
+            }
+
+            const [min, max] = command.args;
+
+            if (parsed.args.length < min || parsed.args.length > max) {
+                throw CartCli.#usageError(`Usage: shopping-cart ${command.usage}`, { command: parsed.command });
+            }
+
+            const result = this.#handlers[parsed.command](parsed);
+
+            if (save && command.changes) {
+                this.#save(this.#cartFile);
+            }
+
+            this.#print(result, parsed);
+            return CartCli.EXIT_CODES.OK;
+        } catch (error) {
+            if (!(error instanceof CartError)) {
+                throw error;
+            }
+
+            return this.#report(error, parsed);
+        }
+    }
+
+    // Private helper reading commands line by line until the input ends or `exit`
+    #repl(input) {
+        const readline = require('readline');
+        const interactive = Boolean(input.isTTY);
+        const lines = readline.createInterface({
+            input,
+            output: interactive ? this.#output : undefined,
+            prompt: CartCli.PROMPT,
+            terminal: interactive
+        });
+        let status = CartCli.EXIT_CODES.OK;
+
+        return new Promise(resolve => {
+            lines.on('line', line => {
+                let parsed = null;
+
+                try {
+                    const args = CartCli.#tokenize(line);
+                    parsed = args.length > 0 ? CartCli.#parse(args) : null;
+                } catch (error) {
+                    status = Math.max(status, this.#report(error));
+                }
+
+                if (parsed && ['exit', 'quit'].includes(parsed.command)) {
+                    lines.close();
+                    return;
+                }
+
+                if (parsed && parsed.command === 'repl') {
+                    status = Math.max(status, this.#report(CartCli.#usageError('Already in the REPL')));
+                } else if (parsed) {
+                    status = Math.max(status, this.#executeLine(parsed));
+                }
+
+                lines.prompt();
+            });
+            lines.on('close', () => resolve(status));
+            lines.prompt();
+        });
+    }
+
+    // Private helper running one REPL command; an unexpected failure is reported
+    // like a CartError (INTERNAL_ERROR), so it ends the command, not the session
+    #executeLine(parsed) {
+        const { CartError } = CliModules;
+
+        try {
+            return this.#execute(parsed, false);
+        } catch (error) {
+            return this.#report(new CartError(CartError.CODES.INTERNAL_ERROR, error.message), parsed);
+        }
+    }
+
+    // Private helper for `new`
+    #newCart({ options }) {
+        const cart = new CliModules.ShoppingCart({
+            ...this.#cartOptions,
+            ...(options.currency ? { currency: options.currency } : {}),
+            ...(options.locale ? { locale: options.locale } : {}),
+            ...(options.group ? { customerGroup: options.group } : {})
+        });
+
+        if (options.region) {
+            CartCli.#run(cart, () => cart.setRegion(options.region));
+        }
+
+        this.#replaceCart(cart);
+        return this.#changed(`Started an empty ${cart.getCurrency()} cart`);
+    }
+
+    // Private helper for `add`
+    #addItem({ args, options }) {
+        const cart = this.#getCart();
+        const lineOptions = {
+            attributes: CartCli.#pairs(options.attr, 'attr'),
+            addOns: CartCli.#pairs(options.addon, 'addon', true)
+        };
+
+        if (cart.getCatalog()) {
+            const [sku, quantity = '1'] = args;
+
+            if (args.length > 2) {
+                throw CartCli.#usageError('Usage: shopping-cart add <sku> [quantity] (the cart has a catalog)', { command: 'add' });
+            }
+
+            lineOptions.addOns = lineOptions.addOns.map(addOn => addOn.name);
+            const count = CartCli.#number(quantity, 'quantity');
+            return this.#change(() => cart.addItem(sku, count, lineOptions), `Added ${quantity} × ${sku}`);
+        }
+
+        const [product, price, quantity = '1'] = args;
+
+        if (price === undefined) {
+            throw CartCli.#usageError(`Usage: shopping-cart ${CartCli.COMMANDS.add.usage}`, { command: 'add' });
+        }
+
+        if (options['tax-category']) {
+            lineOptions.taxCategory = options['tax-category'];
+        }
+
+        const amount = CartCli.#number(price, 'price');
+        const count = CartCli.#number(quantity, 'quantity');
+
+        return this.#change(() => cart.addItem(product, amount, count, lineOptions),
+            `Added ${quantity} × ${product}`);
+    }
+
+    // Private helper for `update`
+    #updateItem({ args: [line, quantity], options }) {
+        const count = CartCli.#number(quantity, 'quantity');
+
+        return this.#change(cart => cart.updateQuantity(line, count, CartCli.#selection(options)),
+            `${line}: quantity ${quantity}`);
+    }
+
+    // Private helper for `remove`
+    #removeItem({ args: [line], options }) {
+        return this.#change(cart => cart.removeItem(line, CartCli.#selection(options)), `Removed ${line}`);
+    }
+
+    // Private helper for `set`
+    #setting({ args: [name, value] }) {
+        const setters = {
+            region: cart => cart.setRegion(value),
+            locale: cart => cart.setLocale(value),
+            group: cart => cart.setCustomerGroup(value)
+        };
+
+        if (!setters[name]) {
+            throw CartCli.#usageError(`Unknown setting: "${name}" (region, locale or group)`, { setting: name });
+        }
+
+        return this.#change(setters[name], `${name[0].toUpperCase()}${name.slice(1)} set to ${value}`);
+    }
+
+    // Private helper for `items`
+    #listItems() {
+        const cart = this.#getCart();
+        const items = cart.getCartItems();
+        const format = amount => cart.formatAmount(amount);
+        const text = items.length === 0
+            ? cart.getI18n().withLocale(cart.getLocale()).t('summary.empty')
+            : items.map(item => {
+                const variant = Object.entries(item.attributes).map(([key, value]) => `${key}=${value}`);
+                const label = variant.length > 0 ? `${item.product} (${variant.join(', ')})` : item.product;
+                return `${item.id}\t${label}\t${item.quantity} × ${format(item.price)}\t${format(item.itemTotal)}`;
+            }).join('\n');
+
+        return { text, json: items };
+    }
+
+    // Private helper for `totals`
+    #showTotals() {
+        const cart = this.#getCart();
+        const totals = cart.getTotals();
+        const format = amount => cart.formatAmount(amount);
+        const rows = [
+            ['Subtotal', format(totals.subtotal)],
+            ...(totals.discount > 0 ? [['Discount', `-${format(totals.discount)}`]] : []),
+            ...(totals.shipping > 0 ? [['Shipping', format(totals.shipping)]] : []),
+            ['Tax', format(totals.tax)],
+            ['Total', format(totals.total)]
+        ];
+
+        return { text: rows.map(([label, amount]) => `${label}: ${amount}`).join('\n'), json: { currency: cart.getCurrency(), ...totals } };
+    }
+
+    // Private helper for `load`: replaces the current cart with a saved one
+    #load(file) {
+        this.#replaceCart(this.#readCart(file));
+        return this.#changed(`Loaded ${file}`);
+    }
+
+    // Private helper writing the cart to a file
+    #save(file) {
+        const { CartError } = CliModules;
+
+        try {
+            require('fs').writeFileSync(file, `${JSON.stringify(this.#getCart(), null, 2)}\n`);
+        } catch (error) {
+            throw new CartError(CartError.CODES.STORAGE_FAILED, `Could not write ${file}: ${error.message}`, { file });
+        }
+
+        return { text: `Saved to ${file}`, json: { file } };
+    }
+
+    // Private helper for `help`
+    #help(name) {
+        const command = name && CartCli.COMMANDS[name];
+
+        if (name && !command) {
+            throw CartCli.#usageError(`Unknown command: "${name}"`);
+        }
+
+        const text = command
+            ? `Usage: shopping-cart ${command.usage}\n${command.description}`
+            : [
+                'Usage: shopping-cart [--cart FILE] [--json] <command> [arguments]',
+                '',
+                'Commands:',
+                ...Object.values(CartCli.COMMANDS).map(({ usage, description }) => `  ${usage}\n      ${description}`),
+                '',
+                `The cart is kept in ${CartCli.DEFAULT_CART_FILE} (or --cart FILE, or $SHOPPING_CART_FILE).`
+            ].join('\n');
+
+        return { text, json: command ? { [name]: command } : CartCli.COMMANDS };
+    }
+
+    // Private helper running a change on the current cart and describing the result
+    #change(operation, message) {
+        const cart = this.#getCart();
+        CartCli.#run(cart, operation);
+        return this.#changed(message);
+    }
+
+    // Private helper describing the cart after a change: the message and the item
+    // count and total as text, the whole cart as JSON
+    #changed(message) {
+        const cart = this.#getCart();
+        const units = cart.getCartItems().reduce((count, item) => count + item.quantity, 0);
+        const count = cart.getI18n().withLocale(cart.getLocale()).t('cart.units', { count: units });
+
+        return { text: `${message}\n${count}, total ${cart.formatAmount(cart.getTotal())}`, json: this.#view() };
+    }
+
+    // Private helper building the JSON view of the current cart
+    #view() {
+        const cart = this.#getCart();
+
+        return {
+            currency: cart.getCurrency(),
+            locale: cart.getLocale(),
+            region: cart.getRegion(),
+            customerGroup: cart.getCustomerGroup(),
+            items: cart.getCartItems(),
+            appliedCodes: cart.getAppliedCodes(),
+            totals: { currency: cart.getCurrency(), ...cart.getTotals() }
+        };
+    }
+
+    // Private helper returning the current cart, reading the cart file (or
+    // starting an empty cart if there is none) on first use
+    #getCart() {
+        if (!this.#cart) {
+            this.#cart = require('fs').existsSync(this.#cartFile)
+                ? this.#readCart(this.#cartFile)
+                : new CliModules.ShoppingCart(this.#cartOptions);
+        }
+
+        return this.#cart;
+    }
+
+    // Private helper switching to another cart, giving back the stock the old one reserved
+    #replaceCart(cart) {
+        const inventory = this.#cart && this.#cart.getInventory();
+
+        if (inventory) {
+            inventory.release(this.#cart);
+        }
+
+        this.#cart = cart;
+    }
+
+    // Private helper restoring a cart from a file; lines that can't be restored
+    // are skipped with a warning
+    #readCart(file) {
+        const { ShoppingCart, CartError } = CliModules;
+        let text;
+
+        try {
+            text = require('fs').readFileSync(file, 'utf8');
+        } catch (error) {
+            throw new CartError(CartError.CODES.STORAGE_FAILED, `Could not read ${file}: ${error.message}`, { file });
+        }
+
+        const cart = ShoppingCart.fromJSON(text, this.#cartOptions);
+
+        if (cart.getLastError()) {
+            this.#errorOutput.write(`Warning: ${cart.getLastError().message} (line skipped)\n`);
+        }
+
+        return cart;
+    }
+
+    // Private helper printing a command's result as text or JSON
+    #print({ text, json }, { options }) {
+        this.#output.write(this.#json || options.json ? `${JSON.stringify(json, null, 2)}\n` : `${text}\n`);
+    }
+
+    // Private helper printing an error; returns the exit status it calls for
+    #report(error, { options } = { options: {} }) {
+        this.#errorOutput.write(this.#json || options.json
+            ? `${JSON.stringify({ error }, null, 2)}\n`
+            : `Error: ${error.message} (${error.code})\n`);
+
+        return error.code === CliModules.CartError.CODES.INVALID_COMMAND ? CartCli.EXIT_CODES.USAGE : CartCli.EXIT_CODES.FAILED;
+    }
+
+    // Private helper running a cart operation and throwing the cart's error if it
+    // failed, read through getLastError() so carts may use any error mode
+    static #run(cart, operation) {
+        try {
+            operation(cart);
+        } catch (error) {
+            if (!(error instanceof CliModules.CartError)) {
+                throw error;
+            }
+            // 'throw' mode; the error is also in getLastError()
+        }
+
+        if (cart.getLastError()) {
+            throw cart.getLastError();
+        }
+    }
+
+    // Private helper splitting arguments into { command, args, options }; `--`
+    // ends the options, so products starting with "--" can be named
+    static #parse(argv) {
+        const args = [];
+        const options = { attr: [], addon: [] };
+
+        for (let index = 0; index < argv.length; index++) {
+            const arg = argv[index];
+
+            if (arg === '--') {
+                args.push(...argv.slice(index + 1));
+                break;
+            }
+
+            if (!arg.startsWith('--')) {
+                args.push(arg);
+                continue;
+            }
+
+            const separator = arg.indexOf('=');
+            const name = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+
+            if (CartCli.#FLAGS.includes(name) && separator === -1) {
+                options[name] = true;
+                continue;
+            }
+
+            if (!CartCli.#VALUE_OPTIONS.includes(name)) {
+                throw CartCli.#usageError(`Unknown option: ${arg}`, { option: name });
+            }
+
+            const value = separator === -1 ? argv[++index] : arg.slice(separator + 1);
+
+            if (value === undefined) {
+                throw CartCli.#usageError(`Option --${name} needs a value`, { option: name });
+            }
+
+            if (Array.isArray(options[name])) {
+                options[name].push(value);
+            } else {
+                options[name] = value;
+            }
+        }
+
+        const [command = 'help', ...rest] = args;
+        return { command: command.toLowerCase(), args: rest, options };
+    }
+
+    // Private helper splitting a REPL line into arguments, honouring '...' and "..."
+    static #tokenize(line) {
+        const args = [];
+        let current = null;
+        let quote = null;
+
+        for (const char of line) {
+            if (quote) {
+                if (char === quote) {
+                    quote = null;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"' || char === "'") {
+                quote = char;
+                current = current || '';
+            } else if (/\s/.test(char)) {
+                if (current !== null) {
+                    args.push(current);
+                    current = null;
+                }
+            } else {
+                current = (current || '') + char;
+            }
+        }
+
+        if (quote) {
+            throw CartCli.#usageError(`Unclosed ${quote} in: ${line}`);
+        }
+
+        return current !== null ? [...args, current] : args;
+    }
+
+    // Private helper reading KEY=VALUE options into attributes, or [{ name, price }] add-ons
+    static #pairs(values, option, priced = false) {
+        const pairs = values.map(value => {
+            const separator = value.lastIndexOf('=');
+
+            if (separator <= 0) {
+                throw CartCli.#usageError(`--${option} must look like ${priced ? 'NAME=PRICE' : 'KEY=VALUE'}: "${value}"`,
+                    { option });
+            }
+
+            return [value.slice(0, separator), value.slice(separator + 1)];
+        });
+
+        return priced
+            ? pairs.map(([name, price]) => ({ name, price: CartCli.#number(price, `--${option} ${name} price`) }))
+            : Object.fromEntries(pairs);
+    }
+
+    // Private helper building the line selection of update and remove (undefined
+    // without --attr or --addon, so line ids and plain names still match)
+    static #selection(options) {
+        if (options.attr.length === 0 && options.addon.length === 0) {
+            return undefined;
+        }
+
+        return { attributes: CartCli.#pairs(options.attr, 'attr'), addOns: CartCli.#pairs(options.addon, 'addon', true) };
+    }
+
+    // Private helper reading a numeric argument (anything but a finite number is a usage error,
+    // so "abc" or "free" never reaches the cart as NaN)
+    static #number(value, name) {
+        const number = typeof value === 'string' && value.trim() ? Number(value) : NaN;
+
+        if (!Number.isFinite(number)) {
+            throw CartCli.#usageError(`${name} must be a number: "${value}"`, { argument: name, value });
+        }
+
+        return number;
+    }
+
+    // Private helper creating the error for a malformed command line
+    static #usageError(message, details = {}) {
+        const { CartError } = CliModules;
+        return new CartError(CartError.CODES.INVALID_COMMAND, message, details);
+    }
+}
+
+// Export for use in Node.js, browsers, and module bundlers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CartCli;
+}
+// Make available in browser global scope
+if (typeof window !== 'undefined') {
+    window.CartCli = CartCli;
+}
+
+// Run as a script: shopping-cart <command> (or node CartCli.js <command>)
+if (typeof require !== 'undefined' && typeof module !== 'undefined' && require.main === module) {
+    new CartCli().run(process.argv.slice(2)).then(status => {
+        process.exitCode = status;
+    }).catch(error => {
+        process.stderr.write(`Error: ${error.message}\n`);
+        process.exitCode = CartCli.EXIT_CODES.FAILED;
+    });
+}
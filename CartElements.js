@@ -0,0 +1,753 @@
+/**
+ * CartElements Module
+ *
+ * Web components that show and edit a ShoppingCart in the browser:
+ *
+ *   <cart-list>           The cart's lines, one <cart-line-item> each
+ *   <cart-line-item>      A line with a quantity stepper and a remove button
+ *   <cart-discount-box>   Discount code entry and the applied codes
+ *   <cart-totals>         Subtotal, discount, shipping choice, taxes and total
+ *
+ * Features:
+ * - Bind with element.cart = cart; elements re-render from the cart's change
+ *   events, and setting another cart (e.g. after convertTo) moves them to it
+ * - Rendered with DOM nodes and textContent only, never HTML strings, so product
+ *   names and codes are shown exactly as typed
+ * - Native buttons, inputs and forms for keyboard use; every control is labelled,
+ *   results and errors are announced through a role="status" region, and focus
+ *   stays in place as lines update or disappear
+ * - Texts in the cart's locale from its I18n catalogs, falling back to MESSAGES
+ * - Results are also dispatched as bubbling `cart-message` events ({ message, type })
+ *
+ * Browser only: include after ShoppingCart.js and call CartElements.define().
+ */
+
+// Companion modules: required in Node, or read from the globals registered
+// by their own <script> tags in the browser (include them before this file)
+const ElementModules = typeof module !== 'undefined' && module.exports
+    ? {
+        ShoppingCart: require('./ShoppingCart.js'),
+        I18n: require('./I18n.js'),
+        TaxEngine: require('./TaxEngine.js'),
+        CartError: require('./CartError.js')
+    }
+    : window;
+
+// Custom elements must extend HTMLElement, which only browsers have; elsewhere a
+// plain base class lets the module load (e.g. to read CartElements.MESSAGES)
+const ElementBase = typeof HTMLElement !== 'undefined' ? HTMLElement : class {};
+
+/**
+ * Base class of the cart elements: keeps the bound cart, subscribes to its
+ * events while the element is in the document and re-renders on each one
+ */
+class CartElement extends ElementBase {
+    // How long a message stays in a status region, in milliseconds
+    static MESSAGE_DURATION = 5000;
+
+    static #lastId = 0; // Counter for the ids labels point at
+
+    #cart = null; // ShoppingCart shown, or null
+    #unsubscribe = []; // Handles returned by cart.on() while connected
+    #status = null; // role="status" region this element's messages are shown in, if any
+    #statusTimer = null; // Timer clearing the status region
+
+    /**
+     * Gets the bound cart
+     * @returns {ShoppingCart|null} - Cart, or null if none is bound
+     */
+    get cart() {
+        return this.#cart;
+    }
+
+    /**
+     * Binds a cart (or null to unbind) and renders it
+     * @param {ShoppingCart|null} cart - Cart to show
+     */
+    set cart(cart) {
+        if (cart === this.#cart) {
+            return;
+        }
+
+        this.#unwatch();
+        this.#cart = cart || null;
+
+        if (this.isConnected) {
+            this.#watch();
+            this.render();
+        }
+    }
+
+    connectedCallback() {
+        this.#watch();
+        this.render();
+    }
+
+    disconnectedCallback() {
+        this.#unwatch();
+    }
+
+    /**
+     * Updates the element from the cart; runs on connect, on every cart event
+     * and when the cart changes. Overridden by each element
+     */
+    render() {}
+
+    /**
+     * Translates a message into the cart's locale with the cart's I18n, falling
+     * back to CartElements.MESSAGES for keys its catalogs don't have
+     * @param {string} key - Message key, e.g. 'cart.remove'
+     * @param {Object} params - Placeholder values
+     * @returns {string} - Translated message
+     */
+    t(key, params = {}) {
+        const locale = this.#cart ? this.#cart.getLocale() : ElementModules.I18n.DEFAULT_LOCALE;
+        const text = this.#cart ? this.#cart.getI18n().withLocale(locale).t(key, params) : key;
+
+        return text !== key ? text : CartElements.getMessages(locale).t(key, params);
+    }
+
+    /**
+     * Runs a change on the bound cart, whatever its error mode
+     * @param {Function} operation - Called with the cart
+     * @returns {CartError|null} - Why the change failed, or null if it succeeded
+     */
+    attempt(operation) {
+        try {
+            operation(this.#cart);
+        } catch (error) {
+            if (!(error instanceof ElementModules.CartError)) {
+                throw error;
+            }
+            // 'throw' mode; the error is also in getLastError()
+        }
+
+        return this.#cart.getLastError();
+    }
+
+    /**
+     * Dispatches a bubbling `cart-message` event; the nearest cart element with a
+     * status region shows it
+     * @param {string} message - Text to show
+     * @param {string} type - 'success' or 'error'
+     * @param {Node} target - Node to dispatch from (default: this element; pass
+     *                        an ancestor when the change removed this element)
+     */
+    announce(message, type, target = this) {
+        target.dispatchEvent(new CustomEvent('cart-message', { detail: { message, type }, bubbles: true, composed: true }));
+    }
+
+    /**
+     * Creates the role="status" region that shows the messages announced in this
+     * element (call once, while building the element)
+     * @returns {HTMLElement} - Region to insert
+     */
+    createStatus() {
+        this.#status = CartElement.create('div', { className: 'message', attributes: { role: 'status' } });
+
+        this.addEventListener('cart-message', event => {
+            const { message, type } = event.detail;
+
+            event.stopPropagation();
+            clearTimeout(this.#statusTimer);
+            this.#status.className = `message ${type}`;
+            this.#status.textContent = message;
+            this.#statusTimer = setTimeout(() => {
+                this.#status.className = 'message';
+                this.#status.textContent = '';
+            }, CartElement.MESSAGE_DURATION);
+        });
+
+        return this.#status;
+    }
+
+    /**
+     * Creates a DOM element
+     * @param {string} tag - Tag name
+     * @param {Object} options - { className, text (set as textContent), attributes }
+     * @returns {HTMLElement} - New element
+     */
+    static create(tag, { className = '', text = null, attributes = {} } = {}) {
+        const element = document.createElement(tag);
+
+        if (className) {
+            element.className = className;
+        }
+
+        if (text !== null) {
+            element.textContent = text;
+        }
+
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        return element;
+    }
+
+    /**
+     * Generates a document-unique id, e.g. for a label's `for`
+     * @param {string} prefix - Id prefix
+     * @returns {string} - New id
+     */
+    static nextId(prefix) {
+        CartElement.#lastId += 1;
+        return `${prefix}-${CartElement.#lastId}`;
+    }
+
+    // Private helper subscribing to every cart event
+    #watch() {
+        if (this.#cart && this.#unsubscribe.length === 0) {
+            this.#unsubscribe = ElementModules.ShoppingCart.EVENTS.map(event => this.#cart.on(event, () => this.render()));
+        }
+    }
+
+    // Private helper dropping the cart subscriptions
+    #unwatch() {
+        this.#unsubscribe.forEach(unsubscribe => unsubscribe());
+        this.#unsubscribe = [];
+    }
+}
+
+/**
+ * <cart-list>: the cart's lines as <cart-line-item> elements, or an empty message
+ */
+class CartList extends CartElement {
+    #empty = null; // Paragraph shown when the cart is empty
+    #list = null; // role="list" container of the line elements
+    #lines = new Map(); // Line id -> <cart-line-item>, reused so focus survives updates
+
+    render() {
+        if (!this.#list) {
+            this.#empty = CartElement.create('p', { className: 'empty-message' });
+            this.#list = CartElement.create('div', { className: 'cart-items', attributes: { role: 'list', tabindex: '-1' } });
+            this.append(this.#empty, this.#list, this.createStatus());
+        }
+
+        const items = this.cart ? this.cart.getCartItems() : [];
+        const ids = items.map(item => item.id);
+        let refocus = null;
+
+        this.#empty.textContent = this.t('cart.empty');
+        this.#empty.hidden = items.length > 0;
+        this.#list.setAttribute('aria-label', this.t('cart.lines'));
+
+        // Lines that are gone; if one had focus, it moves to the line now in its place
+        [...this.#lines].forEach(([id, element], index) => {
+            if (!ids.includes(id)) {
+                if (element.contains(document.activeElement)) {
+                    refocus = index;
+                }
+
+                element.remove();
+                this.#lines.delete(id);
+            }
+        });
+
+        items.forEach((item, index) => {
+            let element = this.#lines.get(item.id);
+
+            if (!element) {
+                element = document.createElement(CartElements.TAGS.lineItem);
+                element.lineId = item.id;
+                this.#lines.set(item.id, element);
+            }
+
+            element.cart = this.cart;
+
+            if (this.#list.children[index] !== element) {
+                this.#list.insertBefore(element, this.#list.children[index] || null);
+            }
+        });
+
+        if (refocus !== null) {
+            const next = this.#list.children[Math.min(refocus, this.#list.children.length - 1)];
+            (next ? next.querySelector('.remove-btn') : this.#list).focus();
+        }
+    }
+}
+
+/**
+ * <cart-line-item>: one line (set lineId to its id from getCartItems()) with a
+ * quantity stepper calling updateQuantity and a remove button
+ */
+class CartLineItem extends CartElement {
+    #lineId = null; // Id of the line shown
+    #parts = null; // { name, details, extras, stepper, decrease, quantity, increase, remove }
+
+    /**
+     * Gets the id of the line shown
+     * @returns {string|null} - Line id from getCartItems()
+     */
+    get lineId() {
+        return this.#lineId;
+    }
+
+    /**
+     * Sets the line to show
+     * @param {string} id - Line id from getCartItems()
+     */
+    set lineId(id) {
+        this.#lineId = id;
+
+        if (this.isConnected) {
+            this.render();
+        }
+    }
+
+    render() {
+        const line = this.cart && this.cart.getCartItems().find(item => item.id === this.#lineId);
+
+        // Also reached for a line that was just removed, before <cart-list> drops it
+        if (!line) {
+            return;
+        }
+
+        if (!this.#parts) {
+            this.#build();
+        }
+
+        const { name, details, extras, stepper, decrease, quantity, increase, remove } = this.#parts;
+        const format = amount => this.cart.formatAmount(amount);
+        const variant = Object.values(line.attributes);
+        const label = variant.length > 0 ? `${line.product} (${variant.join(', ')})` : line.product;
+
+        name.textContent = label;
+        details.textContent = this.t('cart.lineTotal', {
+            price: format(line.price),
+            quantity: line.quantity,
+            total: format(line.itemTotal)
+        });
+        extras.replaceChildren(
+            ...line.addOns.map(addOn => CartElement.create('div', {
+                className: 'cart-item-details',
+                text: `+ ${addOn.name} (+${format(addOn.price)})`
+            })),
+            ...(line.savings > 0
+                ? [CartElement.create('div', {
+                    className: 'cart-item-details',
+                    text: this.t('summary.savings', { listPrice: format(line.listPrice), savings: format(line.savings) })
+                })]
+                : [])
+        );
+
+        stepper.setAttribute('aria-label', this.t('cart.quantityOf', { product: label }));
+        decrease.setAttribute('aria-label', this.t('cart.decrease', { product: label }));
+        increase.setAttribute('aria-label', this.t('cart.increase', { product: label }));
+        quantity.setAttribute('aria-label', this.t('cart.quantityOf', { product: label }));
+        decrease.disabled = line.quantity <= 1;
+        quantity.value = String(line.quantity);
+        remove.textContent = this.t('cart.remove');
+        remove.setAttribute('aria-label', this.t('cart.removeProduct', { product: label }));
+    }
+
+    // Private helper creating the element's children once; render() only updates them
+    #build() {
+        const parts = {
+            name: CartElement.create('div', { className: 'cart-item-name' }),
+            details: CartElement.create('div', { className: 'cart-item-details' }),
+            extras: CartElement.create('div'),
+            stepper: CartElement.create('div', { className: 'quantity-stepper', attributes: { role: 'group' } }),
+            decrease: CartElement.create('button', { className: 'stepper-btn', text: '−', attributes: { type: 'button' } }),
+            quantity: CartElement.create('input', {
+                className: 'stepper-input',
+                attributes: { type: 'number', min: '1', step: '1', inputmode: 'numeric' }
+            }),
+            increase: CartElement.create('button', { className: 'stepper-btn', text: '+', attributes: { type: 'button' } }),
+            remove: CartElement.create('button', { className: 'remove-btn', attributes: { type: 'button' } })
+        };
+        const info = CartElement.create('div', { className: 'cart-item-info' });
+
+        info.append(parts.name, parts.details, parts.extras);
+        parts.stepper.append(parts.decrease, parts.quantity, parts.increase);
+        this.classList.add('cart-item');
+        this.setAttribute('role', 'listitem');
+        this.append(info, parts.stepper, parts.remove);
+
+        parts.decrease.addEventListener('click', () => this.#setQuantity(this.#quantity() - 1));
+        parts.increase.addEventListener('click', () => this.#setQuantity(this.#quantity() + 1));
+        parts.quantity.addEventListener('change', () => this.#setQuantity(Number(parts.quantity.value)));
+        parts.quantity.addEventListener('keydown', event => {
+            if (event.key === 'Enter') {
+                this.#setQuantity(Number(parts.quantity.value));
+            } else if (event.key === 'Escape') {
+                this.render();
+            }
+        });
+        parts.remove.addEventListener('click', () => this.#remove());
+        this.#parts = parts;
+    }
+
+    // Private helper reading the line's quantity from the cart
+    #quantity() {
+        const line = this.cart.getCartItems().find(item => item.id === this.#lineId);
+        return line ? line.quantity : 0;
+    }
+
+    // Private helper changing the quantity; on failure the input shows the cart's quantity again
+    #setQuantity(quantity) {
+        if (quantity === this.#quantity()) {
+            return;
+        }
+
+        const product = this.#parts.name.textContent;
+        const error = this.attempt(cart => cart.updateQuantity(this.#lineId, quantity));
+
+        if (error) {
+            this.render();
+            this.announce(error.message, 'error');
+            return;
+        }
+
+        this.announce(this.t('cart.quantityChanged', { product, quantity }), 'success');
+    }
+
+    // Private helper removing the line; the message goes to the parent, as this element leaves the page
+    #remove() {
+        const product = this.#parts.name.textContent;
+        const parent = this.parentNode;
+        const error = this.attempt(cart => cart.removeItem(this.#lineId));
+
+        if (error) {
+            this.announce(error.message, 'error');
+            return;
+        }
+
+        this.announce(this.t('cart.removed', { product }), 'success', this.isConnected ? this : parent || this);
+    }
+}
+
+/**
+ * <cart-discount-box>: a form applying discount codes and the applied codes,
+ * each with a button removing it
+ */
+class CartDiscountBox extends CartElement {
+    #parts = null; // { label, input, apply, codes }
+
+    render() {
+        if (!this.#parts) {
+            this.#build();
+        }
+
+        const { label, input, apply, codes } = this.#parts;
+        const applied = this.cart ? this.cart.getAppliedCodes() : [];
+        const focused = codes.contains(document.activeElement);
+
+        label.textContent = this.t('cart.code');
+        input.placeholder = this.t('cart.code.placeholder');
+        apply.textContent = this.t('cart.code.apply');
+        apply.disabled = !this.cart;
+        codes.setAttribute('aria-label', this.t('cart.codes'));
+        codes.hidden = applied.length === 0;
+        codes.replaceChildren(...applied.map(code => {
+            const item = CartElement.create('li');
+            const remove = CartElement.create('button', {
+                className: 'remove-btn',
+                text: '×',
+                attributes: { type: 'button', 'aria-label': this.t('cart.code.remove', { code }) }
+            });
+
+            remove.addEventListener('click', () => this.#remove(code));
+            item.append(CartElement.create('span', { text: code }), remove);
+            return item;
+        }));
+
+        // A removed code's button took focus with it
+        if (focused && !codes.contains(document.activeElement)) {
+            input.focus();
+        }
+    }
+
+    // Private helper creating the form and code list once
+    #build() {
+        const form = CartElement.create('form', { className: 'discount-form' });
+        const field = CartElement.create('label', { className: 'form-group' });
+        const parts = {
+            label: CartElement.create('span'),
+            input: CartElement.create('input', { attributes: { type: 'text', autocomplete: 'off', spellcheck: 'false' } }),
+            apply: CartElement.create('button', { className: 'btn-primary', attributes: { type: 'submit' } }),
+            codes: CartElement.create('ul', { className: 'applied-codes' })
+        };
+
+        field.append(parts.label, parts.input);
+        form.append(field, parts.apply);
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            this.#apply();
+        });
+        this.append(form, parts.codes, this.createStatus());
+        this.#parts = parts;
+    }
+
+    // Private helper applying the code typed in
+    #apply() {
+        const { input } = this.#parts;
+        const code = input.value.trim();
+
+        if (!code) {
+            this.announce(this.t('cart.code.missing'), 'error');
+            input.focus();
+            return;
+        }
+
+        const error = this.attempt(cart => cart.applyDiscount(code));
+
+        if (error) {
+            this.announce(error.message, 'error');
+            input.focus();
+            return;
+        }
+
+        input.value = '';
+        this.announce(this.t('cart.code.applied', { code: code.toUpperCase() }), 'success');
+    }
+
+    // Private helper removing an applied code
+    #remove(code) {
+        const error = this.attempt(cart => cart.removeDiscount(code));
+        this.announce(error ? error.message : this.t('cart.code.removed', { code }), error ? 'error' : 'success');
+    }
+}
+
+/**
+ * <cart-totals>: subtotal, discount, shipping method choice, one row per tax
+ * rate and the total (hidden while the cart is empty)
+ */
+class CartTotals extends CartElement {
+    #parts = null; // { summary, rows, shippingRow, shippingLabel, shipping, shippingAmount, taxes, totalLabel, total }
+
+    render() {
+        if (!this.#parts) {
+            this.#build();
+        }
+
+        const { summary, rows, shippingRow, shippingLabel, shipping, shippingAmount, taxes, totalLabel, total } = this.#parts;
+        const cart = this.cart;
+
+        summary.hidden = !cart || cart.getItemCount() === 0;
+
+        if (summary.hidden) {
+            return;
+        }
+
+        const format = amount => cart.formatAmount(amount);
+        const totals = cart.getTotals();
+
+        summary.setAttribute('aria-label', this.t('cart.totals'));
+        rows.replaceChildren(
+            CartTotals.#row(this.t('cart.subtotal'), format(totals.subtotal)),
+            ...(totals.discount > 0 ? [CartTotals.#row(this.t('cart.discount'), `-${format(totals.discount)}`)] : []),
+            CartTotals.#row(this.t('cart.afterDiscount'), format(totals.subtotal - totals.discount))
+        );
+
+        const options = cart.getShippingOptions();
+
+        shippingRow.hidden = options.length === 0;
+        shippingLabel.textContent = this.t('cart.shipping');
+        shipping.replaceChildren(
+            CartElement.create('option', { text: this.t('cart.shipping.choose'), attributes: { value: '' } }),
+            ...options.map(option => {
+                const element = CartElement.create('option', {
+                    text: `${option.label} - ${format(option.amount)}`,
+                    attributes: { value: option.method }
+                });
+                element.disabled = !option.available;
+                return element;
+            })
+        );
+        shipping.value = cart.getShippingMethod() || '';
+        shippingAmount.textContent = cart.getShippingMethod() ? format(totals.shipping) : '';
+
+        taxes.replaceChildren(...cart.getTaxBreakdown()
+            .filter(entry => entry.rate > 0)
+            .map(entry => {
+                const name = entry.name === ElementModules.TaxEngine.DEFAULT_RATE_NAME ? this.t('summary.tax') : entry.name;
+                return CartTotals.#row(`${name} (${cart.getI18n().withLocale(cart.getLocale()).formatPercent(entry.rate)}):`,
+                    format(entry.tax));
+            }));
+
+        totalLabel.textContent = this.t('cart.total');
+        total.textContent = format(totals.total);
+    }
+
+    // Private helper creating the summary once; render() only updates it
+    #build() {
+        const id = CartElement.nextId('cart-shipping');
+        const totalRow = CartElement.create('div', { className: 'summary-row total' });
+        const shippingValue = CartElement.create('span');
+        const parts = {
+            summary: CartElement.create('section', { className: 'summary' }),
+            rows: CartElement.create('div'),
+            shippingRow: CartElement.create('div', { className: 'summary-row' }),
+            shippingLabel: CartElement.create('label', { attributes: { for: id } }),
+            shipping: CartElement.create('select', { attributes: { id } }),
+            shippingAmount: CartElement.create('span'),
+            taxes: CartElement.create('div'),
+            totalLabel: CartElement.create('span'),
+            total: CartElement.create('span', { attributes: { 'aria-live': 'polite', 'aria-atomic': 'true' } })
+        };
+
+        shippingValue.append(parts.shipping, parts.shippingAmount);
+        parts.shippingRow.append(parts.shippingLabel, shippingValue);
+        totalRow.append(parts.totalLabel, parts.total);
+        parts.summary.append(parts.rows, parts.shippingRow, parts.taxes, totalRow);
+        parts.shipping.addEventListener('change', () => {
+            const error = this.attempt(cart => cart.setShippingMethod(parts.shipping.value || null));
+
+            if (error) {
+                this.render();
+                this.announce(error.message, 'error');
+            }
+        });
+        this.append(parts.summary, this.createStatus());
+        this.#parts = parts;
+    }
+
+    // Private helper creating a label/amount row
+    static #row(label, amount) {
+        const row = CartElement.create('div', { className: 'summary-row' });
+        row.append(CartElement.create('span', { text: label }), CartElement.create('span', { text: amount }));
+        return row;
+    }
+}
+
+class CartElements {
+    // Tag each element is defined as
+    static TAGS = {
+        list: 'cart-list',
+        lineItem: 'cart-line-item',
+        discountBox: 'cart-discount-box',
+        totals: 'cart-totals'
+    };
+
+    // Element classes, e.g. to extend one
+    static CartElement = CartElement;
+    static CartList = CartList;
+    static CartLineItem = CartLineItem;
+    static CartDiscountBox = CartDiscountBox;
+    static CartTotals = CartTotals;
+
+    // Texts the elements show; the cart's own I18n catalogs take precedence, so
+    // pages can reword them or add languages with i18n.addMessages()
+    static MESSAGES = {
+        en: {
+            'cart.empty': 'Your cart is empty',
+            'cart.lines': 'Cart items',
+            'cart.lineTotal': '{price} × {quantity} = {total}',
+            'cart.quantityOf': 'Quantity of {product}',
+            'cart.decrease': 'Decrease quantity of {product}',
+            'cart.increase': 'Increase quantity of {product}',
+            'cart.quantityChanged': '✓ {product}: quantity {quantity}',
+            'cart.remove': 'Remove',
+            'cart.removeProduct': 'Remove {product}',
+            'cart.removed': '✓ {product} removed',
+            'cart.code': 'Discount Code:',
+            'cart.code.placeholder': 'e.g., SAVE10 or SAVE20',
+            'cart.code.apply': 'Apply Discount',
+            'cart.code.missing': 'Please enter a discount code',
+            'cart.code.applied': '✓ Discount code "{code}" applied!',
+            'cart.code.remove': 'Remove discount code {code}',
+            'cart.code.removed': '✓ Discount code "{code}" removed',
+            'cart.codes': 'Applied discount codes',
+            'cart.totals': 'Order totals',
+            'cart.subtotal': 'Subtotal:',
+            'cart.discount': 'Discount:',
+            'cart.afterDiscount': 'After Discount:',
+            'cart.shipping': 'Shipping:',
+            'cart.shipping.choose': 'Choose…',
+            'cart.total': 'Total:'
+        },
+        es: {
+            'cart.empty': 'Tu carrito está vacío',
+            'cart.lines': 'Artículos del carrito',
+            'cart.quantityOf': 'Cantidad de {product}',
+            'cart.decrease': 'Reducir la cantidad de {product}',
+            'cart.increase': 'Aumentar la cantidad de {product}',
+            'cart.quantityChanged': '✓ {product}: cantidad {quantity}',
+            'cart.remove': 'Quitar',
+            'cart.removeProduct': 'Quitar {product}',
+            'cart.removed': '✓ {product} quitado del carrito',
+            'cart.code': 'Código de descuento:',
+            'cart.code.placeholder': 'p. ej., SAVE10 o SAVE20',
+            'cart.code.apply': 'Aplicar descuento',
+            'cart.code.missing': 'Introduce un código de descuento',
+            'cart.code.applied': '✓ ¡Código de descuento "{code}" aplicado!',
+            'cart.code.remove': 'Quitar el código de descuento {code}',
+            'cart.code.removed': '✓ Código de descuento "{code}" quitado',
+            'cart.codes': 'Códigos de descuento aplicados',
+            'cart.totals': 'Totales del pedido',
+            'cart.subtotal': 'Subtotal:',
+            'cart.discount': 'Descuento:',
+            'cart.afterDiscount': 'Tras el descuento:',
+            'cart.shipping': 'Envío:',
+            'cart.shipping.choose': 'Elegir…',
+            'cart.total': 'Total:'
+        },
+        ar: {
+            'cart.empty': 'سلتك فارغة',
+            'cart.lines': 'منتجات السلة',
+            'cart.quantityOf': 'كمية {product}',
+            'cart.decrease': 'إنقاص كمية {product}',
+            'cart.increase': 'زيادة كمية {product}',
+            'cart.quantityChanged': '✓ {product}: الكمية {quantity}',
+            'cart.remove': 'إزالة',
+            'cart.removeProduct': 'إزالة {product}',
+            'cart.removed': '✓ تمت إزالة {product}',
+            'cart.code': 'رمز الخصم:',
+            'cart.code.placeholder': 'مثلًا: SAVE10 أو SAVE20',
+            'cart.code.apply': 'تطبيق الخصم',
+            'cart.code.missing': 'يرجى إدخال رمز الخصم',
+            'cart.code.applied': '✓ تم تطبيق رمز الخصم "{code}"!',
+            'cart.code.remove': 'إزالة رمز الخصم {code}',
+            'cart.code.removed': '✓ تمت إزالة رمز الخصم "{code}"',
+            'cart.codes': 'رموز الخصم المطبقة',
+            'cart.totals': 'إجماليات الطلب',
+            'cart.subtotal': 'المجموع الفرعي:',
+            'cart.discount': 'الخصم:',
+            'cart.afterDiscount': 'بعد الخصم:',
+            'cart.shipping': 'الشحن:',
+            'cart.shipping.choose': 'اختر…',
+            'cart.total': 'الإجمالي:'
+        }
+    };
+
+    static #messages = null; // I18n holding MESSAGES, created on first use
+
+    /**
+     * Defines the custom elements (skipping tags already defined)
+     * @param {CustomElementRegistry} registry - Registry to define them in (default: window.customElements)
+     */
+    static define(registry = window.customElements) {
+        const classes = {
+            [CartElements.TAGS.list]: CartList,
+            [CartElements.TAGS.lineItem]: CartLineItem,
+            [CartElements.TAGS.discountBox]: CartDiscountBox,
+            [CartElements.TAGS.totals]: CartTotals
+        };
+
+        Object.entries(classes).forEach(([tag, elementClass]) => {
+            if (!registry.get(tag)) {
+                registry.define(tag, elementClass);
+            }
+        });
+    }
+
+    /**
+     * Gets the elements' own messages in a locale
+     * @param {string} locale - BCP 47 locale
+     * @returns {I18n} - I18n with MESSAGES, set to the locale
+     */
+    static getMessages(locale) {
+        if (!CartElements.#messages) {
+            CartElements.#messages = new ElementModules.I18n({ messages: CartElements.MESSAGES });
+        }
+
+        return CartElements.#messages.withLocale(locale);
+    }
+}
+
+// Export for use in Node.js, browsers, and module bundlers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CartElements;
+}
+// Make available in browser global scope
+if (typeof window !== 'undefined') {
+    window.CartElements = CartElements;
+}
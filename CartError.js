@@ -0,0 +1,90 @@
+/**
+ * CartError Module
+ *
+ * Typed error raised (or returned) by ShoppingCart and its companion modules,
+ * so callers can react to the reason instead of parsing a message.
+ *
+ * Features:
+ * - Machine-readable codes (INVALID_PRICE, UNKNOWN_PRODUCT, OUT_OF_STOCK, ...)
+ * - Human-readable message
+ * - Details object with the values involved (product, requested quantity, ...)
+ */
+
+class CartError extends Error {
+    // Error codes
+    static CODES = {
+        INVALID_CONFIG: 'INVALID_CONFIG', // Bad constructor options
+        INVALID_PRODUCT: 'INVALID_PRODUCT', // Missing or malformed product name or SKU
+        INVALID_PRICE: 'INVALID_PRICE',
+        INVALID_QUANTITY: 'INVALID_QUANTITY',
+        INVALID_VARIANT: 'INVALID_VARIANT', // Bad or unavailable attributes / add-ons
+        UNKNOWN_PRODUCT: 'UNKNOWN_PRODUCT', // Not in the cart or catalog
+        DUPLICATE_PRODUCT: 'DUPLICATE_PRODUCT', // SKU already in the catalog
+        PRICE_CONFLICT: 'PRICE_CONFLICT', // Same line added again at another price
+        UNKNOWN_TAX_CATEGORY: 'UNKNOWN_TAX_CATEGORY',
+        OUT_OF_STOCK: 'OUT_OF_STOCK',
+        QUANTITY_LIMIT: 'QUANTITY_LIMIT', // Outside the product's min/max purchase quantity
+        INVALID_CODE: 'INVALID_CODE', // Malformed or unknown discount code
+        CODE_NOT_APPLICABLE: 'CODE_NOT_APPLICABLE', // Known code that doesn't apply (see details.reason)
+        CODE_NOT_APPLIED: 'CODE_NOT_APPLIED',
+        INVALID_PROMOTION: 'INVALID_PROMOTION', // Bad promotion definition
+        INVALID_REGION: 'INVALID_REGION',
+        INVALID_CUSTOMER_GROUP: 'INVALID_CUSTOMER_GROUP',
+        UNSUPPORTED_CURRENCY: 'UNSUPPORTED_CURRENCY',
+        CURRENCY_MISMATCH: 'CURRENCY_MISMATCH', // Carts in different currencies combined
+        INVALID_LOCALE: 'INVALID_LOCALE',
+        CONVERSION_FAILED: 'CONVERSION_FAILED',
+        INVALID_STATE: 'INVALID_STATE', // Malformed or unsupported saved cart
+        STORAGE_FAILED: 'STORAGE_FAILED',
+        INVALID_SESSION: 'INVALID_SESSION', // Missing or malformed session or user ID
+        HISTORY_EMPTY: 'HISTORY_EMPTY', // Nothing to undo or redo
+        EMPTY_CART: 'EMPTY_CART',
+        INVALID_TRANSITION: 'INVALID_TRANSITION', // Order status change not allowed
+        PAYMENT_FAILED: 'PAYMENT_FAILED', // Payment provider declined or errored (see details.reason)
+        INVALID_GIFT_CARD: 'INVALID_GIFT_CARD', // Unknown, expired or unapplied gift card or store credit (see details.reason)
+        INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE', // Gift card or store credit holds less than requested
+        INVALID_RULE: 'INVALID_RULE', // Bad business rule definition
+        RULE_VIOLATION: 'RULE_VIOLATION', // Cart breaks business rules (see details.violations)
+        INVALID_DESTINATION: 'INVALID_DESTINATION',
+        INVALID_SHIPPING_METHOD: 'INVALID_SHIPPING_METHOD', // Bad shipping method definition
+        UNKNOWN_SHIPPING_METHOD: 'UNKNOWN_SHIPPING_METHOD',
+        SHIPPING_NOT_AVAILABLE: 'SHIPPING_NOT_AVAILABLE', // Method can't deliver this cart (see details.reason)
+        UNKNOWN_FORMAT: 'UNKNOWN_FORMAT', // Receipt format with no template
+        RENDER_FAILED: 'RENDER_FAILED', // Receipt template threw or returned a non-string
+        INVALID_REQUEST: 'INVALID_REQUEST', // Malformed HTTP request (body, fields, content type)
+        NOT_FOUND: 'NOT_FOUND', // Unknown HTTP route or cart
+        METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+        VERSION_MISMATCH: 'VERSION_MISMATCH', // If-Match missing or not the cart's current ETag
+        INTERNAL_ERROR: 'INTERNAL_ERROR', // Unexpected failure (server, CLI REPL)
+        INVALID_COMMAND: 'INVALID_COMMAND' // Unknown CLI command or malformed arguments
+    };
+
+    /**
+     * @param {string} code - One of CartError.CODES
+     * @param {string} message - Human-readable description
+     * @param {Object} details - Values involved in the failure (default: {})
+     */
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'CartError';
+        this.code = code;
+        this.details = details;
+    }
+
+    /**
+     * Serializes the error (called by JSON.stringify)
+     * @returns {Object} - { code, message, details }
+     */
+    toJSON() {
+        return { code: this.code, message: this.message, details: this.details };
+    }
+}
+
+// Export for use in Node.js, browsers, and module bundlers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CartError;
+}
+// Make available in browser global scope
+if (typeof window !== 'undefined') {
+    window.CartError = CartError;
+}
@@ -0,0 +1,531 @@
+/**
+ * CartManager Module
+ *
+ * Keeps one ShoppingCart per visitor session and per signed-in user, and
+ * merges a guest's cart into the user's cart when they log in.
+ *
+ * Features:
+ * - Carts created on first use by session ID, or loaded by user ID from an optional CartStorage
+ * - Idle carts expire (separate lifetimes for guest sessions and user carts)
+ * - Login merges the guest cart into the user's saved cart with a conflict
+ *   policy for products in both: 'sum', 'latest' or 'max' quantity
+ * - Discount codes from both carts are re-validated against the merged cart
+ * - Failures are reported through getLastError()
+ */
+
+// Companion modules: required in Node, or read from the globals registered
+// by their own <script> tags in the browser (include them before this file)
+const ManagerModules = typeof module !== 'undefined' && module.exports
+    ? {
+        ShoppingCart: require('./ShoppingCart.js'),
+        CartError: require('./CartError.js')
+    }
+    : window;
+
+class CartManager {
+    // How quantities of a product in both carts are combined at login:
+    // 'sum' adds them, 'latest' keeps the cart changed last, 'max' keeps the larger
+    static MERGE_POLICIES = ['sum', 'latest', 'max'];
+
+    // Conflict policy used unless login() is told otherwise
+    static DEFAULT_MERGE_POLICY = 'sum';
+
+    // Guest carts expire after 30 minutes without use
+    static DEFAULT_SESSION_TTL = 30 * 60 * 1000;
+
+    // User carts are dropped from memory (and saved, with storage) after 7 days without use
+    static DEFAULT_USER_TTL = 7 * 24 * 60 * 60 * 1000;
+
+    // Prefix of the storage keys user carts are saved under
+    static USER_KEY_PREFIX = 'user:';
+
+    // Cart options restored from the saved cart itself rather than from cartOptions
+    static #SAVED_OPTIONS = ['currency', 'locale', 'region', 'customerGroup', 'rounding'];
+
+    #cartOptions; // ShoppingCart constructor options for every cart created here
+    #storage; // CartStorage user carts are saved to (null keeps them in memory only)
+    #sessionTtl; // Guest cart lifetime in milliseconds since last use
+    #userTtl; // User cart lifetime in milliseconds since last use
+    #mergePolicy; // Default conflict policy (one of MERGE_POLICIES)
+    #clock; // Function returning the current Date
+    #sessions; // Map of session ID -> { userId, cart (guest cart, null once logged in), accessedAt, updatedAt, unwatch }
+    #users; // Map of user ID -> { cart, accessedAt, updatedAt, unwatch }
+    #lastError; // CartError from the last failed call
+
+    /**
+     * @param {Object} options - Manager options
+     * @param {Object} options.cartOptions - ShoppingCart options for new and loaded carts
+     *                                       (promotions, tax, catalog, inventory, currency, ...)
+     * @param {CartStorage} options.storage - Storage user carts are loaded from and saved to (default: none)
+     * @param {number} options.sessionTtl - Guest cart lifetime since last use, in milliseconds (default: 30 minutes)
+     * @param {number} options.userTtl - User cart lifetime since last use, in milliseconds (default: 7 days)
+     * @param {string} options.mergePolicy - Default conflict policy for login() (default: 'sum')
+     * @param {Function} options.clock - Returns the current Date (default: () => new Date())
+     * @throws {CartError} - INVALID_CONFIG if a lifetime, the policy or the storage is invalid,
+     *                       or whatever ShoppingCart throws for the cart options
+     */
+    constructor({
+        cartOptions = {},
+        storage = null,
+        sessionTtl = CartManager.DEFAULT_SESSION_TTL,
+        userTtl = CartManager.DEFAULT_USER_TTL,
+        mergePolicy = CartManager.DEFAULT_MERGE_POLICY,
+        clock = () => new Date()
+    } = {}) {
+        const { CartError, ShoppingCart } = ManagerModules;
+
+        if (![sessionTtl, userTtl].every(ttl => typeof ttl === 'number' && ttl > 0)) {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, 'Cart lifetimes must be positive numbers of milliseconds');
+        }
+
+        if (!CartManager.MERGE_POLICIES.includes(mergePolicy)) {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, `Unknown merge policy: "${mergePolicy}"`);
+        }
+
+        if (storage && (typeof storage.save !== 'function' || typeof storage.load !== 'function')) {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, 'Storage must be a CartStorage');
+        }
+
+        // Fail now rather than on the first visitor if the cart options are invalid
+        new ShoppingCart(cartOptions);
+
+        this.#cartOptions = { ...cartOptions };
+        this.#storage = storage;
+        this.#sessionTtl = sessionTtl;
+        this.#userTtl = userTtl;
+        this.#mergePolicy = mergePolicy;
+        this.#clock = clock;
+        this.#sessions = new Map();
+        this.#users = new Map();
+        this.#lastError = null;
+    }
+
+    /**
+     * Gets the error from the last call that failed
+     * @returns {CartError|null} - Error with code, message and details, or null
+     */
+    getLastError() {
+        return this.#lastError;
+    }
+
+    /**
+     * Gets a session's cart: the user's cart once the session has logged in,
+     * otherwise its guest cart (a new one on first use or after it expired)
+     * @param {string} sessionId - Session ID
+     * @returns {ShoppingCart|null} - Cart, or null if the ID is invalid or the
+     *                                user's saved cart can't be loaded
+     */
+    getCart(sessionId) {
+        this.#lastError = null;
+
+        if (!this.#checkId(sessionId, 'session')) {
+            return null;
+        }
+
+        const session = this.#session(sessionId);
+        return session.userId ? this.#userCart(session.userId) : session.cart;
+    }
+
+    /**
+     * Checks whether a session is open (known and not expired), without creating it
+     * @param {string} sessionId - Session ID
+     * @returns {boolean} - True if getCart() would return the session's existing cart
+     */
+    hasSession(sessionId) {
+        const session = this.#sessions.get(sessionId);
+        return Boolean(session) && !this.#isIdle(session, this.#sessionTtl);
+    }
+
+    /**
+     * Gets a user's cart, loading it from storage (or creating it) on first use
+     * @param {string} userId - User ID
+     * @returns {ShoppingCart|null} - Cart, or null if the ID is invalid or the saved cart can't be loaded
+     */
+    getUserCart(userId) {
+        this.#lastError = null;
+        return this.#checkId(userId, 'user') ? this.#userCart(userId) : null;
+    }
+
+    /**
+     * Logs a session in: merges its guest cart into the user's cart, re-validates
+     * the discount codes of both against the result, and makes the user's cart the
+     * session's cart. The guest cart is emptied and, with storage, the user's cart
+     * saved (getLastError() reports a failed save). If the lines can't be merged
+     * (e.g. not enough stock), nothing changes.
+     * @param {string} sessionId - Session ID
+     * @param {string} userId - User ID
+     * @param {Object} options - Login options
+     * @param {string} options.policy - Conflict policy for products in both carts
+     *                                  (see MERGE_POLICIES; default: the manager's)
+     * @returns {Object|null} - { cart, policy, mergedLines, appliedCodes, droppedCodes: [{ code,
+     *                          reason, message }] }, or null if the login failed
+     */
+    login(sessionId, userId, { policy = this.#mergePolicy } = {}) {
+        this.#lastError = null;
+
+        if (!this.#checkId(sessionId, 'session') || !this.#checkId(userId, 'user')) {
+            return null;
+        }
+
+        if (!CartManager.MERGE_POLICIES.includes(policy)) {
+            this.#fail('INVALID_CONFIG', `Unknown merge policy: "${policy}"`, { policy });
+            return null;
+        }
+
+        const session = this.#session(sessionId);
+        const cart = this.#userCart(userId);
+
+        if (!cart) {
+            return null;
+        }
+
+        const guest = session.cart;
+        const report = { cart, policy, mergedLines: 0, appliedCodes: [], droppedCodes: [] };
+
+        if (guest) {
+            if (!this.#mergeGuest(session, this.#users.get(userId), policy)) {
+                return null;
+            }
+
+            report.mergedLines = guest.getItemCount();
+            const codes = guest.getAppliedCodes();
+
+            // Emptying the guest cart gives back its codes' uses and stock reservations
+            session.unwatch();
+            this.#attempt(guest, () => guest.clearCart());
+            report.droppedCodes = this.#revalidateDiscounts(cart, codes);
+        }
+
+        session.userId = userId;
+        session.cart = null;
+        session.unwatch = () => {};
+        report.appliedCodes = cart.getAppliedCodes();
+        this.#save(userId);
+
+        return report;
+    }
+
+    /**
+     * Logs a session out. The user's cart is saved (with storage) and the
+     * session gets a new, empty guest cart on its next getCart().
+     * @param {string} sessionId - Session ID
+     * @returns {boolean} - True if logged out, false if the session isn't logged in
+     */
+    logout(sessionId) {
+        this.#lastError = null;
+
+        if (!this.#checkId(sessionId, 'session')) {
+            return false;
+        }
+
+        const session = this.#sessions.get(sessionId);
+
+        if (!session || !session.userId) {
+            return this.#fail('INVALID_SESSION', `Session "${sessionId}" is not logged in`, { sessionId });
+        }
+
+        this.#save(session.userId);
+        this.#sessions.delete(sessionId);
+        return true;
+    }
+
+    /**
+     * Ends a session, emptying its guest cart (a logged-in user's cart is kept)
+     * @param {string} sessionId - Session ID
+     * @returns {boolean} - True if ended, false if the session is unknown
+     */
+    endSession(sessionId) {
+        this.#lastError = null;
+
+        if (!this.#checkId(sessionId, 'session')) {
+            return false;
+        }
+
+        const session = this.#sessions.get(sessionId);
+
+        if (!session) {
+            return this.#fail('INVALID_SESSION', `Unknown session "${sessionId}"`, { sessionId });
+        }
+
+        this.#dropSession(sessionId, session);
+        return true;
+    }
+
+    /**
+     * Saves a user's cart to storage (carts are also saved at login, logout and expiry)
+     * @param {string} userId - User ID
+     * @returns {boolean} - True if saved; false without storage, for an unknown user, or if saving failed
+     */
+    saveUserCart(userId) {
+        this.#lastError = null;
+
+        if (!this.#checkId(userId, 'user')) {
+            return false;
+        }
+
+        if (!this.#storage) {
+            return this.#fail('INVALID_CONFIG', 'The cart manager has no storage');
+        }
+
+        if (!this.#users.has(userId)) {
+            return this.#fail('INVALID_SESSION', `No cart loaded for user "${userId}"`, { userId });
+        }
+
+        return this.#save(userId);
+    }
+
+    /**
+     * Lists the open sessions
+     * @returns {Array} - [{ sessionId, userId (null for guests), expiresAt (Date) }]
+     */
+    listSessions() {
+        return [...this.#sessions.entries()].map(([sessionId, session]) => ({
+            sessionId,
+            userId: session.userId,
+            expiresAt: new Date(session.accessedAt + this.#sessionTtl)
+        }));
+    }
+
+    /**
+     * Expires every cart idle for longer than its lifetime: guest carts are
+     * emptied; user carts are saved (with storage) and dropped from memory
+     * @returns {Object} - { sessions, users } with the IDs that expired
+     */
+    sweep() {
+        this.#lastError = null;
+
+        const expired = { sessions: [], users: [] };
+
+        for (const [sessionId, session] of [...this.#sessions.entries()]) {
+            if (this.#isIdle(session, this.#sessionTtl)) {
+                this.#dropSession(sessionId, session);
+                expired.sessions.push(sessionId);
+            }
+        }
+
+        for (const [userId, user] of [...this.#users.entries()]) {
+            if (this.#isIdle(user, this.#userTtl)) {
+                this.#dropUser(userId, user);
+                expired.users.push(userId);
+            }
+        }
+
+        return expired;
+    }
+
+    // Private helper getting a session (a new guest session if it's unknown or
+    // expired) and marking it used
+    #session(sessionId) {
+        let session = this.#sessions.get(sessionId);
+
+        if (session && this.#isIdle(session, this.#sessionTtl)) {
+            this.#dropSession(sessionId, session);
+            session = null;
+        }
+
+        if (!session) {
+            session = this.#watch(new ManagerModules.ShoppingCart(this.#cartOptions), { userId: null });
+            this.#sessions.set(sessionId, session);
+        }
+
+        session.accessedAt = this.#now();
+        return session;
+    }
+
+    // Private helper getting a user's cart (loaded, or new, on first use or after
+    // it expired) and marking it used; null if the saved cart can't be loaded
+    #userCart(userId) {
+        let user = this.#users.get(userId);
+
+        if (user && this.#isIdle(user, this.#userTtl)) {
+            this.#dropUser(userId, user);
+            user = null;
+        }
+
+        if (!user) {
+            const cart = this.#load(userId);
+
+            if (!cart) {
+                return null;
+            }
+
+            user = this.#watch(cart);
+            this.#users.set(userId, user);
+        }
+
+        user.accessedAt = this.#now();
+        return user.cart;
+    }
+
+    // Private helper loading a user's saved cart, or creating one if none is saved
+    #load(userId) {
+        if (!this.#storage) {
+            return new ManagerModules.ShoppingCart(this.#cartOptions);
+        }
+
+        // The saved cart brings its own currency, locale and so on
+        const options = Object.fromEntries(Object.entries(this.#cartOptions)
+            .filter(([name]) => !CartManager.#SAVED_OPTIONS.includes(name)));
+        const cart = this.#storage.load(CartManager.USER_KEY_PREFIX + userId, options);
+
+        if (!cart && this.#storage.getLastError()) {
+            this.#fail(this.#storage.getLastError());
+            return null;
+        }
+
+        return cart || new ManagerModules.ShoppingCart(this.#cartOptions);
+    }
+
+    // Private helper saving a user's cart when there is storage (true without storage)
+    #save(userId) {
+        const user = this.#users.get(userId);
+
+        if (!this.#storage || !user) {
+            return true;
+        }
+
+        return this.#storage.save(CartManager.USER_KEY_PREFIX + userId, user.cart) || this.#fail(this.#storage.getLastError());
+    }
+
+    // Private helper wrapping a cart in a tracking entry (with extra fields) whose
+    // updatedAt follows the cart's changes
+    #watch(cart, fields = {}) {
+        const entry = { ...fields, cart, accessedAt: this.#now(), updatedAt: null };
+        const touch = () => {
+            entry.updatedAt = this.#now();
+        };
+        const unsubscribe = ManagerModules.ShoppingCart.EVENTS.map(event => cart.on(event, touch));
+
+        entry.unwatch = () => unsubscribe.forEach(unwatch => unwatch());
+        return entry;
+    }
+
+    // Private helper merging a session's guest cart into a user's cart with a
+    // conflict policy. The guest's reservations are released first so its stock
+    // isn't counted twice, and renewed if the merge fails.
+    #mergeGuest(session, user, policy) {
+        const guest = session.cart;
+        const cart = user.cart;
+        const guestIsLatest = session.updatedAt !== null && (user.updatedAt === null || session.updatedAt > user.updatedAt);
+        const resolveQuantity = {
+            sum: (current, incoming) => current + incoming,
+            latest: (current, incoming) => (guestIsLatest ? incoming : current),
+            max: (current, incoming) => Math.max(current, incoming)
+        }[policy];
+        const inventory = guest.getInventory();
+
+        if (inventory) {
+            inventory.release(guest);
+        }
+
+        if (!this.#attempt(cart, () => cart.merge(guest, { resolveQuantity }))) {
+            const failure = cart.getLastError();
+            this.#attempt(guest, () => guest.refreshReservations());
+            return this.#fail(failure);
+        }
+
+        return true;
+    }
+
+    // Private helper applying the guest's codes to a cart, then removing every
+    // code that doesn't apply to the merged cart; returns the codes dropped, with why
+    #revalidateDiscounts(cart, guestCodes) {
+        const dropped = [];
+
+        guestCodes
+            .filter(code => !cart.getAppliedCodes().includes(code))
+            .forEach(code => {
+                if (!this.#attempt(cart, () => cart.applyDiscount(code))) {
+                    const error = cart.getLastError();
+                    dropped.push({ code, reason: error.details.reason || error.code, message: error.message });
+                }
+            });
+
+        cart.getDiscountBreakdown()
+            .filter(result => !result.applies)
+            .forEach(({ code, reason, message }) => {
+                this.#attempt(cart, () => cart.removeDiscount(code));
+                dropped.push({ code, reason, message });
+            });
+
+        return dropped;
+    }
+
+    // Private helper calling a cart operation and reporting whether it succeeded,
+    // read through getLastError() so it works in every cart error mode
+    #attempt(cart, operation) {
+        try {
+            operation();
+        } catch (error) {
+            if (!(error instanceof ManagerModules.CartError)) {
+                throw error;
+            }
+            // 'throw' mode; the error is also in getLastError()
+        }
+
+        return !cart.getLastError();
+    }
+
+    // Private helper ending a session, emptying its guest cart
+    #dropSession(sessionId, session) {
+        session.unwatch();
+
+        if (session.cart) {
+            this.#attempt(session.cart, () => session.cart.clearCart());
+        }
+
+        this.#sessions.delete(sessionId);
+    }
+
+    // Private helper dropping a user's cart from memory: saved and its stock
+    // reservations released with storage, emptied without
+    #dropUser(userId, user) {
+        const inventory = user.cart.getInventory();
+
+        if (this.#storage) {
+            this.#save(userId);
+            if (inventory) {
+                inventory.release(user.cart);
+            }
+        } else {
+            this.#attempt(user.cart, () => user.cart.clearCart());
+        }
+
+        user.unwatch();
+        this.#users.delete(userId);
+    }
+
+    // Private helper checking whether an entry has gone unused for longer than a lifetime
+    #isIdle(entry, ttl) {
+        return this.#now() - entry.accessedAt >= ttl;
+    }
+
+    // Private helper checking a session or user ID
+    #checkId(id, kind) {
+        return (typeof id === 'string' && id.trim() !== '') ||
+            this.#fail('INVALID_SESSION', `Invalid ${kind} ID`, { [`${kind}Id`]: id });
+    }
+
+    // Private helper for the current time in milliseconds
+    #now() {
+        return this.#clock().getTime();
+    }
+
+    // Private helper recording a failure (a code and message, or an existing
+    // CartError) for getLastError()
+    #fail(code, message, details = {}) {
+        this.#lastError = code instanceof ManagerModules.CartError
+            ? code
+            : new ManagerModules.CartError(code, message, details);
+        return false;
+    }
+}
+
+// Export for use in Node.js, browsers, and module bundlers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CartManager;
+}
+// Make available in browser global scope
+if (typeof window !== 'undefined') {
+    window.CartManager = CartManager;
+}
@@ -0,0 +1,582 @@
+/**
+ * CartServer Module
+ *
+ * JSON REST API over the cart, built on Node's http module (no frameworks
+ * or external services). Carts are kept by a CartManager.
+ *
+ * Routes:
+ *   POST   /carts                           Create a cart ({ locale, region, customerGroup })
+ *   GET    /carts/:id                       Cart lines, applied codes and totals
+ *   PATCH  /carts/:id                       Change { locale, region, customerGroup }
+ *   DELETE /carts/:id                       Delete the cart
+ *   POST   /carts/:id/items                 Add an item ({ product, price, quantity, ... } or { sku, quantity, ... })
+ *   PATCH  /carts/:id/items/:line           Change a line's quantity ({ quantity })
+ *   DELETE /carts/:id/items/:line           Remove a line
+ *   POST   /carts/:id/discounts             Apply a code ({ code })
+ *   DELETE /carts/:id/discounts/:code       Remove a code
+ *   GET    /carts/:id/totals                Totals only
+ *   GET    /carts/:id/summary               Text summary (getSummary())
+ *   GET    /carts/:id/validation            Business rule report (validate(); ?age= for age-restricted items)
+ *
+ * Features:
+ * - Request bodies validated field by field (400 INVALID_REQUEST)
+ * - Cart failures answered with their CartError code and a matching status (see STATUS_CODES)
+ * - Every cart response carries an ETag; If-Match on changes gives optimistic
+ *   concurrency (412), If-None-Match on reads gives 304
+ * - Lines are addressed by the id getCartItems() reports (URL-encoded) or by product name
+ * - While listening, idle carts are expired periodically (CartManager#sweep)
+ *
+ * Node.js only. Run it with `node CartServer.js` (PORT sets the port).
+ */
+
+// Companion modules: required in Node, or read from the globals registered
+// by their own <script> tags in the browser (include them before this file)
+const ServerModules = typeof module !== 'undefined' && module.exports
+    ? {
+        CartManager: require('./CartManager.js'),
+        CartError: require('./CartError.js')
+    }
+    : window;
+
+class CartServer {
+    // Port and interface listen() uses unless told otherwise
+    static DEFAULT_PORT = 3000;
+    static DEFAULT_HOST = '127.0.0.1';
+
+    // Largest request body accepted, in bytes
+    static DEFAULT_MAX_BODY_SIZE = 100 * 1024;
+
+    // Milliseconds between sweeps of idle carts while listening
+    static DEFAULT_SWEEP_INTERVAL = 60 * 1000;
+
+    // HTTP status answered for each error code (codes not listed are 400)
+    static STATUS_CODES = {
+        INVALID_REQUEST: 400,
+        INVALID_SESSION: 400,
+        NOT_FOUND: 404,
+        UNKNOWN_PRODUCT: 404,
+        CODE_NOT_APPLIED: 404,
+        METHOD_NOT_ALLOWED: 405,
+        PRICE_CONFLICT: 409,
+        OUT_OF_STOCK: 409,
+        QUANTITY_LIMIT: 409,
+        VERSION_MISMATCH: 412,
+        INVALID_PRODUCT: 422,
+        INVALID_PRICE: 422,
+        INVALID_QUANTITY: 422,
+        INVALID_VARIANT: 422,
+        UNKNOWN_TAX_CATEGORY: 422,
+        INVALID_CODE: 422,
+        CODE_NOT_APPLICABLE: 422,
+        INVALID_REGION: 422,
+        INVALID_CUSTOMER_GROUP: 422,
+        INVALID_LOCALE: 422,
+        INTERNAL_ERROR: 500
+    };
+
+    // Fields accepted in request bodies, with their types
+    static FIELDS = {
+        cart: { locale: 'string', region: 'string', customerGroup: 'string' },
+        item: {
+            product: 'string', price: 'number', quantity: 'integer', taxCategory: 'string', attributes: 'object',
+            addOns: 'array', weight: 'number', dimensions: 'object', priceBreaks: 'array', groupPrices: 'object'
+        },
+        catalogItem: { sku: 'string', quantity: 'integer', attributes: 'object', addOns: 'array' },
+        quantity: { quantity: 'integer' },
+        discount: { code: 'string' }
+    };
+
+    #manager; // CartManager holding the carts, keyed by cart ID
+    #generateId; // Function returning a new cart ID
+    #requireIfMatch; // Whether changes must send If-Match
+    #maxBodySize; // Largest request body accepted, in bytes
+    #sweepInterval; // Milliseconds between sweeps of idle carts (0 disables them)
+    #sweepTimer; // Interval sweeping idle carts while listening, else null
+    #routes; // [{ method, pattern, run(context) }]
+    #server; // http.Server while listening, else null
+
+    /**
+     * @param {Object} options - Server options
+     * @param {CartManager} options.manager - Keeps the carts (default: a new CartManager)
+     * @param {Function} options.generateId - Returns a new cart ID (default: 32 random hex digits)
+     * @param {boolean} options.requireIfMatch - Reject changes without If-Match with 428 (default: false)
+     * @param {number} options.maxBodySize - Largest request body in bytes (default: 100 KB)
+     * @param {number} options.sweepInterval - Milliseconds between sweeps of idle carts while listening
+     *                                         (default: 1 minute; 0 disables them)
+     * @throws {CartError} - INVALID_CONFIG if the manager, ID generator, body size or sweep interval is invalid
+     */
+    constructor({
+        manager = new ServerModules.CartManager(),
+        generateId = () => require('crypto').randomBytes(16).toString('hex'),
+        requireIfMatch = false,
+        maxBodySize = CartServer.DEFAULT_MAX_BODY_SIZE,
+        sweepInterval = CartServer.DEFAULT_SWEEP_INTERVAL
+    } = {}) {
+        const { CartError } = ServerModules;
+
+        if (!manager || typeof manager.getCart !== 'function' || typeof manager.hasSession !== 'function' ||
+            typeof manager.sweep !== 'function') {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, 'Manager must be a CartManager');
+        }
+
+        if (typeof generateId !== 'function') {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, 'Cart ID generator must be a function');
+        }
+
+        if (!Number.isInteger(maxBodySize) || maxBodySize <= 0) {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, 'Maximum body size must be a positive number of bytes');
+        }
+
+        if (!Number.isInteger(sweepInterval) || sweepInterval < 0) {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, 'Sweep interval must be a non-negative number of milliseconds');
+        }
+
+        this.#manager = manager;
+        this.#generateId = generateId;
+        this.#requireIfMatch = requireIfMatch;
+        this.#maxBodySize = maxBodySize;
+        this.#sweepInterval = sweepInterval;
+        this.#sweepTimer = null;
+        this.#server = null;
+        this.#routes = [
+            { method: 'POST', pattern: /^\/carts$/, run: context => this.#createCart(context) },
+            { method: 'GET', pattern: /^\/carts\/([^/]+)$/, run: context => this.#respond(context, 200) },
+            { method: 'PATCH', pattern: /^\/carts\/([^/]+)$/, run: context => this.#updateCart(context) },
+            { method: 'DELETE', pattern: /^\/carts\/([^/]+)$/, run: context => this.#deleteCart(context) },
+            { method: 'POST', pattern: /^\/carts\/([^/]+)\/items$/, run: context => this.#addItem(context) },
+            { method: 'PATCH', pattern: /^\/carts\/([^/]+)\/items\/([^/]+)$/, run: context => this.#updateItem(context) },
+            { method: 'DELETE', pattern: /^\/carts\/([^/]+)\/items\/([^/]+)$/, run: context => this.#removeItem(context) },
+            { method: 'POST', pattern: /^\/carts\/([^/]+)\/discounts$/, run: context => this.#applyDiscount(context) },
+            { method: 'DELETE', pattern: /^\/carts\/([^/]+)\/discounts\/([^/]+)$/, run: context => this.#removeDiscount(context) },
+            { method: 'GET', pattern: /^\/carts\/([^/]+)\/totals$/, run: context => this.#getTotals(context) },
+            { method: 'GET', pattern: /^\/carts\/([^/]+)\/summary$/, run: context => this.#getSummary(context) },
+            { method: 'GET', pattern: /^\/carts\/([^/]+)\/validation$/, run: context => this.#validate(context) }
+        ];
+    }
+
+    /**
+     * Starts listening for requests, and sweeping idle carts every sweepInterval
+     * @param {number} port - Port (default: 3000; 0 picks a free one)
+     * @param {string} host - Interface (default: '127.0.0.1')
+     * @returns {Promise<Object>} - Resolves to the bound { address, family, port }
+     */
+    listen(port = CartServer.DEFAULT_PORT, host = CartServer.DEFAULT_HOST) {
+        const server = require('http').createServer((request, response) => this.handle(request, response));
+
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, host, () => {
+                server.off('error', reject);
+                this.#server = server;
+                this.#startSweeping();
+                resolve(server.address());
+            });
+        });
+    }
+
+    /**
+     * Stops listening and waits for open requests to finish
+     * @returns {Promise<void>} - Resolves once the server is closed
+     */
+    close() {
+        const server = this.#server;
+        this.#server = null;
+        clearInterval(this.#sweepTimer);
+        this.#sweepTimer = null;
+
+        if (!server) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            server.close(error => (error ? reject(error) : resolve()));
+            // Keep-alive connections would otherwise hold the server open
+            if (typeof server.closeIdleConnections === 'function') {
+                server.closeIdleConnections();
+            }
+        });
+    }
+
+    /**
+     * Handles one request; use it to mount the API in an existing http server:
+     * http.createServer((request, response) => cartServer.handle(request, response))
+     * @param {http.IncomingMessage} request - Request
+     * @param {http.ServerResponse} response - Response
+     * @returns {Promise<void>} - Resolves once the response is sent
+     */
+    async handle(request, response) {
+        const { CartError } = ServerModules;
+
+        try {
+            const url = new URL(request.url, 'http://localhost');
+            const routes = this.#routes.filter(route => route.pattern.test(url.pathname));
+            const route = routes.find(candidate => candidate.method === request.method);
+
+            if (routes.length === 0) {
+                throw CartServer.#httpError(404, 'NOT_FOUND', `No route for ${url.pathname}`);
+            }
+
+            if (!route) {
+                response.setHeader('Allow', routes.map(candidate => candidate.method).join(', '));
+                throw CartServer.#httpError(405, 'METHOD_NOT_ALLOWED', `${request.method} is not allowed on ${url.pathname}`);
+            }
+
+            const [cartId, param] = url.pathname.match(route.pattern).slice(1).map(CartServer.#decode);
+            const body = ['POST', 'PATCH'].includes(request.method) ? await this.#readBody(request) : null;
+            const context = { request, response, url, body, cartId, param, cart: null };
+
+            if (cartId !== undefined) {
+                if (!this.#manager.hasSession(cartId)) {
+                    throw CartServer.#httpError(404, 'NOT_FOUND', `Cart "${cartId}" not found`, { cartId });
+                }
+
+                context.cart = this.#manager.getCart(cartId);
+            }
+
+            route.run(context);
+        } catch (error) {
+            const failure = error instanceof CartError
+                ? error
+                : new CartError(CartError.CODES.INTERNAL_ERROR, 'Internal server error');
+            const status = failure.status || CartServer.STATUS_CODES[failure.code] || 400;
+
+            this.#send(response, status, { error: { code: failure.code, message: failure.message, details: failure.details } });
+        }
+    }
+
+    // Private helper starting the periodic sweep of idle carts (expiry is otherwise
+    // lazy, so carts nobody comes back to would stay in memory)
+    #startSweeping() {
+        if (this.#sweepInterval === 0) {
+            return;
+        }
+
+        this.#sweepTimer = setInterval(() => this.#manager.sweep(), this.#sweepInterval);
+
+        // The sweep alone shouldn't keep the process running
+        if (typeof this.#sweepTimer.unref === 'function') {
+            this.#sweepTimer.unref();
+        }
+    }
+
+    // Private helper for POST /carts
+    #createCart({ request, response, body }) {
+        CartServer.#checkFields(body, CartServer.FIELDS.cart);
+
+        const cartId = this.#generateId();
+
+        if (this.#manager.hasSession(cartId)) {
+            throw CartServer.#httpError(500, 'INTERNAL_ERROR', `Cart ID "${cartId}" was generated twice`);
+        }
+
+        const cart = this.#manager.getCart(cartId);
+
+        if (!cart) {
+            throw this.#manager.getLastError();
+        }
+
+        try {
+            CartServer.#run(cart, () => CartServer.#applySettings(cart, body));
+        } catch (error) {
+            this.#manager.endSession(cartId);
+            throw error;
+        }
+
+        response.setHeader('Location', `/carts/${encodeURIComponent(cartId)}`);
+        this.#respond({ request, response, cartId, cart }, 201);
+    }
+
+    // Private helper for PATCH /carts/:id
+    #updateCart(context) {
+        CartServer.#checkFields(context.body, CartServer.FIELDS.cart);
+        this.#change(context, cart => CartServer.#applySettings(cart, context.body));
+        this.#respond(context, 200);
+    }
+
+    // Private helper for DELETE /carts/:id
+    #deleteCart(context) {
+        this.#checkVersion(context);
+        this.#manager.endSession(context.cartId);
+        this.#send(context.response, 204);
+    }
+
+    // Private helper for POST /carts/:id/items
+    #addItem(context) {
+        const { body } = context;
+
+        if (context.cart.getCatalog()) {
+            CartServer.#checkFields(body, CartServer.FIELDS.catalogItem, ['sku']);
+            const { sku, quantity = 1, attributes, addOns } = body;
+            this.#change(context, cart => cart.addItem(sku, quantity, { attributes, addOns }));
+        } else {
+            CartServer.#checkFields(body, CartServer.FIELDS.item, ['product', 'price']);
+            const { product, price, quantity = 1, ...options } = body;
+            this.#change(context, cart => cart.addItem(product, price, quantity, options));
+        }
+
+        this.#respond(context, 200);
+    }
+
+    // Private helper for PATCH /carts/:id/items/:line
+    #updateItem(context) {
+        CartServer.#checkFields(context.body, CartServer.FIELDS.quantity, ['quantity']);
+        this.#change(context, cart => cart.updateQuantity(context.param, context.body.quantity));
+        this.#respond(context, 200);
+    }
+
+    // Private helper for DELETE /carts/:id/items/:line
+    #removeItem(context) {
+        this.#change(context, cart => cart.removeItem(context.param));
+        this.#respond(context, 200);
+    }
+
+    // Private helper for POST /carts/:id/discounts
+    #applyDiscount(context) {
+        CartServer.#checkFields(context.body, CartServer.FIELDS.discount, ['code']);
+        this.#change(context, cart => cart.applyDiscount(context.body.code));
+        this.#respond(context, 200);
+    }
+
+    // Private helper for DELETE /carts/:id/discounts/:code
+    #removeDiscount(context) {
+        this.#change(context, cart => cart.removeDiscount(context.param));
+        this.#respond(context, 200);
+    }
+
+    // Private helper for GET /carts/:id/totals
+    #getTotals(context) {
+        this.#respond(context, 200, this.#totals(context.cart), true);
+    }
+
+    // Private helper for GET /carts/:id/summary
+    #getSummary(context) {
+        this.#respond(context, 200, { locale: context.cart.getLocale(), summary: context.cart.getSummary() });
+    }
+
+    // Private helper for GET /carts/:id/validation
+    #validate(context) {
+        const age = context.url.searchParams.get('age');
+
+        if (age !== null && !/^\d+$/.test(age)) {
+            throw CartServer.#httpError(400, 'INVALID_REQUEST', 'age must be a whole number of years', { field: 'age' });
+        }
+
+        this.#respond(context, 200, context.cart.validate(age === null ? {} : { age: Number(age) }));
+    }
+
+    // Private helper running a change on a cart after checking If-Match against its ETag
+    #change(context, operation) {
+        this.#checkVersion(context);
+        CartServer.#run(context.cart, operation);
+    }
+
+    // Private helper rejecting a change whose If-Match isn't the cart's current ETag
+    #checkVersion({ request, cart }) {
+        const ifMatch = request.headers['if-match'];
+        const etag = CartServer.#etagOf(cart);
+
+        if (ifMatch === undefined && this.#requireIfMatch) {
+            throw CartServer.#httpError(428, 'VERSION_MISMATCH', 'Send the ETag of the cart you are changing in If-Match');
+        }
+
+        if (ifMatch !== undefined && ifMatch.trim() !== '*' && !ifMatch.split(',').map(tag => tag.trim()).includes(etag)) {
+            throw CartServer.#httpError(412, 'VERSION_MISMATCH', 'The cart has changed since it was read', { etag });
+        }
+    }
+
+    // Private helper running a cart operation and throwing the cart's error if it
+    // failed, read through getLastError() so carts may use any error mode
+    static #run(cart, operation) {
+        try {
+            operation(cart);
+        } catch (error) {
+            if (!(error instanceof ServerModules.CartError)) {
+                throw error;
+            }
+            // 'throw' mode; the error is also in getLastError()
+        }
+
+        if (cart.getLastError()) {
+            throw cart.getLastError();
+        }
+    }
+
+    // Private helper answering with a cart's representation (or another payload)
+    // and its ETag; reads of what the ETag covers (the cart and its totals) answer
+    // 304 when If-None-Match has the current ETag
+    #respond({ request, response, cartId, cart }, status, payload = null, conditional = payload === null) {
+        const etag = CartServer.#etagOf(cart);
+        const ifNoneMatch = request.headers['if-none-match'];
+
+        response.setHeader('ETag', etag);
+
+        if (conditional && request.method === 'GET' && ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag)) {
+            this.#send(response, 304);
+            return;
+        }
+
+        this.#send(response, status, payload || {
+            id: cartId,
+            currency: cart.getCurrency(),
+            locale: cart.getLocale(),
+            region: cart.getRegion(),
+            customerGroup: cart.getCustomerGroup(),
+            items: cart.getCartItems(),
+            appliedCodes: cart.getAppliedCodes(),
+            totals: this.#totals(cart)
+        });
+    }
+
+    // Private helper for a cart's totals with their currency
+    #totals(cart) {
+        return { currency: cart.getCurrency(), ...cart.getTotals() };
+    }
+
+    // Private helper writing a JSON response (no body for 204 and 304)
+    #send(response, status, payload) {
+        const body = status === 204 || status === 304 ? '' : JSON.stringify(payload);
+
+        response.statusCode = status;
+        if (body) {
+            response.setHeader('Content-Type', 'application/json; charset=utf-8');
+        }
+        response.setHeader('Content-Length', Buffer.byteLength(body));
+        response.end(body);
+    }
+
+    // Private helper reading a JSON object body (an empty body is {})
+    #readBody(request) {
+        const type = request.headers['content-type'] || '';
+
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            // Oversized bodies are read to the end (and dropped) so the response can still be sent
+            request.on('data', chunk => {
+                size += chunk.length;
+                if (size <= this.#maxBodySize) {
+                    chunks.push(chunk);
+                }
+            });
+            request.on('error', reject);
+            request.on('end', () => {
+                const text = Buffer.concat(chunks).toString('utf8');
+                let body;
+
+                if (size > this.#maxBodySize) {
+                    reject(CartServer.#httpError(413, 'INVALID_REQUEST', `Request body is over ${this.#maxBodySize} bytes`));
+                    return;
+                }
+
+                if (!text.trim()) {
+                    resolve({});
+                    return;
+                }
+
+                if (!/^application\/json\b/i.test(type)) {
+                    reject(CartServer.#httpError(415, 'INVALID_REQUEST', 'Request body must be application/json'));
+                    return;
+                }
+
+                try {
+                    body = JSON.parse(text);
+                } catch (error) {
+                    reject(CartServer.#httpError(400, 'INVALID_REQUEST', `Request body is not valid JSON: ${error.message}`));
+                    return;
+                }
+
+                if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                    reject(CartServer.#httpError(400, 'INVALID_REQUEST', 'Request body must be a JSON object'));
+                    return;
+                }
+
+                resolve(body);
+            });
+        });
+    }
+
+    // Private helper checking a body's fields: only known ones, of the right type,
+    // and the required ones present
+    static #checkFields(body, fields, required = []) {
+        const typeOf = value => {
+            if (Array.isArray(value)) {
+                return 'array';
+            }
+            if (typeof value === 'number' && !Number.isFinite(value)) {
+                return 'non-finite number';
+            }
+            return Number.isInteger(value) ? 'integer' : value === null ? 'null' : typeof value;
+        };
+
+        for (const name of required) {
+            if (body[name] === undefined) {
+                throw CartServer.#httpError(400, 'INVALID_REQUEST', `Missing field "${name}"`, { field: name });
+            }
+        }
+
+        for (const [name, value] of Object.entries(body)) {
+            const expected = fields[name];
+            const actual = typeOf(value);
+
+            if (!expected) {
+                throw CartServer.#httpError(400, 'INVALID_REQUEST', `Unknown field "${name}"`, { field: name });
+            }
+
+            if (actual !== expected && !(expected === 'number' && actual === 'integer')) {
+                throw CartServer.#httpError(400, 'INVALID_REQUEST', `Field "${name}" must be ${expected === 'integer' ? 'an' : 'a'} ${expected}`,
+                    { field: name, expected });
+            }
+        }
+    }
+
+    // Private helper decoding a path segment
+    static #decode(segment) {
+        try {
+            return decodeURIComponent(segment);
+        } catch (error) {
+            throw CartServer.#httpError(400, 'INVALID_REQUEST', `Malformed path segment "${segment}"`);
+        }
+    }
+
+    // Private helper applying { locale, region, customerGroup } to a cart in one
+    // transaction, so a rejected setting leaves the cart unchanged (the locale
+    // isn't rolled back by transactions, so it goes last)
+    static #applySettings(cart, { locale, region, customerGroup }) {
+        return cart.transaction(tx => (region === undefined || tx.setRegion(region)) &&
+            (customerGroup === undefined || tx.setCustomerGroup(customerGroup)) &&
+            (locale === undefined || tx.setLocale(locale)));
+    }
+
+    // Private helper computing a cart's ETag from its serialized state and its
+    // computed lines and totals, which also depend on outside inputs (catalog
+    // prices, promotion windows, gift-card balances)
+    static #etagOf(cart) {
+        const version = JSON.stringify([cart.toJSON(), cart.getCartItems(), cart.getTotals()]);
+        const hash = require('crypto').createHash('sha1').update(version).digest('hex');
+        return `"${hash.slice(0, 27)}"`;
+    }
+
+    // Private helper creating a CartError answered with a specific HTTP status
+    static #httpError(status, code, message, details = {}) {
+        const error = new ServerModules.CartError(code, message, details);
+        error.status = status;
+        return error;
+    }
+}
+
+// Export for use in Node.js, browsers, and module bundlers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CartServer;
+}
+// Make available in browser global scope
+if (typeof window !== 'undefined') {
+    window.CartServer = CartServer;
+}
+
+// Run as a script: node CartServer.js (PORT and HOST override the defaults)
+if (typeof require !== 'undefined' && typeof module !== 'undefined' && require.main === module) {
+    new CartServer()
+        .listen(Number(process.env.PORT) || CartServer.DEFAULT_PORT, process.env.HOST || CartServer.DEFAULT_HOST)
+        .then(({ address, port }) => console.log(`🛒 Cart API listening on http://${address}:${port}`));
+}
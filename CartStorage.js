@@ -0,0 +1,194 @@
+/**
+ * CartStorage Module
+ *
+ * Saves and restores ShoppingCart instances through a pluggable storage
+ * adapter, so carts survive restarts and page reloads.
+ *
+ * Features:
+ * - In-memory, file (Node) and localStorage (browser) adapters
+ * - Any object with getItem/setItem/removeItem (the Web Storage API) works as an adapter
+ * - Carts are stored as the versioned JSON written by ShoppingCart#toJSON
+ * - Failures are reported through getLastError()
+ */
+
+// Companion modules: required in Node, or read from the globals registered
+// by their own <script> tags in the browser (include them before this file)
+const StorageModules = typeof module !== 'undefined' && module.exports
+    ? {
+        ShoppingCart: require('./ShoppingCart.js'),
+        CartError: require('./CartError.js')
+    }
+    : window;
+
+class CartStorage {
+    // Prefix for keys written by the localStorage adapter
+    static DEFAULT_PREFIX = 'shopping-cart:';
+
+    #adapter; // { getItem(key), setItem(key, value), removeItem(key) } with string values
+    #lastError; // CartError from the last failed call
+
+    /**
+     * @param {Object} adapter - Storage adapter with getItem, setItem and removeItem
+     * @throws {CartError} - INVALID_CONFIG if the adapter is missing a method
+     */
+    constructor(adapter) {
+        const { CartError } = StorageModules;
+        const methods = ['getItem', 'setItem', 'removeItem'];
+
+        if (!adapter || !methods.every(method => typeof adapter[method] === 'function')) {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, 'Storage adapter must implement getItem, setItem and removeItem');
+        }
+
+        this.#adapter = adapter;
+        this.#lastError = null;
+    }
+
+    /**
+     * Gets the error from the last call that failed
+     * @returns {CartError|null} - Error with code, message and details, or null
+     */
+    getLastError() {
+        return this.#lastError;
+    }
+
+    /**
+     * Creates storage that keeps carts in memory (lost when the process exits)
+     * @returns {CartStorage} - Storage instance
+     */
+    static memory() {
+        const entries = new Map();
+
+        return new CartStorage({
+            getItem: key => (entries.has(key) ? entries.get(key) : null),
+            setItem: (key, value) => entries.set(key, String(value)),
+            removeItem: key => entries.delete(key)
+        });
+    }
+
+    /**
+     * Creates storage that writes one JSON file per cart (Node.js only)
+     * @param {string} directory - Directory to store carts in (created if missing)
+     * @returns {CartStorage} - Storage instance
+     */
+    static file(directory) {
+        const fs = require('fs');
+        const path = require('path');
+        const fileFor = key => path.join(directory, `${encodeURIComponent(key)}.json`);
+
+        fs.mkdirSync(directory, { recursive: true });
+
+        return new CartStorage({
+            getItem: key => (fs.existsSync(fileFor(key)) ? fs.readFileSync(fileFor(key), 'utf8') : null),
+            setItem: (key, value) => {
+                // Write to a temporary file first so a crash never leaves a half-written cart
+                const temporary = `${fileFor(key)}.tmp`;
+                fs.writeFileSync(temporary, value, 'utf8');
+                fs.renameSync(temporary, fileFor(key));
+            },
+            removeItem: key => {
+                if (fs.existsSync(fileFor(key))) {
+                    fs.unlinkSync(fileFor(key));
+                }
+            }
+        });
+    }
+
+    /**
+     * Creates storage backed by the browser's localStorage
+     * @param {Object} storage - Web Storage object (default: window.localStorage)
+     * @param {string} prefix - Prefix added to every key (default: 'shopping-cart:')
+     * @returns {CartStorage} - Storage instance
+     */
+    static localStorage(storage = window.localStorage, prefix = CartStorage.DEFAULT_PREFIX) {
+        return new CartStorage({
+            getItem: key => storage.getItem(prefix + key),
+            setItem: (key, value) => storage.setItem(prefix + key, value),
+            removeItem: key => storage.removeItem(prefix + key)
+        });
+    }
+
+    /**
+     * Saves a cart under a key, replacing any cart saved there before
+     * @param {string} key - Storage key (e.g. a session or user id)
+     * @param {ShoppingCart} cart - Cart to save
+     * @returns {boolean} - True if saved
+     */
+    save(key, cart) {
+        this.#lastError = null;
+
+        if (!key || typeof key !== 'string') {
+            return this.#fail('STORAGE_FAILED', 'Invalid storage key', { key });
+        }
+
+        try {
+            this.#adapter.setItem(key, JSON.stringify(cart.toJSON()));
+            return true;
+        } catch (error) {
+            return this.#fail('STORAGE_FAILED', `Could not save cart "${key}": ${error.message}`, { key });
+        }
+    }
+
+    /**
+     * Loads the cart saved under a key
+     * @param {string} key - Storage key
+     * @param {Object} options - Options for ShoppingCart.fromJSON (promotions, tax, catalog, inventory)
+     * @returns {ShoppingCart|null} - Restored cart, or null if none is saved or it can't be
+     *                                 read (getLastError() tells the two apart)
+     */
+    load(key, options = {}) {
+        let data;
+        this.#lastError = null;
+
+        try {
+            data = this.#adapter.getItem(key);
+        } catch (error) {
+            this.#fail('STORAGE_FAILED', `Could not read cart "${key}": ${error.message}`, { key });
+            return null;
+        }
+
+        if (data === null || data === undefined) {
+            return null;
+        }
+
+        try {
+            return StorageModules.ShoppingCart.fromJSON(data, options);
+        } catch (error) {
+            const code = error instanceof StorageModules.CartError ? error.code : 'INVALID_STATE';
+            this.#fail(code, `Could not restore cart "${key}": ${error.message}`, { key });
+            return null;
+        }
+    }
+
+    /**
+     * Checks whether a cart is saved under a key
+     * @param {string} key - Storage key
+     * @returns {boolean} - True if a cart is saved
+     */
+    has(key) {
+        const data = this.#adapter.getItem(key);
+        return data !== null && data !== undefined;
+    }
+
+    /**
+     * Deletes the cart saved under a key
+     * @param {string} key - Storage key
+     */
+    remove(key) {
+        this.#adapter.removeItem(key);
+    }
+
+    // Private helper recording a failure for getLastError()
+    #fail(code, message, details = {}) {
+        this.#lastError = new StorageModules.CartError(code, message, details);
+        return false;
+    }
+}
+
+// Export for use in Node.js, browsers, and module bundlers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CartStorage;
+}
+// Make available in browser global scope
+if (typeof window !== 'undefined') {
+    window.CartStorage = CartStorage;
+}
@@ -0,0 +1,310 @@
+/**
+ * Catalog Module
+ *
+ * Authoritative product data for ShoppingCart, keyed by SKU.
+ *
+ * Features:
+ * - Canonical product name, price, category, tax class and stock per SKU
+ * - Shipping weight and dimensions per SKU
+ * - Quantity price breaks and customer-group prices per SKU (see TieredPricing)
+ * - Variant attributes (e.g. sizes, colours) and priced add-ons per product
+ * - Case-insensitive SKU lookups
+ * - Input validation; failures are reported through getLastError()
+ */
+
+// Companion modules: required in Node, or read from the globals registered
+// by their own <script> tags in the browser (include them before this file)
+const CatalogModules = typeof module !== 'undefined' && module.exports
+    ? {
+        Currency: require('./Currency.js'),
+        TieredPricing: require('./TieredPricing.js'),
+        CartError: require('./CartError.js')
+    }
+    : window;
+
+class Catalog {
+    #products; // Map of normalized SKU -> product
+    #currency; // ISO 4217 code the prices are in
+    #lastError; // CartError from the last failed call
+
+    /**
+     * @param {Object} options - Catalog options
+     * @param {Array} options.products - Initial products (see addProduct)
+     * @param {string} options.currency - ISO 4217 code of the prices (default: 'USD')
+     * @throws {CartError} - UNSUPPORTED_CURRENCY if the currency is not supported
+     */
+    constructor({ products = [], currency = CatalogModules.Currency.DEFAULT_CURRENCY } = {}) {
+        const { CartError } = CatalogModules;
+
+        if (!CatalogModules.Currency.isSupported(currency)) {
+            throw new CartError(CartError.CODES.UNSUPPORTED_CURRENCY, `Unsupported currency: "${currency}"`, { currency });
+        }
+
+        this.#products = new Map();
+        this.#currency = CatalogModules.Currency.normalizeCode(currency);
+        this.#lastError = null;
+
+        products.forEach(product => this.addProduct(product));
+    }
+
+    /**
+     * Normalizes a SKU (case-insensitive, surrounding whitespace ignored)
+     * @param {string} sku - Stock keeping unit
+     * @returns {string} - Normalized SKU
+     */
+    static normalizeSku(sku) {
+        return sku.toUpperCase().trim();
+    }
+
+    /**
+     * Gets the currency the catalog prices are in
+     * @returns {string} - ISO 4217 code
+     */
+    getCurrency() {
+        return this.#currency;
+    }
+
+    /**
+     * Gets the error from the last call that failed
+     * @returns {CartError|null} - Error with code, message and details, or null
+     */
+    getLastError() {
+        return this.#lastError;
+    }
+
+    /**
+     * Adds a product to the catalog
+     * @param {Object} product - Product data
+     * @param {string} product.sku - Stock keeping unit
+     * @param {string} product.name - Canonical product name
+     * @param {number} product.price - Unit price in the catalog currency
+     * @param {string} product.category - Merchandising category (optional)
+     * @param {string} product.taxCategory - Tax class (default: 'standard')
+     * @param {number} product.stock - Units in stock (default: unlimited)
+     * @param {Object} product.attributes - Allowed variant values, e.g. { size: ['S', 'M', 'L'] } (optional)
+     * @param {Array} product.addOns - Priced add-ons, e.g. [{ name: 'Extra cheese', price: 1.50 }] (optional)
+     * @param {number} product.weight - Unit weight in kg, for shipping (default: 0)
+     * @param {Object} product.dimensions - Unit size in cm, { length, width, height } (optional)
+     * @param {Array} product.priceBreaks - Quantity breaks, e.g. [{ minQuantity: 10, price: 89.99 }] (optional)
+     * @param {Object} product.groupPrices - Customer-group prices, e.g. { wholesale: 84.99 } or
+     *                                       { b2b: { price, priceBreaks } } (optional)
+     * @returns {boolean} - True if added, false if invalid or the SKU exists
+     */
+    addProduct(product) {
+        this.#lastError = null;
+
+        if (!this.#validateProduct(product)) {
+            return false;
+        }
+
+        const sku = Catalog.normalizeSku(product.sku);
+
+        if (this.#products.has(sku)) {
+            return this.#fail('DUPLICATE_PRODUCT', `SKU "${sku}" already exists in the catalog`, { sku });
+        }
+
+        this.#products.set(sku, Catalog.#createEntry(sku, product));
+        return true;
+    }
+
+    /**
+     * Updates fields of an existing product
+     * @param {string} sku - Stock keeping unit
+     * @param {Object} changes - Fields to change (name, price, category, taxCategory, stock, attributes,
+     *                           addOns, weight, dimensions, priceBreaks, groupPrices)
+     * @returns {boolean} - True if updated
+     */
+    updateProduct(sku, changes) {
+        this.#lastError = null;
+
+        if (!this.hasProduct(sku)) {
+            return this.#fail('UNKNOWN_PRODUCT', `SKU "${sku}" not found in catalog`, { sku });
+        }
+
+        const normalizedSku = Catalog.normalizeSku(sku);
+        const updated = { ...this.#products.get(normalizedSku), ...changes, sku: normalizedSku };
+
+        if (!this.#validateProduct(updated)) {
+            return false;
+        }
+
+        this.#products.set(normalizedSku, Catalog.#createEntry(normalizedSku, updated));
+        return true;
+    }
+
+    /**
+     * Removes a product from the catalog
+     * @param {string} sku - Stock keeping unit
+     * @returns {boolean} - True if removed, false if SKU not found
+     */
+    removeProduct(sku) {
+        this.#lastError = null;
+
+        if (!this.hasProduct(sku)) {
+            return this.#fail('UNKNOWN_PRODUCT', `SKU "${sku}" not found in catalog`, { sku });
+        }
+
+        return this.#products.delete(Catalog.normalizeSku(sku));
+    }
+
+    /**
+     * Checks whether a SKU exists
+     * @param {string} sku - Stock keeping unit
+     * @returns {boolean} - True if the SKU exists
+     */
+    hasProduct(sku) {
+        return typeof sku === 'string' && this.#products.has(Catalog.normalizeSku(sku));
+    }
+
+    /**
+     * Returns a copy of a product
+     * @param {string} sku - Stock keeping unit
+     * @returns {Object|null} - Product or null if not found
+     */
+    getProduct(sku) {
+        if (!this.hasProduct(sku)) {
+            return null;
+        }
+
+        return Catalog.#copy(this.#products.get(Catalog.normalizeSku(sku)));
+    }
+
+    /**
+     * Lists products, optionally filtered by category
+     * @param {Object} filter - Filter options
+     * @param {string} filter.category - Only list products in this category
+     * @returns {Array} - Product copies
+     */
+    listProducts({ category } = {}) {
+        const products = [];
+
+        for (const product of this.#products.values()) {
+            if (category === undefined || product.category === category) {
+                products.push(Catalog.#copy(product));
+            }
+        }
+
+        return products;
+    }
+
+    /**
+     * Gets the units in stock for a SKU
+     * @param {string} sku - Stock keeping unit
+     * @returns {number} - Units in stock (Infinity if not tracked, 0 if unknown SKU)
+     */
+    getStock(sku) {
+        const product = this.getProduct(sku);
+        return product ? product.stock : 0;
+    }
+
+    /**
+     * Sets the units in stock for a SKU
+     * @param {string} sku - Stock keeping unit
+     * @param {number} stock - Units in stock
+     * @returns {boolean} - True if updated
+     */
+    setStock(sku, stock) {
+        return this.updateProduct(sku, { stock });
+    }
+
+    // Private helper recording a failure for getLastError()
+    #fail(code, message, details = {}) {
+        this.#lastError = code instanceof CatalogModules.CartError ? code : new CatalogModules.CartError(code, message, details);
+        return false;
+    }
+
+    // Private helper building the stored product entry
+    static #createEntry(sku, product) {
+        return {
+            sku,
+            name: product.name.trim(),
+            price: product.price,
+            category: product.category === undefined ? null : product.category,
+            taxCategory: product.taxCategory || 'standard',
+            stock: product.stock === undefined ? Infinity : product.stock,
+            attributes: Object.fromEntries(
+                Object.entries(product.attributes || {}).map(([name, values]) => [name.trim(), values.map(String)])
+            ),
+            addOns: (product.addOns || []).map(addOn => ({ name: addOn.name.trim(), price: addOn.price })),
+            weight: product.weight === undefined ? 0 : product.weight,
+            dimensions: product.dimensions
+                ? { length: product.dimensions.length, width: product.dimensions.width, height: product.dimensions.height }
+                : null,
+            ...CatalogModules.TieredPricing.normalize(product)
+        };
+    }
+
+    // Private helper copying an entry so callers can't mutate the catalog
+    static #copy(entry) {
+        return {
+            ...entry,
+            attributes: Object.fromEntries(
+                Object.entries(entry.attributes).map(([name, values]) => [name, [...values]])
+            ),
+            addOns: entry.addOns.map(addOn => ({ ...addOn })),
+            dimensions: entry.dimensions ? { ...entry.dimensions } : null,
+            ...CatalogModules.TieredPricing.map(entry, price => price)
+        };
+    }
+
+    // Private helper for product validation
+    #validateProduct(product) {
+        if (!product || typeof product !== 'object') {
+            return this.#fail('INVALID_PRODUCT', 'Product must be an object');
+        }
+
+        if (!product.sku || typeof product.sku !== 'string' || !product.sku.trim()) {
+            return this.#fail('INVALID_PRODUCT', 'Invalid SKU');
+        }
+
+        if (!product.name || typeof product.name !== 'string' || !product.name.trim()) {
+            return this.#fail('INVALID_PRODUCT', 'Invalid product name');
+        }
+
+        if (!Number.isFinite(product.price) || product.price < 0) {
+            return this.#fail('INVALID_PRICE', 'Price must be a non-negative number');
+        }
+
+        if (product.stock !== undefined && product.stock !== Infinity &&
+            (!Number.isInteger(product.stock) || product.stock < 0)) {
+            return this.#fail('INVALID_QUANTITY', 'Stock must be a non-negative integer');
+        }
+
+        if (product.attributes !== undefined && (typeof product.attributes !== 'object' ||
+            !Object.values(product.attributes).every(values => Array.isArray(values) && values.length > 0))) {
+            return this.#fail('INVALID_VARIANT', 'Product attributes must map each attribute to a list of allowed values');
+        }
+
+        if (product.addOns !== undefined && (!Array.isArray(product.addOns) ||
+            !product.addOns.every(addOn => addOn && typeof addOn.name === 'string' && addOn.name.trim() &&
+                Number.isFinite(addOn.price) && addOn.price >= 0))) {
+            return this.#fail('INVALID_VARIANT', 'Product add-ons must be a list of { name, price } with non-negative prices');
+        }
+
+        if (product.weight !== undefined && (typeof product.weight !== 'number' || !(product.weight >= 0) || product.weight === Infinity)) {
+            return this.#fail('INVALID_PRODUCT', 'Weight must be a non-negative number of kg');
+        }
+
+        if (product.dimensions !== undefined && product.dimensions !== null && (typeof product.dimensions !== 'object' ||
+            !['length', 'width', 'height'].every(side => typeof product.dimensions[side] === 'number' && product.dimensions[side] > 0))) {
+            return this.#fail('INVALID_PRODUCT', 'Dimensions must be { length, width, height } in positive cm');
+        }
+
+        const pricingError = CatalogModules.TieredPricing.validate(product);
+
+        if (pricingError) {
+            return this.#fail('INVALID_PRICE', pricingError);
+        }
+
+        return true;
+    }
+}
+
+// Export for use in Node.js, browsers, and module bundlers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Catalog;
+}
+// Make available in browser global scope
+if (typeof window !== 'undefined') {
+    window.Catalog = Catalog;
+}
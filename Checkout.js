@@ -0,0 +1,520 @@
+/**
+ * Checkout Module
+ *
+ * Turns a ShoppingCart into an Order and drives it through payment,
+ * fulfilment, cancellation and refunds.
+ *
+ * Features:
+ * - placeOrder() freezes the cart into an immutable Order (status 'pending')
+ *   and redeems the cart's gift cards and store credit
+ * - Carts that break their business rules (see ShoppingCart.validate()) aren't ordered
+ * - Split tender: the payment provider is charged only what the tenders leave due
+ * - Tenders are reversed when the order is cancelled or refunded
+ * - The order holds the redemptions of its discount codes (so clearing the cart
+ *   doesn't give them back); cancelling or refunding it releases them
+ * - Pluggable payment provider (see MockPaymentProvider for the interface)
+ * - Guarded status changes (see Order.TRANSITIONS); one provider call at a time per order
+ * - Configurable order ID generator
+ * - Failures are reported through getLastError()
+ */
+
+// Companion modules: required in Node, or read from the globals registered
+// by their own <script> tags in the browser (include them before this file)
+const CheckoutModules = typeof module !== 'undefined' && module.exports
+    ? {
+        Order: require('./Order.js'),
+        CartError: require('./CartError.js')
+    }
+    : window;
+
+class Checkout {
+    // Prefix of the IDs made by the default order ID generator
+    static DEFAULT_ID_PREFIX = 'ORD';
+
+    #provider; // Payment provider: { name, charge(request), refund(request) }
+    #generateId; // Function returning a new order ID
+    #clock; // Function returning the current Date
+    #orders; // Map of order ID -> Order placed here
+    #transitions; // Map of order ID -> status mutator granted by the Order
+    #ledgers; // Map of order ID -> GiftCardLedger its tenders were redeemed from
+    #promotions; // Map of order ID -> PromotionEngine its discount codes were redeemed in
+    #stock; // Map of order ID -> { inventory, catalog, lines: [{ label, sku, quantity }] } taken for it
+    #busy; // Set of order IDs with a charge or refund in progress
+    #lastError; // CartError from the last failed call
+
+    /**
+     * @param {Object} options - Checkout options
+     * @param {Object} options.paymentProvider - Provider with name, charge() and refund() (see MockPaymentProvider)
+     * @param {Function} options.generateId - Returns a new, unique order ID (default: Checkout.createIdGenerator())
+     * @param {Function} options.clock - Returns the current Date (default: () => new Date())
+     * @throws {CartError} - INVALID_CONFIG if the provider or ID generator is missing
+     */
+    constructor({ paymentProvider, generateId, clock = () => new Date() } = {}) {
+        const { CartError } = CheckoutModules;
+
+        if (!paymentProvider || typeof paymentProvider.charge !== 'function' || typeof paymentProvider.refund !== 'function') {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, 'Payment provider must implement charge and refund');
+        }
+
+        if (generateId !== undefined && typeof generateId !== 'function') {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, 'Order ID generator must be a function');
+        }
+
+        this.#provider = paymentProvider;
+        this.#generateId = generateId || Checkout.createIdGenerator({ clock });
+        this.#clock = clock;
+        this.#orders = new Map();
+        this.#transitions = new Map();
+        this.#ledgers = new Map();
+        this.#promotions = new Map();
+        this.#stock = new Map();
+        this.#busy = new Set();
+        this.#lastError = null;
+    }
+
+    /**
+     * Creates an order ID generator producing 'ORD-20260315-000001', 'ORD-20260315-000002', ...
+     * The sequence lives in memory, so give each process its own prefix (or use
+     * a database sequence) when several processes place orders.
+     * @param {Object} options - Generator options
+     * @param {string} options.prefix - ID prefix (default: 'ORD')
+     * @param {number} options.start - First sequence number (default: 1)
+     * @param {Function} options.clock - Returns the current Date (default: () => new Date())
+     * @returns {Function} - Returns a new ID on every call
+     */
+    static createIdGenerator({ prefix = Checkout.DEFAULT_ID_PREFIX, start = 1, clock = () => new Date() } = {}) {
+        let sequence = start;
+
+        return () => {
+            const date = clock().toISOString().slice(0, 10).replace(/-/g, '');
+            return `${prefix}-${date}-${String(sequence++).padStart(6, '0')}`;
+        };
+    }
+
+    /**
+     * Gets the error from the last call that failed
+     * @returns {CartError|null} - Error with code, message and details, or null
+     */
+    getLastError() {
+        return this.#lastError;
+    }
+
+    /**
+     * Freezes a cart into a pending order. The cart's stock reservations are
+     * renewed first, so every line is still available, then its units are
+     * taken out of the inventory and catalog stock (until the order is
+     * cancelled or refunded), and the amounts its
+     * tenders pay are redeemed from their gift cards and store credit. The
+     * redemptions of the cart's discount codes pass to the order, so clearing
+     * the cart once the order is paid doesn't give them back.
+     * @param {ShoppingCart} cart - Cart to check out
+     * @param {Object} customer - What is known about the customer
+     * @param {number} customer.age - Verified age in years, for age-restricted items
+     * @param {Array} customer.purchased - Lines the customer already ordered, for per-customer
+     *                                     item limits (see ShoppingCart#validate)
+     * @returns {Order|null} - Pending order, or null if the cart is empty, some
+     *                         line is no longer in stock, the cart breaks a
+     *                         business rule (RULE_VIOLATION, with every violation
+     *                         in details.violations), a tender's balance no
+     *                         longer covers its amount, a discount code used by
+     *                         an earlier order from this cart has reached its
+     *                         usage limit, or (for carts with
+     *                         shipping methods) no method is chosen or it can't
+     *                         deliver the cart
+     */
+    placeOrder(cart, { age, purchased } = {}) {
+        this.#lastError = null;
+
+        if (!cart || typeof cart.getItemCount !== 'function') {
+            this.#fail('INVALID_CONFIG', 'placeOrder needs a ShoppingCart');
+            return null;
+        }
+
+        if (cart.getItemCount() === 0) {
+            this.#fail('EMPTY_CART', 'Cannot check out an empty cart');
+            return null;
+        }
+
+        // Read the outcome through getLastError(), which works in every cart error mode
+        try {
+            cart.refreshReservations();
+        } catch (error) {
+            // 'throw' mode; the error is also in getLastError()
+        }
+
+        if (cart.getLastError()) {
+            this.#fail(cart.getLastError());
+            return null;
+        }
+
+        const shipping = cart.getShipping();
+
+        if (!shipping && cart.getShippingOptions().length > 0) {
+            this.#fail('SHIPPING_NOT_AVAILABLE', 'Choose a shipping method before checking out');
+            return null;
+        }
+
+        if (shipping && !shipping.available) {
+            this.#fail('SHIPPING_NOT_AVAILABLE', shipping.message, { method: shipping.method, reason: shipping.reason });
+            return null;
+        }
+
+        const { violations } = cart.validate({ age, purchased });
+
+        if (violations.length > 0) {
+            this.#fail('RULE_VIOLATION', violations.map(violation => violation.message).join('; '), { violations });
+            return null;
+        }
+
+        const id = this.#generateId();
+
+        if (this.#orders.has(id)) {
+            this.#fail('INVALID_STATE', `Order ID "${id}" was generated twice`, { orderId: id });
+            return null;
+        }
+
+        if (!this.#takeStock(cart, id)) {
+            return null;
+        }
+
+        const tenders = this.#redeemTenders(cart, id);
+
+        if (!tenders) {
+            this.#returnStock(id);
+            return null;
+        }
+
+        try {
+            cart.commitCodes();
+        } catch (error) {
+            // 'throw' mode; the error is also in getLastError()
+        }
+
+        if (cart.getLastError()) {
+            this.#fail(cart.getLastError());
+            tenders.forEach(tender => this.#ledgers.get(id).reverse(tender.transactionId));
+            this.#ledgers.delete(id);
+            this.#returnStock(id);
+            return null;
+        }
+
+        if (cart.getAppliedCodes().length > 0) {
+            this.#promotions.set(id, cart.getPromotionEngine());
+        }
+
+        const order = new CheckoutModules.Order({
+            id, cart, tenders, clock: this.#clock,
+            grant: transition => this.#transitions.set(id, transition)
+        });
+        this.#orders.set(id, order);
+        return order;
+    }
+
+    /**
+     * Gets an order placed through this checkout
+     * @param {string} id - Order ID
+     * @returns {Order|null} - Order, or null if unknown
+     */
+    getOrder(id) {
+        return this.#orders.get(id) || null;
+    }
+
+    /**
+     * Lists the orders placed through this checkout, optionally by status
+     * @param {Object} filter - Filter options
+     * @param {string} filter.status - Only list orders in this status
+     * @returns {Order[]} - Orders, oldest first
+     */
+    listOrders({ status } = {}) {
+        return [...this.#orders.values()].filter(order => status === undefined || order.getStatus() === status);
+    }
+
+    /**
+     * Charges what a pending order's tenders leave due through the payment
+     * provider and marks it paid. When gift cards and store credit cover the
+     * whole total the provider isn't called. If the charge fails the tenders
+     * stay redeemed; cancel the order to reverse them.
+     * @param {Order} order - Pending order
+     * @param {Object} payment - Passed to the provider (e.g. { token })
+     * @returns {Promise<boolean>} - True if paid; false if the order can't be paid
+     *                               (or is already being paid), or the charge failed
+     */
+    async pay(order, payment = {}) {
+        this.#lastError = null;
+
+        if (!this.#checkTransition(order, 'paid')) {
+            return false;
+        }
+
+        const orderId = order.getId();
+        const amount = order.getTotals().amountDue;
+        let receipt;
+
+        if (amount === 0) {
+            return this.#transition(order, 'paid', { payment: { provider: null, transactionId: null, amount } });
+        }
+
+        this.#busy.add(orderId);
+
+        try {
+            receipt = await this.#provider.charge({ orderId, amount, currency: order.getCurrency(), payment });
+        } catch (error) {
+            return this.#fail('PAYMENT_FAILED', `Payment for order ${orderId} failed: ${error.message}`,
+                { orderId, reason: error.message });
+        } finally {
+            this.#busy.delete(orderId);
+        }
+
+        if (!receipt || !receipt.transactionId) {
+            return this.#fail('PAYMENT_FAILED', `Payment for order ${orderId} failed: the provider returned no transaction ID`,
+                { orderId, reason: 'NO_TRANSACTION_ID' });
+        }
+
+        return this.#transition(order, 'paid', {
+            payment: { provider: this.#provider.name, transactionId: receipt.transactionId, amount }
+        });
+    }
+
+    /**
+     * Marks a paid order fulfilled (e.g. shipped)
+     * @param {Order} order - Paid order
+     * @param {Object} details - Recorded in the order history (e.g. { trackingNumber })
+     * @returns {boolean} - True if fulfilled
+     */
+    fulfill(order, details = {}) {
+        this.#lastError = null;
+        return this.#checkTransition(order, 'fulfilled') && this.#transition(order, 'fulfilled', details);
+    }
+
+    /**
+     * Cancels a pending order (paid orders are refunded instead), putting its
+     * gift card and store-credit redemptions back on their balances, its units
+     * back in stock and releasing its discount codes
+     * @param {Order} order - Pending order
+     * @param {string} reason - Why the order was cancelled (optional)
+     * @returns {boolean} - True if cancelled
+     */
+    cancel(order, reason) {
+        this.#lastError = null;
+        return this.#checkTransition(order, 'cancelled') && this.#reverseTenders(order) &&
+            this.#releaseCodes(order) && this.#returnStock(order.getId()) &&
+            this.#transition(order, 'cancelled', { reason });
+    }
+
+    /**
+     * Refunds a paid or fulfilled order in full: the payment through the
+     * payment provider, and the gift cards and store credit on their balances;
+     * its units go back in stock and its discount codes are released
+     * @param {Order} order - Paid or fulfilled order
+     * @param {string} reason - Why the order was refunded (optional)
+     * @returns {Promise<boolean>} - True if refunded; false if the order can't be
+     *                               refunded or the provider refused
+     */
+    async refund(order, reason) {
+        this.#lastError = null;
+
+        if (!this.#checkTransition(order, 'refunded')) {
+            return false;
+        }
+
+        const orderId = order.getId();
+        const payment = order.getPayment();
+        let receipt = { refundId: null };
+
+        this.#busy.add(orderId);
+
+        try {
+            if (payment.transactionId) {
+                receipt = await this.#provider.refund({
+                    orderId,
+                    transactionId: payment.transactionId,
+                    amount: payment.amount,
+                    currency: order.getCurrency()
+                });
+            }
+        } catch (error) {
+            return this.#fail('PAYMENT_FAILED', `Refund for order ${orderId} failed: ${error.message}`,
+                { orderId, reason: error.message });
+        } finally {
+            this.#busy.delete(orderId);
+        }
+
+        return this.#reverseTenders(order) && this.#releaseCodes(order) && this.#returnStock(orderId) &&
+            this.#transition(order, 'refunded', { reason, refundId: receipt && receipt.refundId ? receipt.refundId : null });
+    }
+
+    // Private helper recording a failure (a code and message, or an existing
+    // CartError) for getLastError()
+    #fail(code, message, details = {}) {
+        this.#lastError = code instanceof CheckoutModules.CartError
+            ? code
+            : new CheckoutModules.CartError(code, message, details);
+        return false;
+    }
+
+    // Private helper redeeming what a cart's tenders pay from their balances, for
+    // a new order; if one can't be redeemed, those already redeemed are reversed
+    // and null returned
+    #redeemTenders(cart, orderId) {
+        const tenders = typeof cart.getTenders === 'function' ? cart.getTenders().filter(tender => tender.amount > 0) : [];
+        const ledger = tenders.length > 0 ? cart.getGiftCards() : null;
+        const redeemed = [];
+
+        for (const { account, type, amount } of tenders) {
+            const transactionId = ledger.redeem(account, amount, { orderId });
+
+            if (!transactionId) {
+                redeemed.forEach(tender => ledger.reverse(tender.transactionId));
+                this.#fail(ledger.getLastError());
+                return null;
+            }
+
+            redeemed.push({ account, type, amount, transactionId });
+        }
+
+        if (ledger) {
+            this.#ledgers.set(orderId, ledger);
+        }
+
+        return redeemed;
+    }
+
+    // Private helper putting an order's tenders back on their balances (redemptions
+    // reversed by hand in the ledger are skipped)
+    #reverseTenders(order) {
+        const ledger = this.#ledgers.get(order.getId());
+
+        if (!ledger) {
+            return true;
+        }
+
+        for (const { transactionId } of order.getTenders()) {
+            if (!ledger.reverse(transactionId) && ledger.getLastError().code !== 'INVALID_TRANSITION') {
+                return this.#fail(ledger.getLastError());
+            }
+        }
+
+        this.#ledgers.delete(order.getId());
+        return true;
+    }
+
+    // Private helper taking a new order's lines out of the cart's inventory (using up
+    // the cart's reservations) and catalog stock; if a line is no longer in stock,
+    // what was already taken is put back and false returned
+    #takeStock(cart, orderId) {
+        const inventory = typeof cart.getInventory === 'function' ? cart.getInventory() : null;
+        const catalog = typeof cart.getCatalog === 'function' ? cart.getCatalog() : null;
+        const taken = { inventory, catalog, lines: [] };
+
+        if (!inventory && !catalog) {
+            return true;
+        }
+
+        this.#stock.set(orderId, taken);
+
+        for (const line of cart.getCartItems()) {
+            const label = line.sku || line.product;
+            const product = line.sku && catalog ? catalog.getProduct(line.sku) : null;
+
+            if (line.sku && catalog && (!product || product.stock < line.quantity)) {
+                this.#returnStock(orderId);
+                return this.#fail('OUT_OF_STOCK', `Only ${product ? product.stock : 0} of "${product ? product.name : line.sku}" in stock`,
+                    { product: line.sku, available: product ? product.stock : 0, requested: line.quantity });
+            }
+
+            if (inventory && !inventory.consume(cart, label, line.quantity)) {
+                this.#returnStock(orderId);
+                return this.#fail(inventory.getLastError());
+            }
+
+            if (product && product.stock !== Infinity) {
+                catalog.setStock(line.sku, product.stock - line.quantity);
+            }
+
+            taken.lines.push({ label, sku: product ? line.sku : null, quantity: line.quantity });
+        }
+
+        return true;
+    }
+
+    // Private helper putting the units taken for an order back in stock
+    #returnStock(orderId) {
+        const taken = this.#stock.get(orderId);
+
+        if (!taken) {
+            return true;
+        }
+
+        for (const { label, sku, quantity } of taken.lines) {
+            const product = sku ? taken.catalog.getProduct(sku) : null;
+
+            if (taken.inventory) {
+                taken.inventory.restock(label, quantity);
+            }
+
+            if (product && product.stock !== Infinity) {
+                taken.catalog.setStock(sku, product.stock + quantity);
+            }
+        }
+
+        this.#stock.delete(orderId);
+        return true;
+    }
+
+    // Private helper giving back the redemptions an order's discount codes hold
+    #releaseCodes(order) {
+        const promotions = this.#promotions.get(order.getId());
+
+        if (promotions) {
+            order.getAppliedCodes().forEach(code => promotions.releaseUse(code));
+            this.#promotions.delete(order.getId());
+        }
+
+        return true;
+    }
+
+    // Private helper checking that an order was placed here, has no charge or refund
+    // in progress, and can move to a status
+    #checkTransition(order, status) {
+        if (!(order instanceof CheckoutModules.Order)) {
+            return this.#fail('INVALID_STATE', 'Expected an Order');
+        }
+
+        if (this.#orders.get(order.getId()) !== order) {
+            return this.#fail('INVALID_STATE', `Order ${order.getId()} wasn't placed through this checkout`,
+                { orderId: order.getId() });
+        }
+
+        if (this.#busy.has(order.getId())) {
+            return this.#fail('INVALID_TRANSITION', `Order ${order.getId()} has a payment in progress`,
+                { orderId: order.getId() });
+        }
+
+        if (!order.canTransition(status)) {
+            return this.#fail('INVALID_TRANSITION', `Order ${order.getId()} can't go from ${order.getStatus()} to ${status}`,
+                { orderId: order.getId(), from: order.getStatus(), to: status });
+        }
+
+        return true;
+    }
+
+    // Private helper moving an order through the status mutator it granted at placeOrder
+    #transition(order, status, details) {
+        const transition = this.#transitions.get(order.getId());
+
+        if (!transition(status, details)) {
+            return this.#fail(order.getLastError());
+        }
+
+        return true;
+    }
+}
+
+// Export for use in Node.js, browsers, and module bundlers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Checkout;
+}
+// Make available in browser global scope
+if (typeof window !== 'undefined') {
+    window.Checkout = Checkout;
+}
@@ -0,0 +1,153 @@
+/**
+ * Currency Module
+ *
+ * ISO 4217 currency metadata, locale-aware formatting and rate-table
+ * conversion for ShoppingCart.
+ *
+ * Features:
+ * - Minor-unit exponents per currency (0 for JPY, 2 for USD, 3 for KWD)
+ * - Locale-aware formatting via Intl.NumberFormat
+ * - Conversion between currencies from a caller-supplied rate table
+ */
+
+// Companion modules: required in Node, or read from the globals registered
+// by their own <script> tags in the browser (include them before this file)
+const CurrencyModules = typeof module !== 'undefined' && module.exports
+    ? {
+        CartError: require('./CartError.js')
+    }
+    : window;
+
+class Currency {
+    // Default currency and locale for new carts
+    static DEFAULT_CURRENCY = 'USD';
+    static DEFAULT_LOCALE = 'en-US';
+
+    // ISO 4217 codes -> number of minor-unit digits
+    static EXPONENTS = {
+        'AUD': 2, 'BHD': 3, 'BRL': 2, 'CAD': 2, 'CHF': 2, 'CLP': 0,
+        'CNY': 2, 'CZK': 2, 'DKK': 2, 'EUR': 2, 'GBP': 2, 'HKD': 2,
+        'HUF': 2, 'IDR': 2, 'ILS': 2, 'INR': 2, 'ISK': 0, 'JOD': 3,
+        'JPY': 0, 'KRW': 0, 'KWD': 3, 'MXN': 2, 'NOK': 2, 'NZD': 2,
+        'OMR': 3, 'PLN': 2, 'SAR': 2, 'SEK': 2, 'SGD': 2, 'THB': 2,
+        'TND': 3, 'TRY': 2, 'USD': 2, 'VND': 0, 'ZAR': 2
+    };
+
+    /**
+     * Normalizes a currency code (upper case, surrounding whitespace ignored)
+     * @param {string} code - ISO 4217 code
+     * @returns {string} - Normalized code
+     */
+    static normalizeCode(code) {
+        return code.toUpperCase().trim();
+    }
+
+    /**
+     * Checks whether a currency is supported
+     * @param {string} code - ISO 4217 code
+     * @returns {boolean} - True if supported
+     */
+    static isSupported(code) {
+        return typeof code === 'string' &&
+            Currency.EXPONENTS.hasOwnProperty(Currency.normalizeCode(code));
+    }
+
+    /**
+     * Gets the number of minor-unit digits of a currency
+     * @param {string} code - ISO 4217 code
+     * @returns {number} - Exponent (e.g. 2 for USD)
+     * @throws {CartError} - UNSUPPORTED_CURRENCY if the currency is not supported
+     */
+    static getExponent(code) {
+        const { CartError } = CurrencyModules;
+
+        if (!Currency.isSupported(code)) {
+            throw new CartError(CartError.CODES.UNSUPPORTED_CURRENCY, `Unsupported currency: "${code}"`, { currency: code });
+        }
+
+        return Currency.EXPONENTS[Currency.normalizeCode(code)];
+    }
+
+    /**
+     * Formats an amount for display
+     * @param {number} amount - Major amount (e.g. 19.99)
+     * @param {string} code - ISO 4217 code
+     * @param {string} locale - BCP 47 locale (default: 'en-US')
+     * @returns {string} - Formatted amount (e.g. "$19.99", "19,99 €", "￥1,500")
+     */
+    static format(amount, code, locale = Currency.DEFAULT_LOCALE) {
+        const exponent = Currency.getExponent(code);
+
+        return new Intl.NumberFormat(locale, {
+            style: 'currency',
+            currency: Currency.normalizeCode(code),
+            minimumFractionDigits: exponent,
+            maximumFractionDigits: exponent
+        }).format(amount);
+    }
+
+    /**
+     * Converts an amount between currencies using a rate table
+     * @param {number} amount - Major amount in the source currency
+     * @param {string} from - Source ISO 4217 code
+     * @param {string} to - Target ISO 4217 code
+     * @param {Object} rateTable - { base: 'USD', rates: { EUR: 0.92, ... } },
+     *                             each rate being units of that currency per 1 base unit
+     * @returns {number} - Unrounded major amount in the target currency
+     * @throws {CartError} - If a currency or rate is missing
+     */
+    static convert(amount, from, to, rateTable) {
+        return amount * Currency.getRate(from, to, rateTable);
+    }
+
+    /**
+     * Gets the exchange rate between two currencies from a rate table
+     * @param {string} from - Source ISO 4217 code
+     * @param {string} to - Target ISO 4217 code
+     * @param {Object} rateTable - { base, rates } (see convert)
+     * @returns {number} - Units of the target currency per unit of the source
+     * @throws {CartError} - CONVERSION_FAILED if the rate table or a rate is missing,
+     *                       UNSUPPORTED_CURRENCY for unknown currencies
+     */
+    static getRate(from, to, rateTable) {
+        const { CartError } = CurrencyModules;
+
+        if (!rateTable || typeof rateTable !== 'object' || !rateTable.base || !rateTable.rates) {
+            throw new CartError(CartError.CODES.CONVERSION_FAILED, 'Rate table must have a base currency and rates');
+        }
+
+        const source = Currency.normalizeCode(from);
+        const target = Currency.normalizeCode(to);
+        Currency.getExponent(source);
+        Currency.getExponent(target);
+
+        if (source === target) {
+            return 1;
+        }
+
+        // Rates are quoted against the base, so go source -> base -> target
+        const rateOf = (code) => {
+            if (code === Currency.normalizeCode(rateTable.base)) {
+                return 1;
+            }
+
+            const rate = rateTable.rates[code];
+            if (typeof rate !== 'number' || rate <= 0) {
+                throw new CartError(CartError.CODES.CONVERSION_FAILED, `No exchange rate for "${code}"`, { currency: code });
+            }
+
+            return rate;
+        };
+
+        return rateOf(target) / rateOf(source);
+    }
+}
+
+// Export for use in Node.js, browsers, and module bundlers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Currency;
+}
+// Make available in browser global scope
+if (typeof window !== 'undefined') {
+    window.Currency = Currency;
+}
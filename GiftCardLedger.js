@@ -0,0 +1,324 @@
+/**
+ * GiftCardLedger Module
+ *
+ * Gift-card and store-credit balances that ShoppingCart accepts as tender
+ * against its total, and Checkout redeems when an order is placed.
+ *
+ * Features:
+ * - Gift cards (by card code) and store credit (by customer account), in one currency
+ * - Issue and reload balances, with an optional expiry date
+ * - Partial redemption: take any amount up to the balance
+ * - Reversal of a redemption (e.g. when the order is cancelled or refunded)
+ * - Append-only ledger of every issue, redemption and reversal with the running balance
+ *
+ * Account IDs are matched ignoring case and whitespace. Amounts are kept in
+ * integer minor units. Failures are reported through getLastError().
+ */
+
+// Companion modules: required in Node, or read from the globals registered
+// by their own <script> tags in the browser (include them before this file)
+const LedgerModules = typeof module !== 'undefined' && module.exports
+    ? {
+        Money: require('./Money.js'),
+        Currency: require('./Currency.js'),
+        CartError: require('./CartError.js')
+    }
+    : window;
+
+class GiftCardLedger {
+    // Kinds of account
+    static TYPES = ['gift-card', 'store-credit'];
+
+    // Kinds of ledger entry
+    static ENTRY_TYPES = ['issue', 'redeem', 'reverse'];
+
+    #accounts; // Map of account ID -> { id, type, balance (minor units), expiresAt (ms or null) }
+    #entries; // Ledger entries, oldest first ({ id, account, type, amount, balance, orderId, reference, at })
+    #currency; // ISO 4217 currency of every balance
+    #clock; // Function returning the current Date
+    #lastError; // CartError from the last failed call
+
+    /**
+     * @param {Object} options - Ledger options
+     * @param {string} options.currency - ISO 4217 currency of the balances (default: 'USD')
+     * @param {Array} options.accounts - Accounts to issue, e.g. [{ id: 'GC-1234', amount: 50 },
+     *                                   { id: 'alice', amount: 20, type: 'store-credit' }]
+     * @param {Function} options.clock - Returns the current Date (default: () => new Date())
+     * @throws {CartError} - If the currency is unsupported or an account can't be issued
+     */
+    constructor({ currency = LedgerModules.Currency.DEFAULT_CURRENCY, accounts = [], clock = () => new Date() } = {}) {
+        const { CartError } = LedgerModules;
+
+        if (!LedgerModules.Currency.isSupported(currency)) {
+            throw new CartError(CartError.CODES.UNSUPPORTED_CURRENCY, `Unsupported currency: "${currency}"`, { currency });
+        }
+
+        this.#accounts = new Map();
+        this.#entries = [];
+        this.#currency = LedgerModules.Currency.normalizeCode(currency);
+        this.#clock = clock;
+        this.#lastError = null;
+
+        accounts.forEach(({ id, amount, ...options }) => {
+            if (!this.issue(id, amount, options)) {
+                throw this.#lastError;
+            }
+        });
+    }
+
+    /**
+     * Normalizes an account ID (case-insensitive, whitespace ignored)
+     * @param {string} id - Gift card code or store-credit account
+     * @returns {string} - Normalized ID, e.g. 'GC-1234-5678'
+     */
+    static normalizeId(id) {
+        return id.replace(/\s+/g, '').toUpperCase();
+    }
+
+    /**
+     * Masks a gift card code for display, keeping its last four characters
+     * @param {string} id - Gift card code
+     * @returns {string} - e.g. '****5678'
+     */
+    static mask(id) {
+        return `****${GiftCardLedger.normalizeId(id).slice(-4)}`;
+    }
+
+    /**
+     * Gets the error from the last call that failed
+     * @returns {CartError|null} - Error with code, message and details, or null
+     */
+    getLastError() {
+        return this.#lastError;
+    }
+
+    /**
+     * Gets the currency of the balances
+     * @returns {string} - ISO 4217 currency code
+     */
+    getCurrency() {
+        return this.#currency;
+    }
+
+    /**
+     * Issues a gift card or store-credit account, or adds to an existing one's balance
+     * @param {string} id - Gift card code or store-credit account
+     * @param {number} amount - Amount to add (positive)
+     * @param {Object} options - Account options (ignored when reloading, except expiresAt)
+     * @param {string} options.type - 'gift-card' (default) or 'store-credit'
+     * @param {Date|string} options.expiresAt - When the balance stops being usable (default: never)
+     * @returns {boolean} - True if issued
+     */
+    issue(id, amount, { type = 'gift-card', expiresAt } = {}) {
+        this.#lastError = null;
+
+        if (!id || typeof id !== 'string' || !GiftCardLedger.normalizeId(id)) {
+            return this.#fail('INVALID_GIFT_CARD', 'Gift card or account ID must be a non-empty string');
+        }
+
+        if (!GiftCardLedger.TYPES.includes(type)) {
+            return this.#fail('INVALID_CONFIG', `Unknown account type: "${type}"`, { type });
+        }
+
+        const minor = this.#toMinor(amount);
+
+        if (minor === null) {
+            return this.#fail('INVALID_PRICE', 'Amount must be a positive number', { amount });
+        }
+
+        const expiry = expiresAt === undefined || expiresAt === null ? null : new Date(expiresAt).getTime();
+
+        if (Number.isNaN(expiry)) {
+            return this.#fail('INVALID_CONFIG', `Invalid expiry date: "${expiresAt}"`);
+        }
+
+        const key = GiftCardLedger.normalizeId(id);
+        const account = this.#accounts.get(key) || { id: key, type, balance: 0, expiresAt: expiry };
+
+        if (expiresAt !== undefined) {
+            account.expiresAt = expiry;
+        }
+
+        account.balance += minor;
+        this.#accounts.set(key, account);
+        this.#record(account, 'issue', minor);
+        return true;
+    }
+
+    /**
+     * Gets an account
+     * @param {string} id - Gift card code or store-credit account
+     * @returns {Object|null} - { id, type, balance, expiresAt (Date or null), expired }, or null if unknown
+     */
+    getAccount(id) {
+        const account = typeof id === 'string' ? this.#accounts.get(GiftCardLedger.normalizeId(id)) : null;
+
+        if (!account) {
+            return null;
+        }
+
+        return {
+            id: account.id,
+            type: account.type,
+            balance: this.#fromMinor(account.balance),
+            expiresAt: account.expiresAt === null ? null : new Date(account.expiresAt),
+            expired: this.#isExpired(account)
+        };
+    }
+
+    /**
+     * Gets the balance that can be redeemed now
+     * @param {string} id - Gift card code or store-credit account
+     * @returns {number} - Balance (0 if the account is unknown or expired)
+     */
+    getBalance(id) {
+        const account = this.getAccount(id);
+        return account && !account.expired ? account.balance : 0;
+    }
+
+    /**
+     * Takes an amount off a balance (partial redemption leaves the rest for later)
+     * @param {string} id - Gift card code or store-credit account
+     * @param {number} amount - Amount to redeem, at most the balance
+     * @param {Object} details - Recorded with the entry
+     * @param {string} details.orderId - Order the amount pays for (optional)
+     * @returns {string|null} - Transaction ID of the redemption (for reverse()), or null if the
+     *                          account is unknown or expired, or the balance is too low
+     */
+    redeem(id, amount, { orderId = null } = {}) {
+        this.#lastError = null;
+
+        const account = this.#usableAccount(id);
+
+        if (!account) {
+            return null;
+        }
+
+        const minor = this.#toMinor(amount);
+
+        if (minor === null) {
+            this.#fail('INVALID_PRICE', 'Amount must be a positive number', { amount });
+            return null;
+        }
+
+        if (minor > account.balance) {
+            this.#fail('INSUFFICIENT_BALANCE', `Only ${this.#fromMinor(account.balance)} left on ${account.id}`,
+                { account: account.id, balance: this.#fromMinor(account.balance), requested: amount });
+            return null;
+        }
+
+        account.balance -= minor;
+        return this.#record(account, 'redeem', -minor, { orderId }).id;
+    }
+
+    /**
+     * Puts a redemption back on its balance (once)
+     * @param {string} transactionId - ID returned by redeem()
+     * @returns {boolean} - True if reversed, false if unknown or already reversed
+     */
+    reverse(transactionId) {
+        this.#lastError = null;
+
+        const redemption = this.#entries.find(entry => entry.id === transactionId && entry.type === 'redeem');
+
+        if (!redemption) {
+            return this.#fail('INVALID_GIFT_CARD', `No redemption "${transactionId}"`, { transactionId });
+        }
+
+        if (this.#entries.some(entry => entry.type === 'reverse' && entry.reference === transactionId)) {
+            return this.#fail('INVALID_TRANSITION', `Redemption "${transactionId}" was already reversed`, { transactionId });
+        }
+
+        const account = this.#accounts.get(redemption.account);
+        account.balance -= redemption.amount;
+        this.#record(account, 'reverse', -redemption.amount, { orderId: redemption.orderId, reference: transactionId });
+        return true;
+    }
+
+    /**
+     * Lists the ledger entries, optionally for one account
+     * @param {Object} filter - Filter options
+     * @param {string} filter.account - Only list this account's entries
+     * @returns {Array} - [{ id, account, type, amount, balance, orderId, reference, at (ISO string) }],
+     *                    oldest first; amount is negative for redemptions, balance is after the entry
+     */
+    getLedger({ account } = {}) {
+        const key = typeof account === 'string' ? GiftCardLedger.normalizeId(account) : null;
+
+        return this.#entries
+            .filter(entry => account === undefined || entry.account === key)
+            .map(entry => ({ ...entry, amount: this.#fromMinor(entry.amount), balance: this.#fromMinor(entry.balance) }));
+    }
+
+    // Private helper recording a failure for getLastError()
+    #fail(code, message, details = {}) {
+        this.#lastError = code instanceof LedgerModules.CartError
+            ? code
+            : new LedgerModules.CartError(code, message, details);
+        return false;
+    }
+
+    // Private helper finding an account that can be redeemed (null, with the
+    // failure recorded, if it is unknown, expired or empty)
+    #usableAccount(id) {
+        const account = typeof id === 'string' ? this.#accounts.get(GiftCardLedger.normalizeId(id)) : null;
+
+        if (!account) {
+            this.#fail('INVALID_GIFT_CARD', `Unknown gift card or account: "${id}"`, { account: id, reason: 'UNKNOWN' });
+            return null;
+        }
+
+        if (this.#isExpired(account)) {
+            this.#fail('INVALID_GIFT_CARD', `${account.id} has expired`, { account: account.id, reason: 'EXPIRED' });
+            return null;
+        }
+
+        return account;
+    }
+
+    // Private helper checking whether an account's balance has expired
+    #isExpired(account) {
+        return account.expiresAt !== null && this.#clock().getTime() >= account.expiresAt;
+    }
+
+    // Private helper appending a ledger entry (amount in minor units) and returning it
+    #record(account, type, amount, { orderId = null, reference = null } = {}) {
+        const entry = {
+            id: `gc_${this.#entries.length + 1}`,
+            account: account.id,
+            type,
+            amount,
+            balance: account.balance,
+            orderId,
+            reference,
+            at: this.#clock().toISOString()
+        };
+
+        this.#entries.push(entry);
+        return entry;
+    }
+
+    // Private helper converting a positive major amount to minor units (null if invalid)
+    #toMinor(amount) {
+        if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+            return null;
+        }
+
+        const minor = LedgerModules.Money.toMinor(amount, LedgerModules.Currency.getExponent(this.#currency));
+        return minor > 0 ? minor : null;
+    }
+
+    // Private helper converting minor units to a major amount
+    #fromMinor(minor) {
+        return LedgerModules.Money.fromMinor(minor, LedgerModules.Currency.getExponent(this.#currency));
+    }
+}
+
+// Export for use in Node.js, browsers, and module bundlers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GiftCardLedger;
+}
+// Make available in browser global scope
+if (typeof window !== 'undefined') {
+    window.GiftCardLedger = GiftCardLedger;
+}
@@ -0,0 +1,376 @@
+/**
+ * I18n Module
+ *
+ * Message catalogs and locale-aware formatting for ShoppingCart#getSummary
+ * and user interfaces built on the cart.
+ *
+ * Features:
+ * - Catalogs per locale, looked up from the most specific tag ('es-MX', then 'es')
+ *   and falling back to English for missing messages
+ * - {placeholder} interpolation; numbers are formatted for the locale
+ * - Plural messages ({ one, other, ... }) chosen with Intl.PluralRules, so
+ *   Arabic's zero/one/two/few/many forms work; an explicit zero form is used for 0 in any locale
+ * - Locale-aware number, percent, currency and date formatting
+ * - Text direction (ltr/rtl) per locale
+ * - Ships English (en), Spanish (es) and Arabic (ar); add more with addMessages()
+ */
+
+// Companion modules: required in Node, or read from the globals registered
+// by their own <script> tags in the browser (include them before this file)
+const I18nModules = typeof module !== 'undefined' && module.exports
+    ? {
+        Currency: require('./Currency.js'),
+        CartError: require('./CartError.js')
+    }
+    : window;
+
+class I18n {
+    // Locale used when none is given
+    static DEFAULT_LOCALE = 'en-US';
+
+    // Catalog consulted for messages the locale doesn't have
+    static FALLBACK_LOCALE = 'en';
+
+    // Languages written right to left
+    static RTL_LANGUAGES = ['ar', 'dv', 'fa', 'he', 'ps', 'ur', 'yi'];
+
+    // Built-in catalogs, keyed by language
+    static CATALOGS = {
+        en: {
+            'summary.title': '=== CART SUMMARY ===',
+            'summary.empty': 'Cart is empty',
+            'summary.line': '{product}: {price} x {quantity} = {total}',
+            'summary.savings': 'List {listPrice}, you save {savings}',
+            'summary.subtotal': 'Subtotal',
+            'summary.discount': 'Discount',
+            'summary.shipping': 'Shipping ({method})',
+            'summary.shippingFree': 'Free',
+            'summary.shippingUnavailable': 'Not available',
+            'summary.tax': 'Tax',
+            'summary.taxIncluded': 'Includes {name}',
+            'summary.total': 'TOTAL',
+            'summary.giftCard': 'Gift card {account}',
+            'summary.storeCredit': 'Store credit',
+            'summary.amountDue': 'AMOUNT DUE',
+            'cart.lines': { zero: 'No products', one: '{count} product', other: '{count} products' },
+            'cart.units': { zero: 'No items', one: '{count} item', other: '{count} items' }
+        },
+        es: {
+            'summary.title': '=== RESUMEN DEL CARRITO ===',
+            'summary.empty': 'El carrito está vacío',
+            'summary.line': '{product}: {price} x {quantity} = {total}',
+            'summary.savings': 'Precio de lista {listPrice}, ahorras {savings}',
+            'summary.subtotal': 'Subtotal',
+            'summary.discount': 'Descuento',
+            'summary.shipping': 'Envío ({method})',
+            'summary.shippingFree': 'Gratis',
+            'summary.shippingUnavailable': 'No disponible',
+            'summary.tax': 'Impuesto',
+            'summary.taxIncluded': 'Incluye {name}',
+            'summary.total': 'TOTAL',
+            'summary.giftCard': 'Tarjeta regalo {account}',
+            'summary.storeCredit': 'Saldo a favor',
+            'summary.amountDue': 'IMPORTE PENDIENTE',
+            'cart.lines': { zero: 'Ningún producto', one: '{count} producto', other: '{count} productos' },
+            'cart.units': { zero: 'Ningún artículo', one: '{count} artículo', other: '{count} artículos' }
+        },
+        ar: {
+            'summary.title': '=== ملخص السلة ===',
+            'summary.empty': 'السلة فارغة',
+            'summary.line': '{product}: {price} × {quantity} = {total}',
+            'summary.savings': 'السعر الأصلي {listPrice}، وفّرت {savings}',
+            'summary.subtotal': 'المجموع الفرعي',
+            'summary.discount': 'الخصم',
+            'summary.shipping': 'الشحن ({method})',
+            'summary.shippingFree': 'مجاني',
+            'summary.shippingUnavailable': 'غير متاح',
+            'summary.tax': 'الضريبة',
+            'summary.taxIncluded': 'يشمل {name}',
+            'summary.total': 'الإجمالي',
+            'summary.giftCard': 'بطاقة هدية {account}',
+            'summary.storeCredit': 'رصيد المتجر',
+            'summary.amountDue': 'المبلغ المستحق',
+            'cart.lines': {
+                zero: 'لا توجد منتجات', one: 'منتج واحد', two: 'منتجان',
+                few: '{count} منتجات', many: '{count} منتجًا', other: '{count} منتج'
+            },
+            'cart.units': {
+                zero: 'لا توجد قطع', one: 'قطعة واحدة', two: 'قطعتان',
+                few: '{count} قطع', many: '{count} قطعة', other: '{count} قطعة'
+            }
+        }
+    };
+
+    #catalogs; // Map of locale tag -> messages (shared with copies made by withLocale)
+    #locale; // Canonical BCP 47 locale messages and formats are for
+    #lastError; // CartError from the last failed call
+
+    /**
+     * @param {Object} options - I18n options
+     * @param {string} options.locale - BCP 47 locale, e.g. 'es-MX' or 'ar' (default: 'en-US')
+     * @param {Object} options.messages - Extra messages keyed by locale, e.g. { es: { 'app.title': 'Carrito' } }
+     * @throws {CartError} - INVALID_CONFIG if the locale or a message is invalid
+     */
+    constructor({ locale = I18n.DEFAULT_LOCALE, messages = {} } = {}) {
+        const { CartError } = I18nModules;
+        const canonical = I18n.normalizeLocale(locale);
+
+        if (!canonical) {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, `Invalid locale: "${locale}"`, { locale });
+        }
+
+        this.#catalogs = new Map(Object.entries(I18n.CATALOGS));
+        this.#locale = canonical;
+        this.#lastError = null;
+
+        for (const [tag, catalog] of Object.entries(messages)) {
+            if (!this.addMessages(tag, catalog)) {
+                throw this.#lastError;
+            }
+        }
+    }
+
+    /**
+     * Canonicalizes a BCP 47 locale tag
+     * @param {string} locale - Locale, e.g. 'es-mx'
+     * @returns {string|null} - Canonical tag (e.g. 'es-MX'), or null if invalid
+     */
+    static normalizeLocale(locale) {
+        if (!locale || typeof locale !== 'string') {
+            return null;
+        }
+
+        try {
+            return Intl.getCanonicalLocales(locale.trim())[0] || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Gets the error from the last call that failed
+     * @returns {CartError|null} - Error with code, message and details, or null
+     */
+    getLastError() {
+        return this.#lastError;
+    }
+
+    /**
+     * Gets the locale
+     * @returns {string} - Canonical BCP 47 locale
+     */
+    getLocale() {
+        return this.#locale;
+    }
+
+    /**
+     * Changes the locale
+     * @param {string} locale - BCP 47 locale
+     * @returns {boolean} - True if changed, false if the locale is invalid
+     */
+    setLocale(locale) {
+        this.#lastError = null;
+
+        const canonical = I18n.normalizeLocale(locale);
+
+        if (!canonical) {
+            return this.#fail('INVALID_LOCALE', `Invalid locale: "${locale}"`, { locale });
+        }
+
+        this.#locale = canonical;
+        return true;
+    }
+
+    /**
+     * Creates a copy for another locale that shares this instance's catalogs
+     * (messages added to either are seen by both)
+     * @param {string} locale - BCP 47 locale
+     * @returns {I18n} - Instance for the locale
+     * @throws {CartError} - INVALID_CONFIG if the locale is invalid
+     */
+    withLocale(locale) {
+        const copy = new I18n({ locale });
+        copy.#catalogs = this.#catalogs;
+        return copy;
+    }
+
+    /**
+     * Adds or replaces messages for a locale
+     * @param {string} locale - Locale the messages are for (e.g. 'es', or 'es-MX' for regional wording)
+     * @param {Object} messages - Key -> message string, or plural forms { zero, one, two, few, many, other }
+     * @returns {boolean} - True if added
+     */
+    addMessages(locale, messages) {
+        this.#lastError = null;
+
+        const canonical = I18n.normalizeLocale(locale);
+
+        if (!canonical) {
+            return this.#fail('INVALID_LOCALE', `Invalid locale: "${locale}"`, { locale });
+        }
+
+        if (!messages || typeof messages !== 'object' || Array.isArray(messages)) {
+            return this.#fail('INVALID_CONFIG', 'Messages must map keys to strings or plural forms');
+        }
+
+        for (const [key, message] of Object.entries(messages)) {
+            const plural = message && typeof message === 'object' && typeof message.other === 'string' &&
+                Object.values(message).every(form => typeof form === 'string');
+
+            if (typeof message !== 'string' && !plural) {
+                return this.#fail('INVALID_CONFIG', `Message "${key}" must be a string or plural forms with an "other" form`, { key });
+            }
+        }
+
+        // Copy on write, so the built-in catalogs are never changed
+        this.#catalogs.set(canonical, { ...(this.#catalogs.get(canonical) || {}), ...messages });
+        return true;
+    }
+
+    /**
+     * Lists the locales with a catalog
+     * @returns {string[]} - Locale tags, e.g. ['en', 'es', 'ar']
+     */
+    listLocales() {
+        return [...this.#catalogs.keys()];
+    }
+
+    /**
+     * Checks whether a locale (or its language) has a catalog
+     * @param {string} locale - BCP 47 locale
+     * @returns {boolean} - True if messages exist for it
+     */
+    hasLocale(locale) {
+        const canonical = I18n.normalizeLocale(locale);
+        return Boolean(canonical) && I18n.#lookupChain(canonical).some(tag => this.#catalogs.has(tag));
+    }
+
+    /**
+     * Gets the text direction of the locale
+     * @returns {string} - 'rtl' or 'ltr'
+     */
+    getDirection() {
+        return I18n.RTL_LANGUAGES.includes(I18n.#languageOf(this.#locale)) ? 'rtl' : 'ltr';
+    }
+
+    /**
+     * Translates a message
+     * @param {string} key - Message key, e.g. 'summary.subtotal'
+     * @param {Object} params - Placeholder values; count selects the plural form
+     * @returns {string} - Translated message (the key itself if no catalog has it)
+     */
+    t(key, params = {}) {
+        const message = this.#find(key);
+
+        if (message === null) {
+            return key;
+        }
+
+        const text = typeof message === 'string' ? message : this.#pluralForm(message, params.count);
+
+        return text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = params[name];
+
+            if (value === undefined || value === null) {
+                return placeholder;
+            }
+
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    }
+
+    /**
+     * Formats a number for the locale
+     * @param {number} value - Number to format
+     * @param {Object} options - Intl.NumberFormat options
+     * @returns {string} - Formatted number (e.g. "1,234.5", "1.234,5", "١٬٢٣٤٫٥")
+     */
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.#locale, options).format(value);
+    }
+
+    /**
+     * Formats a rate as a percentage for the locale
+     * @param {number} rate - Rate (0.0725 for 7.25%)
+     * @returns {string} - Formatted percentage (e.g. "7.25%", "7,25 %")
+     */
+    formatPercent(rate) {
+        return this.formatNumber(rate, { style: 'percent', maximumFractionDigits: 4 });
+    }
+
+    /**
+     * Formats an amount of money for the locale
+     * @param {number} amount - Major amount
+     * @param {string} currency - ISO 4217 code
+     * @returns {string} - Formatted amount
+     */
+    formatCurrency(amount, currency) {
+        return I18nModules.Currency.format(amount, currency, this.#locale);
+    }
+
+    /**
+     * Formats a date for the locale
+     * @param {Date|string|number} date - Date, ISO string or timestamp
+     * @param {Object} options - Intl.DateTimeFormat options (default: long date)
+     * @returns {string} - Formatted date (e.g. "March 15, 2026", "15 de marzo de 2026")
+     */
+    formatDate(date, options = { year: 'numeric', month: 'long', day: 'numeric' }) {
+        return new Intl.DateTimeFormat(this.#locale, options).format(new Date(date));
+    }
+
+    // Private helper recording a failure for getLastError()
+    #fail(code, message, details = {}) {
+        this.#lastError = new I18nModules.CartError(code, message, details);
+        return false;
+    }
+
+    // Private helper finding a message in the locale's catalogs, then the fallback's
+    #find(key) {
+        const chain = [...I18n.#lookupChain(this.#locale), ...I18n.#lookupChain(I18n.FALLBACK_LOCALE)];
+
+        for (const tag of chain) {
+            const catalog = this.#catalogs.get(tag);
+
+            if (catalog && catalog[key] !== undefined) {
+                return catalog[key];
+            }
+        }
+
+        return null;
+    }
+
+    // Private helper choosing the plural form for a count
+    #pluralForm(forms, count) {
+        if (typeof count !== 'number') {
+            return forms.other;
+        }
+
+        if (count === 0 && forms.zero !== undefined) {
+            return forms.zero;
+        }
+
+        const category = new Intl.PluralRules(this.#locale).select(count);
+        return forms[category] !== undefined ? forms[category] : forms.other;
+    }
+
+    // Private helper listing the tags to look a locale up under, most specific first
+    // ('es-Latn-MX' -> 'es-Latn-MX', 'es-Latn', 'es')
+    static #lookupChain(locale) {
+        const parts = locale.split('-');
+        return parts.map((part, index) => parts.slice(0, parts.length - index).join('-'));
+    }
+
+    // Private helper for the language subtag of a locale
+    static #languageOf(locale) {
+        return locale.split('-')[0].toLowerCase();
+    }
+}
+
+// Export for use in Node.js, browsers, and module bundlers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+}
+// Make available in browser global scope
+if (typeof window !== 'undefined') {
+    window.I18n = I18n;
+}
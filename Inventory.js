@@ -0,0 +1,370 @@
+/**
+ * Inventory Module
+ *
+ * Stock levels and soft reservations consulted by ShoppingCart.
+ *
+ * Features:
+ * - Per-product stock levels (untracked products are unlimited)
+ * - Soft reservations per holder (e.g. a cart), held for a configurable TTL
+ * - Release on demand or on expiry
+ * - Consuming reserved units when an order is placed, and restocking them
+ * - Per-product minimum and maximum purchase quantities
+ *
+ * Products are keyed by name or SKU, matched ignoring case and whitespace.
+ * Failures are reported through getLastError().
+ */
+
+// Companion modules: required in Node, or read from the globals registered
+// by their own <script> tags in the browser (include them before this file)
+const InventoryModules = typeof module !== 'undefined' && module.exports
+    ? {
+        CartError: require('./CartError.js')
+    }
+    : window;
+
+class Inventory {
+    // Reservations are held for 15 minutes unless renewed
+    static DEFAULT_TTL = 15 * 60 * 1000;
+
+    #stock; // Map of product key -> units on hand
+    #limits; // Map of product key -> { min, max }
+    #reservations; // Map of holder -> Map of product key -> { quantity, expiresAt }
+    #ttl; // Reservation lifetime in milliseconds
+    #clock; // Function returning the current Date
+    #lastError; // CartError from the last failed call
+
+    /**
+     * @param {Object} options - Inventory options
+     * @param {Object} options.stock - Initial stock, e.g. { 'Laptop': 5, 'TEE-001': 20 }
+     * @param {Object} options.limits - Purchase limits, e.g. { 'Laptop': { max: 2 } }
+     * @param {number} options.ttl - Reservation lifetime in milliseconds (default: 15 minutes)
+     * @param {Function} options.clock - Returns the current Date (default: () => new Date())
+     * @throws {CartError} - INVALID_CONFIG if the TTL is not a positive number
+     */
+    constructor({ stock = {}, limits = {}, ttl = Inventory.DEFAULT_TTL, clock = () => new Date() } = {}) {
+        const { CartError } = InventoryModules;
+
+        if (typeof ttl !== 'number' || ttl <= 0) {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, 'Reservation TTL must be a positive number of milliseconds');
+        }
+
+        this.#stock = new Map();
+        this.#limits = new Map();
+        this.#reservations = new Map();
+        this.#ttl = ttl;
+        this.#clock = clock;
+        this.#lastError = null;
+
+        Object.entries(stock).forEach(([product, quantity]) => this.setStock(product, quantity));
+        Object.entries(limits).forEach(([product, limit]) => this.setLimits(product, limit));
+    }
+
+    /**
+     * Normalizes a product key (case-insensitive, whitespace ignored)
+     * @param {string} product - Product name or SKU
+     * @returns {string} - Normalized key
+     */
+    static normalizeKey(product) {
+        return product.trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    /**
+     * Gets the error from the last call that failed
+     * @returns {CartError|null} - Error with code, message and details, or null
+     */
+    getLastError() {
+        return this.#lastError;
+    }
+
+    /**
+     * Sets the units on hand for a product
+     * @param {string} product - Product name or SKU
+     * @param {number} quantity - Units on hand (Infinity to stop tracking)
+     * @returns {boolean} - True if updated
+     */
+    setStock(product, quantity) {
+        this.#lastError = null;
+
+        if (!product || typeof product !== 'string') {
+            return this.#fail('INVALID_PRODUCT', 'Invalid product name');
+        }
+
+        if (quantity !== Infinity && (!Number.isInteger(quantity) || quantity < 0)) {
+            return this.#fail('INVALID_QUANTITY', 'Stock must be a non-negative integer');
+        }
+
+        this.#stock.set(Inventory.normalizeKey(product), quantity);
+        return true;
+    }
+
+    /**
+     * Gets the units on hand for a product, including reserved ones
+     * @param {string} product - Product name or SKU
+     * @returns {number} - Units on hand (Infinity if not tracked)
+     */
+    getStock(product) {
+        const key = Inventory.normalizeKey(product);
+        return this.#stock.has(key) ? this.#stock.get(key) : Infinity;
+    }
+
+    /**
+     * Gets the units that can still be reserved
+     * @param {string} product - Product name or SKU
+     * @param {*} holder - Holder whose own reservation counts as available (optional)
+     * @returns {number} - Units on hand minus other holders' active reservations
+     */
+    getAvailable(product, holder) {
+        const key = Inventory.normalizeKey(product);
+        let reserved = 0;
+
+        this.#purgeExpired();
+
+        for (const [owner, products] of this.#reservations.entries()) {
+            if (owner !== holder && products.has(key)) {
+                reserved += products.get(key).quantity;
+            }
+        }
+
+        return Math.max(0, this.getStock(product) - reserved);
+    }
+
+    /**
+     * Sets the minimum and maximum purchase quantity for a product
+     * @param {string} product - Product name or SKU
+     * @param {Object} limits - { min, max } (either may be omitted)
+     * @returns {boolean} - True if updated
+     */
+    setLimits(product, { min = 1, max = Infinity } = {}) {
+        this.#lastError = null;
+
+        if (!product || typeof product !== 'string') {
+            return this.#fail('INVALID_PRODUCT', 'Invalid product name');
+        }
+
+        if (!Number.isInteger(min) || min < 1 || (max !== Infinity && (!Number.isInteger(max) || max < min))) {
+            return this.#fail('QUANTITY_LIMIT', 'Purchase limits must be positive integers with min <= max');
+        }
+
+        this.#limits.set(Inventory.normalizeKey(product), { min, max });
+        return true;
+    }
+
+    /**
+     * Gets the purchase limits for a product
+     * @param {string} product - Product name or SKU
+     * @returns {Object} - { min, max } (default: { min: 1, max: Infinity })
+     */
+    getLimits(product) {
+        const limits = this.#limits.get(Inventory.normalizeKey(product));
+        return limits ? { ...limits } : { min: 1, max: Infinity };
+    }
+
+    /**
+     * Checks a purchase quantity against the product's min/max limits
+     * @param {string} product - Product name or SKU
+     * @param {number} quantity - Total quantity of the product being bought
+     * @returns {boolean} - True if within the limits
+     */
+    checkLimits(product, quantity) {
+        const { min, max } = this.getLimits(product);
+        this.#lastError = null;
+
+        if (quantity < min) {
+            return this.#fail('QUANTITY_LIMIT', `"${product}" must be bought in quantities of at least ${min}`,
+                { product, requested: quantity, min, max });
+        }
+
+        if (quantity > max) {
+            return this.#fail('QUANTITY_LIMIT', `"${product}" is limited to ${max} per order`,
+                { product, requested: quantity, min, max });
+        }
+
+        return true;
+    }
+
+    /**
+     * Sets a holder's reservation for a product, renewing its TTL
+     * @param {*} holder - Reservation owner (e.g. a ShoppingCart)
+     * @param {string} product - Product name or SKU
+     * @param {number} quantity - Total units to hold (0 releases the reservation)
+     * @returns {boolean} - True if reserved, false if not enough stock is available
+     */
+    reserve(holder, product, quantity) {
+        this.#lastError = null;
+
+        if (!product || typeof product !== 'string') {
+            return this.#fail('INVALID_PRODUCT', 'Invalid product name');
+        }
+
+        if (!Number.isInteger(quantity) || quantity < 0) {
+            return this.#fail('INVALID_QUANTITY', 'Quantity must be a non-negative integer');
+        }
+
+        if (quantity === 0) {
+            this.release(holder, product);
+            return true;
+        }
+
+        const available = this.getAvailable(product, holder);
+
+        if (quantity > available) {
+            return this.#fail('OUT_OF_STOCK', available === 0
+                ? `"${product}" is out of stock`
+                : `Only ${available} of "${product}" available (requested ${quantity})`,
+                { product, available, requested: quantity });
+        }
+
+        if (!this.#reservations.has(holder)) {
+            this.#reservations.set(holder, new Map());
+        }
+
+        this.#reservations.get(holder).set(Inventory.normalizeKey(product), {
+            quantity,
+            expiresAt: this.#clock().getTime() + this.#ttl
+        });
+        return true;
+    }
+
+    /**
+     * Releases a holder's reservation for one product, or all of them
+     * @param {*} holder - Reservation owner
+     * @param {string} product - Product name or SKU (omit to release everything)
+     */
+    release(holder, product) {
+        const products = this.#reservations.get(holder);
+
+        if (!products) {
+            return;
+        }
+
+        if (product === undefined) {
+            this.#reservations.delete(holder);
+            return;
+        }
+
+        products.delete(Inventory.normalizeKey(product));
+
+        if (products.size === 0) {
+            this.#reservations.delete(holder);
+        }
+    }
+
+    /**
+     * Takes units out of stock for good (e.g. for a placed order), using up the
+     * holder's reservation for them first
+     * @param {*} holder - Reservation owner whose units are taken
+     * @param {string} product - Product name or SKU
+     * @param {number} quantity - Units to take (positive integer)
+     * @returns {boolean} - True if taken, false if not enough stock is available
+     */
+    consume(holder, product, quantity) {
+        this.#lastError = null;
+
+        if (!product || typeof product !== 'string') {
+            return this.#fail('INVALID_PRODUCT', 'Invalid product name');
+        }
+
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            return this.#fail('INVALID_QUANTITY', 'Quantity must be a positive integer');
+        }
+
+        const available = this.getAvailable(product, holder);
+
+        if (quantity > available) {
+            return this.#fail('OUT_OF_STOCK', `Only ${available} of "${product}" available (requested ${quantity})`,
+                { product, available, requested: quantity });
+        }
+
+        const key = Inventory.normalizeKey(product);
+        const stock = this.getStock(product);
+        const products = this.#reservations.get(holder);
+        const reservation = products && products.get(key);
+
+        if (stock !== Infinity) {
+            this.#stock.set(key, stock - quantity);
+        }
+
+        if (reservation && reservation.quantity > quantity) {
+            reservation.quantity -= quantity;
+        } else if (reservation) {
+            this.release(holder, product);
+        }
+
+        return true;
+    }
+
+    /**
+     * Puts consumed units back in stock (e.g. for a cancelled order)
+     * @param {string} product - Product name or SKU
+     * @param {number} quantity - Units to put back (positive integer)
+     * @returns {boolean} - True if restocked (untracked products stay unlimited)
+     */
+    restock(product, quantity) {
+        this.#lastError = null;
+
+        if (!product || typeof product !== 'string') {
+            return this.#fail('INVALID_PRODUCT', 'Invalid product name');
+        }
+
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            return this.#fail('INVALID_QUANTITY', 'Quantity must be a positive integer');
+        }
+
+        const stock = this.getStock(product);
+
+        if (stock !== Infinity) {
+            this.#stock.set(Inventory.normalizeKey(product), stock + quantity);
+        }
+
+        return true;
+    }
+
+    /**
+     * Gets a holder's active reservation for a product
+     * @param {*} holder - Reservation owner
+     * @param {string} product - Product name or SKU
+     * @returns {Object|null} - { quantity, expiresAt (Date) }, or null if none or expired
+     */
+    getReservation(holder, product) {
+        this.#purgeExpired();
+
+        const products = this.#reservations.get(holder);
+        const reservation = products && products.get(Inventory.normalizeKey(product));
+
+        return reservation
+            ? { quantity: reservation.quantity, expiresAt: new Date(reservation.expiresAt) }
+            : null;
+    }
+
+    // Private helper recording a failure for getLastError()
+    #fail(code, message, details = {}) {
+        this.#lastError = code instanceof InventoryModules.CartError ? code : new InventoryModules.CartError(code, message, details);
+        return false;
+    }
+
+    // Private helper dropping reservations whose TTL has passed
+    #purgeExpired() {
+        const now = this.#clock().getTime();
+
+        for (const [holder, products] of this.#reservations.entries()) {
+            for (const [key, reservation] of products.entries()) {
+                if (reservation.expiresAt <= now) {
+                    products.delete(key);
+                }
+            }
+
+            if (products.size === 0) {
+                this.#reservations.delete(holder);
+            }
+        }
+    }
+}
+
+// Export for use in Node.js, browsers, and module bundlers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Inventory;
+}
+// Make available in browser global scope
+if (typeof window !== 'undefined') {
+    window.Inventory = Inventory;
+}
@@ -0,0 +1,95 @@
+/**
+ * MockPaymentProvider Module
+ *
+ * In-memory payment provider for tests and demos. Implements the interface
+ * Checkout expects from a real gateway:
+ *
+ *   name                                                       - Provider name
+ *   charge({ orderId, amount, currency, payment }) -> Promise<{ transactionId }>
+ *   refund({ orderId, transactionId, amount, currency }) -> Promise<{ refundId }>
+ *
+ * Both reject (with any Error) when the gateway declines.
+ *
+ * Features:
+ * - Declines the payment token 'tok_declined' (and any listed in options.declineTokens)
+ * - Records charges and refunds for assertions
+ * - Sequential transaction and refund IDs
+ */
+
+class MockPaymentProvider {
+    // Token the mock always declines, like the test cards of real gateways
+    static DECLINED_TOKEN = 'tok_declined';
+
+    #charges; // Map of transactionId -> { orderId, amount, currency, refunded }
+    #refunds; // [{ refundId, orderId, transactionId, amount, currency }]
+    #declineTokens; // Payment tokens to decline
+
+    /**
+     * @param {Object} options - Provider options
+     * @param {string[]} options.declineTokens - Extra payment tokens to decline
+     */
+    constructor({ declineTokens = [] } = {}) {
+        this.name = 'mock';
+        this.#charges = new Map();
+        this.#refunds = [];
+        this.#declineTokens = [MockPaymentProvider.DECLINED_TOKEN, ...declineTokens];
+    }
+
+    /**
+     * Charges a payment
+     * @param {Object} request - { orderId, amount, currency, payment: { token } }
+     * @returns {Promise<Object>} - Resolves to { transactionId }; rejects if declined
+     */
+    async charge({ orderId, amount, currency, payment = {} }) {
+        if (this.#declineTokens.includes(payment.token)) {
+            throw new Error('Card declined');
+        }
+
+        const transactionId = `txn_${this.#charges.size + 1}`;
+        this.#charges.set(transactionId, { orderId, amount, currency, refunded: false });
+        return { transactionId };
+    }
+
+    /**
+     * Refunds a charge in full
+     * @param {Object} request - { orderId, transactionId, amount, currency }
+     * @returns {Promise<Object>} - Resolves to { refundId }; rejects if the charge is unknown or already refunded
+     */
+    async refund({ orderId, transactionId, amount, currency }) {
+        const charge = this.#charges.get(transactionId);
+
+        if (!charge || charge.refunded) {
+            throw new Error(`No refundable charge "${transactionId}"`);
+        }
+
+        const refundId = `re_${this.#refunds.length + 1}`;
+        charge.refunded = true;
+        this.#refunds.push({ refundId, orderId, transactionId, amount, currency });
+        return { refundId };
+    }
+
+    /**
+     * Lists the charges made
+     * @returns {Array} - [{ transactionId, orderId, amount, currency, refunded }]
+     */
+    getCharges() {
+        return [...this.#charges.entries()].map(([transactionId, charge]) => ({ transactionId, ...charge }));
+    }
+
+    /**
+     * Lists the refunds made
+     * @returns {Array} - [{ refundId, orderId, transactionId, amount, currency }]
+     */
+    getRefunds() {
+        return this.#refunds.map(refund => ({ ...refund }));
+    }
+}
+
+// Export for use in Node.js, browsers, and module bundlers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MockPaymentProvider;
+}
+// Make available in browser global scope
+if (typeof window !== 'undefined') {
+    window.MockPaymentProvider = MockPaymentProvider;
+}
@@ -0,0 +1,104 @@
+/**
+ * Money Module
+ *
+ * Integer minor-unit helpers (e.g. cents) used by ShoppingCart and
+ * PromotionEngine so amounts are rounded once, in one place.
+ *
+ * Features:
+ * - Conversion between major amounts (19.99) and minor units (1999)
+ * - Configurable rounding (half-up, half-even)
+ * - Proportional allocation of an amount across lines without losing a cent
+ */
+
+class Money {
+    // Supported rounding modes
+    static ROUNDING_MODES = ['half-up', 'half-even'];
+
+    // Default number of minor-unit digits (cents)
+    static DEFAULT_EXPONENT = 2;
+
+    /**
+     * Rounds a (possibly fractional) minor-unit value to an integer
+     * @param {number} value - Value in minor units
+     * @param {string} mode - 'half-up' (default) or 'half-even'
+     * @returns {number} - Integer minor units
+     */
+    static round(value, mode = 'half-up') {
+        // Strip binary floating-point noise (e.g. 1579.4999999999998) before deciding on halves
+        const normalized = Math.round(value * 1e6) / 1e6;
+        const sign = normalized < 0 ? -1 : 1;
+        const absolute = Math.abs(normalized);
+        const floor = Math.floor(absolute);
+        const fraction = absolute - floor;
+
+        if (fraction > 0.5 || (fraction === 0.5 && (mode === 'half-up' || floor % 2 === 1))) {
+            return sign * (floor + 1) || 0;
+        }
+
+        return sign * floor || 0;
+    }
+
+    /**
+     * Converts a major amount to integer minor units
+     * @param {number} amount - Major amount (e.g. 19.99)
+     * @param {number} exponent - Minor-unit digits (default: 2)
+     * @param {string} mode - Rounding mode (default: 'half-up')
+     * @returns {number} - Integer minor units (e.g. 1999)
+     */
+    static toMinor(amount, exponent = Money.DEFAULT_EXPONENT, mode = 'half-up') {
+        return Money.round(amount * Math.pow(10, exponent), mode);
+    }
+
+    /**
+     * Converts integer minor units back to a major amount
+     * @param {number} minor - Integer minor units (e.g. 1999)
+     * @param {number} exponent - Minor-unit digits (default: 2)
+     * @returns {number} - Major amount (e.g. 19.99)
+     */
+    static fromMinor(minor, exponent = Money.DEFAULT_EXPONENT) {
+        return minor / Math.pow(10, exponent);
+    }
+
+    /**
+     * Splits an integer amount across weights so the parts always add up to
+     * the amount (largest-remainder method)
+     * @param {number} amount - Integer minor units to split
+     * @param {number[]} weights - Non-negative weights, one per part
+     * @returns {number[]} - Integer parts in the same order as the weights
+     */
+    static allocate(amount, weights) {
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+        if (totalWeight <= 0) {
+            return weights.map(() => 0);
+        }
+
+        const exact = weights.map(weight => amount * weight / totalWeight);
+        const parts = exact.map(share => Math.floor(share));
+        let leftover = amount - parts.reduce((sum, part) => sum + part, 0);
+
+        // Hand the leftover units to the parts with the largest remainders
+        const byRemainder = exact
+            .map((share, index) => ({ index, remainder: share - Math.floor(share) }))
+            .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+
+        for (const { index } of byRemainder) {
+            if (leftover <= 0) {
+                break;
+            }
+            parts[index] += 1;
+            leftover -= 1;
+        }
+
+        return parts;
+    }
+}
+
+// Export for use in Node.js, browsers, and module bundlers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Money;
+}
+// Make available in browser global scope
+if (typeof window !== 'undefined') {
+    window.Money = Money;
+}
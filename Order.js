@@ -0,0 +1,275 @@
+/**
+ * Order Module
+ *
+ * Immutable snapshot of a ShoppingCart taken at checkout, with a guarded
+ * status lifecycle.
+ *
+ * Features:
+ * - Frozen copy of the lines, applied codes, discounts, shipping, taxes and totals
+ * - Gift cards and store credit redeemed for it (split tender with the payment)
+ * - Status machine: pending -> paid -> fulfilled, with cancellation and refunds
+ * - Status history with timestamps and details (payment, reason, ...)
+ * - Failures are reported through getLastError()
+ *
+ * Orders are normally created by Checkout#placeOrder. Only the holder of the
+ * status mutator handed to the `grant` callback can change the status, so
+ * payments and refunds can't be recorded without going through Checkout.
+ */
+
+// Companion modules: required in Node, or read from the globals registered
+// by their own <script> tags in the browser (include them before this file)
+const OrderModules = typeof module !== 'undefined' && module.exports
+    ? {
+        Money: require('./Money.js'),
+        Currency: require('./Currency.js'),
+        CartError: require('./CartError.js')
+    }
+    : window;
+
+class Order {
+    // Order statuses
+    static STATUSES = ['pending', 'paid', 'fulfilled', 'cancelled', 'refunded'];
+
+    // Allowed status changes: only pending orders can be cancelled; paid ones are refunded
+    static TRANSITIONS = {
+        pending: ['paid', 'cancelled'],
+        paid: ['fulfilled', 'refunded'],
+        fulfilled: ['refunded'],
+        cancelled: [],
+        refunded: []
+    };
+
+    #snapshot; // Frozen { id, createdAt, currency, locale, region, customerGroup, destination, lines,
+    //            appliedCodes, discounts, shipping, taxes, totals, tenders }
+    #status; // Current status (one of STATUSES)
+    #history; // [{ status, at, ...details }], oldest first
+    #clock; // Function returning the current Date
+    #lastError; // CartError from the last failed call
+
+    /**
+     * @param {Object} options - Order options
+     * @param {string} options.id - Order ID
+     * @param {ShoppingCart} options.cart - Cart to snapshot
+     * @param {Array} options.tenders - Gift cards and store credit redeemed for the order
+     *                                  ([{ account, type, amount, transactionId }], default: none)
+     * @param {Function} options.clock - Returns the current Date (default: () => new Date())
+     * @param {Function} options.grant - Called once with the order's status mutator,
+     *                                   (status, details) => boolean (see Order.TRANSITIONS);
+     *                                   without it the order stays pending
+     * @throws {CartError} - INVALID_CONFIG if the ID or cart is missing, or grant isn't a function
+     */
+    constructor({ id, cart, tenders = [], clock = () => new Date(), grant } = {}) {
+        const { CartError } = OrderModules;
+
+        if (!id || typeof id !== 'string') {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, 'Order ID must be a non-empty string');
+        }
+
+        if (!cart || typeof cart.getCartItems !== 'function') {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, 'Order must be created from a cart');
+        }
+
+        if (grant !== undefined && typeof grant !== 'function') {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, 'Order grant must be a function');
+        }
+
+        const createdAt = clock();
+        const totals = cart.getTotals();
+
+        // The tenders were redeemed before the snapshot, so what they paid comes from them, not the cart
+        const exponent = OrderModules.Currency.getExponent(cart.getCurrency());
+        const tendered = tenders.reduce((sum, tender) => sum + OrderModules.Money.toMinor(tender.amount, exponent), 0);
+        const amountDue = OrderModules.Money.toMinor(totals.total, exponent) - tendered;
+
+        this.#snapshot = Order.#freeze({
+            id,
+            createdAt: createdAt.toISOString(),
+            currency: cart.getCurrency(),
+            locale: cart.getLocale(),
+            region: cart.getRegion(),
+            customerGroup: cart.getCustomerGroup(),
+            destination: cart.getDestination(),
+            lines: cart.getCartItems(),
+            appliedCodes: cart.getAppliedCodes(),
+            discounts: cart.getDiscountBreakdown().filter(result => result.applies),
+            shipping: cart.getShipping(),
+            taxes: cart.getTaxBreakdown(),
+            totals: {
+                ...totals,
+                tendered: OrderModules.Money.fromMinor(tendered, exponent),
+                amountDue: OrderModules.Money.fromMinor(amountDue, exponent)
+            },
+            tenders: tenders.map(({ account, type, amount, transactionId }) => ({ account, type, amount, transactionId }))
+        });
+        this.#status = 'pending';
+        this.#history = [{ status: 'pending', at: createdAt.toISOString() }];
+        this.#clock = clock;
+        this.#lastError = null;
+
+        if (grant) {
+            grant((status, details) => this.#transition(status, details));
+        }
+    }
+
+    /**
+     * Gets the error from the last call that failed
+     * @returns {CartError|null} - Error with code, message and details, or null
+     */
+    getLastError() {
+        return this.#lastError;
+    }
+
+    /**
+     * Gets the order ID
+     * @returns {string} - Order ID
+     */
+    getId() {
+        return this.#snapshot.id;
+    }
+
+    /**
+     * Gets the current status
+     * @returns {string} - One of Order.STATUSES
+     */
+    getStatus() {
+        return this.#status;
+    }
+
+    /**
+     * Gets the order currency
+     * @returns {string} - ISO 4217 currency code
+     */
+    getCurrency() {
+        return this.#snapshot.currency;
+    }
+
+    /**
+     * Gets the ordered lines, as returned by ShoppingCart#getCartItems at checkout
+     * @returns {Array} - Frozen lines
+     */
+    getLines() {
+        return this.#snapshot.lines;
+    }
+
+    /**
+     * Gets the totals at checkout
+     * @returns {Object} - Frozen { subtotal, discount, shipping, tax, total, taxIncluded, tendered, amountDue }
+     */
+    getTotals() {
+        return this.#snapshot.totals;
+    }
+
+    /**
+     * Gets the discount codes applied at checkout (each holds one redemption
+     * until the order is cancelled or refunded)
+     * @returns {string[]} - Frozen normalized codes
+     */
+    getAppliedCodes() {
+        return this.#snapshot.appliedCodes;
+    }
+
+    /**
+     * Gets the gift cards and store credit redeemed for the order; the payment
+     * covers the rest (getTotals().amountDue)
+     * @returns {Array} - Frozen [{ account, type, amount, transactionId }]
+     */
+    getTenders() {
+        return this.#snapshot.tenders;
+    }
+
+    /**
+     * Gets the shipping chosen at checkout
+     * @returns {Object|null} - Frozen { method, label, amount, ... }, or null if none was chosen
+     */
+    getShipping() {
+        return this.#snapshot.shipping;
+    }
+
+    /**
+     * Gets the status history
+     * @returns {Array} - [{ status, at (ISO string), ...details }], oldest first
+     */
+    getHistory() {
+        return this.#history.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Gets the payment recorded when the order was paid
+     * @returns {Object|null} - { provider, transactionId, amount }, or null if unpaid (provider and
+     *                        transactionId are null when gift cards covered the whole total)
+     */
+    getPayment() {
+        const paid = this.#history.find(entry => entry.status === 'paid');
+        return paid && paid.payment ? { ...paid.payment } : null;
+    }
+
+    /**
+     * Checks whether the order can move to a status
+     * @param {string} status - Target status
+     * @returns {boolean} - True if the transition is allowed
+     */
+    canTransition(status) {
+        return Order.TRANSITIONS[this.#status].includes(status);
+    }
+
+    /**
+     * Checks whether the order has reached a status it can't leave
+     * @returns {boolean} - True if cancelled or refunded
+     */
+    isFinal() {
+        return Order.TRANSITIONS[this.#status].length === 0;
+    }
+
+    /**
+     * Serializes the order (called by JSON.stringify)
+     * @returns {Object} - Snapshot plus { status, history }
+     */
+    toJSON() {
+        return { ...this.#snapshot, status: this.#status, history: this.getHistory() };
+    }
+
+    // Private helper moving the order to a new status (see Order.TRANSITIONS),
+    // recording details (e.g. { payment } or { reason }) in the history entry;
+    // handed out only through the constructor's grant callback
+    #transition(status, details = {}) {
+        this.#lastError = null;
+
+        if (!Order.STATUSES.includes(status)) {
+            return this.#fail('INVALID_TRANSITION', `Unknown order status: "${status}"`, { from: this.#status, to: status });
+        }
+
+        if (!this.canTransition(status)) {
+            return this.#fail('INVALID_TRANSITION', `Order ${this.getId()} can't go from ${this.#status} to ${status}`,
+                { from: this.#status, to: status });
+        }
+
+        this.#status = status;
+        this.#history.push({ ...details, status, at: this.#clock().toISOString() });
+        return true;
+    }
+
+    // Private helper recording a failure for getLastError()
+    #fail(code, message, details = {}) {
+        this.#lastError = new OrderModules.CartError(code, message, details);
+        return false;
+    }
+
+    // Private helper freezing a snapshot and everything inside it
+    static #freeze(value) {
+        if (value && typeof value === 'object') {
+            Object.values(value).forEach(Order.#freeze);
+            Object.freeze(value);
+        }
+
+        return value;
+    }
+}
+
+// Export for use in Node.js, browsers, and module bundlers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Order;
+}
+// Make available in browser global scope
+if (typeof window !== 'undefined') {
+    window.Order = Order;
+}
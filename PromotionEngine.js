@@ -0,0 +1,539 @@
+/**
+ * PromotionEngine Module
+ *
+ * A runtime registry of promotion rules that ShoppingCart consults
+ * whenever a discount code is applied.
+ *
+ * Rule types:
+ * - percentage: percentage off the eligible amount
+ * - fixed: fixed amount off the eligible amount
+ * - buyXGetY: buy X units of a product, get Y units free
+ *
+ * Conditions (available on every rule type):
+ * - minSubtotal: minimum cart subtotal required
+ * - products: limit the rule to specific products (by name or SKU, ignoring case and whitespace)
+ * - startsAt / expiresAt: validity window
+ * - maxUses: maximum number of redemptions
+ * - stacking: exclusive, stackable or best-of when several codes are applied
+ * - currency: limit the rule to carts in one currency (needed for amounts)
+ *
+ * Rule values are given in major units (e.g. dollars); cart amounts passed to
+ * evaluate()/calculate() and the amounts they return are integer minor units.
+ */
+
+// Companion modules: required in Node, or read from the globals registered
+// by their own <script> tags in the browser (include them before this file)
+const PromotionModules = typeof module !== 'undefined' && module.exports
+    ? {
+        Money: require('./Money.js'),
+        Currency: require('./Currency.js'),
+        CartError: require('./CartError.js')
+    }
+    : window;
+
+class PromotionEngine {
+    // Supported rule types
+    static TYPES = ['percentage', 'fixed', 'buyXGetY'];
+
+    // Stacking policies: exclusive (never combined), stackable (combines with
+    // anything but exclusive codes), best-of (only the largest best-of code counts)
+    static STACKING = ['exclusive', 'stackable', 'best-of'];
+    static DEFAULT_STACKING = 'best-of';
+
+    // Order in which percentage and fixed-amount codes are applied
+    static APPLICATION_ORDERS = ['percentage-first', 'fixed-first'];
+
+    // Reason codes reported by evaluate()
+    static REASONS = {
+        APPLIED: 'APPLIED',
+        UNKNOWN_CODE: 'UNKNOWN_CODE',
+        NOT_STARTED: 'NOT_STARTED',
+        EXPIRED: 'EXPIRED',
+        USAGE_LIMIT_REACHED: 'USAGE_LIMIT_REACHED',
+        MINIMUM_NOT_MET: 'MINIMUM_NOT_MET',
+        NO_ELIGIBLE_ITEMS: 'NO_ELIGIBLE_ITEMS',
+        NOT_COMBINABLE: 'NOT_COMBINABLE',
+        CURRENCY_MISMATCH: 'CURRENCY_MISMATCH',
+        NOT_BEST_OFFER: 'NOT_BEST_OFFER'
+    };
+
+    // Promotions registered by createDefault()
+    static DEFAULT_PROMOTIONS = {
+        'SAVE10': { type: 'percentage', value: 0.10, description: '10% discount' },
+        'SAVE20': { type: 'percentage', value: 0.20, description: '20% discount' }
+    };
+
+    #promotions; // Map of normalized code -> rule definition
+    #usage; // Map of normalized code -> number of redemptions
+    #clock; // Function returning the current Date
+    #applicationOrder; // 'percentage-first' or 'fixed-first'
+    #lastError; // CartError from the last failed register()
+
+    /**
+     * @param {Object} options - Engine options
+     * @param {Object} options.promotions - Initial rules keyed by code
+     * @param {Function} options.clock - Returns the current Date (default: () => new Date())
+     * @param {string} options.applicationOrder - 'percentage-first' (default) or 'fixed-first'
+     * @throws {CartError} - INVALID_CONFIG if the application order is unknown
+     */
+    constructor({ promotions = {}, clock = () => new Date(), applicationOrder = 'percentage-first' } = {}) {
+        const { CartError } = PromotionModules;
+
+        if (!PromotionEngine.APPLICATION_ORDERS.includes(applicationOrder)) {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, `Unknown application order: "${applicationOrder}"`);
+        }
+
+        this.#promotions = new Map();
+        this.#usage = new Map();
+        this.#clock = clock;
+        this.#applicationOrder = applicationOrder;
+        this.#lastError = null;
+
+        for (const [code, definition] of Object.entries(promotions)) {
+            this.register(code, definition);
+        }
+    }
+
+    /**
+     * Creates an engine preloaded with the default SAVE10/SAVE20 codes
+     * @param {Object} options - Engine options (see constructor)
+     * @returns {PromotionEngine} - New engine
+     */
+    static createDefault(options = {}) {
+        return new PromotionEngine({
+            ...options,
+            promotions: { ...PromotionEngine.DEFAULT_PROMOTIONS, ...options.promotions }
+        });
+    }
+
+    /**
+     * Normalizes a discount code (case-insensitive, surrounding whitespace ignored)
+     * @param {string} code - Discount code
+     * @returns {string} - Normalized code
+     */
+    static normalizeCode(code) {
+        return code.toUpperCase().trim();
+    }
+
+    /**
+     * Gets the error from the last register() call that failed
+     * @returns {CartError|null} - Error with code, message and details, or null
+     */
+    getLastError() {
+        return this.#lastError;
+    }
+
+    /**
+     * Registers (or replaces) a promotion rule
+     * @param {string} code - Discount code
+     * @param {Object} definition - Rule definition
+     * @param {string} definition.type - 'percentage', 'fixed' or 'buyXGetY'
+     * @param {number} definition.value - Rate (0-1) for percentage, amount for fixed
+     * @param {number} definition.buy - Units to buy (buyXGetY)
+     * @param {number} definition.get - Units given free (buyXGetY)
+     * @param {number} definition.minSubtotal - Minimum subtotal required
+     * @param {string[]} definition.products - Product names or SKUs the rule is limited to
+     *                                          (stored normalized; matched ignoring case and whitespace)
+     * @param {Date|string|number} definition.startsAt - Start of the validity window
+     * @param {Date|string|number} definition.expiresAt - End of the validity window
+     * @param {number} definition.maxUses - Maximum number of redemptions
+     * @param {string} definition.stacking - 'exclusive', 'stackable' or 'best-of' (default)
+     * @param {string} definition.currency - ISO 4217 code the rule's amounts are in (default: any)
+     * @param {string} definition.description - Human-readable description
+     * @returns {boolean} - True if registered
+     */
+    register(code, definition) {
+        this.#lastError = null;
+
+        if (!code || typeof code !== 'string') {
+            return this.#fail('INVALID_CODE', 'Invalid discount code');
+        }
+
+        if (!this.#validateDefinition(definition)) {
+            return false;
+        }
+
+        this.#promotions.set(PromotionEngine.normalizeCode(code), {
+            ...definition,
+            ...(definition.products ? { products: definition.products.map(PromotionEngine.#normalizeProduct) } : {})
+        });
+        return true;
+    }
+
+    /**
+     * Removes a promotion rule
+     * @param {string} code - Discount code
+     * @returns {boolean} - True if removed, false if code not found
+     */
+    unregister(code) {
+        if (!code || typeof code !== 'string') {
+            return false;
+        }
+
+        return this.#promotions.delete(PromotionEngine.normalizeCode(code));
+    }
+
+    /**
+     * Checks whether a code is registered
+     * @param {string} code - Discount code
+     * @returns {boolean} - True if registered
+     */
+    has(code) {
+        return typeof code === 'string' && this.#promotions.has(PromotionEngine.normalizeCode(code));
+    }
+
+    /**
+     * Returns a copy of a registered rule
+     * @param {string} code - Discount code
+     * @returns {Object|null} - Rule definition or null if not found
+     */
+    getPromotion(code) {
+        if (!this.has(code)) {
+            return null;
+        }
+
+        return { ...this.#promotions.get(PromotionEngine.normalizeCode(code)) };
+    }
+
+    /**
+     * Lists all registered rules
+     * @returns {Array} - Array of rule definitions with their code
+     */
+    listPromotions() {
+        const promotions = [];
+
+        for (const [code, definition] of this.#promotions.entries()) {
+            promotions.push({ code, ...definition });
+        }
+
+        return promotions;
+    }
+
+    /**
+     * Records a redemption of a code (counts against maxUses)
+     * @param {string} code - Discount code
+     */
+    recordUse(code) {
+        const normalizedCode = PromotionEngine.normalizeCode(code);
+        this.#usage.set(normalizedCode, this.getUsageCount(normalizedCode) + 1);
+    }
+
+    /**
+     * Releases a previously recorded redemption
+     * @param {string} code - Discount code
+     */
+    releaseUse(code) {
+        const normalizedCode = PromotionEngine.normalizeCode(code);
+        this.#usage.set(normalizedCode, Math.max(0, this.getUsageCount(normalizedCode) - 1));
+    }
+
+    /**
+     * Gets the number of recorded redemptions for a code
+     * @param {string} code - Discount code
+     * @returns {number} - Redemption count
+     */
+    getUsageCount(code) {
+        return this.#usage.get(PromotionEngine.normalizeCode(code)) || 0;
+    }
+
+    /**
+     * Evaluates a code against the cart contents without applying it
+     * @param {string} code - Discount code
+     * @param {Object} context - Cart context
+     * @param {Array} context.items - Cart items ({ id, product, sku, price, quantity }, price in minor units;
+     *                                 lines are keyed by id, falling back to product)
+     * @param {number} context.subtotal - Cart subtotal in minor units
+     * @param {string} context.currency - ISO 4217 code of the cart (default: 'USD')
+     * @param {string} context.locale - Locale used in messages (default: 'en-US')
+     * @param {number} context.exponent - Minor-unit digits of the cart currency (default: 2)
+     * @param {string} context.roundingMode - Rounding mode for percentage discounts (default: 'half-up')
+     * @param {boolean} context.redeemed - True if the caller already holds a redemption (skips maxUses)
+     * @param {string[]} context.appliedCodes - Codes already applied (checked against stacking policies)
+     * @returns {Object} - { code, applies, reason, message, amount } with amount in minor units
+     */
+    evaluate(code, context = {}) {
+        const { subtotal = 0, redeemed = false, appliedCodes = [] } = context;
+        const normalizedCode = typeof code === 'string' ? PromotionEngine.normalizeCode(code) : '';
+        const reject = (reason, message) => ({ code: normalizedCode, applies: false, reason, message, amount: 0 });
+
+        if (!this.#promotions.has(normalizedCode)) {
+            return reject(PromotionEngine.REASONS.UNKNOWN_CODE, `Invalid discount code: "${code}"`);
+        }
+
+        const rule = this.#promotions.get(normalizedCode);
+        const now = this.#clock().getTime();
+
+        if (rule.startsAt !== undefined && now < new Date(rule.startsAt).getTime()) {
+            return reject(PromotionEngine.REASONS.NOT_STARTED, `Discount code "${normalizedCode}" is not active yet`);
+        }
+
+        if (rule.expiresAt !== undefined && now > new Date(rule.expiresAt).getTime()) {
+            return reject(PromotionEngine.REASONS.EXPIRED, `Discount code "${normalizedCode}" has expired`);
+        }
+
+        if (rule.maxUses !== undefined && !redeemed && this.getUsageCount(normalizedCode) >= rule.maxUses) {
+            return reject(PromotionEngine.REASONS.USAGE_LIMIT_REACHED, `Discount code "${normalizedCode}" has reached its usage limit`);
+        }
+
+        const { Currency } = PromotionModules;
+        const { currency = Currency.DEFAULT_CURRENCY, locale = Currency.DEFAULT_LOCALE } = context;
+
+        if (rule.currency !== undefined && Currency.normalizeCode(rule.currency) !== Currency.normalizeCode(currency)) {
+            return reject(
+                PromotionEngine.REASONS.CURRENCY_MISMATCH,
+                `Discount code "${normalizedCode}" is only valid for ${Currency.normalizeCode(rule.currency)} carts`
+            );
+        }
+
+        if (rule.minSubtotal !== undefined && subtotal < this.#toMinor(rule.minSubtotal, context)) {
+            return reject(
+                PromotionEngine.REASONS.MINIMUM_NOT_MET,
+                `Discount code "${normalizedCode}" requires a minimum subtotal of ${Currency.format(rule.minSubtotal, currency, locale)}`
+            );
+        }
+
+        // Stacking policies: an exclusive code can't share the cart with any other code
+        const others = appliedCodes
+            .map(applied => PromotionEngine.normalizeCode(applied))
+            .filter(applied => applied !== normalizedCode);
+        const exclusiveOther = others.find(applied => this.#stackingOf(applied) === 'exclusive');
+
+        if (exclusiveOther) {
+            return reject(PromotionEngine.REASONS.NOT_COMBINABLE, `Discount code "${exclusiveOther}" cannot be combined with other codes`);
+        }
+
+        if (this.#stackingOf(normalizedCode) === 'exclusive' && others.length > 0) {
+            return reject(PromotionEngine.REASONS.NOT_COMBINABLE, `Discount code "${normalizedCode}" cannot be combined with other codes`);
+        }
+
+        const items = context.items || [];
+        const allocation = this.#allocate(rule, items, PromotionEngine.#lineTotals(items), context);
+        const amount = PromotionEngine.#sum(allocation.values());
+
+        if (amount <= 0) {
+            return reject(PromotionEngine.REASONS.NO_ELIGIBLE_ITEMS, `Discount code "${normalizedCode}" does not apply to any items in the cart`);
+        }
+
+        return {
+            code: normalizedCode,
+            applies: true,
+            reason: PromotionEngine.REASONS.APPLIED,
+            message: `Discount code "${normalizedCode}" applied`,
+            amount
+        };
+    }
+
+    /**
+     * Calculates the combined discount of several codes, honoring stacking
+     * policies and the engine's application order
+     * @param {string[]} codes - Applied discount codes
+     * @param {Object} context - Cart context (see evaluate)
+     * @returns {Object} - { amount, lines, results } where lines maps each line id
+     *                     to the [{ code, amount }] discounts that touched it (minor units)
+     */
+    calculate(codes, context = {}) {
+        const { items = [] } = context;
+        const results = codes.map(code => this.evaluate(code, { ...context, appliedCodes: [] }));
+        const active = results.filter(result => result.applies);
+        const exclusive = active.find(result => this.#stackingOf(result.code) === 'exclusive');
+
+        // Only the largest best-of code counts; it still stacks with stackable codes
+        const bestOf = active
+            .filter(result => this.#stackingOf(result.code) === 'best-of')
+            .reduce((best, result) => (!best || result.amount > best.amount ? result : best), null);
+
+        const winners = exclusive
+            ? [exclusive]
+            : active.filter(result => this.#stackingOf(result.code) === 'stackable' || result === bestOf);
+
+        for (const result of active) {
+            if (!winners.includes(result)) {
+                const reason = exclusive ? PromotionEngine.REASONS.NOT_COMBINABLE : PromotionEngine.REASONS.NOT_BEST_OFFER;
+                Object.assign(result, {
+                    applies: false,
+                    reason,
+                    message: exclusive
+                        ? `Discount code "${exclusive.code}" cannot be combined with other codes`
+                        : `Discount code "${bestOf.code}" gives a better discount than "${result.code}"`,
+                    amount: 0
+                });
+            }
+        }
+
+        // Apply each winning code in order against what the earlier ones left over
+        const remaining = PromotionEngine.#lineTotals(items);
+        const lines = new Map(items.map(item => [PromotionEngine.#lineId(item), []]));
+
+        for (const result of this.#inApplicationOrder(winners)) {
+            const allocation = this.#allocate(this.#promotions.get(result.code), items, remaining, context);
+
+            for (const [id, amount] of allocation.entries()) {
+                if (amount > 0) {
+                    remaining.set(id, remaining.get(id) - amount);
+                    lines.get(id).push({ code: result.code, amount });
+                }
+            }
+
+            result.amount = PromotionEngine.#sum(allocation.values());
+        }
+
+        return {
+            amount: PromotionEngine.#sum(results.map(result => result.amount)),
+            lines,
+            results
+        };
+    }
+
+    // Private helper resolving a code's stacking policy
+    #stackingOf(code) {
+        const rule = this.#promotions.get(code);
+        return (rule && rule.stacking) || PromotionEngine.DEFAULT_STACKING;
+    }
+
+    // Private helper sorting codes: buy-X-get-Y first, then percentage and fixed
+    // amounts in the configured order
+    #inApplicationOrder(results) {
+        const order = this.#applicationOrder === 'fixed-first'
+            ? ['buyXGetY', 'fixed', 'percentage']
+            : ['buyXGetY', 'percentage', 'fixed'];
+        const rank = result => order.indexOf(this.#promotions.get(result.code).type);
+
+        return [...results].sort((a, b) => rank(a) - rank(b));
+    }
+
+    // Private helper splitting a rule's discount across the eligible lines,
+    // never taking a line below what is left of it
+    #allocate(rule, items, remaining, context) {
+        const { Money } = PromotionModules;
+        const named = value => typeof value === 'string' && rule.products.includes(PromotionEngine.#normalizeProduct(value));
+        const eligibleItems = rule.products
+            ? items.filter(item => named(item.product) || named(item.sku))
+            : items;
+        const left = eligibleItems.map(item => remaining.get(PromotionEngine.#lineId(item)));
+        const eligibleAmount = PromotionEngine.#sum(left);
+        let amounts;
+
+        switch (rule.type) {
+            case 'percentage':
+                // Round once for the whole code, then spread it over the lines
+                amounts = Money.allocate(Money.round(eligibleAmount * rule.value, context.roundingMode), left);
+                break;
+            case 'fixed':
+                amounts = Money.allocate(Math.min(this.#toMinor(rule.value, context), eligibleAmount), left);
+                break;
+            case 'buyXGetY':
+                amounts = eligibleItems.map((item, index) => {
+                    const freeUnits = Math.floor(item.quantity / (rule.buy + rule.get)) * rule.get;
+                    return Math.min(freeUnits * item.price, left[index]);
+                });
+                break;
+            default:
+                amounts = eligibleItems.map(() => 0);
+        }
+
+        return new Map(eligibleItems.map((item, index) => [PromotionEngine.#lineId(item), amounts[index]]));
+    }
+
+    // Private helper converting a rule value (major units) to the cart's minor units
+    #toMinor(amount, { exponent, roundingMode } = {}) {
+        return PromotionModules.Money.toMinor(amount, exponent, roundingMode);
+    }
+
+    // Private helper mapping each line to its total
+    static #lineTotals(items) {
+        return new Map(items.map(item => [PromotionEngine.#lineId(item), item.price * item.quantity]));
+    }
+
+    // Private helper normalizing a product name or SKU as the cart does (case and
+    // surrounding or repeated whitespace ignored)
+    static #normalizeProduct(name) {
+        return name.trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    // Private helper resolving the key of a cart line
+    static #lineId(item) {
+        return item.id !== undefined ? item.id : item.product;
+    }
+
+    // Private helper summing a list of amounts
+    static #sum(amounts) {
+        let total = 0;
+
+        for (const amount of amounts) {
+            total += amount;
+        }
+
+        return total;
+    }
+
+    // Private helper recording a failure for getLastError()
+    #fail(code, message, details = {}) {
+        this.#lastError = code instanceof PromotionModules.CartError ? code : new PromotionModules.CartError(code, message, details);
+        return false;
+    }
+
+    // Private helper for rule definition validation
+    #validateDefinition(definition) {
+        if (!definition || typeof definition !== 'object') {
+            return this.#fail('INVALID_PROMOTION', 'Promotion definition must be an object');
+        }
+
+        if (!PromotionEngine.TYPES.includes(definition.type)) {
+            return this.#fail('INVALID_PROMOTION', `Unknown promotion type: "${definition.type}"`);
+        }
+
+        if (definition.type === 'percentage' &&
+            (!Number.isFinite(definition.value) || definition.value <= 0 || definition.value > 1)) {
+            return this.#fail('INVALID_PROMOTION', 'Percentage promotions need a value between 0 and 1');
+        }
+
+        if (definition.type === 'fixed' && (!Number.isFinite(definition.value) || definition.value <= 0)) {
+            return this.#fail('INVALID_PROMOTION', 'Fixed promotions need a positive value');
+        }
+
+        if (definition.type === 'buyXGetY' &&
+            (!Number.isInteger(definition.buy) || definition.buy <= 0 ||
+                !Number.isInteger(definition.get) || definition.get <= 0)) {
+            return this.#fail('INVALID_PROMOTION', 'Buy-X-get-Y promotions need positive integer buy and get quantities');
+        }
+
+        if (definition.minSubtotal !== undefined &&
+            (!Number.isFinite(definition.minSubtotal) || definition.minSubtotal < 0)) {
+            return this.#fail('INVALID_PROMOTION', 'Minimum subtotal must be a non-negative number');
+        }
+
+        if (definition.products !== undefined && (!Array.isArray(definition.products) ||
+            !definition.products.every(product => typeof product === 'string' && product.trim()))) {
+            return this.#fail('INVALID_PROMOTION', 'Promotion products must be an array of product names');
+        }
+
+        for (const field of ['startsAt', 'expiresAt']) {
+            if (definition[field] !== undefined && isNaN(new Date(definition[field]).getTime())) {
+                return this.#fail('INVALID_PROMOTION', `Promotion ${field} must be a valid date`);
+            }
+        }
+
+        if (definition.currency !== undefined && !PromotionModules.Currency.isSupported(definition.currency)) {
+            return this.#fail('INVALID_PROMOTION', `Unsupported promotion currency: "${definition.currency}"`);
+        }
+
+        if (definition.stacking !== undefined && !PromotionEngine.STACKING.includes(definition.stacking)) {
+            return this.#fail('INVALID_PROMOTION', `Unknown stacking policy: "${definition.stacking}"`);
+        }
+
+        if (definition.maxUses !== undefined && (!Number.isInteger(definition.maxUses) || definition.maxUses <= 0)) {
+            return this.#fail('INVALID_PROMOTION', 'Promotion maxUses must be a positive integer');
+        }
+
+        return true;
+    }
+}
+
+// Export for use in Node.js, browsers, and module bundlers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromotionEngine;
+}
+// Make available in browser global scope
+if (typeof window !== 'undefined') {
+    window.PromotionEngine = PromotionEngine;
+}
@@ -0,0 +1,649 @@
+/**
+ * ReceiptRenderer Module
+ *
+ * Renders receipts and invoices for a ShoppingCart or an Order from the
+ * amounts the cart already computed, so exports never redo the math.
+ *
+ * Formats:
+ * - text: fixed-width receipt for terminals, emails and thermal printers
+ * - html: receipt fragment (a <div class="receipt">) to embed in a page or email
+ * - json: the receipt document itself (see buildDocument)
+ * - csv: one row per line item (RFC 4180, with a header row)
+ * - invoice: complete, printable HTML invoice with number, seller, buyer and tax breakdown
+ *
+ * Features:
+ * - Templates are functions (document, helpers) -> string; replace a built-in
+ *   one or add new formats with registerTemplate()
+ * - Configurable labels (the words printed on receipts)
+ * - Invoice numbers from a configurable generator, stable per order
+ * - Every value inserted into HTML is escaped; CSV cells can't start a spreadsheet formula
+ * - Failures are reported through getLastError()
+ */
+
+// Companion modules: required in Node, or read from the globals registered
+// by their own <script> tags in the browser (include them before this file)
+const ReceiptModules = typeof module !== 'undefined' && module.exports
+    ? {
+        Currency: require('./Currency.js'),
+        Order: require('./Order.js'),
+        Checkout: require('./Checkout.js'),
+        CartError: require('./CartError.js')
+    }
+    : window;
+
+class ReceiptRenderer {
+    // Built-in formats
+    static FORMATS = ['text', 'html', 'json', 'csv', 'invoice'];
+
+    // Prefix of the numbers made by the default invoice number generator
+    static DEFAULT_NUMBER_PREFIX = 'INV';
+
+    // Character width of the text receipt
+    static TEXT_WIDTH = 40;
+
+    // Words printed on receipts (override some or all with the labels option)
+    static LABELS = {
+        receipt: 'Receipt',
+        invoice: 'Invoice',
+        invoiceNumber: 'Invoice number',
+        order: 'Order',
+        date: 'Date',
+        orderDate: 'Order date',
+        seller: 'From',
+        buyer: 'Bill to',
+        taxId: 'Tax ID',
+        item: 'Item',
+        quantity: 'Qty',
+        unitPrice: 'Unit price',
+        amount: 'Amount',
+        listPrice: 'List',
+        youSave: 'you save',
+        subtotal: 'Subtotal',
+        discount: 'Discount',
+        shipping: 'Shipping',
+        free: 'Free',
+        tax: 'Tax',
+        includes: 'Includes',
+        taxable: 'Taxable',
+        total: 'Total',
+        giftCard: 'Gift card',
+        storeCredit: 'Store credit',
+        amountDue: 'Amount due',
+        notes: 'Notes',
+        thankYou: 'Thank you for your order!'
+    };
+
+    // Columns of the CSV export
+    static CSV_COLUMNS = [
+        'line_id', 'sku', 'product', 'attributes', 'add_ons', 'quantity', 'unit_price', 'list_price',
+        'discount', 'line_total', 'tax_category'
+    ];
+
+    #templates; // Map of format name -> template(document, helpers)
+    #labels; // Words printed on receipts (LABELS plus overrides)
+    #seller; // Seller party { name, address, taxId, email, phone } (null if not set)
+    #generateNumber; // Function returning a new invoice number
+    #clock; // Function returning the current Date
+    #numbers; // Map of order ID -> invoice number already issued
+    #lastError; // CartError from the last failed call
+
+    /**
+     * @param {Object} options - Renderer options
+     * @param {Object} options.seller - { name, address (string or lines), taxId, email, phone } printed on invoices
+     * @param {Object} options.templates - Extra or replacement templates keyed by format name
+     * @param {Object} options.labels - Overrides for ReceiptRenderer.LABELS
+     * @param {Function} options.generateNumber - Returns a new invoice number
+     *                                            (default: 'INV-20260315-000001', 'INV-20260315-000002', ...)
+     * @param {Function} options.clock - Returns the current Date (default: () => new Date())
+     * @throws {CartError} - INVALID_CONFIG if the seller, a template, a label or the generator is invalid
+     */
+    constructor({ seller = null, templates = {}, labels = {}, generateNumber, clock = () => new Date() } = {}) {
+        const { CartError, Checkout } = ReceiptModules;
+
+        if (seller !== null && !ReceiptRenderer.#isParty(seller)) {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, 'Seller must be an object with a name');
+        }
+
+        if (!labels || typeof labels !== 'object' || !Object.values(labels).every(label => typeof label === 'string')) {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, 'Labels must map label names to strings');
+        }
+
+        if (generateNumber !== undefined && typeof generateNumber !== 'function') {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, 'Invoice number generator must be a function');
+        }
+
+        this.#templates = new Map([
+            ['text', ReceiptRenderer.#renderText],
+            ['html', ReceiptRenderer.#renderHtml],
+            ['json', document => JSON.stringify(document, null, 2)],
+            ['csv', ReceiptRenderer.#renderCsv],
+            ['invoice', ReceiptRenderer.#renderInvoice]
+        ]);
+        this.#labels = { ...ReceiptRenderer.LABELS, ...labels };
+        this.#seller = seller && ReceiptRenderer.#copyParty(seller);
+        this.#generateNumber = generateNumber ||
+            Checkout.createIdGenerator({ prefix: ReceiptRenderer.DEFAULT_NUMBER_PREFIX, clock });
+        this.#clock = clock;
+        this.#numbers = new Map();
+        this.#lastError = null;
+
+        for (const [name, template] of Object.entries(templates)) {
+            if (!this.registerTemplate(name, template)) {
+                throw this.#lastError;
+            }
+        }
+    }
+
+    /**
+     * Gets the error from the last call that failed
+     * @returns {CartError|null} - Error with code, message and details, or null
+     */
+    getLastError() {
+        return this.#lastError;
+    }
+
+    /**
+     * Adds a format, or replaces a built-in one
+     * @param {string} name - Format name, e.g. 'text' or 'sms'
+     * @param {Function} template - (document, helpers) -> string; helpers are
+     *                              { labels, money, number, date, escapeHtml, csvRow }
+     * @returns {boolean} - True if registered
+     */
+    registerTemplate(name, template) {
+        this.#lastError = null;
+
+        if (!name || typeof name !== 'string') {
+            return this.#fail('INVALID_CONFIG', 'Template name must be a non-empty string');
+        }
+
+        if (typeof template !== 'function') {
+            return this.#fail('INVALID_CONFIG', `Template "${name}" must be a function`, { format: name });
+        }
+
+        this.#templates.set(name, template);
+        return true;
+    }
+
+    /**
+     * Lists the formats render() accepts
+     * @returns {string[]} - Format names
+     */
+    listFormats() {
+        return [...this.#templates.keys()];
+    }
+
+    /**
+     * Builds the receipt document templates render from
+     * @param {ShoppingCart|Order} source - Cart or order to describe
+     * @param {Object} options - Document options
+     * @param {string} options.type - 'receipt' (default) or 'invoice'; invoices get a number
+     * @param {string} options.invoiceNumber - Invoice number to use instead of a generated one
+     * @param {Object} options.buyer - { name, address, taxId, email, phone } (optional)
+     * @param {string} options.notes - Free text printed at the bottom (optional)
+     * @returns {Object|null} - { type, number, orderId, status, issuedAt, orderedAt, currency, locale,
+     *                          seller, buyer, notes, lines, discountCodes, shipping, taxes, totals,
+     *                          tenders },
+     *                          or null if the source is empty or not a cart or order
+     */
+    buildDocument(source, { type = 'receipt', invoiceNumber, buyer = null, notes = null } = {}) {
+        this.#lastError = null;
+
+        const snapshot = this.#snapshotOf(source);
+
+        if (!snapshot) {
+            return null;
+        }
+
+        if (buyer !== null && !ReceiptRenderer.#isParty(buyer)) {
+            this.#fail('INVALID_CONFIG', 'Buyer must be an object with a name');
+            return null;
+        }
+
+        return {
+            type,
+            number: type === 'invoice' ? this.#invoiceNumber(snapshot.id, invoiceNumber) : null,
+            orderId: snapshot.id,
+            status: snapshot.status,
+            issuedAt: this.#clock().toISOString(),
+            orderedAt: snapshot.createdAt,
+            currency: snapshot.currency,
+            locale: snapshot.locale,
+            seller: this.#seller && ReceiptRenderer.#copyParty(this.#seller),
+            buyer: buyer && ReceiptRenderer.#copyParty(buyer),
+            notes: notes === null ? null : String(notes),
+            lines: snapshot.lines.map(line => ({
+                id: line.id,
+                sku: line.sku,
+                product: line.product,
+                attributes: { ...line.attributes },
+                addOns: line.addOns.map(addOn => ({ ...addOn })),
+                quantity: line.quantity,
+                unitPrice: line.price,
+                listPrice: line.listPrice === undefined ? line.price : line.listPrice,
+                savings: line.savings || 0,
+                discount: ReceiptRenderer.#sumAmounts(line.discounts, snapshot.currency),
+                total: line.itemTotal,
+                taxCategory: line.taxCategory
+            })),
+            discountCodes: snapshot.discounts.map(result => result.code),
+            shipping: snapshot.shipping && { method: snapshot.shipping.method, label: snapshot.shipping.label, amount: snapshot.shipping.amount },
+            taxes: snapshot.taxes.map(entry => ({ ...entry })),
+            totals: { ...snapshot.totals },
+            tenders: snapshot.tenders.map(({ account, type, amount }) => ({ account, type, amount }))
+        };
+    }
+
+    /**
+     * Renders a cart or order
+     * @param {ShoppingCart|Order} source - Cart or order to render
+     * @param {string} format - One of listFormats() (default: 'text')
+     * @param {Object} options - Document options (see buildDocument); type defaults
+     *                           to 'invoice' for the invoice format
+     * @returns {string|null} - Rendered receipt, or null if the format is unknown,
+     *                          the source can't be rendered or the template failed
+     */
+    render(source, format = 'text', options = {}) {
+        this.#lastError = null;
+
+        const template = this.#templates.get(format);
+
+        if (!template) {
+            this.#fail('UNKNOWN_FORMAT', `Unknown receipt format: "${format}"`, { format });
+            return null;
+        }
+
+        const document = this.buildDocument(source, { type: format === 'invoice' ? 'invoice' : 'receipt', ...options });
+
+        if (!document) {
+            return null;
+        }
+
+        let output;
+
+        try {
+            output = template(document, this.#helpersFor(document));
+        } catch (error) {
+            this.#fail('RENDER_FAILED', `Template "${format}" failed: ${error.message}`, { format });
+            return null;
+        }
+
+        if (typeof output !== 'string') {
+            this.#fail('RENDER_FAILED', `Template "${format}" must return a string`, { format });
+            return null;
+        }
+
+        return output;
+    }
+
+    // Private helper recording a failure for getLastError()
+    #fail(code, message, details = {}) {
+        this.#lastError = new ReceiptModules.CartError(code, message, details);
+        return false;
+    }
+
+    // Private helper reading the lines, discounts, shipping, taxes and totals of
+    // a cart or order (null if it can't be rendered)
+    #snapshotOf(source) {
+        if (source instanceof ReceiptModules.Order) {
+            return source.toJSON();
+        }
+
+        if (!source || typeof source.getCartItems !== 'function') {
+            this.#fail('INVALID_CONFIG', 'Expected a ShoppingCart or an Order');
+            return null;
+        }
+
+        if (source.getItemCount() === 0) {
+            this.#fail('EMPTY_CART', 'Cannot render a receipt for an empty cart');
+            return null;
+        }
+
+        return {
+            id: null,
+            status: null,
+            createdAt: null,
+            currency: source.getCurrency(),
+            locale: source.getLocale(),
+            lines: source.getCartItems(),
+            discounts: source.getDiscountBreakdown().filter(result => result.applies),
+            shipping: source.getShipping(),
+            taxes: source.getTaxBreakdown(),
+            totals: source.getTotals(),
+            tenders: source.getTenders().filter(tender => tender.amount > 0)
+        };
+    }
+
+    // Private helper for an invoice's number: the one given, the one already issued
+    // for the order, or a new one
+    #invoiceNumber(orderId, given) {
+        if (given) {
+            return String(given);
+        }
+
+        if (orderId && this.#numbers.has(orderId)) {
+            return this.#numbers.get(orderId);
+        }
+
+        const number = String(this.#generateNumber());
+
+        if (orderId) {
+            this.#numbers.set(orderId, number);
+        }
+
+        return number;
+    }
+
+    // Private helper building the helpers passed to templates
+    #helpersFor(document) {
+        const { Currency } = ReceiptModules;
+        const exponent = Currency.getExponent(document.currency);
+
+        return {
+            labels: { ...this.#labels },
+            money: amount => Currency.format(amount, document.currency, document.locale),
+            number: amount => amount.toFixed(exponent),
+            date: iso => new Intl.DateTimeFormat(document.locale, { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' })
+                .format(new Date(iso)),
+            escapeHtml: ReceiptRenderer.#escapeHtml,
+            csvRow: ReceiptRenderer.#csvRow
+        };
+    }
+
+    // Private helper checking a seller or buyer
+    static #isParty(party) {
+        return Boolean(party) && typeof party === 'object' && typeof party.name === 'string' && party.name.trim() !== '' &&
+            (party.address === undefined || typeof party.address === 'string' || Array.isArray(party.address));
+    }
+
+    // Private helper copying a seller or buyer, with the address as a list of lines
+    static #copyParty(party) {
+        const address = Array.isArray(party.address) ? party.address : (party.address || '').split('\n');
+
+        return {
+            name: party.name.trim(),
+            address: address.map(String).filter(line => line.trim() !== ''),
+            taxId: party.taxId || null,
+            email: party.email || null,
+            phone: party.phone || null
+        };
+    }
+
+    // Private helper adding up major amounts exactly (in minor units)
+    static #sumAmounts(entries, currency) {
+        const factor = Math.pow(10, ReceiptModules.Currency.getExponent(currency));
+        return entries.reduce((sum, entry) => sum + Math.round(entry.amount * factor), 0) / factor;
+    }
+
+    // Private helper escaping text for HTML
+    static #escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Private helper building one CSV row; text cells that a spreadsheet would read
+    // as a formula are prefixed with an apostrophe
+    static #csvRow(cells) {
+        return cells.map(cell => {
+            let text = cell === null || cell === undefined ? '' : String(cell);
+
+            if (typeof cell === 'string' && /^[=+\-@\t\r]/.test(text)) {
+                text = `'${text}`;
+            }
+
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',');
+    }
+
+    // Private helper naming a line with its attributes, e.g. "T-Shirt (M, Red)"
+    static #lineName(line) {
+        const variant = Object.values(line.attributes);
+        return variant.length > 0 ? `${line.product} (${variant.join(', ')})` : line.product;
+    }
+
+    // Private helper listing the totals rows shared by every format: [[label, formatted amount]]
+    static #totalRows(document, { labels, money }) {
+        const { totals } = document;
+        const rows = [[labels.subtotal, money(totals.subtotal)]];
+
+        if (totals.discount > 0) {
+            const codes = document.discountCodes.length > 0 ? ` (${document.discountCodes.join(', ')})` : '';
+            rows.push([`${labels.discount}${codes}`, `-${money(totals.discount)}`]);
+        }
+
+        if (document.shipping) {
+            rows.push([`${labels.shipping} (${document.shipping.label})`,
+                document.shipping.amount > 0 ? money(document.shipping.amount) : labels.free]);
+        }
+
+        const prefix = totals.taxIncluded ? `${labels.includes} ` : '';
+        const taxes = document.taxes.filter(entry => entry.rate > 0);
+
+        taxes.forEach(entry => {
+            rows.push([`${prefix}${entry.name} (${Number((entry.rate * 100).toFixed(4))}%)`, money(entry.tax)]);
+        });
+
+        if (taxes.length === 0) {
+            rows.push([`${prefix}${labels.tax}`, money(0)]);
+        }
+
+        return rows;
+    }
+
+    // Private helper listing the rows after the total when gift cards or store credit
+    // paid part of it: one per tender, then the amount due ([] if none)
+    static #tenderRows(document, { labels, money }) {
+        if (document.tenders.length === 0) {
+            return [];
+        }
+
+        return [
+            ...document.tenders.map(tender => [
+                tender.type === 'store-credit' ? labels.storeCredit : `${labels.giftCard} ****${tender.account.slice(-4)}`,
+                `-${money(tender.amount)}`
+            ]),
+            [labels.amountDue, money(document.totals.amountDue)]
+        ];
+    }
+
+    // Built-in template: fixed-width text receipt
+    static #renderText(document, helpers) {
+        const { labels, money, date } = helpers;
+        const width = ReceiptRenderer.TEXT_WIDTH;
+        const row = (left, right) => {
+            const space = Math.max(1, width - left.length - right.length);
+            return `${left}${' '.repeat(space)}${right}`;
+        };
+        const lines = [];
+
+        if (document.seller) {
+            lines.push(document.seller.name, ...document.seller.address);
+        }
+
+        lines.push(document.type === 'invoice' ? `${labels.invoice.toUpperCase()} ${document.number}` : labels.receipt.toUpperCase());
+
+        if (document.orderId) {
+            lines.push(`${labels.order}: ${document.orderId}`);
+        }
+
+        lines.push(`${labels.date}: ${date(document.issuedAt)}`, '-'.repeat(width));
+
+        document.lines.forEach(line => {
+            lines.push(ReceiptRenderer.#lineName(line));
+            lines.push(row(`  ${line.quantity} x ${money(line.unitPrice)}`, money(line.total)));
+            line.addOns.forEach(addOn => lines.push(`  + ${addOn.name} +${money(addOn.price)}`));
+
+            if (line.savings > 0) {
+                lines.push(`  ${labels.listPrice} ${money(line.listPrice)}, ${labels.youSave} ${money(line.savings)}`);
+            }
+        });
+
+        lines.push('-'.repeat(width));
+        ReceiptRenderer.#totalRows(document, helpers).forEach(([label, amount]) => lines.push(row(label, amount)));
+        lines.push('='.repeat(width), row(labels.total.toUpperCase(), money(document.totals.total)));
+        ReceiptRenderer.#tenderRows(document, helpers).forEach(([label, amount]) => lines.push(row(label, amount)));
+
+        if (document.notes) {
+            lines.push('', document.notes);
+        }
+
+        lines.push('', labels.thankYou);
+        return lines.join('\n');
+    }
+
+    // Private helper rendering the HTML table of lines and totals (one string per line)
+    static #linesTable(document, helpers) {
+        const { labels, money, escapeHtml } = helpers;
+
+        const body = document.lines.map(line => {
+            const details = [
+                ...line.addOns.map(addOn => `+ ${addOn.name} (+${money(addOn.price)})`),
+                ...(line.savings > 0 ? [`${labels.listPrice} ${money(line.listPrice)}, ${labels.youSave} ${money(line.savings)}`] : [])
+            ].map(detail => `<br><small>${escapeHtml(detail)}</small>`).join('');
+
+            return `    <tr><td>${escapeHtml(ReceiptRenderer.#lineName(line))}${details}</td>` +
+                `<td>${line.quantity}</td><td>${escapeHtml(money(line.unitPrice))}</td><td>${escapeHtml(money(line.total))}</td></tr>`;
+        });
+
+        const foot = ReceiptRenderer.#totalRows(document, helpers).map(([label, amount]) =>
+            `    <tr><th colspan="3">${escapeHtml(label)}</th><td>${escapeHtml(amount)}</td></tr>`);
+
+        return [
+            '<table class="receipt-lines">',
+            `  <thead><tr><th>${escapeHtml(labels.item)}</th><th>${escapeHtml(labels.quantity)}</th>` +
+                `<th>${escapeHtml(labels.unitPrice)}</th><th>${escapeHtml(labels.amount)}</th></tr></thead>`,
+            '  <tbody>',
+            ...body,
+            '  </tbody>',
+            '  <tfoot>',
+            ...foot,
+            `    <tr class="receipt-total"><th colspan="3">${escapeHtml(labels.total)}</th>` +
+                `<td>${escapeHtml(money(document.totals.total))}</td></tr>`,
+            ...ReceiptRenderer.#tenderRows(document, helpers).map(([label, amount]) =>
+                `    <tr class="receipt-tender"><th colspan="3">${escapeHtml(label)}</th><td>${escapeHtml(amount)}</td></tr>`),
+            '  </tfoot>',
+            '</table>'
+        ];
+    }
+
+    // Built-in template: HTML receipt fragment
+    static #renderHtml(document, helpers) {
+        const { labels, date, escapeHtml } = helpers;
+        const title = document.type === 'invoice' ? `${labels.invoice} ${document.number}` : labels.receipt;
+        const meta = [document.orderId && `${labels.order} ${document.orderId}`, date(document.issuedAt)].filter(Boolean);
+
+        return [
+            '<div class="receipt">',
+            `  <h2>${escapeHtml(title)}</h2>`,
+            `  <p class="receipt-meta">${escapeHtml(meta.join(' · '))}</p>`,
+            ...ReceiptRenderer.#linesTable(document, helpers).map(line => `  ${line}`),
+            ...(document.notes ? [`  <p class="receipt-notes">${escapeHtml(document.notes)}</p>`] : []),
+            '</div>'
+        ].join('\n');
+    }
+
+    // Built-in template: CSV line items (amounts as plain decimals in the document currency)
+    static #renderCsv(document, { number, csvRow }) {
+        const rows = document.lines.map(line => csvRow([
+            line.id,
+            line.sku,
+            line.product,
+            Object.entries(line.attributes).map(([name, value]) => `${name}=${value}`).join('; '),
+            line.addOns.map(addOn => `${addOn.name} +${number(addOn.price)}`).join('; '),
+            line.quantity,
+            number(line.unitPrice),
+            number(line.listPrice),
+            number(line.discount),
+            number(line.total),
+            line.taxCategory
+        ]));
+
+        return [csvRow(ReceiptRenderer.CSV_COLUMNS), ...rows].join('\r\n') + '\r\n';
+    }
+
+    // Built-in template: complete, printable HTML invoice
+    static #renderInvoice(document, helpers) {
+        const { labels, money, date, escapeHtml } = helpers;
+        const party = (heading, details) => {
+            if (!details) {
+                return '';
+            }
+
+            const rows = [
+                `<strong>${escapeHtml(details.name)}</strong>`,
+                ...details.address.map(escapeHtml),
+                ...(details.taxId ? [`${escapeHtml(labels.taxId)}: ${escapeHtml(details.taxId)}`] : []),
+                ...[details.email, details.phone].filter(Boolean).map(escapeHtml)
+            ];
+
+            return `    <div class="party"><h3>${escapeHtml(heading)}</h3><p>${rows.join('<br>')}</p></div>`;
+        };
+        const facts = [
+            [labels.invoiceNumber, document.number],
+            [labels.date, date(document.issuedAt)],
+            ...(document.orderId ? [[labels.order, document.orderId]] : []),
+            ...(document.orderedAt ? [[labels.orderDate, date(document.orderedAt)]] : [])
+        ].map(([label, value]) => `    <tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`);
+        const taxRows = document.taxes.map(entry => `      <tr><td>${escapeHtml(entry.name)}</td>` +
+            `<td>${Number((entry.rate * 100).toFixed(4))}%</td><td>${escapeHtml(money(entry.taxable))}</td>` +
+            `<td>${escapeHtml(money(entry.tax))}</td></tr>`);
+
+        return [
+            '<!DOCTYPE html>',
+            `<html lang="${escapeHtml(document.locale)}">`,
+            '<head>',
+            '  <meta charset="UTF-8">',
+            `  <title>${escapeHtml(`${labels.invoice} ${document.number}`)}</title>`,
+            '  <style>',
+            '    body { font-family: Arial, sans-serif; color: #222; max-width: 800px; margin: 40px auto; padding: 0 20px; }',
+            '    h1 { margin-bottom: 0; }',
+            '    .parties { display: flex; justify-content: space-between; gap: 20px; margin: 20px 0; }',
+            '    .party h3 { margin: 0 0 5px; font-size: 0.9em; color: #666; text-transform: uppercase; }',
+            '    table { width: 100%; border-collapse: collapse; margin: 20px 0; }',
+            '    th, td { padding: 6px 8px; text-align: left; border-bottom: 1px solid #ddd; }',
+            '    .receipt-lines td:last-child, .receipt-lines th:last-child, .tax td:nth-child(n+2) { text-align: right; }',
+            '    .facts { width: auto; }',
+            '    .total { font-weight: bold; font-size: 1.2em; }',
+            '    @media print { body { margin: 0; } }',
+            '  </style>',
+            '</head>',
+            '<body>',
+            `  <h1>${escapeHtml(labels.invoice)}</h1>`,
+            '  <table class="facts">',
+            ...facts,
+            '  </table>',
+            '  <div class="parties">',
+            party(labels.seller, document.seller),
+            party(labels.buyer, document.buyer),
+            '  </div>',
+            ...ReceiptRenderer.#linesTable(document, helpers).map(line => `  ${line}`),
+            '  <table class="tax">',
+            `    <thead><tr><th>${escapeHtml(labels.tax)}</th><th></th><th>${escapeHtml(labels.taxable)}</th>` +
+                `<th>${escapeHtml(labels.amount)}</th></tr></thead>`,
+            '    <tbody>',
+            ...taxRows,
+            '    </tbody>',
+            '  </table>',
+            `  <p class="total">${escapeHtml(labels.total)}: ${escapeHtml(money(document.totals.total))}</p>`,
+            ...(document.tenders.length > 0
+                ? [`  <p class="total">${escapeHtml(labels.amountDue)}: ${escapeHtml(money(document.totals.amountDue))}</p>`]
+                : []),
+            ...(document.notes ? [`  <p><strong>${escapeHtml(labels.notes)}:</strong> ${escapeHtml(document.notes)}</p>`] : []),
+            `  <p>${escapeHtml(labels.thankYou)}</p>`,
+            '</body>',
+            '</html>'
+        ].filter(line => line !== '').join('\n');
+    }
+}
+
+// Export for use in Node.js, browsers, and module bundlers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReceiptRenderer;
+}
+// Make available in browser global scope
+if (typeof window !== 'undefined') {
+    window.ReceiptRenderer = ReceiptRenderer;
+}
@@ -0,0 +1,386 @@
+/**
+ * RuleEngine Module
+ *
+ * A registry of cart-level business rules that ShoppingCart.validate()
+ * checks the whole cart against, so checkout can be blocked with every
+ * reason at once.
+ *
+ * Rule types:
+ * - minOrderValue: the subtotal after discounts must reach an amount
+ * - maxItems: at most this many units (of matching products) per customer,
+ *   counting the cart and what the customer already ordered
+ * - restrictedCombination: products that can't be bought together
+ * - ageRestricted: matching products need a customer of at least minAge
+ * - regionBan: matching products can't be sold to some regions
+ * - priceLimit: unit prices of matching products must stay within min/max
+ *
+ * Products are picked with a match object ({ skus, products, categories };
+ * a line matches if any list names it, and a missing match means every line).
+ * Categories are the catalog's merchandising categories. Amounts in rule
+ * definitions are major units; amounts passed to evaluate() are integer
+ * minor units.
+ */
+
+// Companion modules: required in Node, or read from the globals registered
+// by their own <script> tags in the browser (include them before this file)
+const RuleModules = typeof module !== 'undefined' && module.exports
+    ? {
+        Money: require('./Money.js'),
+        Currency: require('./Currency.js'),
+        CartError: require('./CartError.js')
+    }
+    : window;
+
+class RuleEngine {
+    // Supported rule types
+    static TYPES = ['minOrderValue', 'maxItems', 'restrictedCombination', 'ageRestricted', 'regionBan', 'priceLimit'];
+
+    // Violation codes reported by evaluate(), by rule type
+    static VIOLATIONS = {
+        minOrderValue: 'BELOW_MINIMUM_ORDER',
+        maxItems: 'TOO_MANY_ITEMS',
+        restrictedCombination: 'RESTRICTED_COMBINATION',
+        ageRestricted: 'AGE_RESTRICTED',
+        regionBan: 'REGION_RESTRICTED',
+        priceLimit: 'PRICE_OUT_OF_RANGE'
+    };
+
+    // Lists a match object may name products by
+    static MATCH_FIELDS = ['skus', 'products', 'categories'];
+
+    #rules; // Map of rule name -> definition
+    #lastError; // CartError from the last failed register()
+
+    /**
+     * @param {Object} options - Engine options
+     * @param {Object} options.rules - Initial rules keyed by name
+     * @throws {CartError} - INVALID_RULE if an initial rule is invalid
+     */
+    constructor({ rules = {} } = {}) {
+        this.#rules = new Map();
+        this.#lastError = null;
+
+        for (const [name, definition] of Object.entries(rules)) {
+            if (!this.register(name, definition)) {
+                throw this.#lastError;
+            }
+        }
+    }
+
+    /**
+     * Gets the error from the last register() call that failed
+     * @returns {CartError|null} - Error with code, message and details, or null
+     */
+    getLastError() {
+        return this.#lastError;
+    }
+
+    /**
+     * Registers (or replaces) a rule
+     * @param {string} name - Rule name, e.g. 'minimum-order'
+     * @param {Object} definition - Rule definition
+     * @param {string} definition.type - One of RuleEngine.TYPES
+     * @param {number} definition.amount - Smallest subtotal after discounts (minOrderValue)
+     * @param {number} definition.max - Most units per customer (maxItems), or highest unit price (priceLimit)
+     * @param {number} definition.min - Lowest unit price (priceLimit)
+     * @param {Array} definition.groups - Match objects of which at most one may be in the cart
+     *                                    (restrictedCombination), e.g. [{ skus: ['A'] }, { categories: ['b'] }]
+     * @param {number} definition.minAge - Youngest customer allowed (ageRestricted)
+     * @param {string[]} definition.regions - Banned regions or countries, e.g. ['US-CA', 'DE'] (regionBan;
+     *                                        'US' bans every 'US-..' region too)
+     * @param {Object} definition.match - Products the rule covers, e.g. { categories: ['alcohol'] }
+     *                                    (default: every line; not used by minOrderValue)
+     * @param {string} definition.message - Message reported instead of the generated one
+     * @param {string} definition.currency - ISO 4217 code the rule's amounts are in (default: any)
+     * @returns {boolean} - True if registered
+     */
+    register(name, definition) {
+        this.#lastError = null;
+
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            return this.#fail('INVALID_RULE', 'Invalid rule name');
+        }
+
+        if (!this.#validateDefinition(definition)) {
+            return false;
+        }
+
+        this.#rules.set(name.trim(), { ...definition });
+        return true;
+    }
+
+    /**
+     * Removes a rule
+     * @param {string} name - Rule name
+     * @returns {boolean} - True if removed, false if not found
+     */
+    unregister(name) {
+        return this.#rules.delete(name);
+    }
+
+    /**
+     * Checks whether a rule is registered
+     * @param {string} name - Rule name
+     * @returns {boolean} - True if registered
+     */
+    has(name) {
+        return this.#rules.has(name);
+    }
+
+    /**
+     * Lists all registered rules
+     * @returns {Array} - Rule definitions with their name
+     */
+    listRules() {
+        return [...this.#rules.entries()].map(([name, definition]) => ({ name, ...definition }));
+    }
+
+    /**
+     * Checks a cart against every rule
+     * @param {Object} context - Cart context
+     * @param {Array} context.items - Cart lines ({ id, sku, product, category, quantity, price })
+     *                                with unit prices in minor units
+     * @param {number} context.subtotal - Subtotal after discounts, in minor units
+     * @param {string} context.region - Cart region, e.g. 'US-CA'
+     * @param {Object} context.destination - { country, region, postalCode } (optional)
+     * @param {number} context.age - Customer age in years (optional; age-restricted lines fail without it)
+     * @param {Array} context.purchased - Lines the customer already ordered ({ sku, product, category,
+     *                                    quantity }), counted by maxItems (default: none)
+     * @param {string} context.currency - ISO 4217 code of the cart (default: 'USD')
+     * @param {number} context.exponent - Minor-unit digits of the cart currency (default: 2)
+     * @param {string} context.roundingMode - Rounding mode (default: 'half-up')
+     * @param {Function} context.format - Formats a major amount for messages (default: String)
+     * @returns {Array} - Violations, in rule order: [{ rule, type, code, message, lines, details }],
+     *                    where lines are the ids of the offending lines
+     */
+    evaluate(context = {}) {
+        const { Currency } = RuleModules;
+        const currency = Currency.normalizeCode(context.currency || Currency.DEFAULT_CURRENCY);
+        const violations = [];
+
+        for (const [name, definition] of this.#rules.entries()) {
+            // Rules with amounts in another currency don't apply to this cart
+            if (definition.currency !== undefined && Currency.normalizeCode(definition.currency) !== currency) {
+                continue;
+            }
+
+            const found = this.#check(definition, context);
+
+            if (found) {
+                violations.push({
+                    rule: name,
+                    type: definition.type,
+                    code: RuleEngine.VIOLATIONS[definition.type],
+                    message: definition.message || found.message,
+                    lines: found.lines,
+                    details: found.details
+                });
+            }
+        }
+
+        return violations;
+    }
+
+    /**
+     * Checks whether a line is picked by a match object
+     * @param {Object} line - { sku, product, category }
+     * @param {Object} match - { skus, products, categories }, or undefined for every line
+     * @returns {boolean} - True if the line matches (names, SKUs and categories ignore case)
+     */
+    static matches(line, match) {
+        if (!match) {
+            return true;
+        }
+
+        const named = (list, value) => Array.isArray(list) && typeof value === 'string' &&
+            list.some(entry => entry.trim().toLowerCase() === value.trim().toLowerCase());
+
+        return named(match.skus, line.sku) || named(match.products, line.product) || named(match.categories, line.category);
+    }
+
+    // Private helper checking one rule; returns { message, lines, details } if it is broken, else null
+    #check(definition, context) {
+        const { items = [], subtotal = 0 } = context;
+        const format = context.format || String;
+        const toMajor = minor => RuleModules.Money.fromMinor(minor, context.exponent);
+        const matching = items.filter(item => RuleEngine.matches(item, definition.match));
+        const ids = lines => lines.map(line => line.id);
+
+        switch (definition.type) {
+            case 'minOrderValue': {
+                const minimum = this.#toMinor(definition.amount, context);
+
+                return subtotal < minimum
+                    ? {
+                        message: `Orders must be at least ${format(definition.amount)} (add ${format(toMajor(minimum - subtotal))} more)`,
+                        lines: [],
+                        details: { minimum: definition.amount, subtotal: toMajor(subtotal) }
+                    }
+                    : null;
+            }
+            case 'maxItems': {
+                const inCart = matching.reduce((sum, item) => sum + item.quantity, 0);
+                const purchased = (context.purchased || [])
+                    .filter(item => RuleEngine.matches(item, definition.match))
+                    .reduce((sum, item) => sum + item.quantity, 0);
+                const quantity = inCart + purchased;
+
+                return inCart > 0 && quantity > definition.max
+                    ? {
+                        message: `At most ${definition.max} ${definition.match ? 'of these items' : 'items'} per customer ` +
+                            `(${inCart} in the cart${purchased > 0 ? `, ${purchased} already ordered` : ''})`,
+                        lines: ids(matching),
+                        details: { max: definition.max, quantity, inCart, purchased }
+                    }
+                    : null;
+            }
+            case 'restrictedCombination': {
+                const present = definition.groups.map(group => items.filter(item => RuleEngine.matches(item, group)));
+                const groups = present.filter(lines => lines.length > 0);
+
+                return groups.length > 1
+                    ? {
+                        message: `${groups.map(lines => lines.map(line => line.product).join(', ')).join(' and ')} can't be bought together`,
+                        lines: [...new Set(groups.flatMap(ids))],
+                        details: { groups: present.map(lines => lines.length > 0) }
+                    }
+                    : null;
+            }
+            case 'ageRestricted': {
+                const age = typeof context.age === 'number' ? context.age : null;
+
+                return matching.length > 0 && (age === null || age < definition.minAge)
+                    ? {
+                        message: age === null
+                            ? `${matching.map(line => line.product).join(', ')} ${matching.length === 1 ? 'needs' : 'need'} ` +
+                                `age verification (${definition.minAge}+)`
+                            : `${matching.map(line => line.product).join(', ')} can only be sold to customers aged ${definition.minAge}+`,
+                        lines: ids(matching),
+                        details: { minAge: definition.minAge, age, reason: age === null ? 'AGE_UNKNOWN' : 'TOO_YOUNG' }
+                    }
+                    : null;
+            }
+            case 'regionBan': {
+                const region = this.#bannedRegion(definition.regions, context);
+
+                return matching.length > 0 && region
+                    ? {
+                        message: `${matching.map(line => line.product).join(', ')} can't be sold to ${region}`,
+                        lines: ids(matching),
+                        details: { region }
+                    }
+                    : null;
+            }
+            case 'priceLimit': {
+                const min = definition.min === undefined ? null : this.#toMinor(definition.min, context);
+                const max = definition.max === undefined ? null : this.#toMinor(definition.max, context);
+                const outside = matching.filter(item => (min !== null && item.price < min) || (max !== null && item.price > max));
+
+                return outside.length > 0
+                    ? {
+                        message: `${outside.map(line => `${line.product} (${format(toMajor(line.price))})`).join(', ')} ` +
+                            `${outside.length === 1 ? 'is' : 'are'} outside the allowed price range`,
+                        lines: ids(outside),
+                        details: {
+                            min: definition.min === undefined ? null : definition.min,
+                            max: definition.max === undefined ? null : definition.max,
+                            prices: outside.map(line => toMajor(line.price))
+                        }
+                    }
+                    : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Private helper finding the banned region the cart region or destination falls under
+    // ('US' covers 'US-CA'); null if none
+    #bannedRegion(regions, { region, destination }) {
+        const candidates = [
+            region,
+            destination && destination.country,
+            destination && destination.region && `${destination.country}-${destination.region}`
+        ].filter(code => typeof code === 'string' && code !== '*').map(code => code.toUpperCase());
+        const banned = regions.map(code => code.trim().toUpperCase());
+
+        return candidates.find(code => banned.some(ban => code === ban || code.startsWith(`${ban}-`))) || null;
+    }
+
+    // Private helper converting a definition amount (major units) to the cart's minor units
+    #toMinor(amount, { exponent, roundingMode } = {}) {
+        return RuleModules.Money.toMinor(amount, exponent, roundingMode);
+    }
+
+    // Private helper recording a failure for getLastError()
+    #fail(code, message, details = {}) {
+        this.#lastError = new RuleModules.CartError(code, message, details);
+        return false;
+    }
+
+    // Private helper for rule definition validation
+    #validateDefinition(definition) {
+        const isAmount = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+        const isMatch = match => match && typeof match === 'object' && !Array.isArray(match) &&
+            Object.keys(match).length > 0 &&
+            Object.entries(match).every(([field, list]) => RuleEngine.MATCH_FIELDS.includes(field) &&
+                Array.isArray(list) && list.every(entry => typeof entry === 'string'));
+
+        if (!definition || typeof definition !== 'object') {
+            return this.#fail('INVALID_RULE', 'Rule definition must be an object');
+        }
+
+        if (!RuleEngine.TYPES.includes(definition.type)) {
+            return this.#fail('INVALID_RULE', `Unknown rule type: "${definition.type}"`);
+        }
+
+        if (definition.match !== undefined && !isMatch(definition.match)) {
+            return this.#fail('INVALID_RULE', `Rule match must name ${RuleEngine.MATCH_FIELDS.join(', ')} as arrays of strings`);
+        }
+
+        if (definition.message !== undefined && typeof definition.message !== 'string') {
+            return this.#fail('INVALID_RULE', 'Rule message must be a string');
+        }
+
+        if (definition.currency !== undefined && !RuleModules.Currency.isSupported(definition.currency)) {
+            return this.#fail('INVALID_RULE', `Unsupported rule currency: "${definition.currency}"`);
+        }
+
+        switch (definition.type) {
+            case 'minOrderValue':
+                return isAmount(definition.amount) || this.#fail('INVALID_RULE', 'minOrderValue needs a non-negative amount');
+            case 'maxItems':
+                return (Number.isInteger(definition.max) && definition.max >= 0) ||
+                    this.#fail('INVALID_RULE', 'maxItems needs a non-negative integer max');
+            case 'restrictedCombination':
+                return (Array.isArray(definition.groups) && definition.groups.length > 1 && definition.groups.every(isMatch)) ||
+                    this.#fail('INVALID_RULE', 'restrictedCombination needs two or more match groups');
+            case 'ageRestricted':
+                return (definition.match !== undefined && Number.isInteger(definition.minAge) && definition.minAge > 0) ||
+                    this.#fail('INVALID_RULE', 'ageRestricted needs a match and a positive integer minAge');
+            case 'regionBan':
+                return (Array.isArray(definition.regions) && definition.regions.length > 0 &&
+                    definition.regions.every(code => typeof code === 'string' && code.trim())) ||
+                    this.#fail('INVALID_RULE', 'regionBan needs a non-empty array of region codes');
+            default: {
+                const { min, max } = definition;
+
+                if ((min === undefined && max === undefined) || (min !== undefined && !isAmount(min)) ||
+                    (max !== undefined && !isAmount(max)) || (min !== undefined && max !== undefined && min > max)) {
+                    return this.#fail('INVALID_RULE', 'priceLimit needs a non-negative min and/or max (min not above max)');
+                }
+
+                return true;
+            }
+        }
+    }
+}
+
+// Export for use in Node.js, browsers, and module bundlers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuleEngine;
+}
+// Make available in browser global scope
+if (typeof window !== 'undefined') {
+    window.RuleEngine = RuleEngine;
+}
@@ -0,0 +1,332 @@
+/**
+ * ShippingEngine Module
+ *
+ * A registry of shipping methods that ShoppingCart quotes against its
+ * contents and destination.
+ *
+ * Method types:
+ * - flat: one amount per order
+ * - weight: base amount plus a rate per kg of chargeable weight
+ * - table: amount looked up by destination and weight band
+ * - freeOver: free once the discounted subtotal reaches a threshold, otherwise an amount
+ *
+ * Options (available on every method type):
+ * - label: name shown to customers (default: the method name)
+ * - destinations: countries the method ships to (default: everywhere)
+ * - currency: limit the method to carts in one currency (needed for amounts)
+ *
+ * Chargeable weight is the larger of the actual and the volumetric weight
+ * (length x width x height in cm / 5000) per unit. Amounts in method
+ * definitions are major units; amounts passed to and returned from quote()
+ * are integer minor units.
+ */
+
+// Companion modules: required in Node, or read from the globals registered
+// by their own <script> tags in the browser (include them before this file)
+const ShippingModules = typeof module !== 'undefined' && module.exports
+    ? {
+        Money: require('./Money.js'),
+        Currency: require('./Currency.js'),
+        CartError: require('./CartError.js')
+    }
+    : window;
+
+class ShippingEngine {
+    // Supported method types
+    static TYPES = ['flat', 'weight', 'table', 'freeOver'];
+
+    // Cubic centimetres per kilogram of volumetric weight (the common courier divisor)
+    static DEFAULT_VOLUMETRIC_DIVISOR = 5000;
+
+    // Destination used in rate tables when no more specific one matches
+    static DEFAULT_DESTINATION = '*';
+
+    // Reason codes reported by quote()
+    static REASONS = {
+        AVAILABLE: 'AVAILABLE',
+        UNKNOWN_METHOD: 'UNKNOWN_METHOD',
+        NO_DESTINATION: 'NO_DESTINATION',
+        DESTINATION_NOT_SERVED: 'DESTINATION_NOT_SERVED',
+        OVERWEIGHT: 'OVERWEIGHT',
+        CURRENCY_MISMATCH: 'CURRENCY_MISMATCH'
+    };
+
+    #methods; // Map of method name -> definition
+    #taxCategory; // Tax category shipping is charged under ('exempt' for untaxed)
+    #volumetricDivisor; // cm³ per kg of volumetric weight
+    #lastError; // CartError from the last failed register()
+
+    /**
+     * @param {Object} options - Engine options
+     * @param {Object} options.methods - Initial methods keyed by name
+     * @param {string} options.taxCategory - Tax category shipping is taxed under (default: 'standard';
+     *                                       'exempt' leaves shipping untaxed)
+     * @param {number} options.volumetricDivisor - cm³ per kg of volumetric weight (default: 5000)
+     * @throws {CartError} - INVALID_CONFIG if the tax category or divisor is invalid
+     */
+    constructor({ methods = {}, taxCategory = 'standard', volumetricDivisor = ShippingEngine.DEFAULT_VOLUMETRIC_DIVISOR } = {}) {
+        const { CartError } = ShippingModules;
+
+        if (!taxCategory || typeof taxCategory !== 'string') {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, 'Shipping tax category must be a string');
+        }
+
+        if (typeof volumetricDivisor !== 'number' || volumetricDivisor <= 0) {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, 'Volumetric divisor must be a positive number');
+        }
+
+        this.#methods = new Map();
+        this.#taxCategory = taxCategory;
+        this.#volumetricDivisor = volumetricDivisor;
+        this.#lastError = null;
+
+        for (const [name, definition] of Object.entries(methods)) {
+            this.register(name, definition);
+        }
+    }
+
+    /**
+     * Gets the error from the last register() call that failed
+     * @returns {CartError|null} - Error with code, message and details, or null
+     */
+    getLastError() {
+        return this.#lastError;
+    }
+
+    /**
+     * Gets the tax category shipping is charged under
+     * @returns {string} - Tax category ('exempt' if shipping is untaxed)
+     */
+    getTaxCategory() {
+        return this.#taxCategory;
+    }
+
+    /**
+     * Registers (or replaces) a shipping method
+     * @param {string} name - Method name, e.g. 'standard'
+     * @param {Object} definition - Method definition
+     * @param {string} definition.type - 'flat', 'weight', 'table' or 'freeOver'
+     * @param {number} definition.amount - Charge for flat methods, or below the threshold for freeOver
+     * @param {number} definition.base - Fixed part of a weight-based charge (default: 0)
+     * @param {number} definition.perKg - Charge per kg of chargeable weight (weight)
+     * @param {Object} definition.rates - Weight bands per destination (table), e.g.
+     *                                    { US: [{ maxWeight: 1, amount: 5 }, { maxWeight: 20, amount: 12 }], '*': [...] }
+     * @param {number} definition.threshold - Discounted subtotal from which shipping is free (freeOver)
+     * @param {string} definition.label - Name shown to customers (default: the method name)
+     * @param {string[]} definition.destinations - Country codes the method ships to (default: all)
+     * @param {string} definition.currency - ISO 4217 code the method's amounts are in (default: any)
+     * @returns {boolean} - True if registered
+     */
+    register(name, definition) {
+        this.#lastError = null;
+
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            return this.#fail('INVALID_SHIPPING_METHOD', 'Invalid shipping method name');
+        }
+
+        if (!this.#validateDefinition(definition)) {
+            return false;
+        }
+
+        this.#methods.set(name.trim(), { ...definition });
+        return true;
+    }
+
+    /**
+     * Removes a shipping method
+     * @param {string} name - Method name
+     * @returns {boolean} - True if removed, false if not found
+     */
+    unregister(name) {
+        return this.#methods.delete(name);
+    }
+
+    /**
+     * Checks whether a method is registered
+     * @param {string} name - Method name
+     * @returns {boolean} - True if registered
+     */
+    has(name) {
+        return this.#methods.has(name);
+    }
+
+    /**
+     * Lists all registered methods
+     * @returns {Array} - Method definitions with their name
+     */
+    listMethods() {
+        return [...this.#methods.entries()].map(([name, definition]) => ({ name, ...definition }));
+    }
+
+    /**
+     * Calculates the chargeable weight of a set of lines
+     * @param {Array} items - [{ weight, dimensions: { length, width, height }, quantity }] in kg and cm
+     * @returns {number} - Kilograms
+     */
+    getChargeableWeight(items) {
+        return items.reduce((sum, item) => {
+            const { length, width, height } = item.dimensions || {};
+            const volumetric = item.dimensions ? length * width * height / this.#volumetricDivisor : 0;
+            return sum + Math.max(item.weight || 0, volumetric) * item.quantity;
+        }, 0);
+    }
+
+    /**
+     * Quotes a method for the cart contents and destination
+     * @param {string} name - Method name
+     * @param {Object} context - Cart context
+     * @param {Array} context.items - Cart lines ({ weight, dimensions, quantity })
+     * @param {number} context.subtotal - Subtotal after discounts, in minor units
+     * @param {Object} context.destination - { country, region, postalCode } (optional)
+     * @param {string} context.currency - ISO 4217 code of the cart (default: 'USD')
+     * @param {number} context.exponent - Minor-unit digits of the cart currency (default: 2)
+     * @param {string} context.roundingMode - Rounding mode (default: 'half-up')
+     * @returns {Object} - { method, label, available, reason, message, amount } with amount in minor units
+     */
+    quote(name, context = {}) {
+        const { items = [], subtotal = 0, destination = null } = context;
+        const definition = this.#methods.get(name);
+        const label = definition && definition.label ? definition.label : name;
+        const reject = (reason, message) => ({ method: name, label, available: false, reason, message, amount: 0 });
+
+        if (!definition) {
+            return reject(ShippingEngine.REASONS.UNKNOWN_METHOD, `Unknown shipping method: "${name}"`);
+        }
+
+        const { Currency } = ShippingModules;
+        const currency = context.currency || Currency.DEFAULT_CURRENCY;
+
+        if (definition.currency !== undefined && Currency.normalizeCode(definition.currency) !== Currency.normalizeCode(currency)) {
+            return reject(ShippingEngine.REASONS.CURRENCY_MISMATCH,
+                `${label} is only available for ${Currency.normalizeCode(definition.currency)} carts`);
+        }
+
+        if (definition.destinations !== undefined) {
+            if (!destination) {
+                return reject(ShippingEngine.REASONS.NO_DESTINATION, `${label} needs a destination`);
+            }
+
+            if (!definition.destinations.map(country => country.toUpperCase()).includes(destination.country.toUpperCase())) {
+                return reject(ShippingEngine.REASONS.DESTINATION_NOT_SERVED, `${label} does not ship to ${destination.country}`);
+            }
+        }
+
+        const weight = this.getChargeableWeight(items);
+        let amount;
+
+        switch (definition.type) {
+            case 'flat':
+                amount = this.#toMinor(definition.amount, context);
+                break;
+            case 'weight':
+                amount = this.#toMinor((definition.base || 0) + definition.perKg * weight, context);
+                break;
+            case 'freeOver':
+                amount = subtotal >= this.#toMinor(definition.threshold, context) ? 0 : this.#toMinor(definition.amount, context);
+                break;
+            case 'table': {
+                const band = this.#findBand(definition.rates, destination, weight);
+
+                if (!band) {
+                    return reject(ShippingEngine.REASONS.OVERWEIGHT,
+                        `${label} is not available for ${Number(weight.toFixed(3))} kg to this destination`);
+                }
+
+                amount = this.#toMinor(band.amount, context);
+                break;
+            }
+            default:
+                amount = 0;
+        }
+
+        return {
+            method: name,
+            label,
+            available: true,
+            reason: ShippingEngine.REASONS.AVAILABLE,
+            message: `${label} available`,
+            amount
+        };
+    }
+
+    // Private helper finding the weight band of a rate table for a destination,
+    // falling back from 'US-CA' to 'US' to '*'
+    #findBand(rates, destination, weight) {
+        const chain = destination
+            ? [destination.region && `${destination.country}-${destination.region}`, destination.country]
+            : [];
+        const candidates = [...chain.filter(Boolean).map(code => code.toUpperCase()), ShippingEngine.DEFAULT_DESTINATION];
+        const tableKey = candidates.find(code => Object.keys(rates).some(key => key.toUpperCase() === code));
+
+        if (!tableKey) {
+            return null;
+        }
+
+        const bands = rates[Object.keys(rates).find(key => key.toUpperCase() === tableKey)];
+        return [...bands].sort((a, b) => a.maxWeight - b.maxWeight).find(band => weight <= band.maxWeight) || null;
+    }
+
+    // Private helper converting a definition amount (major units) to the cart's minor units
+    #toMinor(amount, { exponent, roundingMode } = {}) {
+        return ShippingModules.Money.toMinor(amount, exponent, roundingMode);
+    }
+
+    // Private helper recording a failure for getLastError()
+    #fail(code, message, details = {}) {
+        this.#lastError = new ShippingModules.CartError(code, message, details);
+        return false;
+    }
+
+    // Private helper for method definition validation
+    #validateDefinition(definition) {
+        const isAmount = value => typeof value === 'number' && value >= 0;
+
+        if (!definition || typeof definition !== 'object') {
+            return this.#fail('INVALID_SHIPPING_METHOD', 'Shipping method definition must be an object');
+        }
+
+        if (!ShippingEngine.TYPES.includes(definition.type)) {
+            return this.#fail('INVALID_SHIPPING_METHOD', `Unknown shipping method type: "${definition.type}"`);
+        }
+
+        if (['flat', 'freeOver'].includes(definition.type) && !isAmount(definition.amount)) {
+            return this.#fail('INVALID_SHIPPING_METHOD', `${definition.type} shipping needs a non-negative amount`);
+        }
+
+        if (definition.type === 'freeOver' && !isAmount(definition.threshold)) {
+            return this.#fail('INVALID_SHIPPING_METHOD', 'freeOver shipping needs a non-negative threshold');
+        }
+
+        if (definition.type === 'weight' &&
+            (!isAmount(definition.perKg) || (definition.base !== undefined && !isAmount(definition.base)))) {
+            return this.#fail('INVALID_SHIPPING_METHOD', 'Weight-based shipping needs a non-negative perKg (and base)');
+        }
+
+        if (definition.type === 'table' && (!definition.rates || typeof definition.rates !== 'object' ||
+            !Object.values(definition.rates).every(bands => Array.isArray(bands) && bands.length > 0 &&
+                bands.every(band => band && typeof band.maxWeight === 'number' && band.maxWeight > 0 && isAmount(band.amount))))) {
+            return this.#fail('INVALID_SHIPPING_METHOD',
+                'Table-rate shipping needs rates mapping each destination to [{ maxWeight, amount }] bands');
+        }
+
+        if (definition.destinations !== undefined &&
+            (!Array.isArray(definition.destinations) || !definition.destinations.every(country => typeof country === 'string'))) {
+            return this.#fail('INVALID_SHIPPING_METHOD', 'Shipping destinations must be an array of country codes');
+        }
+
+        if (definition.currency !== undefined && !ShippingModules.Currency.isSupported(definition.currency)) {
+            return this.#fail('INVALID_SHIPPING_METHOD', `Unsupported shipping currency: "${definition.currency}"`);
+        }
+
+        return true;
+    }
+}
+
+// Export for use in Node.js, browsers, and module bundlers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShippingEngine;
+}
+// Make available in browser global scope
+if (typeof window !== 'undefined') {
+    window.ShippingEngine = ShippingEngine;
+}
@@ -6,104 +6,508 @@
  * 
  * Features:
  * - Product management (add, remove, update)
- * - Discount code application (case-insensitive)
- * - Tax calculations
- * - Input validation and error handling
+ * - Variant attributes (size, colour) and priced add-ons per line
+ * - Quantity price breaks and customer-group price lists, re-priced as quantities change
+ * - Stock validation and soft reservations via an optional Inventory
+ * - Versioned JSON serialization (toJSON / ShoppingCart.fromJSON)
+ * - Discount code application via a pluggable PromotionEngine (case-insensitive)
+ * - Tax calculations via a configurable TaxEngine (categories, regions, inclusive pricing)
+ * - Shipping quotes via an optional ShippingEngine (item weights and dimensions, destination)
+ * - Integer minor-unit (cents) arithmetic with configurable rounding
+ * - Multi-currency carts with locale-aware formatting and conversion
+ * - Localized summaries via I18n message catalogs (English, Spanish, Arabic built in)
+ * - Input validation with typed CartError codes (boolean, throw or result-object mode)
+ * - Change events (itemAdded, totalsChanged, ...) with before/after snapshots
+ * - Undo/redo history and atomic transactions
+ * - Merging another cart's lines (e.g. a guest cart at login, see CartManager)
+ * - Saved-for-later list (wishlist) with price changes since each item was saved
+ * - Gift cards and store credit as tender against the total (via an optional GiftCardLedger)
+ * - Whole-cart business rules checked before checkout (via an optional RuleEngine)
  */
 
+// Companion modules: required in Node, or read from the globals registered
+// by their own <script> tags in the browser (include them before this file)
+const CartModules = typeof module !== 'undefined' && module.exports
+    ? {
+        Money: require('./Money.js'),
+        Currency: require('./Currency.js'),
+        PromotionEngine: require('./PromotionEngine.js'),
+        TaxEngine: require('./TaxEngine.js'),
+        Catalog: require('./Catalog.js'),
+        TieredPricing: require('./TieredPricing.js'),
+        I18n: require('./I18n.js'),
+        CartError: require('./CartError.js')
+    }
+    : window;
+
 class ShoppingCart {
     // Constants
-    static TAX_RATE = 0.10; // 10% tax
-    static DISCOUNT_CODES = {
-        'SAVE10': 0.10, // 10% discount
-        'SAVE20': 0.20 // 20% discount
+    static TAX_ROUNDING = ['per-invoice', 'per-line'];
+    static DEFAULT_ROUNDING = {
+        mode: 'half-up', // 'half-up' or 'half-even'
+        tax: 'per-invoice' // round tax once on the invoice, or per line
     };
+    static SCHEMA_VERSION = 1; // Version written by toJSON()
+
+    // How failing operations report errors: return false/null (default), throw a
+    // CartError, or return { ok, value, error }
+    static ERROR_MODES = ['boolean', 'throw', 'result'];
+
+    // Events emitted after a successful change (see on())
+    static EVENTS = [
+        'itemAdded', 'itemRemoved', 'quantityChanged', 'discountApplied', 'discountRemoved', 'tenderApplied',
+        'tenderRemoved', 'cleared', 'itemSaved', 'itemMovedToCart', 'savedItemRemoved', 'undone', 'redone', 'merged',
+        'localeChanged', 'totalsChanged'
+    ];
+
+    // Number of changes undo() can step back through
+    static DEFAULT_HISTORY_LIMIT = 50;
 
     // Private fields (using # syntax for true encapsulation)
-    #items; // Map to store cart items by product name
-    #appliedDiscount; // Currently applied discount amount
+    #items; // Map to store cart lines by line id (prices in integer minor units)
+    #saved; // Map of lines saved for later by line id (stored like #items, plus savedPrice and savedAt)
+    #appliedCodes; // Codes currently applied (discounts are recomputed from these on demand)
+    #committedCodes; // Applied codes the cart holds no redemption for: handed to an order (released by the
+    //                  order, not the cart) or restored by fromJSON (still held by the cart that was saved)
+    #tenders; // Gift cards and store credit applied, in order ({ account, amount (minor units, or null for all due) })
+    #giftCards; // GiftCardLedger holding tender balances (null if tenders aren't accepted)
+    #promotions; // PromotionEngine consulted for discount codes
+    #rounding; // Rounding strategy ({ mode, tax })
+    #currency; // ISO 4217 currency code
+    #locale; // Locale used for formatting
+    #i18n; // I18n holding the message catalogs getSummary() is written from
+    #tax; // TaxEngine resolving rates per category and region
+    #region; // Ship-to region used for tax rates
+    #customerGroup; // Normalized customer group lines are priced for (e.g. 'retail', 'wholesale')
+    #catalog; // Catalog supplying authoritative product data (null for free-form carts)
+    #inventory; // Inventory holding stock reservations for this cart (null if stock isn't tracked)
+    #shipping; // ShippingEngine quoting delivery (null if shipping isn't charged)
+    #rules; // RuleEngine validate() checks the cart against (null if there are no rules)
+    #destination; // Ship-to address { country, region, postalCode } (null until set)
+    #shippingMethod; // Name of the chosen shipping method (null until chosen)
+    #errorMode; // 'boolean', 'throw' or 'result'
+    #lastError; // CartError from the last failed operation
+    #listeners; // Map of event name -> Set of listeners
+    #undoStack; // States before each change, most recent last
+    #redoStack; // States undone, most recent last
+    #historyLimit; // Maximum length of the undo stack
+    #transaction; // Innermost open transaction ({ failure, events }), or null
+    #clock; // Function returning the current Date (stamps saved items)
+
+    /**
+     * @param {Object} options - Cart options
+     * @param {PromotionEngine} options.promotions - Promotion engine (default: SAVE10/SAVE20 codes)
+     * @param {Object} options.rounding - Rounding strategy
+     * @param {string} options.rounding.mode - 'half-up' (default) or 'half-even'
+     * @param {string} options.rounding.tax - 'per-invoice' (default) or 'per-line'
+     * @param {string} options.currency - ISO 4217 currency code (default: 'USD')
+     * @param {string} options.locale - Locale used for formatting (default: 'en-US')
+     * @param {I18n} options.i18n - Message catalogs for getSummary() (default: the built-in ones)
+     * @param {TaxEngine} options.tax - Tax engine (default: 10% standard rate, exclusive pricing)
+     * @param {string} options.region - Ship-to region, e.g. 'US-CA' or 'DE' (default: '*')
+     * @param {string} options.customerGroup - Customer group prices come from (default: 'retail')
+     * @param {Catalog} options.catalog - Catalog to price items from by SKU (default: none)
+     * @param {Inventory} options.inventory - Inventory to reserve stock in (default: none)
+     * @param {ShippingEngine} options.shipping - Shipping methods to charge for delivery (default: none)
+     * @param {GiftCardLedger} options.giftCards - Gift card and store-credit balances accepted as tender (default: none)
+     * @param {RuleEngine} options.rules - Business rules validate() checks (default: none)
+     * @param {string} options.errorMode - 'boolean' (default), 'throw' or 'result' (see ERROR_MODES)
+     * @param {number} options.historyLimit - Changes undo() can step back through (default: 50; 0 disables)
+     * @param {Function} options.clock - Returns the current Date (default: () => new Date())
+     * @throws {CartError} - If the rounding strategy, error mode, currency, customer group
+     *                       or history limit is invalid, the catalog or gift card balances are in
+     *                       another currency, or the tax engine doesn't know the shipping tax category
+     */
+    constructor({
+        promotions = CartModules.PromotionEngine.createDefault(),
+        rounding = {},
+        currency = CartModules.Currency.DEFAULT_CURRENCY,
+        locale = CartModules.Currency.DEFAULT_LOCALE,
+        i18n = new CartModules.I18n(),
+        tax = new CartModules.TaxEngine(),
+        region = CartModules.TaxEngine.DEFAULT_REGION,
+        customerGroup = CartModules.TieredPricing.DEFAULT_GROUP,
+        catalog = null,
+        inventory = null,
+        shipping = null,
+        giftCards = null,
+        rules = null,
+        errorMode = 'boolean',
+        historyLimit = ShoppingCart.DEFAULT_HISTORY_LIMIT,
+        clock = () => new Date()
+    } = {}) {
+        const { CartError } = CartModules;
+        const strategy = { ...ShoppingCart.DEFAULT_ROUNDING, ...rounding };
+
+        if (!CartModules.Currency.isSupported(currency)) {
+            throw new CartError(CartError.CODES.UNSUPPORTED_CURRENCY, `Unsupported currency: "${currency}"`, { currency });
+        }
+
+        if (catalog && catalog.getCurrency() !== CartModules.Currency.normalizeCode(currency)) {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, `Catalog prices are in ${catalog.getCurrency()}, not ${currency}`);
+        }
+
+        if (giftCards && giftCards.getCurrency() !== CartModules.Currency.normalizeCode(currency)) {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, `Gift card balances are in ${giftCards.getCurrency()}, not ${currency}`);
+        }
+
+        if (!CartModules.I18n.normalizeLocale(locale)) {
+            throw new CartError(CartError.CODES.INVALID_LOCALE, `Invalid locale: "${locale}"`, { locale });
+        }
+
+        if (!i18n || typeof i18n.withLocale !== 'function') {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, 'i18n must be an I18n instance');
+        }
+
+        if (!CartModules.Money.ROUNDING_MODES.includes(strategy.mode)) {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, `Unknown rounding mode: "${strategy.mode}"`);
+        }
+
+        if (!ShoppingCart.TAX_ROUNDING.includes(strategy.tax)) {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, `Unknown tax rounding: "${strategy.tax}"`);
+        }
+
+        if (!ShoppingCart.ERROR_MODES.includes(errorMode)) {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, `Unknown error mode: "${errorMode}"`);
+        }
+
+        if (!customerGroup || typeof customerGroup !== 'string' || !customerGroup.trim()) {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, 'Customer group must be a non-empty string');
+        }
+
+        if (!Number.isInteger(historyLimit) || historyLimit < 0) {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, 'History limit must be a non-negative integer');
+        }
+
+        if (shipping && !tax.hasCategory(shipping.getTaxCategory())) {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, `Unknown shipping tax category: "${shipping.getTaxCategory()}"`);
+        }
 
-    constructor() {
         this.#items = new Map();
-        this.#appliedDiscount = 0;
+        this.#saved = new Map();
+        this.#appliedCodes = [];
+        this.#committedCodes = new Set();
+        this.#tenders = [];
+        this.#giftCards = giftCards;
+        this.#promotions = promotions;
+        this.#rounding = strategy;
+        this.#currency = CartModules.Currency.normalizeCode(currency);
+        this.#locale = locale;
+        this.#i18n = i18n;
+        this.#tax = tax;
+        this.#region = region;
+        this.#customerGroup = CartModules.TieredPricing.normalizeGroup(customerGroup);
+        this.#catalog = catalog;
+        this.#inventory = inventory;
+        this.#shipping = shipping;
+        this.#rules = rules;
+        this.#destination = null;
+        this.#shippingMethod = null;
+        this.#errorMode = errorMode;
+        this.#lastError = null;
+        this.#listeners = new Map(ShoppingCart.EVENTS.map(event => [event, new Set()]));
+        this.#undoStack = [];
+        this.#redoStack = [];
+        this.#historyLimit = historyLimit;
+        this.#transaction = null;
+        this.#clock = clock;
     }
 
     /**
      * Adds an item to the cart or updates quantity if it exists
-     * @param {string} product - Product name
-     * @param {number} price - Product price
+     *
+     * Without a catalog: addItem(product, price, quantity = 1, options)
+     * With a catalog:    addItem(sku, quantity = 1, options) - name, price and
+     *                    tax category come from the catalog
+     *
+     * Product names are matched ignoring case and surrounding/repeated whitespace,
+     * so "Mouse" and "mouse " are the same line. The same product with different
+     * attributes or add-ons is kept on a separate line.
+     *
+     * Lines are re-priced whenever quantities change: price breaks are reached by
+     * the product's quantity across all its lines (see TieredPricing).
+     * @param {string} product - Product name (or SKU with a catalog)
+     * @param {number} price - Product price (omitted with a catalog)
      * @param {number} quantity - Quantity to add (default: 1)
+     * @param {Object} options - Line options
+     * @param {string} options.taxCategory - Tax category (default: 'standard'; ignored with a catalog)
+     * @param {Object} options.attributes - Variant attributes, e.g. { size: 'L', colour: 'Red' }
+     * @param {Array} options.addOns - Priced add-ons added to the unit price, e.g.
+     *                                 [{ name: 'Extra cheese', price: 1.50 }]; with a catalog,
+     *                                 add-on names whose prices come from the catalog
+     * @param {number} options.weight - Unit weight in kg, for shipping (default: 0; ignored with a catalog)
+     * @param {Object} options.dimensions - Unit size in cm, { length, width, height } (optional;
+     *                                     ignored with a catalog)
+     * @param {Array} options.priceBreaks - Quantity breaks, e.g. [{ minQuantity: 10, price: 89.99 }]
+     *                                      (optional; ignored with a catalog)
+     * @param {Object} options.groupPrices - Customer-group prices, e.g. { wholesale: 84.99 } (optional;
+     *                                       ignored with a catalog)
      * @returns {boolean} - True if successful
-     * @throws {Error} - If validation fails
+     * @throws {CartError} - In 'throw' error mode, if validation fails (see ERROR_MODES)
      */
-    addItem(product, price, quantity = 1) {
-        // Validate inputs
-        if (!this.#validateInputs(product, price, quantity)) {
-            return false;
-        }
-
-        // If product exists, update quantity instead
-        if (this.#items.has(product)) {
-            const currentItem = this.#items.get(product);
-            currentItem.quantity += quantity;
-        } else {
-            // Add new product
-            this.#items.set(product, {
-                price: parseFloat(price),
-                quantity: parseInt(quantity)
-            });
-        }
-
-        return true;
+    addItem(product, ...rest) {
+        return this.#outcome(() => this.#change('itemAdded', () => (this.#catalog
+            ? this.#addCatalogItem(product, ...rest)
+            : this.#addCustomItem(product, ...rest))));
     }
 
     /**
      * Removes a product from the cart
-     * @param {string} product - Product name to remove
+     * @param {string} product - Product name (or SKU with a catalog), or a line id from getCartItems()
+     * @param {Object} selection - Attributes and add-ons identifying a variant line (see addItem)
      * @returns {boolean} - True if removed, false if product not found
      */
-    removeItem(product) {
-        if (!product || typeof product !== 'string') {
-            console.error('Invalid product name');
-            return false;
-        }
+    removeItem(product, selection) {
+        return this.#outcome(() => this.#change('itemRemoved', () => {
+            if (!product || typeof product !== 'string') {
+                return this.#fail('INVALID_PRODUCT', 'Invalid product name');
+            }
 
-        if (!this.#items.has(product)) {
-            console.error(`Product "${product}" not found in cart`);
-            return false;
-        }
+            const key = this.#resolveKey(product, selection);
 
-        this.#items.delete(product);
-        return true;
+            if (!this.#items.has(key)) {
+                return this.#fail('UNKNOWN_PRODUCT', `Product "${product}" not found in cart`, { product });
+            }
+
+            this.#releaseLine(key);
+            this.#items.delete(key);
+            return true;
+        }));
     }
 
     /**
      * Updates the quantity of a product in the cart
-     * @param {string} product - Product name
+     * @param {string} product - Product name (or SKU with a catalog), or a line id from getCartItems()
      * @param {number} quantity - New quantity
+     * @param {Object} selection - Attributes and add-ons identifying a variant line (see addItem)
      * @returns {boolean} - True if successful
      */
-    updateQuantity(product, quantity) {
-        // Validate product name
-        if (!product || typeof product !== 'string') {
-            console.error('Invalid product name');
-            return false;
-        }
+    updateQuantity(product, quantity, selection) {
+        return this.#outcome(() => this.#change('quantityChanged', () => {
+            // Validate product name
+            if (!product || typeof product !== 'string') {
+                return this.#fail('INVALID_PRODUCT', 'Invalid product name');
+            }
 
-        // Check if product exists
-        if (!this.#items.has(product)) {
-            console.error(`Product "${product}" not found in cart`);
-            return false;
+            // Check if product exists
+            const key = this.#resolveKey(product, selection);
+
+            if (!this.#items.has(key)) {
+                return this.#fail('UNKNOWN_PRODUCT', `Product "${product}" not found in cart`, { product });
+            }
+
+            // Validate quantity
+            if (!Number.isInteger(quantity) || quantity <= 0) {
+                return this.#fail('INVALID_QUANTITY', 'Quantity must be a positive integer');
+            }
+
+            if (!this.#checkAvailability(this.#items.get(key), quantity, key)) {
+                return false;
+            }
+
+            this.#items.get(key).quantity = quantity;
+            return true;
+        }));
+    }
+
+    /**
+     * Gets the error from the last operation that failed (cleared by the next
+     * operation), useful in 'boolean' mode to learn why a call returned false
+     * @returns {CartError|null} - Error with code, message and details, or null
+     */
+    getLastError() {
+        return this.#lastError;
+    }
+
+    /**
+     * Subscribes to a cart event. Listeners run synchronously after a successful
+     * change and receive { type, cart, before, after, ... }:
+     * - itemAdded, itemRemoved, quantityChanged: { id, before, after } with the line
+     *   as returned by getCartItems() (null before an add or after a removal)
+     * - discountApplied, discountRemoved: { codes, before, after } with the applied codes
+     * - tenderApplied, tenderRemoved: { before, after } with the tenders (see getTenders)
+     * - cleared, undone, redone, merged: { before, after } with the cart items
+     * - itemSaved: { id, before, after } with the cart line and the saved item (see getSavedItems)
+     * - itemMovedToCart: { id, before, after } with the saved item and the cart line
+     * - savedItemRemoved: { id, before, after: null } with the saved item
+     * - localeChanged: { before, after } with the locales (see setLocale)
+     * - totalsChanged: { before, after } with getTotals(), emitted after the
+     *   other event whenever an amount changed (including via setRegion)
+     * @param {string} event - One of ShoppingCart.EVENTS
+     * @param {Function} listener - Called with the event payload
+     * @returns {Function} - Unsubscribe handle; call it to stop listening
+     * @throws {CartError} - INVALID_CONFIG if the event is unknown or the listener
+     *                       is not a function
+     */
+    on(event, listener) {
+        const { CartError } = CartModules;
+
+        if (!this.#listeners.has(event)) {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, `Unknown cart event: "${event}"`, { event });
         }
 
-        // Validate quantity
-        if (!Number.isInteger(quantity) || quantity <= 0) {
-            console.error('Quantity must be a positive integer');
-            return false;
+        if (typeof listener !== 'function') {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, 'Event listener must be a function', { event });
         }
 
-        this.#items.get(product).quantity = quantity;
-        return true;
+        this.#listeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Unsubscribes a listener added with on()
+     * @param {string} event - Event name
+     * @param {Function} listener - Listener to remove
+     * @returns {boolean} - True if it was subscribed
+     */
+    off(event, listener) {
+        return this.#listeners.has(event) && this.#listeners.get(event).delete(listener);
+    }
+
+    /**
+     * Gets the catalog the cart is priced from
+     * @returns {Catalog|null} - Catalog, or null for free-form carts
+     */
+    getCatalog() {
+        return this.#catalog;
+    }
+
+    /**
+     * Gets the inventory the cart reserves stock in
+     * @returns {Inventory|null} - Inventory, or null if stock isn't tracked
+     */
+    getInventory() {
+        return this.#inventory;
+    }
+
+    /**
+     * Renews the cart's stock reservations (e.g. before checkout), re-reserving
+     * any that expired
+     * @returns {boolean} - True if every line is still held, false if some
+     *                      product is no longer available in the cart quantity
+     */
+    refreshReservations() {
+        return this.#outcome(() => {
+            if (!this.#inventory) {
+                return true;
+            }
+
+            let failure = null;
+
+            // Renew every product, even after one fails, and report the first failure
+            for (const { label, quantity } of this.#reservationTotals()) {
+                if (!this.#inventory.reserve(this, label, quantity) && !failure) {
+                    failure = this.#inventory.getLastError();
+                }
+            }
+
+            return failure ? this.#fail(failure) : true;
+        });
+    }
+
+    /**
+     * Reverts the most recent change (add, remove, quantity update, discount,
+     * region change, clear or transaction)
+     * @returns {boolean} - True if reverted, false if there is nothing to undo or
+     *                      the earlier quantities can no longer be reserved
+     */
+    undo() {
+        return this.#outcome(() => this.#change('undone', () => this.#travel(this.#undoStack, this.#redoStack, 'undo'), false));
+    }
+
+    /**
+     * Re-applies the most recently undone change (cleared by any new change)
+     * @returns {boolean} - True if re-applied, false if there is nothing to redo or
+     *                      the quantities can no longer be reserved
+     */
+    redo() {
+        return this.#outcome(() => this.#change('redone', () => this.#travel(this.#redoStack, this.#undoStack, 'redo'), false));
+    }
+
+    /**
+     * Checks whether undo() has a change to revert
+     * @returns {boolean} - True if undo is possible
+     */
+    canUndo() {
+        return this.#undoStack.length > 0;
+    }
+
+    /**
+     * Checks whether redo() has a change to re-apply
+     * @returns {boolean} - True if redo is possible
+     */
+    canRedo() {
+        return this.#redoStack.length > 0;
+    }
+
+    /**
+     * Forgets the undo/redo history (e.g. after checkout)
+     */
+    clearHistory() {
+        this.#undoStack = [];
+        this.#redoStack = [];
+    }
+
+    /**
+     * Runs several changes as one: if any cart operation inside fails (or the
+     * function throws), every change made inside is rolled back. Events are held
+     * until the transaction commits and dropped on rollback; the whole
+     * transaction is a single undo step.
+     * @param {Function} operations - Receives the cart and makes the changes
+     * @returns {boolean} - True if committed, false if rolled back (getLastError()
+     *                      reports the operation that failed)
+     * @throws {*} - Whatever the function throws (including CartErrors in 'throw'
+     *               error mode), after rolling back
+     *
+     * @example
+     * cart.transaction(tx => {
+     *   tx.removeItem('Mouse');
+     *   tx.addItem('Trackpad', 129, 1);
+     *   tx.applyDiscount('SAVE10');
+     * });
+     */
+    transaction(operations) {
+        return this.#outcome(() => {
+            if (typeof operations !== 'function') {
+                return this.#fail('INVALID_CONFIG', 'Transaction must be a function');
+            }
+
+            const state = this.#captureState();
+            const parent = this.#transaction;
+            const scope = { failure: null, events: [] };
+
+            this.#transaction = scope;
+
+            try {
+                operations(this);
+            } catch (error) {
+                this.#transaction = parent;
+                this.#restoreState(state);
+                if (error instanceof CartModules.CartError) {
+                    this.#fail(error);
+                }
+                throw error;
+            }
+
+            this.#transaction = parent;
+
+            if (scope.failure) {
+                this.#restoreState(state);
+                return this.#fail(scope.failure);
+            }
+
+            if (parent) {
+                parent.events.push(...scope.events);
+            } else {
+                if (ShoppingCart.#stateChanged(state, this.#captureState())) {
+                    this.#remember(state);
+                }
+                scope.events.forEach(({ event, payload }) => this.#emit(event, payload));
+            }
+
+            this.#lastError = null;
+            return true;
+        });
     }
 
     /**
@@ -111,13 +515,7 @@ class ShoppingCart {
      * @returns {number} - Subtotal amount
      */
     getSubtotal() {
-        let subtotal = 0;
-
-        for (const item of this.#items.values()) {
-            subtotal += item.price * item.quantity;
-        }
-
-        return Math.round(subtotal * 100) / 100; // Round to 2 decimal places
+        return this.#fromMinor(this.#computeTotals().subtotal);
     }
 
     /**
@@ -126,39 +524,238 @@ class ShoppingCart {
      * @returns {boolean} - True if valid code applied
      */
     applyDiscount(code) {
-        // Validate code input
-        if (!code || typeof code !== 'string') {
-            console.error('Invalid discount code');
-            return false;
-        }
+        return this.#outcome(() => this.#change('discountApplied', () => {
+            // Validate code input
+            if (!code || typeof code !== 'string') {
+                return this.#fail('INVALID_CODE', 'Invalid discount code');
+            }
 
-        // Make code case-insensitive
-        const normalizedCode = code.toUpperCase().trim();
+            // Ask the promotion engine whether (and by how much) the code applies
+            const result = this.evaluateDiscount(code);
 
-        // Check if code exists
-        if (!ShoppingCart.DISCOUNT_CODES.hasOwnProperty(normalizedCode)) {
-            console.error(`Invalid discount code: "${code}"`);
-            return false;
-        }
+            if (!result.applies) {
+                return this.#fail(
+                    result.reason === CartModules.PromotionEngine.REASONS.UNKNOWN_CODE ? 'INVALID_CODE' : 'CODE_NOT_APPLICABLE',
+                    result.message,
+                    { code: result.code, reason: result.reason }
+                );
+            }
 
-        // Calculate discount amount
-        const discountPercentage = ShoppingCart.DISCOUNT_CODES[normalizedCode];
-        this.#appliedDiscount = this.getSubtotal() * discountPercentage;
+            // Re-applying a code that is already held is a no-op
+            if (this.#appliedCodes.includes(result.code)) {
+                return true;
+            }
 
-        return true;
+            this.#promotions.recordUse(result.code);
+            this.#appliedCodes.push(result.code);
+
+            return true;
+        }));
+    }
+
+    /**
+     * Removes an applied discount code
+     * @param {string} code - Code to remove (default: all applied codes)
+     * @returns {boolean} - True if removed, false if the code was not applied
+     */
+    removeDiscount(code) {
+        return this.#outcome(() => this.#change('discountRemoved', () => {
+            const codes = code === undefined
+                ? [...this.#appliedCodes]
+                : this.#appliedCodes.filter(applied => typeof code === 'string' && applied === code.toUpperCase().trim());
+
+            if (code !== undefined && codes.length === 0) {
+                return this.#fail('CODE_NOT_APPLIED', `Discount code "${code}" is not applied`);
+            }
+
+            codes.forEach(applied => this.#releaseCode(applied));
+            this.#appliedCodes = this.#appliedCodes.filter(applied => !codes.includes(applied));
+
+            return true;
+        }));
+    }
+
+    /**
+     * Hands the redemptions of the applied codes over to an order (called by
+     * Checkout.placeOrder). The codes stay applied, but clearing the cart or
+     * removing them no longer gives their use back; cancelling or refunding the
+     * order does. A code already handed to an earlier order, or restored by
+     * fromJSON, takes a new redemption.
+     * @returns {boolean} - True if committed, false if such a code has reached its
+     *                      usage limit (CODE_NOT_APPLICABLE)
+     */
+    commitCodes() {
+        return this.#outcome(() => {
+            const renewed = this.#appliedCodes.filter(code => this.#committedCodes.has(code));
+            const limited = renewed
+                .map(code => this.#promotions.evaluate(code, this.#promotionContext()))
+                .find(result => result.reason === CartModules.PromotionEngine.REASONS.USAGE_LIMIT_REACHED);
+
+            if (limited) {
+                return this.#fail('CODE_NOT_APPLICABLE', limited.message, { code: limited.code, reason: limited.reason });
+            }
+
+            renewed.forEach(code => this.#promotions.recordUse(code));
+            this.#appliedCodes.forEach(code => this.#committedCodes.add(code));
+            return true;
+        });
+    }
+
+    /**
+     * Gets the discount codes currently applied to the cart
+     * @returns {string[]} - Normalized codes
+     */
+    getAppliedCodes() {
+        return [...this.#appliedCodes];
+    }
+
+    /**
+     * Checks a discount code against the current cart (including the stacking
+     * policies of the codes already applied) without applying it
+     * @param {string} code - Discount code
+     * @returns {Object} - { code, applies, reason, message, amount }
+     */
+    evaluateDiscount(code) {
+        const result = this.#promotions.evaluate(code, this.#promotionContext({ appliedCodes: this.#appliedCodes }));
+        return { ...result, amount: this.#fromMinor(result.amount) };
+    }
+
+    /**
+     * Explains what each applied code currently contributes
+     * @returns {Array} - [{ code, applies, reason, message, amount }] per applied code
+     */
+    getDiscountBreakdown() {
+        return this.#computeTotals().promotions.results.map(result => ({
+            ...result,
+            amount: this.#fromMinor(result.amount)
+        }));
+    }
+
+    /**
+     * Gets the promotion engine, e.g. to register new codes at runtime
+     * @returns {PromotionEngine} - The cart's promotion engine
+     */
+    getPromotionEngine() {
+        return this.#promotions;
+    }
+
+    /**
+     * Applies a gift card or store-credit balance as tender against the total.
+     * Tenders pay the total after tax instead of discounting it, so the taxable
+     * amount is unchanged. They are taken in the order applied, each covering
+     * what is still due up to its balance (and the amount given); the rest is
+     * due by other means. Balances are only redeemed when the order is placed
+     * (see Checkout). Applying an account again changes its amount.
+     * @param {string} account - Gift card code or store-credit account in the cart's GiftCardLedger
+     * @param {number} amount - Most to take from it (default: whatever is due)
+     * @returns {boolean} - True if applied
+     */
+    applyTender(account, amount) {
+        return this.#outcome(() => this.#change('tenderApplied', () => {
+            if (!this.#giftCards) {
+                return this.#fail('INVALID_CONFIG', 'This cart accepts no gift cards (no GiftCardLedger given)');
+            }
+
+            if (!account || typeof account !== 'string') {
+                return this.#fail('INVALID_GIFT_CARD', 'Invalid gift card or account', { reason: 'UNKNOWN' });
+            }
+
+            const details = this.#giftCards.getAccount(account);
+
+            if (!details) {
+                return this.#fail('INVALID_GIFT_CARD', `Unknown gift card or account: "${account}"`,
+                    { account, reason: 'UNKNOWN' });
+            }
+
+            if (details.expired || details.balance <= 0) {
+                return this.#fail('INVALID_GIFT_CARD', `${details.id} ${details.expired ? 'has expired' : 'has no balance left'}`,
+                    { account: details.id, reason: details.expired ? 'EXPIRED' : 'EMPTY' });
+            }
+
+            if (amount !== undefined && (typeof amount !== 'number' || !(amount > 0) || amount === Infinity)) {
+                return this.#fail('INVALID_PRICE', 'Tender amount must be a positive number', { amount });
+            }
+
+            if (amount !== undefined && this.#toMinor(amount) > this.#toMinor(details.balance)) {
+                return this.#fail('INSUFFICIENT_BALANCE', `Only ${this.formatAmount(details.balance)} left on ${details.id}`,
+                    { account: details.id, balance: details.balance, requested: amount });
+            }
+
+            const tender = { account: details.id, amount: amount === undefined ? null : this.#toMinor(amount) };
+            const index = this.#tenders.findIndex(applied => applied.account === tender.account);
+
+            if (index >= 0) {
+                this.#tenders[index] = tender;
+            } else {
+                this.#tenders.push(tender);
+            }
+
+            return true;
+        }));
+    }
+
+    /**
+     * Removes an applied gift card or store-credit account
+     * @param {string} account - Account to remove (default: all tenders)
+     * @returns {boolean} - True if removed, false if the account was not applied
+     */
+    removeTender(account) {
+        return this.#outcome(() => this.#change('tenderRemoved', () => {
+            if (account === undefined) {
+                this.#tenders = [];
+                return true;
+            }
+
+            const key = typeof account === 'string' ? account.replace(/\s+/g, '').toUpperCase() : null;
+
+            if (!this.#tenders.some(applied => applied.account === key)) {
+                return this.#fail('INVALID_GIFT_CARD', `"${account}" is not applied to the cart`,
+                    { account, reason: 'NOT_APPLIED' });
+            }
+
+            this.#tenders = this.#tenders.filter(applied => applied.account !== key);
+            return true;
+        }));
+    }
+
+    /**
+     * Gets the applied gift cards and store credit with what each pays now
+     * @returns {Array} - [{ account, type, requested, balance, amount }], in the order applied;
+     *                    requested is the amount given to applyTender (null for whatever is due),
+     *                    balance what the account holds and amount what it pays of the total
+     */
+    getTenders() {
+        return this.#computeTotals().tenders.map(tender => ({
+            account: tender.account,
+            type: tender.type,
+            requested: tender.requested === null ? null : this.#fromMinor(tender.requested),
+            balance: this.#fromMinor(tender.balance),
+            amount: this.#fromMinor(tender.amount)
+        }));
+    }
+
+    /**
+     * Gets the GiftCardLedger tenders are drawn from
+     * @returns {GiftCardLedger|null} - The cart's ledger, or null if it accepts no gift cards
+     */
+    getGiftCards() {
+        return this.#giftCards;
+    }
+
+    /**
+     * Calculates what is left to pay after gift cards and store credit
+     * @returns {number} - Total minus the tendered amount
+     */
+    getAmountDue() {
+        return this.#fromMinor(this.#computeTotals().amountDue);
     }
 
     /**
-     * Calculates the final total (subtotal - discount + tax)
+     * Calculates the final total (subtotal - discount + shipping + tax)
      * @returns {number} - Total payable amount
      */
     getTotal() {
-        const subtotal = this.getSubtotal();
-        const discountedAmount = subtotal - this.#appliedDiscount;
-        const tax = discountedAmount * ShoppingCart.TAX_RATE;
-        const total = discountedAmount + tax;
-
-        return Math.round(total * 100) / 100; // Round to 2 decimal places
+        return this.#fromMinor(this.#computeTotals().total);
     }
 
     /**
@@ -166,7 +763,7 @@ class ShoppingCart {
      * @returns {number} - Discount amount
      */
     getDiscount() {
-        return Math.round(this.#appliedDiscount * 100) / 100;
+        return this.#fromMinor(this.#computeTotals().discount);
     }
 
     /**
@@ -174,93 +771,1802 @@ class ShoppingCart {
      * @returns {number} - Tax amount
      */
     getTax() {
-        const discountedAmount = this.getSubtotal() - this.#appliedDiscount;
-        const tax = discountedAmount * ShoppingCart.TAX_RATE;
-        return Math.round(tax * 100) / 100;
+        return this.#fromMinor(this.#computeTotals().tax);
     }
 
     /**
-     * Returns all items in the cart
-     * @returns {Array} - Array of cart items with product name, price, and quantity
+     * Gets all totals from a single calculation; subtotal - discount + shipping
+     * + tax always equals total exactly (with tax-inclusive pricing the tax is
+     * already part of the prices, so subtotal - discount + shipping equals total).
+     * Gift cards and store credit pay part of the total: tendered + amountDue = total
+     * @returns {Object} - { subtotal, discount, shipping, tax, total, taxIncluded, tendered, amountDue }
      */
-    getCartItems() {
-        const items = [];
+    getTotals() {
+        const { subtotal, discount, shippingAmount, tax, total, tendered, amountDue } = this.#computeTotals();
 
-        for (const [product, details] of this.#items.entries()) {
-            items.push({
-                product,
-                price: details.price,
-                quantity: details.quantity,
-                itemTotal: Math.round(details.price * details.quantity * 100) / 100
-            });
-        }
+        return {
+            subtotal: this.#fromMinor(subtotal),
+            discount: this.#fromMinor(discount),
+            shipping: this.#fromMinor(shippingAmount),
+            tax: this.#fromMinor(tax),
+            total: this.#fromMinor(total),
+            taxIncluded: this.#tax.getMode() === 'inclusive',
+            tendered: this.#fromMinor(tendered),
+            amountDue: this.#fromMinor(amountDue)
+        };
+    }
 
-        return items;
+    /**
+     * Gets the tax per rate
+     * @returns {Array} - [{ name, rate, taxable, tax }]
+     */
+    getTaxBreakdown() {
+        return this.#computeTotals().taxes.breakdown.map(entry => ({
+            ...entry,
+            taxable: this.#fromMinor(entry.taxable),
+            tax: this.#fromMinor(entry.tax)
+        }));
     }
 
     /**
-     * Clears all items from the cart
+     * Sets the ship-to region used to resolve tax rates
+     * @param {string} region - Region code, e.g. 'US-CA' or 'DE'
+     * @returns {boolean} - True if successful
      */
-    clearCart() {
-        this.#items.clear();
-        this.#appliedDiscount = 0;
+    setRegion(region) {
+        return this.#outcome(() => this.#change(null, () => {
+            if (!region || typeof region !== 'string') {
+                return this.#fail('INVALID_REGION', 'Invalid region');
+            }
+
+            this.#region = region.trim();
+            return true;
+        }));
     }
 
     /**
-     * Gets the number of items in the cart
-     * @returns {number} - Number of unique products
+     * Gets the ship-to region
+     * @returns {string} - Region code
      */
-    getItemCount() {
-        return this.#items.size;
+    getRegion() {
+        return this.#region;
     }
 
     /**
-     * Generates a detailed cart summary
-     * @returns {string} - Formatted cart summary
+     * Sets the customer group lines are priced for (see TieredPricing)
+     * @param {string} group - Customer group, e.g. 'retail', 'wholesale' or 'b2b'
+     * @returns {boolean} - True if successful
      */
-    getSummary() {
-        if (this.getItemCount() === 0) {
-            return 'Cart is empty';
-        }
+    setCustomerGroup(group) {
+        return this.#outcome(() => this.#change(null, () => {
+            if (!group || typeof group !== 'string' || !group.trim()) {
+                return this.#fail('INVALID_CUSTOMER_GROUP', 'Customer group must be a non-empty string');
+            }
 
-        const items = this.getCartItems();
-        let summary = '=== CART SUMMARY ===\n';
+            this.#customerGroup = CartModules.TieredPricing.normalizeGroup(group);
+            return true;
+        }));
+    }
 
-        items.forEach(item => {
-            summary += `${item.product}: $${item.price.toFixed(2)} x ${item.quantity} = $${item.itemTotal.toFixed(2)}\n`;
-        });
+    /**
+     * Gets the customer group lines are priced for
+     * @returns {string} - Normalized customer group, e.g. 'retail'
+     */
+    getCustomerGroup() {
+        return this.#customerGroup;
+    }
+
+    /**
+     * Sets the ship-to address used to quote shipping
+     * @param {Object|null} destination - { country, region, postalCode } (country required), or null to clear
+     * @returns {boolean} - True if successful
+     */
+    setDestination(destination) {
+        return this.#outcome(() => this.#change(null, () => {
+            if (destination === null) {
+                this.#destination = null;
+                return true;
+            }
 
-        summary += `\nSubtotal: $${this.getSubtotal().toFixed(2)}\n`;
+            if (!destination || typeof destination.country !== 'string' || !destination.country.trim() ||
+                ['region', 'postalCode'].some(field => destination[field] !== undefined && typeof destination[field] !== 'string')) {
+                return this.#fail('INVALID_DESTINATION', 'Destination needs a country code (and optional region and postalCode strings)');
+            }
 
-        if (this.getDiscount() > 0) {
-            summary += `Discount: -$${this.getDiscount().toFixed(2)}\n`;
-        }
+            this.#destination = {
+                country: destination.country.trim().toUpperCase(),
+                region: destination.region ? destination.region.trim().toUpperCase() : null,
+                postalCode: destination.postalCode ? destination.postalCode.trim() : null
+            };
+            return true;
+        }));
+    }
 
-        summary += `Tax (10%): $${this.getTax().toFixed(2)}\n`;
-        summary += `==================\n`;
-        summary += `TOTAL: $${this.getTotal().toFixed(2)}`;
+    /**
+     * Gets the ship-to address
+     * @returns {Object|null} - { country, region, postalCode }, or null if not set
+     */
+    getDestination() {
+        return this.#destination ? { ...this.#destination } : null;
+    }
 
-        return summary;
+    /**
+     * Chooses the shipping method charged in the totals
+     * @param {string|null} method - Method name from getShippingOptions(), or null to clear
+     * @returns {boolean} - True if chosen, false if unknown or not available for the
+     *                      current items and destination
+     */
+    setShippingMethod(method) {
+        return this.#outcome(() => this.#change(null, () => {
+            if (method === null) {
+                this.#shippingMethod = null;
+                return true;
+            }
+
+            if (!this.#shipping || !this.#shipping.has(method)) {
+                return this.#fail('UNKNOWN_SHIPPING_METHOD', `Unknown shipping method: "${method}"`, { method });
+            }
+
+            const quote = this.#quoteShipping(method);
+
+            if (!quote.available) {
+                return this.#fail('SHIPPING_NOT_AVAILABLE', quote.message, { method, reason: quote.reason });
+            }
+
+            this.#shippingMethod = method;
+            return true;
+        }));
     }
 
-    // Private helper method for input validation
-    #validateInputs(product, price, quantity) {
-        // Validate product name
-        if (!product || typeof product !== 'string') {
-            console.error('Invalid product name');
-            return false;
-        }
+    /**
+     * Gets the name of the chosen shipping method
+     * @returns {string|null} - Method name, or null if none is chosen
+     */
+    getShippingMethod() {
+        return this.#shippingMethod;
+    }
 
-        // Validate price
-        if (typeof price !== 'number' || price < 0) {
-            console.error('Price must be a non-negative number');
-            return false;
+    /**
+     * Quotes every shipping method for the current items and destination
+     * @returns {Array} - [{ method, label, available, reason, message, amount }]
+     */
+    getShippingOptions() {
+        if (!this.#shipping) {
+            return [];
         }
 
-        // Validate quantity
-        if (!Number.isInteger(quantity) || quantity <= 0) {
-            console.error('Quantity must be a positive integer');
-            return false;
+        return this.#shipping.listMethods().map(({ name }) => {
+            const quote = this.#quoteShipping(name);
+            return { ...quote, amount: this.#fromMinor(quote.amount) };
+        });
+    }
+
+    /**
+     * Gets the quote for the chosen shipping method; a method that stops being
+     * available (e.g. the cart got too heavy) is charged nothing and reported
+     * with available: false, so check it before checkout
+     * @returns {Object|null} - { method, label, available, reason, message, amount },
+     *                          or null if no method is chosen
+     */
+    getShipping() {
+        const { shipping } = this.#computeTotals();
+        return shipping ? { ...shipping, amount: this.#fromMinor(shipping.amount) } : null;
+    }
+
+    /**
+     * Checks the whole cart against the business rules (minimum order value,
+     * item limits, restricted combinations, age and region restrictions, price
+     * limits; see RuleEngine). Every broken rule is reported, so a UI can block
+     * checkout and explain all the reasons at once. Checkout.placeOrder() refuses
+     * carts that don't validate.
+     * @param {Object} customer - What is known about the customer
+     * @param {number} customer.age - Verified age in years (age-restricted items fail without it)
+     * @param {Array} customer.purchased - Lines the customer already ordered, counted against
+     *                                     per-customer item limits ([{ sku, product, quantity }],
+     *                                     e.g. the lines of their paid orders; default: none)
+     * @returns {Object} - { valid, violations: [{ rule, type, code, message, lines, details }] },
+     *                     where lines are ids from getCartItems(); always valid without a RuleEngine
+     */
+    validate({ age, purchased = [] } = {}) {
+        if (!this.#rules) {
+            return { valid: true, violations: [] };
+        }
+
+        // Categories come from the catalog, for earlier orders' lines as for the cart's
+        const categoryOf = line => {
+            const product = line.sku && this.#catalog ? this.#catalog.getProduct(line.sku) : null;
+            return product ? product.category : line.category || null;
+        };
+        const totals = this.#computeTotals();
+        const violations = this.#rules.evaluate({
+            items: totals.lines.map(line => ({
+                id: line.id,
+                sku: line.sku,
+                product: line.product,
+                category: categoryOf(line),
+                quantity: line.quantity,
+                price: line.price
+            })),
+            purchased: (Array.isArray(purchased) ? purchased : [])
+                .filter(line => line && Number.isInteger(line.quantity) && line.quantity > 0)
+                .map(line => ({ sku: line.sku || null, product: line.product, category: categoryOf(line), quantity: line.quantity })),
+            subtotal: totals.subtotal - totals.discount,
+            region: this.#region,
+            destination: this.#destination,
+            age,
+            currency: this.#currency,
+            exponent: this.#getExponent(),
+            roundingMode: this.#rounding.mode,
+            format: amount => this.formatAmount(amount)
+        });
+
+        return { valid: violations.length === 0, violations };
+    }
+
+    /**
+     * Gets the rule engine validate() checks, e.g. to register rules at runtime
+     * @returns {RuleEngine|null} - The cart's rule engine, or null if it has none
+     */
+    getRules() {
+        return this.#rules;
+    }
+
+    /**
+     * Returns all items in the cart
+     * @returns {Array} - Array of cart items with line id, SKU, product name, attributes,
+     *                    add-ons ([{ name, price }]), base and unit price, list price
+     *                    (unit price before breaks and group prices), effective price
+     *                    (same as price), savings (line total below list), quantity,
+     *                    weight and dimensions, and the discounts ([{ code, amount }])
+     *                    applied to each line
+     */
+    getCartItems() {
+        return this.#computeTotals().lines.map(line => ({
+            id: line.id,
+            sku: line.sku,
+            product: line.product,
+            attributes: { ...line.attributes },
+            addOns: line.addOns.map(({ name, price }) => ({ name, price: this.#fromMinor(price) })),
+            basePrice: this.#fromMinor(line.basePrice),
+            price: this.#fromMinor(line.price),
+            listPrice: this.#fromMinor(line.listPrice),
+            effectivePrice: this.#fromMinor(line.price),
+            savings: this.#fromMinor(line.savings),
+            quantity: line.quantity,
+            itemTotal: this.#fromMinor(line.total),
+            taxCategory: line.taxCategory,
+            weight: line.weight,
+            dimensions: line.dimensions ? { ...line.dimensions } : null,
+            discounts: line.discounts.map(({ code, amount }) => ({
+                code,
+                amount: this.#fromMinor(amount)
+            }))
+        }));
+    }
+
+    /**
+     * Clears all items, discount codes and tenders from the cart (items saved for later are kept)
+     */
+    clearCart() {
+        this.#lastError = null;
+        this.#change('cleared', () => {
+            if (this.#inventory) {
+                this.#inventory.release(this);
+            }
+
+            this.#appliedCodes.forEach(code => this.#releaseCode(code));
+            this.#appliedCodes = [];
+            this.#tenders = [];
+            this.#items.clear();
+            return true;
+        });
+    }
+
+    /**
+     * Merges another cart's lines into this one, as a single change and undo step.
+     * A line already here (same product, attributes and add-ons) gets the quantity
+     * resolveQuantity picks; other lines are added. Stock, purchase limits and
+     * prices are checked as addItem would; if any line can't be merged, nothing
+     * is. Items saved for later that aren't saved here are copied over too.
+     * Discount codes and tenders are not merged.
+     * @param {ShoppingCart} source - Cart in the same currency to take the lines from (left unchanged)
+     * @param {Object} options - Merge options
+     * @param {Function} options.resolveQuantity - (current, incoming) => quantity for lines in
+     *                                             both carts (default: their sum)
+     * @returns {boolean} - True if merged
+     */
+    merge(source, { resolveQuantity = (current, incoming) => current + incoming } = {}) {
+        return this.#outcome(() => this.#change('merged', () => {
+            if (!(source instanceof ShoppingCart) || source === this) {
+                return this.#fail('INVALID_CONFIG', 'merge needs another ShoppingCart');
+            }
+
+            if (source.#currency !== this.#currency) {
+                return this.#fail('CURRENCY_MISMATCH', `Cannot merge a ${source.#currency} cart into a ${this.#currency} cart`,
+                    { from: source.#currency, to: this.#currency });
+            }
+
+            const state = this.#captureState();
+
+            for (const [key, line] of source.#items.entries()) {
+                if (!this.#mergeLine(key, line, resolveQuantity)) {
+                    const failure = this.#lastError;
+                    this.#restoreState(state);
+                    return this.#fail(failure);
+                }
+            }
+
+            for (const [key, line] of source.#saved.entries()) {
+                if (this.#saved.has(key)) {
+                    continue;
+                }
+
+                if (Boolean(line.sku) !== Boolean(this.#catalog)) {
+                    this.#restoreState(state);
+                    return this.#fail('INVALID_PRODUCT', `Saved item "${line.product}" doesn't fit this cart's catalog`,
+                        { product: line.product });
+                }
+
+                this.#saved.set(key, ShoppingCart.#copyLine(line));
+            }
+
+            return true;
+        }));
+    }
+
+    /**
+     * Moves a line out of the cart into the saved-for-later list (wishlist),
+     * releasing its stock reservation. The unit price it had is kept, so
+     * getSavedItems() can report how the price changed since. Saving a line
+     * that is already saved adds to its quantity (keeping the first saved price).
+     * @param {string} product - Product name (or SKU with a catalog), or a line id from getCartItems()
+     * @param {Object} selection - Attributes and add-ons identifying a variant line (see addItem)
+     * @returns {boolean} - True if saved, false if the product is not in the cart
+     */
+    moveToSaved(product, selection) {
+        return this.#outcome(() => this.#change('itemSaved', () => {
+            if (!product || typeof product !== 'string') {
+                return this.#fail('INVALID_PRODUCT', 'Invalid product name');
+            }
+
+            const key = this.#resolveKey(product, selection);
+
+            if (!this.#items.has(key)) {
+                return this.#fail('UNKNOWN_PRODUCT', `Product "${product}" not found in cart`, { product });
+            }
+
+            const line = this.#items.get(key);
+            const current = this.#saved.get(key);
+            const { price } = this.#getLineItems().find(item => item.id === key);
+
+            // The latest line replaces the saved one, so a changed free-form price shows as a price change
+            this.#saved.set(key, {
+                ...ShoppingCart.#copyLine(line),
+                quantity: line.quantity + (current ? current.quantity : 0),
+                savedPrice: current ? current.savedPrice : price,
+                savedAt: current ? current.savedAt : this.#clock().getTime()
+            });
+
+            this.#releaseLine(key);
+            this.#items.delete(key);
+            return true;
+        }));
+    }
+
+    /**
+     * Moves an item saved for later back into the cart at its current price, as
+     * addItem would add it (stock, purchase limits and price conflicts are
+     * checked). If it can't be added, it stays saved.
+     * @param {string} product - Product name (or SKU with a catalog), or a saved item id
+     * @param {Object} selection - Attributes and add-ons identifying a variant line (see addItem)
+     * @returns {boolean} - True if moved, false if it isn't saved or can't be added
+     */
+    moveToCart(product, selection) {
+        return this.#outcome(() => this.#change('itemMovedToCart', () => {
+            if (!product || typeof product !== 'string') {
+                return this.#fail('INVALID_PRODUCT', 'Invalid product name');
+            }
+
+            const key = this.#resolveKey(product, selection, this.#saved);
+
+            if (!this.#saved.has(key)) {
+                return this.#fail('UNKNOWN_PRODUCT', `Product "${product}" is not saved for later`, { product });
+            }
+
+            if (!this.#addStoredLine(this.#saved.get(key))) {
+                return false;
+            }
+
+            this.#saved.delete(key);
+            return true;
+        }));
+    }
+
+    /**
+     * Deletes an item from the saved-for-later list
+     * @param {string} product - Product name (or SKU with a catalog), or a saved item id
+     * @param {Object} selection - Attributes and add-ons identifying a variant line (see addItem)
+     * @returns {boolean} - True if removed, false if it isn't saved
+     */
+    removeSavedItem(product, selection) {
+        return this.#outcome(() => this.#change('savedItemRemoved', () => {
+            if (!product || typeof product !== 'string') {
+                return this.#fail('INVALID_PRODUCT', 'Invalid product name');
+            }
+
+            const key = this.#resolveKey(product, selection, this.#saved);
+
+            if (!this.#saved.delete(key)) {
+                return this.#fail('UNKNOWN_PRODUCT', `Product "${product}" is not saved for later`, { product });
+            }
+
+            return true;
+        }));
+    }
+
+    /**
+     * Gets the items saved for later, priced as they would be in the cart now
+     * (catalog prices and the customer group apply) next to the price they had
+     * when saved
+     * @returns {Array} - [{ id, sku, product, attributes, addOns, quantity, savedPrice, price,
+     *                    priceChange, savedAt, available }], where priceChange is price - savedPrice
+     *                    (negative for a price drop), savedAt a Date and available false if
+     *                    the catalog no longer has the product in stock
+     */
+    getSavedItems() {
+        return [...this.#saved.entries()].map(([id, details]) => {
+            const line = this.#priceLine(details, details.quantity);
+            const product = details.sku && this.#catalog ? this.#catalog.getProduct(details.sku) : null;
+
+            return {
+                id,
+                sku: line.sku,
+                product: line.product,
+                attributes: { ...line.attributes },
+                addOns: line.addOns.map(({ name, price }) => ({ name, price: this.#fromMinor(price) })),
+                quantity: details.quantity,
+                savedPrice: this.#fromMinor(details.savedPrice),
+                price: this.#fromMinor(line.price),
+                priceChange: this.#fromMinor(line.price - details.savedPrice),
+                savedAt: new Date(details.savedAt),
+                available: !details.sku || !this.#catalog || Boolean(product && product.stock >= details.quantity)
+            };
+        });
+    }
+
+    /**
+     * Gets the number of items in the cart
+     * @returns {number} - Number of unique products
+     */
+    getItemCount() {
+        return this.#items.size;
+    }
+
+    /**
+     * Gets the cart currency
+     * @returns {string} - ISO 4217 currency code
+     */
+    getCurrency() {
+        return this.#currency;
+    }
+
+    /**
+     * Gets the locale used for formatting
+     * @returns {string} - Locale, e.g. 'en-US'
+     */
+    getLocale() {
+        return this.#locale;
+    }
+
+    /**
+     * Changes the locale used for formatting and getSummary() messages (a display
+     * setting: it doesn't change the totals or the undo history). Emits localeChanged
+     * so user interfaces can re-render
+     * @param {string} locale - BCP 47 locale, e.g. 'es-ES' or 'ar-EG'
+     * @returns {boolean} - True if changed, false if the locale is invalid
+     */
+    setLocale(locale) {
+        return this.#outcome(() => this.#change('localeChanged', () => {
+            const canonical = CartModules.I18n.normalizeLocale(locale);
+
+            if (!canonical) {
+                return this.#fail('INVALID_LOCALE', `Invalid locale: "${locale}"`, { locale });
+            }
+
+            this.#locale = canonical;
+            return true;
+        }));
+    }
+
+    /**
+     * Gets the message catalogs used by getSummary(), e.g. to add a locale or
+     * translate a user interface with the same catalogs
+     * @returns {I18n} - The cart's I18n
+     */
+    getI18n() {
+        return this.#i18n;
+    }
+
+    /**
+     * Formats an amount in the cart currency and locale
+     * @param {number} amount - Major amount
+     * @returns {string} - Formatted amount (e.g. "$19.99", "19,99 €", "￥1,500")
+     */
+    formatAmount(amount) {
+        return CartModules.Currency.format(amount, this.#currency, this.#locale);
+    }
+
+    /**
+     * Creates a copy of the cart re-priced into another currency
+     * @param {string} currency - Target ISO 4217 currency code
+     * @param {Object} rateTable - { base: 'USD', rates: { EUR: 0.92, ... } }
+     * @param {Object} options - Overrides for the new cart (e.g. { locale: 'de-DE' })
+     * @returns {ShoppingCart|null} - Converted cart, or null if the conversion fails
+     */
+    convertTo(currency, rateTable, options = {}) {
+        return this.#outcome(() => {
+            const { Currency } = CartModules;
+            let converted;
+            let rate;
+
+            if (this.#catalog) {
+                this.#fail('CONVERSION_FAILED', 'Carts priced from a catalog can only be in the catalog currency');
+                return null;
+            }
+
+            try {
+                rate = Currency.getRate(this.#currency, currency, rateTable);
+                converted = new ShoppingCart({
+                    promotions: this.#promotions,
+                    rounding: this.#rounding,
+                    locale: this.#locale,
+                    i18n: this.#i18n,
+                    tax: this.#tax,
+                    region: this.#region,
+                    customerGroup: this.#customerGroup,
+                    shipping: this.#shipping,
+                    rules: this.#rules,
+                    clock: this.#clock,
+                    ...options,
+                    currency
+                });
+
+                for (const line of this.#getLineItems()) {
+                    const added = converted.#addCustomItem(line.product, this.#fromMinor(line.listBasePrice) * rate, line.quantity, {
+                        ...this.#pricingOptions(line.pricing, rate),
+                        taxCategory: line.taxCategory,
+                        attributes: line.attributes,
+                        addOns: line.addOns.map(({ name, price }) => ({ name, price: this.#fromMinor(price) * rate })),
+                        weight: line.weight,
+                        dimensions: line.dimensions
+                    });
+
+                    if (!added) {
+                        throw converted.#lastError;
+                    }
+                }
+            } catch (error) {
+                this.#fail(error instanceof CartModules.CartError ? error : 'CONVERSION_FAILED', error.message);
+                return null;
+            }
+
+            // Carry over the codes that are still valid in the new currency
+            this.#appliedCodes.forEach(code => {
+                if (converted.evaluateDiscount(code).applies) {
+                    converted.#promotions.recordUse(code);
+                    converted.#appliedCodes.push(code);
+                }
+            });
+
+            // Saved items keep their saved price, converted at the same rate
+            const convert = price => converted.#toMinor(this.#fromMinor(price) * rate);
+
+            this.#saved.forEach((line, key) => {
+                converted.#saved.set(key, {
+                    ...ShoppingCart.#copyLine(line),
+                    price: convert(line.price),
+                    addOns: line.addOns.map(({ name, price }) => ({ name, price: convert(price) })),
+                    pricing: CartModules.TieredPricing.map(line.pricing, convert),
+                    savedPrice: convert(line.savedPrice)
+                });
+            });
+
+            converted.#destination = this.getDestination();
+
+            // Keep the shipping method if it is still available (its amounts may be currency-specific)
+            if (this.#shippingMethod && converted.#quoteShipping(this.#shippingMethod).available) {
+                converted.#shippingMethod = this.#shippingMethod;
+            }
+
+            converted.#lastError = null;
+            return converted;
+        });
+    }
+
+    /**
+     * Generates a detailed cart summary in the cart's locale (messages come from
+     * the I18n catalogs, falling back to English)
+     * @returns {string} - Formatted cart summary
+     */
+    getSummary() {
+        const i18n = this.#i18n.withLocale(this.#locale);
+
+        if (this.getItemCount() === 0) {
+            return i18n.t('summary.empty');
+        }
+
+        const items = this.getCartItems();
+        const totals = this.getTotals();
+
+        const format = amount => this.formatAmount(amount);
+        let summary = `${i18n.t('summary.title')}\n`;
+
+        items.forEach(item => {
+            const variant = Object.values(item.attributes);
+            const label = variant.length > 0 ? `${item.product} (${variant.join(', ')})` : item.product;
+
+            summary += `${i18n.t('summary.line', {
+                product: label,
+                price: format(item.price),
+                quantity: item.quantity,
+                total: format(item.itemTotal)
+            })}\n`;
+            item.addOns.forEach(addOn => {
+                summary += `  + ${addOn.name}: +${format(addOn.price)}\n`;
+            });
+
+            if (item.savings > 0) {
+                summary += `  ${i18n.t('summary.savings', { listPrice: format(item.listPrice), savings: format(item.savings) })}\n`;
+            }
+        });
+
+        summary += `\n${i18n.t('summary.subtotal')}: ${format(totals.subtotal)}\n`;
+
+        if (totals.discount > 0) {
+            summary += `${i18n.t('summary.discount')}: -${format(totals.discount)}\n`;
+        }
+
+        const shipping = this.getShipping();
+
+        if (shipping) {
+            const charge = !shipping.available
+                ? i18n.t('summary.shippingUnavailable')
+                : shipping.amount > 0 ? format(shipping.amount) : i18n.t('summary.shippingFree');
+            summary += `${i18n.t('summary.shipping', { method: shipping.label })}: ${charge}\n`;
+        }
+
+        summary += this.#formatTaxLines(format, i18n);
+        summary += `==================\n`;
+        summary += `${i18n.t('summary.total')}: ${format(totals.total)}`;
+
+        const tenders = this.getTenders().filter(tender => tender.amount > 0);
+
+        if (tenders.length > 0) {
+            tenders.forEach(tender => {
+                const label = tender.type === 'store-credit'
+                    ? i18n.t('summary.storeCredit')
+                    : i18n.t('summary.giftCard', { account: `****${tender.account.slice(-4)}` });
+                summary += `\n${label}: -${format(tender.amount)}`;
+            });
+            summary += `\n${i18n.t('summary.amountDue')}: ${format(totals.amountDue)}`;
+        }
+
+        return summary;
+    }
+
+    /**
+     * Serializes the cart to a plain, versioned object (called by JSON.stringify).
+     * Prices are stored in integer minor units; the promotion, tax and shipping
+     * engines, catalog and inventory are not serialized and are passed to
+     * fromJSON instead.
+     * @returns {Object} - { version, currency, locale, region, customerGroup, rounding, items,
+     *                     appliedCodes, committedCodes, destination, shippingMethod, saved, tenders },
+     *                     where committedCodes are the applied codes already redeemed by an order,
+     *                     saved lists the items saved for later like items, plus savedPrice and
+     *                     savedAt, and tenders the applied gift cards ({ account, amount } in minor units)
+     */
+    toJSON() {
+        const serialize = details => ({
+            sku: details.sku,
+            product: details.product,
+            price: details.price,
+            quantity: details.quantity,
+            taxCategory: details.taxCategory,
+            attributes: { ...details.attributes },
+            addOns: details.addOns.map(addOn => ({ ...addOn })),
+            weight: details.weight,
+            dimensions: details.dimensions ? { ...details.dimensions } : null,
+            pricing: CartModules.TieredPricing.map(details.pricing, price => price)
+        });
+        const items = [...this.#items.values()].map(serialize);
+        const saved = [...this.#saved.values()].map(details => ({
+            ...serialize(details),
+            savedPrice: details.savedPrice,
+            savedAt: new Date(details.savedAt).toISOString()
+        }));
+
+        return {
+            version: ShoppingCart.SCHEMA_VERSION,
+            currency: this.#currency,
+            locale: this.#locale,
+            region: this.#region,
+            customerGroup: this.#customerGroup,
+            rounding: { ...this.#rounding },
+            items,
+            appliedCodes: [...this.#appliedCodes],
+            committedCodes: [...this.#committedCodes],
+            destination: this.getDestination(),
+            shippingMethod: this.#shippingMethod,
+            saved,
+            tenders: this.#tenders.map(tender => ({ ...tender }))
+        };
+    }
+
+    /**
+     * Restores a cart saved with toJSON(). Lines are re-added through addItem, so
+     * catalog prices, stock and reservations are checked again; lines that can no
+     * longer be added are skipped, and getLastError() on the restored cart
+     * reports the last one. Items saved for later are restored as saved, with
+     * their saved price and date.
+     * @param {Object|string} data - Output of toJSON(), or its JSON string
+     * @param {Object} options - Constructor options for what isn't serialized
+     *                           (promotions, tax, shipping, catalog, inventory, giftCards, i18n, errorMode)
+     * @returns {ShoppingCart} - Restored cart
+     * @throws {CartError} - INVALID_STATE if the data is malformed or from an
+     *                       unsupported schema version
+     */
+    static fromJSON(data, options = {}) {
+        const { CartError } = CartModules;
+        let state;
+
+        try {
+            state = typeof data === 'string' ? JSON.parse(data) : data;
+        } catch (error) {
+            throw new CartError(CartError.CODES.INVALID_STATE, `Saved cart is not valid JSON: ${error.message}`);
+        }
+
+        if (!state || typeof state !== 'object' || !Array.isArray(state.items)) {
+            throw new CartError(CartError.CODES.INVALID_STATE, 'Saved cart must be an object with an items array');
+        }
+
+        if (state.version !== ShoppingCart.SCHEMA_VERSION) {
+            throw new CartError(CartError.CODES.INVALID_STATE, `Unsupported saved cart version: ${state.version}`,
+                { version: state.version });
+        }
+
+        ShoppingCart.#checkStoredState(state);
+
+        try {
+            return ShoppingCart.#restore(state, options);
+        } catch (error) {
+            if (error instanceof CartError) {
+                throw error;
+            }
+
+            throw new CartError(CartError.CODES.INVALID_STATE, `Saved cart could not be restored: ${error.message}`);
+        }
+    }
+
+    // Private helper building a cart from checked saved state (see fromJSON)
+    static #restore(state, options) {
+        const { CartError } = CartModules;
+
+        const cart = new ShoppingCart({
+            currency: state.currency,
+            locale: state.locale,
+            region: state.region,
+            customerGroup: state.customerGroup,
+            rounding: state.rounding,
+            ...options
+        });
+
+        const saved = Array.isArray(state.saved) ? state.saved : [];
+        const catalogItem = [...state.items, ...saved].find(item => item.sku);
+
+        if (catalogItem && !cart.#catalog) {
+            throw new CartError(CartError.CODES.INVALID_STATE,
+                `Saved cart has catalog item "${catalogItem.sku}" but no catalog was given`, { sku: catalogItem.sku });
+        }
+
+        let skipped = null;
+
+        for (const item of state.items) {
+            if (!cart.#addStoredLine(item)) {
+                skipped = cart.#lastError;
+            }
+        }
+
+        // Saved items aren't in the cart, so they are restored as they were (and re-priced when read)
+        for (const item of saved) {
+            const line = {
+                sku: item.sku || null,
+                product: item.product,
+                price: item.price,
+                quantity: item.quantity,
+                taxCategory: item.taxCategory,
+                attributes: item.attributes || {},
+                addOns: item.addOns || [],
+                weight: item.weight || 0,
+                dimensions: item.dimensions || null,
+                pricing: item.pricing || CartModules.TieredPricing.normalize({}),
+                savedPrice: item.savedPrice,
+                savedAt: Date.parse(item.savedAt) || cart.#clock().getTime()
+            };
+            const key = ShoppingCart.#lineKey(line.sku ? CartModules.Catalog.normalizeSku(line.sku) : ShoppingCart.#normalizeName(line.product),
+                line.attributes, line.addOns);
+
+            cart.#saved.set(key, ShoppingCart.#copyLine(line));
+        }
+
+        // Codes were already redeemed when first applied, so restore them without counting another use;
+        // the redemption isn't the restored cart's to give back, so they restore as committed, and an
+        // order from this cart takes a new one
+        cart.#appliedCodes = (state.appliedCodes || [])
+            .map(code => CartModules.PromotionEngine.normalizeCode(code))
+            .filter(code => cart.#promotions.has(code));
+        cart.#committedCodes = new Set(cart.#appliedCodes);
+        cart.#destination = state.destination || null;
+
+        // Tenders are kept only for accounts the cart's ledger knows; their balances are checked when paying
+        cart.#tenders = (Array.isArray(state.tenders) ? state.tenders : [])
+            .filter(tender => cart.#giftCards && typeof tender.account === 'string' && cart.#giftCards.getAccount(tender.account))
+            .map(tender => ({ account: tender.account, amount: Number.isInteger(tender.amount) ? tender.amount : null }));
+
+        // The method may no longer exist in the shipping engine the cart is restored with
+        if (state.shippingMethod && cart.#shipping && cart.#shipping.has(state.shippingMethod)) {
+            cart.#shippingMethod = state.shippingMethod;
+        }
+
+        cart.#lastError = skipped;
+
+        return cart;
+    }
+
+    // Private helper running a public operation and reporting its failure (recorded
+    // with #fail) according to the error mode
+    #outcome(operation) {
+        this.#lastError = null;
+
+        const value = operation();
+        const error = this.#lastError;
+
+        // Any failure inside a transaction rolls the whole transaction back
+        if (error && this.#transaction && !this.#transaction.failure) {
+            this.#transaction.failure = error;
+        }
+
+        if (this.#errorMode === 'result') {
+            return { ok: !error, value, error };
+        }
+
+        if (error && this.#errorMode === 'throw') {
+            throw error;
+        }
+
+        return value;
+    }
+
+    // Private helper giving back the redemption the cart holds for a code it stops
+    // applying (codes handed to an order are released by the order instead)
+    #releaseCode(code) {
+        if (!this.#committedCodes.delete(code)) {
+            this.#promotions.releaseUse(code);
+        }
+    }
+
+    // Private helper recording a failure (a code and message, or an existing
+    // CartError) for getLastError() and #outcome
+    #fail(code, message, details = {}) {
+        this.#lastError = code instanceof CartModules.CartError
+            ? code
+            : new CartModules.CartError(code, message, details);
+        return false;
+    }
+
+    // Private helper running a mutation and, if it succeeds and changed something,
+    // recording the previous state for undo() and emitting its event (null for
+    // none) and then totalsChanged. Snapshots are only taken while someone is listening.
+    #change(event, mutation, recordHistory = true) {
+        const listening = [...this.#listeners.values()].some(listeners => listeners.size > 0);
+        const state = this.#captureState();
+        const before = listening ? this.#snapshot() : null;
+        const value = mutation();
+
+        if (this.#lastError) {
+            return value;
+        }
+
+        // Inside a transaction the whole transaction is recorded once, on commit
+        if (recordHistory && !this.#transaction && ShoppingCart.#stateChanged(state, this.#captureState())) {
+            this.#remember(state);
+        }
+
+        if (!listening) {
+            return value;
+        }
+
+        const after = this.#snapshot();
+        const payload = event && ShoppingCart.#describeChange(event, before, after);
+
+        if (payload) {
+            this.#emit(event, payload);
+        }
+
+        if (JSON.stringify(before.totals) !== JSON.stringify(after.totals)) {
+            this.#emit('totalsChanged', { before: before.totals, after: after.totals });
+        }
+
+        return value;
+    }
+
+    // Private helper capturing the state change events report
+    #snapshot() {
+        return {
+            items: this.getCartItems(),
+            totals: this.getTotals(),
+            appliedCodes: this.getAppliedCodes(),
+            tenders: this.getTenders(),
+            saved: this.getSavedItems(),
+            locale: this.#locale
+        };
+    }
+
+    // Private helper building an event's payload from the snapshots around a
+    // change (null if the change was a no-op)
+    static #describeChange(event, before, after) {
+        if (event === 'undone' || event === 'redone') {
+            return { before: before.items, after: after.items };
+        }
+
+        if (event === 'merged') {
+            return JSON.stringify([before.items, before.saved]) !== JSON.stringify([after.items, after.saved])
+                ? { before: before.items, after: after.items }
+                : null;
+        }
+
+        if (event === 'itemSaved' || event === 'itemMovedToCart' || event === 'savedItemRemoved') {
+            const change = ShoppingCart.#changedEntry(before.saved, after.saved);
+
+            if (!change) {
+                return null;
+            }
+
+            const line = items => items.find(item => item.id === change.id) || null;
+
+            return {
+                itemSaved: { id: change.id, before: line(before.items), after: change.after },
+                itemMovedToCart: { id: change.id, before: change.before, after: line(after.items) },
+                savedItemRemoved: change
+            }[event];
+        }
+
+        if (event === 'localeChanged') {
+            return before.locale !== after.locale ? { before: before.locale, after: after.locale } : null;
+        }
+
+        if (event === 'cleared') {
+            return before.items.length > 0 || before.appliedCodes.length > 0 || before.tenders.length > 0
+                ? { before: before.items, after: after.items }
+                : null;
+        }
+
+        if (event === 'tenderApplied' || event === 'tenderRemoved') {
+            return JSON.stringify(before.tenders) !== JSON.stringify(after.tenders)
+                ? { before: before.tenders, after: after.tenders }
+                : null;
+        }
+
+        if (event === 'discountApplied' || event === 'discountRemoved') {
+            const [from, to] = event === 'discountApplied'
+                ? [before.appliedCodes, after.appliedCodes]
+                : [after.appliedCodes, before.appliedCodes];
+            const codes = to.filter(code => !from.includes(code));
+
+            return codes.length > 0 ? { codes, before: before.appliedCodes, after: after.appliedCodes } : null;
+        }
+
+        // Line events: find the line whose quantity changed, appeared or disappeared
+        return ShoppingCart.#changedEntry(before.items, after.items);
+    }
+
+    // Private helper finding the first entry (by id) whose quantity changed,
+    // appeared or disappeared between two lists: { id, before, after }, or null
+    static #changedEntry(before, after) {
+        const ids = new Set([...before, ...after].map(item => item.id));
+
+        for (const id of ids) {
+            const previous = before.find(item => item.id === id) || null;
+            const current = after.find(item => item.id === id) || null;
+
+            if (!previous || !current || previous.quantity !== current.quantity) {
+                return { id, before: previous, after: current };
+            }
+        }
+
+        return null;
+    }
+
+    // Private helper calling an event's listeners with the payload (held back
+    // while a transaction is open)
+    #emit(event, payload) {
+        if (this.#transaction) {
+            this.#transaction.events.push({ event, payload });
+            return;
+        }
+
+        // Copy first, so listeners may unsubscribe while being called
+        [...this.#listeners.get(event)].forEach(listener => listener({ type: event, cart: this, ...payload }));
+    }
+
+    // Private helper copying the state undo(), redo() and transactions restore
+    #captureState() {
+        return {
+            items: [...this.#items.entries()].map(([key, line]) => [key, ShoppingCart.#copyLine(line)]),
+            saved: [...this.#saved.entries()].map(([key, line]) => [key, ShoppingCart.#copyLine(line)]),
+            appliedCodes: [...this.#appliedCodes],
+            tenders: this.#tenders.map(tender => ({ ...tender })),
+            region: this.#region,
+            customerGroup: this.#customerGroup,
+            destination: this.getDestination(),
+            shippingMethod: this.#shippingMethod
+        };
+    }
+
+    // Private helper checking the nested entries of saved state, so malformed data
+    // fails with INVALID_STATE before anything is restored
+    static #checkStoredState(state) {
+        const { CartError } = CartModules;
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const optional = (value, test) => value === undefined || value === null || test(value);
+        const isBreakList = breaks => Array.isArray(breaks) && breaks.every(isObject);
+        const isPricing = pricing => isObject(pricing) && isBreakList(pricing.priceBreaks) && isObject(pricing.groupPrices) &&
+            Object.values(pricing.groupPrices).every(rules => isObject(rules) && optional(rules.priceBreaks, isBreakList));
+        const lineProblem = (item, savedLine) => {
+            if (!isObject(item)) {
+                return 'is not an object';
+            }
+
+            return [
+                [optional(item.sku, sku => typeof sku === 'string'), 'has a SKU that is not a string'],
+                [Boolean(item.sku) || typeof item.product === 'string', 'has a product name that is not a string'],
+                [optional(item.attributes, isObject), 'has attributes that are not an object'],
+                [optional(item.addOns, addOns => Array.isArray(addOns) &&
+                    addOns.every(addOn => isObject(addOn) && typeof addOn.name === 'string')), 'has malformed add-ons'],
+                [optional(item.pricing, isPricing), 'has malformed pricing'],
+                [!savedLine || (Number.isInteger(item.quantity) && item.quantity > 0), 'has an invalid quantity'],
+                [!savedLine || (Number.isFinite(item.price) && optional(item.savedPrice, Number.isFinite)), 'has an invalid price']
+            ].reduce((problem, [valid, message]) => problem || (valid ? null : message), null);
+        };
+        const fail = (message, details = {}) => {
+            throw new CartError(CartError.CODES.INVALID_STATE, `Saved cart ${message}`, details);
+        };
+
+        if (!optional(state.saved, Array.isArray)) {
+            fail('saved-for-later list must be an array');
+        }
+
+        [['items', state.items], ['saved', state.saved || []]].forEach(([list, lines]) => lines.forEach((item, index) => {
+            const problem = lineProblem(item, list === 'saved');
+
+            if (problem) {
+                fail(`${list}[${index}] ${problem}`, { list, index });
+            }
+        }));
+
+        ['appliedCodes', 'committedCodes'].forEach(field => {
+            if (!optional(state[field], codes => Array.isArray(codes) && codes.every(code => typeof code === 'string'))) {
+                fail(`${field} must be an array of strings`, { field });
+            }
+        });
+
+        if (!optional(state.tenders, tenders => Array.isArray(tenders) && tenders.every(isObject))) {
+            fail('tenders must be an array of objects', { field: 'tenders' });
+        }
+
+        if (!optional(state.destination, isObject)) {
+            fail('destination must be an object', { field: 'destination' });
+        }
+    }
+
+    // Private helper comparing two captured states
+    static #stateChanged(before, after) {
+        return JSON.stringify(before) !== JSON.stringify(after);
+    }
+
+    // Private helper pushing a state onto the undo stack (dropping the oldest
+    // past the limit) and clearing the redo stack
+    #remember(state) {
+        this.#redoStack = [];
+
+        if (this.#historyLimit === 0) {
+            return;
+        }
+
+        this.#undoStack.push(state);
+        if (this.#undoStack.length > this.#historyLimit) {
+            this.#undoStack.shift();
+        }
+    }
+
+    // Private helper for undo()/redo(): restores the top state of one stack and
+    // pushes the current state onto the other
+    #travel(from, to, action) {
+        if (this.#transaction) {
+            return this.#fail('INVALID_STATE', `Cannot ${action} inside a transaction`);
+        }
+
+        if (from.length === 0) {
+            return this.#fail('HISTORY_EMPTY', `Nothing to ${action}`);
+        }
+
+        const current = this.#captureState();
+
+        if (!this.#restoreState(from[from.length - 1])) {
+            return false;
+        }
+
+        from.pop();
+        to.push(current);
+        return true;
+    }
+
+    // Private helper restoring a captured state: lines, applied codes (keeping
+    // promotion usage counts in step) and inventory reservations. If the
+    // reservations can't be made, the current state is kept and false returned.
+    #restoreState(state) {
+        const current = this.#captureState();
+
+        this.#applyState(state);
+
+        if (!this.#reserveAll()) {
+            const failure = this.#lastError;
+            this.#applyState(current);
+            this.#reserveAll();
+            return this.#fail(failure);
+        }
+
+        return true;
+    }
+
+    // Private helper swapping in a captured state's lines, saved items, codes, tenders,
+    // region, customer group and shipping
+    #applyState(state) {
+        const codes = state.appliedCodes;
+
+        this.#appliedCodes.filter(code => !codes.includes(code)).forEach(code => this.#releaseCode(code));
+        codes.filter(code => !this.#appliedCodes.includes(code)).forEach(code => this.#promotions.recordUse(code));
+
+        this.#items = new Map(state.items.map(([key, line]) => [key, ShoppingCart.#copyLine(line)]));
+        this.#saved = new Map(state.saved.map(([key, line]) => [key, ShoppingCart.#copyLine(line)]));
+        this.#appliedCodes = [...codes];
+        this.#tenders = state.tenders.map(tender => ({ ...tender }));
+        this.#region = state.region;
+        this.#customerGroup = state.customerGroup;
+        this.#destination = state.destination ? { ...state.destination } : null;
+        this.#shippingMethod = state.shippingMethod;
+    }
+
+    // Private helper replacing the cart's inventory reservations with its current quantities
+    #reserveAll() {
+        if (!this.#inventory) {
+            return true;
+        }
+
+        this.#inventory.release(this);
+
+        for (const { label, quantity } of this.#reservationTotals()) {
+            if (!this.#inventory.reserve(this, label, quantity)) {
+                return this.#fail(this.#inventory.getLastError());
+            }
+        }
+
+        return true;
+    }
+
+    // Private helper totalling the cart quantity per stock key
+    #reservationTotals() {
+        const totals = new Map(); // stock key -> { label, quantity }
+
+        for (const details of this.#items.values()) {
+            const stockKey = ShoppingCart.#stockKeyOf(details);
+            const entry = totals.get(stockKey) || { label: details.sku || details.product, quantity: 0 };
+            entry.quantity += details.quantity;
+            totals.set(stockKey, entry);
+        }
+
+        return [...totals.values()];
+    }
+
+    // Private helper adding a free-form line: addItem(product, price, quantity, options)
+    #addCustomItem(product, price, quantity = 1, {
+        taxCategory = CartModules.TaxEngine.DEFAULT_CATEGORY,
+        attributes = {},
+        addOns = [],
+        weight = 0,
+        dimensions = null,
+        priceBreaks,
+        groupPrices
+    } = {}) {
+        // Validate inputs
+        if (!this.#validateInputs(product, price, quantity)) {
+            return false;
+        }
+
+        if (!this.#tax.hasCategory(taxCategory)) {
+            return this.#fail('UNKNOWN_TAX_CATEGORY', `Unknown tax category: "${taxCategory}"`);
+        }
+
+        const variant = this.#validateVariant(attributes, addOns);
+
+        if (!variant || !this.#validatePhysical(weight, dimensions)) {
+            return false;
+        }
+
+        const pricingError = CartModules.TieredPricing.validate({ priceBreaks, groupPrices });
+
+        if (pricingError) {
+            return this.#fail('INVALID_PRICE', pricingError, { product });
+        }
+
+        const line = {
+            sku: null,
+            product: product.trim(),
+            price: this.#toMinor(price),
+            quantity: parseInt(quantity),
+            taxCategory,
+            attributes: variant.attributes,
+            addOns: variant.addOns.map(addOn => ({ name: addOn.name, price: this.#toMinor(addOn.price) })),
+            weight,
+            dimensions: dimensions ? { length: dimensions.length, width: dimensions.width, height: dimensions.height } : null,
+            pricing: CartModules.TieredPricing.map(CartModules.TieredPricing.normalize({ priceBreaks, groupPrices }),
+                price => this.#toMinor(price))
+        };
+        const key = ShoppingCart.#lineKey(this.#keyFor(product), line.attributes, line.addOns);
+
+        // If the same line exists, update quantity instead
+        if (this.#items.has(key)) {
+            const currentItem = this.#items.get(key);
+
+            if (ShoppingCart.#unitPrice(currentItem) !== ShoppingCart.#unitPrice(line)) {
+                return this.#fail('PRICE_CONFLICT', `"${currentItem.product}" is already in the cart at a different price`,
+                    { product: currentItem.product });
+            }
+
+            if (!this.#checkAvailability(currentItem, currentItem.quantity + quantity, key)) {
+                return false;
+            }
+
+            currentItem.quantity += quantity;
+        } else {
+            if (!this.#checkAvailability(line, line.quantity, key)) {
+                return false;
+            }
+
+            // Add new line
+            this.#items.set(key, line);
+        }
+
+        return true;
+    }
+
+    // Private helper adding a catalog line: addItem(sku, quantity, options)
+    #addCatalogItem(sku, quantity = 1, { attributes = {}, addOns = [] } = {}) {
+        if (!sku || typeof sku !== 'string') {
+            return this.#fail('INVALID_PRODUCT', 'Invalid SKU');
+        }
+
+        const product = this.#catalog.getProduct(sku);
+
+        if (!product) {
+            return this.#fail('UNKNOWN_PRODUCT', `SKU "${sku}" not found in catalog`, { sku });
+        }
+
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            return this.#fail('INVALID_QUANTITY', 'Quantity must be a positive integer');
+        }
+
+        const variant = this.#validateVariant(attributes, addOns, product);
+
+        if (!variant) {
+            return false;
+        }
+
+        const key = ShoppingCart.#lineKey(product.sku, variant.attributes, variant.addOns);
+        const currentItem = this.#items.get(key);
+        const newQuantity = (currentItem ? currentItem.quantity : 0) + quantity;
+
+        if (!this.#checkAvailability({ sku: product.sku, product: product.name }, newQuantity, key)) {
+            return false;
+        }
+
+        if (currentItem) {
+            currentItem.quantity = newQuantity;
+        } else {
+            this.#items.set(key, {
+                sku: product.sku,
+                product: product.name,
+                price: this.#toMinor(product.price),
+                quantity,
+                taxCategory: product.taxCategory,
+                attributes: variant.attributes,
+                addOns: variant.addOns.map(addOn => ({ name: addOn.name, price: this.#toMinor(addOn.price) })),
+                weight: product.weight,
+                dimensions: product.dimensions,
+                pricing: this.#catalogPricing(product)
+            });
+        }
+
+        return true;
+    }
+
+    // Private helper adding a line in its stored form (minor units, as in toJSON):
+    // catalog lines by SKU at the catalog's prices, free-form lines as given
+    #addStoredLine(item) {
+        const lineOptions = { attributes: item.attributes || {}, addOns: item.addOns || [] };
+
+        if (item.sku) {
+            return this.#catalog
+                ? this.#addCatalogItem(item.sku, item.quantity, {
+                    ...lineOptions,
+                    addOns: lineOptions.addOns.map(addOn => addOn.name)
+                })
+                : this.#fail('INVALID_PRODUCT', `Catalog item "${item.sku}" can't be added to a cart without a catalog`,
+                    { sku: item.sku });
+        }
+
+        return this.#addCustomItem(item.product, this.#fromMinor(item.price), item.quantity, {
+            ...lineOptions,
+            ...(item.pricing ? this.#pricingOptions(item.pricing) : {}),
+            taxCategory: item.taxCategory,
+            weight: item.weight || 0,
+            dimensions: item.dimensions || null,
+            addOns: lineOptions.addOns.map(addOn => ({ name: addOn.name, price: this.#fromMinor(addOn.price) }))
+        });
+    }
+
+    // Private helper merging one of another cart's lines (stored form, minor units) into this cart
+    #mergeLine(key, line, resolveQuantity) {
+        const current = this.#items.get(key);
+
+        if (!current) {
+            if (line.sku) {
+                return this.#catalog
+                    ? this.#addCatalogItem(line.sku, line.quantity, {
+                        attributes: line.attributes,
+                        addOns: line.addOns.map(addOn => addOn.name)
+                    })
+                    : this.#fail('INVALID_PRODUCT', `Catalog item "${line.sku}" can't be merged into a cart without a catalog`,
+                        { sku: line.sku });
+            }
+
+            if (this.#catalog) {
+                return this.#fail('INVALID_PRODUCT', `"${line.product}" is not a catalog item`, { product: line.product });
+            }
+
+            if (!this.#tax.hasCategory(line.taxCategory)) {
+                return this.#fail('UNKNOWN_TAX_CATEGORY', `Unknown tax category: "${line.taxCategory}"`);
+            }
+
+            const copy = {
+                ...line,
+                attributes: { ...line.attributes },
+                addOns: line.addOns.map(addOn => ({ ...addOn })),
+                dimensions: line.dimensions ? { ...line.dimensions } : null,
+                pricing: CartModules.TieredPricing.map(line.pricing, price => price)
+            };
+
+            if (!this.#checkAvailability(copy, copy.quantity, key)) {
+                return false;
+            }
+
+            this.#items.set(key, copy);
+            return true;
+        }
+
+        if (!current.sku && ShoppingCart.#unitPrice(current) !== ShoppingCart.#unitPrice(line)) {
+            return this.#fail('PRICE_CONFLICT', `"${current.product}" is already in the cart at a different price`,
+                { product: current.product });
+        }
+
+        const quantity = resolveQuantity(current.quantity, line.quantity);
+
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            return this.#fail('INVALID_QUANTITY', `Merged quantity of "${current.product}" must be a positive integer`,
+                { product: current.product, quantity });
+        }
+
+        if (!this.#checkAvailability(current, quantity, key)) {
+            return false;
+        }
+
+        current.quantity = quantity;
+        return true;
+    }
+
+    // Private helper checking a product's quantity across all its lines, with the
+    // line at key set to the given quantity, against the catalog stock and the
+    // inventory's purchase limits, and reserving it in the inventory
+    #checkAvailability(line, quantity, key) {
+        const stockKey = ShoppingCart.#stockKeyOf(line);
+        const total = this.#productQuantity(stockKey, quantity, key);
+
+        if (line.sku && this.#catalog) {
+            const product = this.#catalog.getProduct(line.sku);
+            const stock = product ? product.stock : 0;
+
+            if (total > stock) {
+                return this.#fail('OUT_OF_STOCK', `Only ${stock} of "${product ? product.name : line.sku}" in stock`,
+                    { product: line.sku, available: stock, requested: total });
+            }
+        }
+
+        if (!this.#inventory) {
+            return true;
+        }
+
+        const label = line.sku || line.product;
+
+        if (!this.#inventory.checkLimits(label, total) || !this.#inventory.reserve(this, label, total)) {
+            return this.#fail(this.#inventory.getLastError());
+        }
+
+        return true;
+    }
+
+    // Private helper shrinking the inventory reservation when a line is removed
+    #releaseLine(key) {
+        if (!this.#inventory) {
+            return;
+        }
+
+        const stockKey = ShoppingCart.#stockKeyOf(this.#items.get(key));
+        const remaining = this.#productQuantity(stockKey, 0, key);
+
+        this.#inventory.release(this, stockKey);
+        if (remaining > 0) {
+            this.#inventory.reserve(this, stockKey, remaining);
+        }
+    }
+
+    // Private helper totalling a product's quantity across its lines, with the
+    // line at key counted as the given quantity
+    #productQuantity(stockKey, quantity, key) {
+        let total = quantity;
+
+        for (const [id, details] of this.#items.entries()) {
+            if (id !== key && ShoppingCart.#stockKeyOf(details) === stockKey) {
+                total += details.quantity;
+            }
+        }
+
+        return total;
+    }
+
+    // Private helper for the key a line's stock is tracked under (SKU, or product name)
+    static #stockKeyOf(line) {
+        return line.sku || ShoppingCart.#normalizeName(line.product);
+    }
+
+    // Private helper validating a line's attributes and add-ons (false if invalid);
+    // with a catalog product, values must be ones it offers and add-on prices come from it
+    #validateVariant(attributes, addOns, product = null) {
+        if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes) ||
+            !Object.values(attributes).every(value => ['string', 'number'].includes(typeof value) && String(value).trim())) {
+            return this.#fail('INVALID_VARIANT', 'Attributes must map each attribute name to a value');
+        }
+
+        if (!Array.isArray(addOns)) {
+            return this.#fail('INVALID_VARIANT', 'Add-ons must be an array');
+        }
+
+        const normalize = ShoppingCart.#normalizeName;
+        const variant = { attributes: {}, addOns: [] };
+
+        for (const [name, value] of Object.entries(attributes)) {
+            const offered = product ? Object.keys(product.attributes) : [];
+            const match = offered.find(candidate => normalize(candidate) === normalize(name));
+
+            if (offered.length > 0 &&
+                !(match && product.attributes[match].some(option => normalize(option) === normalize(String(value))))) {
+                return this.#fail('INVALID_VARIANT', `"${product.name}" is not available with ${name} "${value}"`);
+            }
+
+            variant.attributes[name.trim()] = String(value).trim();
+        }
+
+        for (const addOn of addOns) {
+            const name = typeof addOn === 'string' ? addOn : addOn && addOn.name;
+
+            if (!name || typeof name !== 'string' || !name.trim()) {
+                return this.#fail('INVALID_VARIANT', 'Invalid add-on name');
+            }
+
+            if (variant.addOns.some(existing => normalize(existing.name) === normalize(name))) {
+                return this.#fail('INVALID_VARIANT', `Add-on "${name.trim()}" is listed twice`);
+            }
+
+            if (product) {
+                const match = product.addOns.find(candidate => normalize(candidate.name) === normalize(name));
+
+                if (!match) {
+                    return this.#fail('INVALID_VARIANT', `"${product.name}" has no add-on "${name.trim()}"`);
+                }
+
+                variant.addOns.push({ name: match.name, price: match.price });
+            } else {
+                if (!Number.isFinite(addOn.price) || addOn.price < 0) {
+                    return this.#fail('INVALID_VARIANT', `Add-on "${name.trim()}" must have a non-negative price`);
+                }
+
+                variant.addOns.push({ name: name.trim(), price: addOn.price });
+            }
+        }
+
+        return variant;
+    }
+
+    // Private helper validating a line's unit weight (kg) and dimensions (cm)
+    #validatePhysical(weight, dimensions) {
+        if (typeof weight !== 'number' || !(weight >= 0) || weight === Infinity) {
+            return this.#fail('INVALID_PRODUCT', 'Weight must be a non-negative number of kg');
+        }
+
+        if (dimensions !== null && (!dimensions || typeof dimensions !== 'object' ||
+            !['length', 'width', 'height'].every(side => typeof dimensions[side] === 'number' && dimensions[side] > 0))) {
+            return this.#fail('INVALID_PRODUCT', 'Dimensions must be { length, width, height } in positive cm');
+        }
+
+        return true;
+    }
+
+    // Private helper finding the line a product (or line id) and selection refer to,
+    // in the cart or another map of lines keyed the same way (the saved items)
+    #resolveKey(product, selection, lines = this.#items) {
+        if (selection === undefined && lines.has(product)) {
+            return product;
+        }
+
+        const { attributes = {}, addOns = [] } = selection || {};
+        return ShoppingCart.#lineKey(this.#keyFor(product), attributes,
+            addOns.map(addOn => ({ name: typeof addOn === 'string' ? addOn : addOn.name })));
+    }
+
+    // Private helper building a line id from the product key, attributes and
+    // add-on names, independent of their order and case
+    static #lineKey(base, attributes, addOns) {
+        const normalize = ShoppingCart.#normalizeName;
+        const parts = [
+            ...Object.entries(attributes).map(([name, value]) => `${normalize(name)}=${normalize(String(value))}`).sort(),
+            ...addOns.map(addOn => `+${normalize(addOn.name)}`).sort()
+        ];
+
+        return [base, ...parts].join('|');
+    }
+
+    // Private helper normalizing a name for matching (case and whitespace insensitive)
+    static #normalizeName(name) {
+        return name.trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    // Private helper computing a stored line's unit price (base plus add-ons)
+    static #unitPrice(line) {
+        return line.addOns.reduce((sum, addOn) => sum + addOn.price, line.price);
+    }
+
+    // Private helper copying a stored line (its attributes and add-ons are copied too)
+    static #copyLine(line) {
+        return {
+            ...line,
+            attributes: { ...line.attributes },
+            addOns: line.addOns.map(addOn => ({ ...addOn }))
+        };
+    }
+
+    // Private helper mapping a product name (or SKU) to its line key
+    #keyFor(product) {
+        return this.#catalog
+            ? CartModules.Catalog.normalizeSku(product)
+            : ShoppingCart.#normalizeName(product);
+    }
+
+    // Private helper listing the cart lines (minor units) without their discounts
+    #getLineItems() {
+        const items = [];
+
+        for (const [id, details] of this.#items.entries()) {
+            const productQuantity = this.#productQuantity(ShoppingCart.#stockKeyOf(details), details.quantity, id);
+            const line = this.#priceLine(details, productQuantity);
+
+            items.push({
+                id,
+                ...line,
+                quantity: details.quantity,
+                total: line.price * details.quantity,
+                savings: (line.listPrice - line.price) * details.quantity
+            });
+        }
+
+        return items;
+    }
+
+    // Private helper pricing a stored line (minor units) for a quantity of its product
+    // across the cart, in the cart's customer group
+    #priceLine(details, productQuantity) {
+        // Catalog prices are authoritative: pick up changes made after the item was added
+        const product = details.sku && this.#catalog ? this.#catalog.getProduct(details.sku) : null;
+        const basePrice = product ? this.#toMinor(product.price) : details.price;
+        const addOns = details.addOns.map(addOn => {
+            const offered = product && product.addOns.find(candidate => candidate.name === addOn.name);
+            return { name: addOn.name, price: offered ? this.#toMinor(offered.price) : addOn.price };
+        });
+        const pricing = product ? this.#catalogPricing(product) : details.pricing;
+        const tierPrice = CartModules.TieredPricing.resolve(basePrice, pricing, productQuantity, this.#customerGroup);
+
+        return {
+            sku: details.sku,
+            product: product ? product.name : details.product,
+            attributes: details.attributes,
+            addOns,
+            listBasePrice: basePrice,
+            basePrice: tierPrice,
+            listPrice: ShoppingCart.#unitPrice({ price: basePrice, addOns }),
+            price: ShoppingCart.#unitPrice({ price: tierPrice, addOns }),
+            pricing,
+            taxCategory: product ? product.taxCategory : details.taxCategory,
+            weight: product ? product.weight : details.weight,
+            dimensions: product ? product.dimensions : details.dimensions
+        };
+    }
+
+    // Private helper converting a catalog product's pricing rules to minor units
+    #catalogPricing(product) {
+        return CartModules.TieredPricing.map(product, price => this.#toMinor(price));
+    }
+
+    // Private helper turning stored pricing rules (minor units) back into addItem
+    // options in major units, optionally scaled by an exchange rate
+    #pricingOptions(pricing, rate = 1) {
+        const { priceBreaks, groupPrices } = CartModules.TieredPricing.map(pricing, price => this.#fromMinor(price) * rate);
+        return { priceBreaks, groupPrices };
+    }
+
+    // Private helper building the context the promotion engine evaluates codes against
+    #promotionContext(extra = {}) {
+        const items = this.#getLineItems();
+
+        return {
+            items,
+            subtotal: items.reduce((sum, item) => sum + item.total, 0),
+            currency: this.#currency,
+            locale: this.#locale,
+            exponent: this.#getExponent(),
+            roundingMode: this.#rounding.mode,
+            ...extra
+        };
+    }
+
+    // Private helper computing every amount in integer minor units in one pass,
+    // so the components always reconcile: total = subtotal - discount + shipping + tax,
+    // and total = tendered + amountDue
+    #computeTotals() {
+        // Codes already count as redeemed by this cart, so skip the usage-limit check
+        const context = this.#promotionContext({ redeemed: true });
+        const promotions = this.#promotions.calculate(this.#appliedCodes, context);
+
+        const lines = context.items.map(item => {
+            const discounts = promotions.lines.get(item.id);
+            const discount = discounts.reduce((sum, entry) => sum + entry.amount, 0);
+            return { ...item, discounts, taxable: Math.max(0, item.total - discount) };
+        });
+
+        const subtotal = context.subtotal;
+        const taxable = lines.reduce((sum, line) => sum + line.taxable, 0);
+        const discount = subtotal - taxable; // clamped: never more than the subtotal
+
+        // Shipping is quoted on the discounted subtotal and taxed as one more line
+        const shipping = this.#shippingMethod ? this.#quoteShipping(this.#shippingMethod, { items: context.items, subtotal: taxable }) : null;
+        const shippingAmount = shipping && shipping.available && lines.length > 0 ? shipping.amount : 0;
+        const taxLines = shippingAmount > 0
+            ? [...lines, { taxable: shippingAmount, taxCategory: this.#shipping.getTaxCategory() }]
+            : lines;
+        const taxes = this.#tax.calculate(taxLines, {
+            region: this.#region,
+            roundingMode: this.#rounding.mode,
+            taxRounding: this.#rounding.tax
+        });
+
+        // Tax-inclusive prices already contain the tax, so it isn't added on top
+        const taxIncluded = this.#tax.getMode() === 'inclusive';
+        const total = subtotal - discount + shippingAmount + (taxIncluded ? 0 : taxes.tax);
+
+        // Gift cards and store credit pay the total after tax, in the order applied
+        let amountDue = total;
+        const tenders = this.#tenders.map(tender => {
+            const account = this.#giftCards ? this.#giftCards.getAccount(tender.account) : null;
+            const balance = account && !account.expired ? this.#toMinor(account.balance) : 0;
+            const amount = Math.min(amountDue, balance, tender.amount === null ? Infinity : tender.amount);
+
+            amountDue -= amount;
+            return { account: tender.account, type: account ? account.type : null, requested: tender.amount, balance, amount };
+        });
+
+        return {
+            lines,
+            promotions,
+            taxes,
+            shipping: shipping && { ...shipping, amount: shippingAmount },
+            subtotal,
+            discount,
+            shippingAmount,
+            tax: taxes.tax,
+            total,
+            tenders,
+            tendered: total - amountDue,
+            amountDue
+        };
+    }
+
+    // Private helper quoting a shipping method for the cart (amounts in minor units)
+    #quoteShipping(method, { items, subtotal } = {}) {
+        if (!items) {
+            const totals = this.#computeTotals();
+            items = totals.lines;
+            subtotal = totals.subtotal - totals.discount;
+        }
+
+        return this.#shipping.quote(method, {
+            items,
+            subtotal,
+            destination: this.#destination,
+            currency: this.#currency,
+            exponent: this.#getExponent(),
+            roundingMode: this.#rounding.mode
+        });
+    }
+
+    // Private helper rendering one summary line per tax rate; unnamed rates are
+    // labelled with the translated word for tax
+    #formatTaxLines(format, i18n) {
+        const included = this.#tax.getMode() === 'inclusive';
+        const label = name => (included ? i18n.t('summary.taxIncluded', { name }) : name);
+        const nameOf = entry => (entry.name === CartModules.TaxEngine.DEFAULT_RATE_NAME ? i18n.t('summary.tax') : entry.name);
+        const lines = this.getTaxBreakdown()
+            .filter(entry => entry.rate > 0)
+            .map(entry => `${label(`${nameOf(entry)} (${i18n.formatPercent(entry.rate)})`)}: ${format(entry.tax)}\n`);
+
+        return lines.length > 0 ? lines.join('') : `${label(i18n.t('summary.tax'))}: ${format(0)}\n`;
+    }
+
+    // Private helper for the number of minor-unit digits of the cart currency
+    #getExponent() {
+        return CartModules.Currency.getExponent(this.#currency);
+    }
+
+    // Private helper converting a major amount to integer minor units
+    #toMinor(amount) {
+        return CartModules.Money.toMinor(amount, this.#getExponent(), this.#rounding.mode);
+    }
+
+    // Private helper converting integer minor units to a major amount
+    #fromMinor(minor) {
+        return CartModules.Money.fromMinor(minor, this.#getExponent());
+    }
+
+    // Private helper method for input validation
+    #validateInputs(product, price, quantity) {
+        // Validate product name
+        if (!product || typeof product !== 'string' || !product.trim()) {
+            return this.#fail('INVALID_PRODUCT', 'Invalid product name');
+        }
+
+        // Validate price
+        if (!Number.isFinite(price) || price < 0) {
+            return this.#fail('INVALID_PRICE', 'Price must be a non-negative number');
+        }
+
+        // Validate quantity
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            return this.#fail('INVALID_QUANTITY', 'Quantity must be a positive integer');
         }
 
         return true;
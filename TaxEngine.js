@@ -0,0 +1,210 @@
+/**
+ * TaxEngine Module
+ *
+ * Resolves tax rates per product category and ship-to region, and
+ * calculates tax for ShoppingCart lines.
+ *
+ * Features:
+ * - Tax categories (standard, reduced, exempt, or custom ones from the rate table)
+ * - Region rates with fallback ('US-CA' -> 'US' -> '*')
+ * - Tax-exclusive (US-style) and tax-inclusive (VAT-style) pricing
+ * - Per-rate breakdown
+ *
+ * Amounts passed to calculate() and returned from it are integer minor units.
+ */
+
+// Companion modules: required in Node, or read from the globals registered
+// by their own <script> tags in the browser (include them before this file)
+const TaxModules = typeof module !== 'undefined' && module.exports
+    ? {
+        Money: require('./Money.js'),
+        CartError: require('./CartError.js')
+    }
+    : window;
+
+class TaxEngine {
+    // Built-in tax categories
+    static CATEGORIES = ['standard', 'reduced', 'exempt'];
+    static DEFAULT_CATEGORY = 'standard';
+
+    // Pricing modes: prices exclude tax (added on top) or include it (VAT-style)
+    static MODES = ['exclusive', 'inclusive'];
+
+    // Region used when no more specific region matches
+    static DEFAULT_REGION = '*';
+
+    // Name of rates defined without one (translated by ShoppingCart#getSummary)
+    static DEFAULT_RATE_NAME = 'Tax';
+
+    // Default rate table: 10% on everything except reduced and exempt goods
+    static DEFAULT_RATES = {
+        '*': { standard: 0.10, reduced: 0.05, exempt: 0 }
+    };
+
+    #rates; // Region -> { category -> rate or { rate, name } }
+    #mode; // 'exclusive' or 'inclusive'
+
+    /**
+     * @param {Object} options - Engine options
+     * @param {Object} options.rates - Rate table keyed by region, then category;
+     *                                 a rate is a number or { rate, name }
+     * @param {string} options.mode - 'exclusive' (default) or 'inclusive'
+     * @throws {CartError} - INVALID_CONFIG if the mode or rate table is invalid
+     */
+    constructor({ rates = TaxEngine.DEFAULT_RATES, mode = 'exclusive' } = {}) {
+        const { CartError } = TaxModules;
+
+        if (!TaxEngine.MODES.includes(mode)) {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, `Unknown tax mode: "${mode}"`);
+        }
+
+        if (!rates || typeof rates !== 'object') {
+            throw new CartError(CartError.CODES.INVALID_CONFIG, 'Tax rate table must be an object keyed by region');
+        }
+
+        for (const [region, categories] of Object.entries(rates)) {
+            for (const [category, entry] of Object.entries(categories)) {
+                const rate = typeof entry === 'number' ? entry : entry && entry.rate;
+                if (typeof rate !== 'number' || rate < 0) {
+                    throw new CartError(CartError.CODES.INVALID_CONFIG, `Invalid tax rate for "${category}" in region "${region}"`);
+                }
+            }
+        }
+
+        // Regions are matched case-insensitively
+        this.#rates = Object.fromEntries(
+            Object.entries(rates).map(([region, categories]) => [region.toUpperCase(), categories])
+        );
+        this.#mode = mode;
+    }
+
+    /**
+     * Gets the pricing mode
+     * @returns {string} - 'exclusive' or 'inclusive'
+     */
+    getMode() {
+        return this.#mode;
+    }
+
+    /**
+     * Checks whether a tax category is known (built-in or in the rate table)
+     * @param {string} category - Tax category
+     * @returns {boolean} - True if known
+     */
+    hasCategory(category) {
+        if (TaxEngine.CATEGORIES.includes(category)) {
+            return true;
+        }
+
+        return Object.values(this.#rates).some(categories => categories.hasOwnProperty(category));
+    }
+
+    /**
+     * Resolves the rate for a category in a region, falling back from
+     * 'US-CA' to 'US' to '*'
+     * @param {string} category - Tax category
+     * @param {string} region - Ship-to region (default: '*')
+     * @returns {Object} - { rate, name }
+     */
+    getRate(category = TaxEngine.DEFAULT_CATEGORY, region = TaxEngine.DEFAULT_REGION) {
+        if (category === 'exempt') {
+            return { rate: 0, name: 'Exempt' };
+        }
+
+        for (const candidate of TaxEngine.#regionChain(region)) {
+            const categories = this.#rates[candidate];
+
+            if (categories && categories.hasOwnProperty(category)) {
+                const entry = categories[category];
+                return typeof entry === 'number'
+                    ? { rate: entry, name: TaxEngine.DEFAULT_RATE_NAME }
+                    : { rate: entry.rate, name: entry.name || TaxEngine.DEFAULT_RATE_NAME };
+            }
+        }
+
+        return { rate: 0, name: TaxEngine.DEFAULT_RATE_NAME };
+    }
+
+    /**
+     * Calculates tax for a set of lines
+     * @param {Array} lines - [{ taxable, taxCategory }] with taxable in minor units
+     *                        (net amounts in exclusive mode, gross in inclusive mode)
+     * @param {Object} options - Calculation options
+     * @param {string} options.region - Ship-to region
+     * @param {string} options.roundingMode - 'half-up' (default) or 'half-even'
+     * @param {string} options.taxRounding - 'per-invoice' (default) or 'per-line'
+     * @returns {Object} - { tax, lines: [tax per line], breakdown: [{ name, rate, taxable, tax }] }
+     */
+    calculate(lines, { region = TaxEngine.DEFAULT_REGION, roundingMode = 'half-up', taxRounding = 'per-invoice' } = {}) {
+        const { Money } = TaxModules;
+        const groups = new Map(); // "name|rate" -> breakdown entry
+        const exactTax = (amount, rate) => (this.#mode === 'inclusive'
+            ? amount * rate / (1 + rate)
+            : amount * rate);
+
+        const lineGroups = lines.map(line => {
+            const { rate, name } = this.getRate(line.taxCategory, region);
+            const key = `${name}|${rate}`;
+
+            if (!groups.has(key)) {
+                groups.set(key, { name, rate, taxable: 0, tax: 0 });
+            }
+
+            groups.get(key).taxable += line.taxable;
+            return groups.get(key);
+        });
+        const breakdown = [...groups.values()];
+        const lineTaxes = lines.map(() => 0);
+
+        if (taxRounding === 'per-line') {
+            // Round every line, then add the rounded amounts up per rate
+            lines.forEach((line, index) => {
+                const group = lineGroups[index];
+                lineTaxes[index] = Money.round(exactTax(line.taxable, group.rate), roundingMode);
+                group.tax += lineTaxes[index];
+            });
+        } else {
+            // Round once per rate, then spread each rate's tax over its lines
+            for (const group of breakdown) {
+                group.tax = Money.round(exactTax(group.taxable, group.rate), roundingMode);
+
+                const members = lines.map((line, index) => index).filter(index => lineGroups[index] === group);
+                const shares = Money.allocate(group.tax, members.map(index => lines[index].taxable));
+                members.forEach((index, position) => {
+                    lineTaxes[index] = shares[position];
+                });
+            }
+        }
+
+        return {
+            tax: breakdown.reduce((sum, group) => sum + group.tax, 0),
+            lines: lineTaxes,
+            breakdown
+        };
+    }
+
+    // Private helper listing the regions to try, most specific first
+    static #regionChain(region) {
+        const chain = [];
+        const parts = String(region).toUpperCase().split('-');
+
+        for (let length = parts.length; length > 0; length--) {
+            chain.push(parts.slice(0, length).join('-'));
+        }
+
+        if (!chain.includes(TaxEngine.DEFAULT_REGION)) {
+            chain.push(TaxEngine.DEFAULT_REGION);
+        }
+
+        return chain;
+    }
+}
+
+// Export for use in Node.js, browsers, and module bundlers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaxEngine;
+}
+// Make available in browser global scope
+if (typeof window !== 'undefined') {
+    window.TaxEngine = TaxEngine;
+}
@@ -0,0 +1,170 @@
+/**
+ * TieredPricing Module
+ *
+ * Quantity price breaks and customer-group price lists, shared by Catalog
+ * (product definitions) and ShoppingCart (free-form lines and re-pricing).
+ *
+ * A product's pricing rules look like:
+ *
+ *   priceBreaks: [{ minQuantity: 10, price: 89.99 }, { minQuantity: 50, price: 79.99 }]
+ *   groupPrices: {
+ *       wholesale: 84.99,                                           // group price
+ *       b2b: { price: 82.99, priceBreaks: [{ minQuantity: 20, price: 74.99 }] }
+ *   }
+ *
+ * Resolution for a quantity and customer group:
+ * - The base price is the group's price, or the list price if the group has none
+ * - The breaks are the group's own, or the product's if the group has none
+ * - The lowest of the base price and every break the quantity reaches wins
+ *
+ * Works in whatever unit the prices are given in (major units in definitions,
+ * integer minor units inside the cart).
+ */
+
+class TieredPricing {
+    // Customer group carts price for unless told otherwise
+    static DEFAULT_GROUP = 'retail';
+
+    /**
+     * Normalizes a customer group name (case-insensitive, surrounding whitespace ignored)
+     * @param {string} group - Customer group, e.g. 'Wholesale'
+     * @returns {string} - Normalized group, e.g. 'wholesale'
+     */
+    static normalizeGroup(group) {
+        return group.trim().toLowerCase();
+    }
+
+    /**
+     * Checks pricing rules
+     * @param {Object} pricing - { priceBreaks, groupPrices } (both optional)
+     * @returns {string|null} - What is wrong with the rules, or null if they are valid
+     */
+    static validate({ priceBreaks, groupPrices } = {}) {
+        const breaksError = TieredPricing.#validateBreaks(priceBreaks);
+
+        if (breaksError) {
+            return breaksError;
+        }
+
+        if (groupPrices === undefined) {
+            return null;
+        }
+
+        if (!groupPrices || typeof groupPrices !== 'object' || Array.isArray(groupPrices)) {
+            return 'Group prices must map each customer group to a price or { price, priceBreaks }';
+        }
+
+        for (const [group, rules] of Object.entries(groupPrices)) {
+            if (typeof rules === 'number') {
+                if (!(rules >= 0) || rules === Infinity) {
+                    return `Price for customer group "${group}" must be a non-negative number`;
+                }
+                continue;
+            }
+
+            // null means "fall back to the product's own", as in normalized rules
+            const price = rules && rules.price !== null ? rules.price : undefined;
+            const breaks = rules && rules.priceBreaks !== null ? rules.priceBreaks : undefined;
+
+            if (!rules || typeof rules !== 'object' || (price === undefined && breaks === undefined)) {
+                return `Customer group "${group}" needs a price or price breaks`;
+            }
+
+            if (price !== undefined && (typeof price !== 'number' || !(price >= 0) || price === Infinity)) {
+                return `Price for customer group "${group}" must be a non-negative number`;
+            }
+
+            const groupError = TieredPricing.#validateBreaks(breaks);
+
+            if (groupError) {
+                return `Customer group "${group}": ${groupError}`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Copies valid pricing rules into their canonical form: breaks sorted by
+     * quantity, and every group as { price, priceBreaks } (null where the group
+     * falls back to the product's own)
+     * @param {Object} pricing - { priceBreaks, groupPrices } (both optional)
+     * @returns {Object} - { priceBreaks, groupPrices }
+     */
+    static normalize({ priceBreaks = [], groupPrices = {} } = {}) {
+        const copyBreaks = breaks => breaks
+            .map(({ minQuantity, price }) => ({ minQuantity, price }))
+            .sort((a, b) => a.minQuantity - b.minQuantity);
+
+        return {
+            priceBreaks: copyBreaks(priceBreaks),
+            groupPrices: Object.fromEntries(Object.entries(groupPrices).map(([group, rules]) => [TieredPricing.normalizeGroup(group), {
+                price: typeof rules === 'number' ? rules : rules.price === undefined ? null : rules.price,
+                priceBreaks: typeof rules === 'object' && rules.priceBreaks ? copyBreaks(rules.priceBreaks) : null
+            }]))
+        };
+    }
+
+    /**
+     * Applies a function to every price in normalized rules (e.g. to convert units)
+     * @param {Object} pricing - Normalized { priceBreaks, groupPrices }
+     * @param {Function} convert - Maps a price to a new price
+     * @returns {Object} - New normalized { priceBreaks, groupPrices }
+     */
+    static map(pricing, convert) {
+        const mapBreaks = breaks => breaks.map(({ minQuantity, price }) => ({ minQuantity, price: convert(price) }));
+
+        return {
+            priceBreaks: mapBreaks(pricing.priceBreaks),
+            groupPrices: Object.fromEntries(Object.entries(pricing.groupPrices).map(([group, rules]) => [group, {
+                price: rules.price === null ? null : convert(rules.price),
+                priceBreaks: rules.priceBreaks ? mapBreaks(rules.priceBreaks) : null
+            }]))
+        };
+    }
+
+    /**
+     * Resolves the unit price for a quantity and customer group
+     * @param {number} listPrice - List (retail) unit price
+     * @param {Object} pricing - Normalized { priceBreaks, groupPrices }
+     * @param {number} quantity - Quantity being bought
+     * @param {string} group - Normalized customer group (default: 'retail')
+     * @returns {number} - Effective unit price (never above the list or group price)
+     */
+    static resolve(listPrice, pricing, quantity, group = TieredPricing.DEFAULT_GROUP) {
+        const rules = pricing.groupPrices[group] || { price: null, priceBreaks: null };
+        const base = rules.price === null ? listPrice : rules.price;
+
+        return (rules.priceBreaks || pricing.priceBreaks)
+            .filter(tier => quantity >= tier.minQuantity)
+            .reduce((lowest, tier) => Math.min(lowest, tier.price), base);
+    }
+
+    // Private helper checking a list of price breaks (null if valid)
+    static #validateBreaks(priceBreaks) {
+        if (priceBreaks === undefined) {
+            return null;
+        }
+
+        if (!Array.isArray(priceBreaks) || !priceBreaks.every(tier => tier &&
+            Number.isInteger(tier.minQuantity) && tier.minQuantity > 1 &&
+            typeof tier.price === 'number' && tier.price >= 0 && tier.price !== Infinity)) {
+            return 'Price breaks must be a list of { minQuantity, price } with a minQuantity above 1 and a non-negative price';
+        }
+
+        if (new Set(priceBreaks.map(tier => tier.minQuantity)).size !== priceBreaks.length) {
+            return 'Price breaks must not repeat a minQuantity';
+        }
+
+        return null;
+    }
+}
+
+// Export for use in Node.js, browsers, and module bundlers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TieredPricing;
+}
+// Make available in browser global scope
+if (typeof window !== 'undefined') {
+    window.TieredPricing = TieredPricing;
+}
@@ -45,8 +45,9 @@ console.log('-'.repeat(60));
 const clothingCart = new ShoppingCart();
 
 console.log('Customer shopping journey:');
-console.log('\n1️⃣  Customer adds 2 shirts');
-clothingCart.addItem('T-Shirt', 19.99, 2);
+console.log('\n1️⃣  Customer adds 2 shirts in different sizes');
+clothingCart.addItem('T-Shirt', 19.99, 1, { attributes: { size: 'M', colour: 'Black' } });
+clothingCart.addItem('T-Shirt', 19.99, 1, { attributes: { size: 'L', colour: 'White' } });
 
 console.log('2️⃣  Customer adds jeans');
 clothingCart.addItem('Jeans', 59.99, 1);
@@ -91,7 +92,10 @@ const foodCart = new ShoppingCart();
 
 console.log('Customer ordering food for a group:');
 foodCart.addItem('Burger Combo', 12.99, 3);
-foodCart.addItem('Pizza (Large)', 18.99, 2);
+foodCart.addItem('Pizza', 18.99, 2, {
+    attributes: { size: 'Large' },
+    addOns: [{ name: 'Extra cheese', price: 1.50 }]
+});
 foodCart.addItem('Fries', 4.99, 2);
 foodCart.addItem('Soda (2L)', 2.99, 2);
 foodCart.addItem('Dessert', 7.99, 1);
@@ -207,13 +211,19 @@ console.log(`    Result: ${r7 ? 'Applied (Correct) ✓' : 'Rejected (ERROR!)'}`)
 console.log('\n\n📦 EXAMPLE 7: Bulk Order - Business Purchase');
 console.log('-'.repeat(60));
 
-const bulkCart = new ShoppingCart();
+// A wholesale account: quantity breaks and group prices re-price the lines
+const bulkCart = new ShoppingCart({ customerGroup: 'wholesale' });
 
 console.log('Business bulk order:');
-bulkCart.addItem('Office Chair', 249.99, 10); // 10 chairs
-bulkCart.addItem('Desk', 499.99, 5); // 5 desks
+bulkCart.addItem('Office Chair', 249.99, 10, { // 10 chairs
+    priceBreaks: [{ minQuantity: 10, price: 229.99 }, { minQuantity: 50, price: 199.99 }]
+});
+bulkCart.addItem('Desk', 499.99, 5, { groupPrices: { wholesale: 459.99 } }); // 5 desks
 bulkCart.addItem('Monitor', 299.99, 15); // 15 monitors
-bulkCart.addItem('Keyboard', 89.99, 20); // 20 keyboards
+bulkCart.addItem('Keyboard', 89.99, 20, { // 20 keyboards
+    priceBreaks: [{ minQuantity: 20, price: 79.99 }],
+    groupPrices: { wholesale: { priceBreaks: [{ minQuantity: 20, price: 74.99 }] } }
+});
 bulkCart.addItem('Mouse', 39.99, 20); // 20 mice
 
 console.log('\nInitial order value:');
@@ -234,6 +244,9 @@ bulkItems.forEach(item => {
     console.log(`  ${item.product.padEnd(20)} | ${item.quantity.toString().padStart(3)} × $${item.price.toFixed(2).padStart(8)} = $${item.itemTotal.toFixed(2).padStart(10)} (${percent}%)`);
 });
 
+const bulkSavings = bulkItems.reduce((sum, item) => sum + item.savings, 0);
+console.log(`\nVolume and wholesale pricing saved $${bulkSavings.toFixed(2)} before the discount code`);
+
 // ============================================================================
 // EXAMPLE 8: Comparing Different Discount Strategies
 // ============================================================================
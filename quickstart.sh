@@ -24,10 +24,11 @@ echo "2) Run Examples (8 real-world scenarios)"
 echo "3) Run Both"
 echo "4) Open Browser Demo"
 echo "5) Show Files"
+echo "6) Open the Cart Command Line (REPL)"
 echo ""
 
 # Get user input
-read -p "Enter your choice (1-5): " choice
+read -p "Enter your choice (1-6): " choice
 
 case $choice in
     1)
@@ -71,6 +72,12 @@ case $choice in
         echo "====================="
         ls -lah
         ;;
+    6)
+        echo ""
+        echo "Starting the cart REPL (type help, exit to leave)..."
+        echo "================================="
+        node CartCli.js repl
+        ;;
     *)
         echo "Invalid choice!"
         exit 1
@@ -6,9 +6,29 @@
 
 // Import ShoppingCart class
 const ShoppingCart = require('./ShoppingCart.js');
+const PromotionEngine = require('./PromotionEngine.js');
+const Money = require('./Money.js');
+const Currency = require('./Currency.js');
+const TaxEngine = require('./TaxEngine.js');
+const Catalog = require('./Catalog.js');
+const Inventory = require('./Inventory.js');
+const CartStorage = require('./CartStorage.js');
+const CartError = require('./CartError.js');
+const Checkout = require('./Checkout.js');
+const MockPaymentProvider = require('./MockPaymentProvider.js');
+const ShippingEngine = require('./ShippingEngine.js');
+const TieredPricing = require('./TieredPricing.js');
+const ReceiptRenderer = require('./ReceiptRenderer.js');
+const I18n = require('./I18n.js');
+const CartManager = require('./CartManager.js');
+const CartServer = require('./CartServer.js');
+const CartCli = require('./CartCli.js');
+const GiftCardLedger = require('./GiftCardLedger.js');
+const RuleEngine = require('./RuleEngine.js');
+const http = require('http');
 
 // Test Helper Functions
-function runTests() {
+async function runTests() {
     console.log('🧪 SHOPPING CART SYSTEM - TEST SUITE\n');
     console.log('='.repeat(50));
 
@@ -17,6 +37,30 @@ function runTests() {
     testDiscounts();
     testCalculations();
     testEdgeCases();
+    testPromotionEngine();
+    testLiveDiscounts();
+    testDiscountStacking();
+    testMoneyArithmetic();
+    testCurrencies();
+    testTaxEngine();
+    testCatalog();
+    testVariants();
+    testInventory();
+    testPersistence();
+    testErrorModes();
+    testEvents();
+    testHistory();
+    await testCheckout();
+    testShipping();
+    testTieredPricing();
+    testReceipts();
+    testI18n();
+    testCartManager();
+    await testServer();
+    await testCli();
+    testSavedItems();
+    await testGiftCards();
+    await testBusinessRules();
 
     console.log('\n' + '='.repeat(50));
     console.log('✅ All tests completed!\n');
@@ -74,6 +118,25 @@ function testValidation() {
     const result2 = cart.addItem('Product', 50, 0);
     console.log(`  - Result: ${result2 ? '❌ FAILED' : '✓ Correctly rejected'}`);
 
+    // Test whitespace-only name
+    console.log('\n✓ Testing whitespace-only product name (should fail)...');
+    const blank = cart.addItem('   ', 10, 1);
+    console.log(`  - Result: ${blank ? '❌ FAILED' : '✓ Correctly rejected'} (${cart.getLastError().code})`);
+
+    // Test non-finite prices
+    console.log('\n✓ Testing NaN and Infinity prices (should fail)...');
+    [NaN, Infinity].forEach(price => {
+        const rejected = !cart.addItem('Product', price, 1) && cart.getLastError().code === 'INVALID_PRICE';
+        console.log(`  - ${price}: ${rejected ? '✓ Correctly rejected' : '❌ FAILED'}`);
+    });
+    const addOnRejected = !cart.addItem('Pizza', 10, 1, { addOns: [{ name: 'Cheese', price: NaN }] });
+    console.log(`  - NaN add-on price: ${addOnRejected ? '✓ Correctly rejected' : '❌ FAILED'} (${cart.getLastError().code})`);
+    const catalog = new Catalog();
+    const catalogRejected = !catalog.addProduct({ sku: 'INF-1', name: 'Infinite', price: Infinity }) &&
+        !catalog.addProduct({ sku: 'NAN-1', name: 'Unpriced', price: NaN });
+    console.log(`  - Catalog NaN / Infinity price: ${catalogRejected ? '✓ Correctly rejected' : '❌ FAILED'} (${catalog.getLastError().code})`);
+    console.log(`  - Cart still empty: ${cart.getItemCount()} items, total ${cart.getTotal()} (should be 0, 0)`);
+
     // Test removing non-existent item
     console.log('\n✓ Testing remove non-existent item (should fail)...');
     const result3 = cart.removeItem('NonExistent');
@@ -197,16 +260,1685 @@ function testEdgeCases() {
     console.log(`  - Items after clear: ${cart2.getItemCount()}`);
 }
 
-// Run all tests
-runTests();
+// Test 6: Promotion Engine
+function testPromotionEngine() {
+    console.log('\n🏷️  TEST 6: Promotion Engine');
+    console.log('-'.repeat(50));
+
+    let now = new Date('2026-06-15T12:00:00Z');
+    const engine = PromotionEngine.createDefault({ clock: () => now });
+    engine.register('FIVEOFF', { type: 'fixed', value: 5 });
+    engine.register('BIG50', { type: 'fixed', value: 50, minSubtotal: 200 });
+    engine.register('MUG3FOR2', { type: 'buyXGetY', buy: 2, get: 1, products: ['Mug'] });
+    engine.register('SUMMER', { type: 'percentage', value: 0.25, expiresAt: '2026-08-31T23:59:59Z' });
+    engine.register('ONCE', { type: 'percentage', value: 0.05, maxUses: 1 });
+
+    const cart = new ShoppingCart({ promotions: engine });
+    cart.addItem('Mug', 10, 3); // 30
+    cart.addItem('Plate', 20, 1); // 20
+    // Subtotal: 50
+
+    // Fixed amount
+    console.log('\n✓ Applying fixed-amount code FIVEOFF...');
+    cart.applyDiscount('FIVEOFF');
+    console.log(`  - Discount: $${cart.getDiscount().toFixed(2)} (should be 5.00)`);
+
+    // Buy-X-get-Y scoped to a product
+    console.log('\n✓ Applying buy-2-get-1 on Mug...');
+    cart.applyDiscount('MUG3FOR2');
+    console.log(`  - Discount: $${cart.getDiscount().toFixed(2)} (should be 10.00)`);
+
+    // Minimum subtotal threshold
+    console.log('\n✓ Evaluating BIG50 below its $200 threshold (should fail)...');
+    const big = cart.evaluateDiscount('BIG50');
+    console.log(`  - Result: ${big.applies ? '❌ FAILED' : '✓ Correctly rejected'} (${big.reason})`);
+
+    // Expiry window
+    console.log('\n✓ Evaluating SUMMER before and after expiry...');
+    console.log(`  - In window: ${cart.evaluateDiscount('SUMMER').applies ? '✓ applies' : '❌ FAILED'}`);
+    now = new Date('2026-09-01T00:00:00Z');
+    const expired = cart.evaluateDiscount('SUMMER');
+    console.log(`  - After expiry: ${expired.applies ? '❌ FAILED' : '✓ Correctly rejected'} (${expired.reason})`);
+
+    // Usage limit
+    console.log('\n✓ Redeeming single-use code ONCE on two carts...');
+    const other = new ShoppingCart({ promotions: engine });
+    other.addItem('Plate', 20, 1);
+    console.log(`  - First cart: ${cart.applyDiscount('ONCE') ? '✓ applied' : '❌ FAILED'}`);
+    const second = other.evaluateDiscount('ONCE');
+    console.log(`  - Second cart: ${second.applies ? '❌ FAILED' : '✓ Correctly rejected'} (${second.reason})`);
+
+    // Unknown codes explain themselves too
+    const unknown = cart.evaluateDiscount('NOPE');
+    console.log(`\n✓ Unknown code reason: ${unknown.reason} - ${unknown.message}`);
+
+    // Invalid rule definitions are refused
+    console.log('\n✓ Registering an invalid rule (should fail)...');
+    const registered = engine.register('BROKEN', { type: 'percentage', value: 5 });
+    console.log(`  - Result: ${registered ? '❌ FAILED' : '✓ Correctly rejected'}`);
+    console.log(`  - NaN value: ${engine.register('BROKEN', { type: 'fixed', value: NaN }) ? '❌ FAILED' : '✓ Correctly rejected'}`);
+    console.log(`  - NaN minimum subtotal: ${engine.register('BROKEN', { type: 'fixed', value: 5, minSubtotal: NaN }) ? '❌ FAILED' : '✓ Correctly rejected'}`);
+
+    // Product scopes ignore case, as cart product names do
+    console.log('\n✓ Product-scoped code matched ignoring case...');
+    engine.register('MONITOR20', { type: 'percentage', value: 0.2, products: ['  Monitor '] });
+    const monitorCart = new ShoppingCart({ promotions: engine });
+    monitorCart.addItem('monitor', 200, 1);
+    monitorCart.addItem('Cable', 10, 1);
+    const monitor = monitorCart.evaluateDiscount('MONITOR20');
+    console.log(`  - Applies: ${monitor.applies}, amount ${monitor.amount} (should be true, 40)`);
+}
+
+// Test 7: Live Discount Recalculation
+function testLiveDiscounts() {
+    console.log('\n🔄 TEST 7: Live Discount Recalculation');
+    console.log('-'.repeat(50));
+
+    const cart = new ShoppingCart();
+    cart.getPromotionEngine().register('FIVEOFF', { type: 'fixed', value: 5 });
+    cart.getPromotionEngine().register('BIG50', { type: 'fixed', value: 50, minSubtotal: 200 });
+    cart.addItem('Laptop', 999.99, 1);
+    cart.addItem('Cable', 1, 1);
+
+    console.log('\n✓ Applying SAVE20, then removing the laptop...');
+    cart.applyDiscount('SAVE20');
+    console.log(`  - Discount before: $${cart.getDiscount().toFixed(2)} (should be 200.20)`);
+    cart.removeItem('Laptop');
+    console.log(`  - Discount after: $${cart.getDiscount().toFixed(2)} (should be 0.20)`);
+    console.log(`  - Total after: $${cart.getTotal().toFixed(2)} (should be 0.88)`);
+
+    console.log('\n✓ Updating quantity recomputes the discount...');
+    cart.updateQuantity('Cable', 10);
+    console.log(`  - Discount: $${cart.getDiscount().toFixed(2)} (should be 2.00)`);
+
+    console.log('\n✓ Fixed amount larger than the subtotal is clamped...');
+    cart.updateQuantity('Cable', 1);
+    cart.removeDiscount('SAVE20');
+    cart.applyDiscount('FIVEOFF');
+    console.log(`  - Applied codes: ${cart.getAppliedCodes().join(', ')} (should be FIVEOFF)`);
+    console.log(`  - Discount: $${cart.getDiscount().toFixed(2)} (should be 1.00)`);
+    console.log(`  - Total: $${cart.getTotal().toFixed(2)} (should be 0.00)`);
+
+    console.log('\n✓ Threshold code stops applying when the cart drops below it...');
+    cart.removeDiscount();
+    cart.addItem('Monitor', 299.99, 1);
+    cart.applyDiscount('BIG50');
+    console.log(`  - Discount with monitor: $${cart.getDiscount().toFixed(2)} (should be 50.00)`);
+    cart.removeItem('Monitor');
+    console.log(`  - Discount without monitor: $${cart.getDiscount().toFixed(2)} (should be 0.00)`);
+
+    console.log('\n✓ Removing discounts...');
+    const removed = cart.removeDiscount('big50');
+    console.log(`  - Removed: ${removed ? '✓' : '❌'}, applied codes left: ${cart.getAppliedCodes().length} (should be 0)`);
+    const removedAgain = cart.removeDiscount('BIG50');
+    console.log(`  - Removing again: ${removedAgain ? '❌ FAILED' : '✓ Correctly rejected'}`);
+}
+
+// Test 8: Discount Stacking
+function testDiscountStacking() {
+    console.log('\n🧮 TEST 8: Discount Stacking');
+    console.log('-'.repeat(50));
+
+    const stackingPromotions = {
+        'STACK10': { type: 'percentage', value: 0.10, stacking: 'stackable' },
+        'TENOFF': { type: 'fixed', value: 10, stacking: 'stackable' },
+        'VIP': { type: 'percentage', value: 0.30, stacking: 'exclusive' }
+    };
+    const createCart = (applicationOrder) => {
+        const engine = PromotionEngine.createDefault({ promotions: stackingPromotions, applicationOrder });
+        const cart = new ShoppingCart({ promotions: engine });
+        cart.addItem('Product A', 100, 1);
+        cart.addItem('Product B', 50, 1);
+        return cart;
+    };
+
+    // Best-of codes: only the largest counts
+    const cart = createCart();
+    console.log('\n✓ Applying best-of codes SAVE10 and SAVE20...');
+    cart.applyDiscount('SAVE10');
+    cart.applyDiscount('SAVE20');
+    console.log(`  - Discount: $${cart.getDiscount().toFixed(2)} (should be 30.00)`);
+    const save10 = cart.getDiscountBreakdown().find(result => result.code === 'SAVE10');
+    console.log(`  - SAVE10 status: ${save10.reason} (should be NOT_BEST_OFFER)`);
+
+    // Stackable codes combine, percentages before fixed amounts
+    console.log('\n✓ Stacking STACK10 and TENOFF (percentage-first)...');
+    cart.applyDiscount('STACK10');
+    cart.applyDiscount('TENOFF');
+    console.log(`  - Discount: $${cart.getDiscount().toFixed(2)} (should be 52.00)`);
+
+    console.log('\n✓ Same codes with fixed-first order...');
+    const fixedFirst = createCart('fixed-first');
+    ['SAVE20', 'STACK10', 'TENOFF'].forEach(code => fixedFirst.applyDiscount(code));
+    console.log(`  - Discount: $${fixedFirst.getDiscount().toFixed(2)} (should be 49.20)`);
+
+    // Per-line breakdown
+    console.log('\n✓ Per-line discount breakdown (percentage-first):');
+    cart.getCartItems().forEach(item => {
+        const parts = item.discounts.map(discount => `${discount.code} -$${discount.amount.toFixed(2)}`);
+        console.log(`  - ${item.product}: ${parts.join(', ')}`);
+    });
+
+    // Exclusive codes
+    console.log('\n✓ Applying exclusive VIP on top of other codes (should fail)...');
+    const vip = cart.evaluateDiscount('VIP');
+    console.log(`  - Result: ${vip.applies ? '❌ FAILED' : '✓ Correctly rejected'} (${vip.reason})`);
+
+    console.log('\n✓ VIP alone, then adding SAVE10 (should fail)...');
+    cart.removeDiscount();
+    cart.applyDiscount('VIP');
+    console.log(`  - Discount: $${cart.getDiscount().toFixed(2)} (should be 45.00)`);
+    const added = cart.applyDiscount('SAVE10');
+    console.log(`  - Result: ${added ? '❌ FAILED' : '✓ Correctly rejected'}`);
+}
+
+// Test 9: Integer Minor-Unit Arithmetic
+function testMoneyArithmetic() {
+    console.log('\n🪙 TEST 9: Integer Minor-Unit Arithmetic');
+    console.log('-'.repeat(50));
+
+    console.log('\n✓ Rounding modes...');
+    console.log(`  - half-up 2.5 -> ${Money.round(2.5)} (should be 3), 1579.5 -> ${Money.round(1579.5)} (should be 1580)`);
+    console.log(`  - half-even 2.5 -> ${Money.round(2.5, 'half-even')} (should be 2), 3.5 -> ${Money.round(3.5, 'half-even')} (should be 4)`);
+    console.log(`  - 0.1 + 0.2 in cents: ${Money.toMinor(0.1) + Money.toMinor(0.2)} (should be 30)`);
+
+    console.log('\n✓ Allocating $1.00 across three equal lines...');
+    const parts = Money.allocate(100, [1, 1, 1]);
+    console.log(`  - Parts: ${parts.join(', ')} (should add up to 100)`);
+
+    console.log('\n✓ Half-even vs half-up on a half-cent tax (tax on $0.25 = 2.5 cents)...');
+    const halfUp = new ShoppingCart();
+    const halfEven = new ShoppingCart({ rounding: { mode: 'half-even' } });
+    halfUp.addItem('Sticker', 0.25, 1);
+    halfEven.addItem('Sticker', 0.25, 1);
+    console.log(`  - half-up tax: $${halfUp.getTax().toFixed(2)} (should be 0.03)`);
+    console.log(`  - half-even tax: $${halfEven.getTax().toFixed(2)} (should be 0.02)`);
+
+    console.log('\n✓ Per-line vs per-invoice tax rounding...');
+    const perInvoice = new ShoppingCart();
+    const perLine = new ShoppingCart({ rounding: { tax: 'per-line' } });
+    [perInvoice, perLine].forEach(cart => {
+        cart.addItem('Pen', 0.15, 1);
+        cart.addItem('Pencil', 0.15, 1);
+    });
+    console.log(`  - per-invoice tax: $${perInvoice.getTax().toFixed(2)} (should be 0.03)`);
+    console.log(`  - per-line tax: $${perLine.getTax().toFixed(2)} (should be 0.04)`);
+
+    console.log('\n✓ Components always reconcile to the total...');
+    const cart = new ShoppingCart({ rounding: { tax: 'per-line' } });
+    cart.getPromotionEngine().register('TENOFF', { type: 'fixed', value: 10, stacking: 'stackable' });
+    cart.addItem('Item 1', 33.33, 3);
+    cart.addItem('Item 2', 0.07, 7);
+    cart.addItem('Item 3', 19.99, 1);
+    cart.applyDiscount('SAVE10');
+    cart.applyDiscount('TENOFF');
+    const totals = cart.getTotals();
+    const cents = Money.toMinor(totals.subtotal) - Money.toMinor(totals.discount) + Money.toMinor(totals.tax);
+    console.log(`  - ${totals.subtotal} - ${totals.discount} + ${totals.tax} = ${totals.total}`);
+    console.log(`  - Reconciles: ${cents === Money.toMinor(totals.total) ? '✓' : '❌ FAILED'}`);
+    const lineDiscounts = cart.getCartItems()
+        .reduce((sum, item) => sum + item.discounts.reduce((acc, d) => acc + Money.toMinor(d.amount), 0), 0);
+    console.log(`  - Line discounts add up to the discount: ${lineDiscounts === Money.toMinor(totals.discount) ? '✓' : '❌ FAILED'}`);
+
+    console.log('\n✓ Unknown rounding mode (should throw)...');
+    try {
+        new ShoppingCart({ rounding: { mode: 'banker' } });
+        console.log('  - Result: ❌ FAILED');
+    } catch (error) {
+        console.log(`  - Result: ✓ Correctly rejected (${error.message})`);
+    }
+}
+
+// Test 10: Multi-Currency Carts
+function testCurrencies() {
+    console.log('\n💱 TEST 10: Multi-Currency Carts');
+    console.log('-'.repeat(50));
+
+    const rates = { base: 'USD', rates: { EUR: 0.9, GBP: 0.8, JPY: 150, KWD: 0.3 } };
+
+    console.log('\n✓ Minor-unit exponents...');
+    console.log(`  - JPY: ${Currency.getExponent('JPY')} (should be 0), USD: ${Currency.getExponent('usd')} (should be 2), KWD: ${Currency.getExponent('KWD')} (should be 3)`);
+
+    console.log('\n✓ Euro cart formatted for Germany...');
+    const euroCart = new ShoppingCart({ currency: 'EUR', locale: 'de-DE' });
+    euroCart.addItem('Kaffeemaschine', 89.99, 2);
+    console.log(`  - Total: ${euroCart.formatAmount(euroCart.getTotal())}`);
+    console.log(euroCart.getSummary().split('\n').map(line => `    ${line}`).join('\n'));
+
+    console.log('\n✓ Yen prices have no minor units...');
+    const yenCart = new ShoppingCart({ currency: 'JPY', locale: 'ja-JP' });
+    yenCart.addItem('Bento', 1250.4, 1);
+    console.log(`  - Price stored as: ${yenCart.getCartItems()[0].price} (should be 1250)`);
+    console.log(`  - Tax: ${yenCart.formatAmount(yenCart.getTax())} (should be 125 yen)`);
+
+    console.log('\n✓ Converting a USD cart to KWD and JPY...');
+    const usdCart = new ShoppingCart();
+    usdCart.addItem('Headphones', 199.99, 1);
+    usdCart.applyDiscount('SAVE10');
+    const kwdCart = usdCart.convertTo('KWD', rates);
+    console.log(`  - KWD price: ${kwdCart.getCartItems()[0].price} (should be 59.997)`);
+    console.log(`  - KWD codes carried over: ${kwdCart.getAppliedCodes().join(', ')} (should be SAVE10)`);
+    const jpyCart = usdCart.convertTo('JPY', rates);
+    console.log(`  - JPY total: ${jpyCart.formatAmount(jpyCart.getTotal())}`);
+
+    console.log('\n✓ Converting with a missing rate (should fail)...');
+    const missing = usdCart.convertTo('CHF', rates);
+    console.log(`  - Result: ${missing ? '❌ FAILED' : '✓ Correctly rejected'}`);
+
+    console.log('\n✓ Currency-specific fixed code on a euro cart (should fail)...');
+    euroCart.getPromotionEngine().register('USD5', { type: 'fixed', value: 5, currency: 'USD' });
+    const mismatch = euroCart.evaluateDiscount('USD5');
+    console.log(`  - Result: ${mismatch.applies ? '❌ FAILED' : '✓ Correctly rejected'} (${mismatch.reason})`);
+
+    console.log('\n✓ Unsupported currency (should throw)...');
+    try {
+        new ShoppingCart({ currency: 'XYZ' });
+        console.log('  - Result: ❌ FAILED');
+    } catch (error) {
+        console.log(`  - Result: ✓ Correctly rejected (${error.message})`);
+    }
+}
+
+// Test 11: Tax Engine
+function testTaxEngine() {
+    console.log('\n🧾 TEST 11: Tax Engine');
+    console.log('-'.repeat(50));
+
+    const rates = {
+        '*': { standard: 0.10, reduced: 0.05 },
+        'US': { standard: 0.05, reduced: 0 },
+        'US-CA': { standard: 0.0725 },
+        'DE': { standard: { rate: 0.19, name: 'VAT' }, reduced: { rate: 0.07, name: 'VAT' } }
+    };
+
+    console.log('\n✓ Region fallback US-CA -> US -> *...');
+    const engine = new TaxEngine({ rates });
+    console.log(`  - US-CA standard: ${engine.getRate('standard', 'US-CA').rate} (should be 0.0725)`);
+    console.log(`  - US-CA reduced: ${engine.getRate('reduced', 'us-ca').rate} (should be 0)`);
+    console.log(`  - FR standard: ${engine.getRate('standard', 'FR').rate} (should be 0.1)`);
+
+    console.log('\n✓ Tax-exclusive cart shipped to US-CA...');
+    const cart = new ShoppingCart({ tax: engine, region: 'US-CA' });
+    cart.addItem('Laptop', 1000, 1);
+    cart.addItem('Bread', 10, 1, { taxCategory: 'reduced' });
+    cart.addItem('Medicine', 20, 1, { taxCategory: 'exempt' });
+    console.log(`  - Tax: $${cart.getTax().toFixed(2)} (should be 72.50)`);
+    console.log(`  - Total: $${cart.getTotal().toFixed(2)} (should be 1102.50)`);
+
+    console.log('\n✓ Changing the ship-to region re-rates the cart...');
+    cart.setRegion('FR');
+    console.log(`  - Tax: $${cart.getTax().toFixed(2)} (should be 100.50)`);
+    cart.getTaxBreakdown().forEach(entry => {
+        console.log(`  - ${entry.name} ${entry.rate * 100}% on $${entry.taxable.toFixed(2)} = $${entry.tax.toFixed(2)}`);
+    });
+
+    console.log('\n✓ Tax-inclusive (VAT) cart shipped to DE...');
+    const vatCart = new ShoppingCart({ currency: 'EUR', tax: new TaxEngine({ rates, mode: 'inclusive' }), region: 'DE' });
+    vatCart.addItem('Book', 10.70, 1, { taxCategory: 'reduced' });
+    vatCart.addItem('Shirt', 11.90, 1);
+    const totals = vatCart.getTotals();
+    console.log(`  - Tax included: ${totals.taxIncluded ? '✓' : '❌'}, tax: €${totals.tax.toFixed(2)} (should be 2.60)`);
+    console.log(`  - Total: €${totals.total.toFixed(2)} (should be 22.60)`);
+    console.log(vatCart.getSummary().split('\n').map(line => `    ${line}`).join('\n'));
+
+    console.log('\n✓ Unknown tax category (should fail)...');
+    const result = cart.addItem('Gadget', 5, 1, { taxCategory: 'luxury' });
+    console.log(`  - Result: ${result ? '❌ FAILED' : '✓ Correctly rejected'}`);
+
+    console.log('\n✓ Unknown tax mode (should throw)...');
+    try {
+        new TaxEngine({ mode: 'sometimes' });
+        console.log('  - Result: ❌ FAILED');
+    } catch (error) {
+        console.log(`  - Result: ✓ Correctly rejected (${error.message})`);
+    }
+}
+
+function testCatalog() {
+    console.log('\n📇 TEST 12: Product Catalog');
+    console.log('-'.repeat(50));
+
+    const catalog = new Catalog({
+        products: [
+            { sku: 'LAP-001', name: 'Laptop', price: 999.99, category: 'electronics', stock: 2 },
+            { sku: 'BRD-001', name: 'Bread', price: 3.50, category: 'grocery', taxCategory: 'reduced' }
+        ]
+    });
 
-// Demo: Real-world shopping scenario
-console.log('\n🛒 REAL-WORLD EXAMPLE: Electronics Purchase');
-console.log('='.repeat(50));
+    console.log('\n✓ Catalog lookups by SKU...');
+    console.log(`  - lap-001: ${catalog.getProduct('lap-001').name} (should be Laptop)`);
+    console.log(`  - Grocery products: ${catalog.listProducts({ category: 'grocery' }).length} (should be 1)`);
+    console.log(`  - Bread stock: ${catalog.getStock('BRD-001')} (should be Infinity)`);
+
+    console.log('\n✓ Adding by SKU uses catalog name, price and tax class...');
+    const cart = new ShoppingCart({ catalog });
+    cart.addItem('LAP-001');
+    cart.addItem('brd-001', 2);
+    cart.getCartItems().forEach(item => {
+        console.log(`  - ${item.sku} ${item.product}: $${item.price.toFixed(2)} x ${item.quantity} (${item.taxCategory})`);
+    });
+    console.log(`  - Subtotal: $${cart.getSubtotal().toFixed(2)} (should be 1006.99)`);
+
+    console.log('\n✓ Catalog price changes flow into the cart...');
+    catalog.updateProduct('LAP-001', { price: 899.99 });
+    console.log(`  - Subtotal: $${cart.getSubtotal().toFixed(2)} (should be 906.99)`);
+
+    console.log('\n✓ Quantity above stock (should fail)...');
+    let result = cart.updateQuantity('LAP-001', 3);
+    console.log(`  - Result: ${result ? '❌ FAILED' : '✓ Correctly rejected'}`);
+
+    console.log('\n✓ Unknown SKU (should fail)...');
+    result = cart.addItem('NOPE-999');
+    console.log(`  - Result: ${result ? '❌ FAILED' : '✓ Correctly rejected'}`);
+
+    console.log('\n✓ Names are matched ignoring case and whitespace...');
+    const freeForm = new ShoppingCart();
+    freeForm.addItem('Mouse', 25, 1);
+    freeForm.addItem('  mouse ', 25, 2);
+    console.log(`  - Lines: ${freeForm.getItemCount()} (should be 1), quantity: ${freeForm.getCartItems()[0].quantity} (should be 3)`);
+
+    console.log('\n✓ Same product at a different price (should fail)...');
+    result = freeForm.addItem('MOUSE', 19.99, 1);
+    console.log(`  - Result: ${result ? '❌ FAILED' : '✓ Correctly rejected'}`);
+
+    console.log('\n✓ Catalog in another currency (should throw)...');
+    try {
+        new ShoppingCart({ currency: 'EUR', catalog });
+        console.log('  - Result: ❌ FAILED');
+    } catch (error) {
+        console.log(`  - Result: ✓ Correctly rejected (${error.message})`);
+    }
+}
+
+function testVariants() {
+    console.log('\n🍕 TEST 13: Variants and Add-ons');
+    console.log('-'.repeat(50));
+
+    console.log('\n✓ Same product with different options stays on separate lines...');
+    const cart = new ShoppingCart();
+    cart.addItem('Pizza', 12, 1, { attributes: { size: 'Large' }, addOns: [{ name: 'Extra cheese', price: 1.50 }] });
+    cart.addItem('Pizza', 12, 1, { attributes: { size: 'Large' } });
+    cart.addItem('pizza', 12, 1, { attributes: { Size: 'large' }, addOns: [{ name: 'extra cheese', price: 1.50 }] });
+    console.log(`  - Lines: ${cart.getItemCount()} (should be 2)`);
+    const [withCheese] = cart.getCartItems();
+    console.log(`  - Unit price: $${withCheese.price.toFixed(2)} (should be 13.50), quantity: ${withCheese.quantity} (should be 2)`);
+    console.log(`  - Subtotal: $${cart.getSubtotal().toFixed(2)} (should be 39.00)`);
+    console.log(cart.getSummary().split('\n').map(line => `    ${line}`).join('\n'));
+
+    console.log('\n✓ Lines are addressed by id or by selection...');
+    cart.updateQuantity('Pizza', 3, { attributes: { size: 'Large' } });
+    cart.removeItem(withCheese.id);
+    console.log(`  - Lines: ${cart.getItemCount()} (should be 1), quantity: ${cart.getCartItems()[0].quantity} (should be 3)`);
+
+    console.log('\n✓ Add-on without a price (should fail)...');
+    let result = cart.addItem('Burger', 9, 1, { addOns: [{ name: 'Bacon' }] });
+    console.log(`  - Result: ${result ? '❌ FAILED' : '✓ Correctly rejected'}`);
+
+    console.log('\n✓ Catalog variants and add-ons...');
+    const catalog = new Catalog({
+        products: [{
+            sku: 'TEE-001', name: 'T-Shirt', price: 19.99, stock: 3,
+            attributes: { size: ['S', 'M', 'L'], colour: ['Red', 'Blue'] },
+            addOns: [{ name: 'Gift wrap', price: 2.50 }]
+        }]
+    });
+    const catalogCart = new ShoppingCart({ catalog });
+    catalogCart.addItem('TEE-001', 1, { attributes: { size: 'M', colour: 'Red' }, addOns: ['Gift wrap'] });
+    catalogCart.addItem('TEE-001', 1, { attributes: { size: 'L', colour: 'Blue' } });
+    console.log(`  - Subtotal: $${catalogCart.getSubtotal().toFixed(2)} (should be 42.48)`);
+
+    console.log('\n✓ Variant the catalog does not offer (should fail)...');
+    result = catalogCart.addItem('TEE-001', 1, { attributes: { size: 'XXL' } });
+    console.log(`  - Result: ${result ? '❌ FAILED' : '✓ Correctly rejected'}`);
+
+    console.log('\n✓ Stock is shared across variants (should fail)...');
+    result = catalogCart.addItem('TEE-001', 2, { attributes: { size: 'S', colour: 'Red' } });
+    console.log(`  - Result: ${result ? '❌ FAILED' : '✓ Correctly rejected'}`);
+}
+
+function testInventory() {
+    console.log('\n📦 TEST 14: Inventory Reservations');
+    console.log('-'.repeat(50));
+
+    let now = new Date('2024-06-01T12:00:00Z').getTime();
+    const inventory = new Inventory({
+        stock: { 'Laptop': 3, 'Cable': 100 },
+        limits: { 'Cable': { min: 2, max: 10 } },
+        ttl: 60 * 1000,
+        clock: () => new Date(now)
+    });
+
+    console.log('\n✓ Items in a cart hold stock...');
+    const alice = new ShoppingCart({ inventory });
+    const bob = new ShoppingCart({ inventory });
+    alice.addItem('Laptop', 999.99, 2);
+    console.log(`  - Available to others: ${inventory.getAvailable('Laptop')} (should be 1)`);
+
+    console.log('\n✓ Quantity above what is available (should fail)...');
+    let result = bob.addItem('Laptop', 999.99, 2);
+    console.log(`  - Result: ${result ? '❌ FAILED' : '✓ Correctly rejected'}`);
+
+    console.log('\n✓ removeItem releases the reservation...');
+    alice.removeItem('Laptop');
+    console.log(`  - Bob adds 3: ${bob.addItem('Laptop', 999.99, 3) ? '✓' : '❌'}`);
+
+    console.log('\n✓ Reservations expire after the TTL...');
+    now += 61 * 1000;
+    console.log(`  - Available: ${inventory.getAvailable('Laptop')} (should be 3)`);
+    alice.addItem('Laptop', 999.99, 1);
+    console.log(`  - Bob renews: ${bob.refreshReservations() ? '❌ FAILED' : '✓ Correctly rejected (only 2 left)'}`);
+
+    console.log('\n✓ clearCart releases everything...');
+    alice.clearCart();
+    console.log(`  - Bob renews: ${bob.refreshReservations() ? '✓' : '❌'}, available: ${inventory.getAvailable('Laptop')} (should be 0)`);
+
+    console.log('\n✓ Purchase limits (should fail below min and above max)...');
+    result = alice.addItem('Cable', 5, 1);
+    console.log(`  - Below min: ${result ? '❌ FAILED' : '✓ Correctly rejected'}`);
+    alice.addItem('Cable', 5, 2);
+    result = alice.updateQuantity('Cable', 11);
+    console.log(`  - Above max: ${result ? '❌ FAILED' : '✓ Correctly rejected'}`);
+    console.log(`  - Reserved: ${inventory.getReservation(alice, 'cable').quantity} (should be 2)`);
+}
+
+function testPersistence() {
+    console.log('\n💾 TEST 15: Serialization and Persistence');
+    console.log('-'.repeat(50));
+
+    const cart = new ShoppingCart({ currency: 'EUR', locale: 'de-DE', region: 'DE' });
+    cart.addItem('Pizza', 12, 2, { attributes: { size: 'Large' }, addOns: [{ name: 'Extra cheese', price: 1.50 }] });
+    cart.addItem('Soda', 2.99, 3, { taxCategory: 'reduced' });
+    cart.applyDiscount('SAVE10');
+
+    console.log('\n✓ toJSON / fromJSON round trip...');
+    const json = JSON.stringify(cart);
+    const restored = ShoppingCart.fromJSON(json);
+    console.log(`  - Schema version: ${JSON.parse(json).version} (should be ${ShoppingCart.SCHEMA_VERSION})`);
+    console.log(`  - Codes: ${restored.getAppliedCodes().join(', ')} (should be SAVE10)`);
+    console.log(`  - Same summary: ${restored.getSummary() === cart.getSummary() ? '✓' : '❌ FAILED'}`);
+
+    console.log('\n✓ Memory, file and localStorage adapters...');
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cart-'));
+    const webStorage = new Map();
+    const storages = {
+        memory: CartStorage.memory(),
+        file: CartStorage.file(directory),
+        localStorage: CartStorage.localStorage({
+            getItem: key => (webStorage.has(key) ? webStorage.get(key) : null),
+            setItem: (key, value) => webStorage.set(key, value),
+            removeItem: key => webStorage.delete(key)
+        })
+    };
+
+    for (const [name, storage] of Object.entries(storages)) {
+        storage.save('session-1', cart);
+        const loaded = storage.load('session-1');
+        storage.remove('session-1');
+        console.log(`  - ${name}: total ${loaded.formatAmount(loaded.getTotal())} (should be ${cart.formatAmount(cart.getTotal())}), removed: ${storage.has('session-1') ? '❌' : '✓'}`);
+    }
+    fs.rmdirSync(directory);
+
+    console.log('\n✓ Unknown key loads nothing...');
+    console.log(`  - Result: ${storages.memory.load('missing') === null ? '✓ null' : '❌ FAILED'}`);
+
+    console.log('\n✓ Unsupported schema version (should throw)...');
+    try {
+        ShoppingCart.fromJSON({ version: 99, items: [] });
+        console.log('  - Result: ❌ FAILED');
+    } catch (error) {
+        console.log(`  - Result: ✓ Correctly rejected (${error.message})`);
+    }
+
+    console.log('\n✓ Restored codes keep usage counts balanced...');
+    const limited = new PromotionEngine({ promotions: { ONCE: { type: 'fixed', value: 5, maxUses: 1 } } });
+    const original = new ShoppingCart({ promotions: limited });
+    original.addItem('Widget', 10, 1);
+    original.applyDiscount('ONCE');
+    const copy = ShoppingCart.fromJSON(original.toJSON(), { promotions: limited });
+    copy.removeDiscount('ONCE');
+    console.log(`  - Uses after the restored copy drops the code: ${limited.getUsageCount('ONCE')} (should be 1)`);
+    const third = new ShoppingCart({ promotions: limited });
+    third.addItem('Widget', 10, 1);
+    console.log(`  - Third cart: ${third.applyDiscount('ONCE') ? '❌ FAILED' : '✓ Correctly rejected'} (${third.getLastError().code})`);
+    original.clearCart();
+    console.log(`  - Uses after the original is cleared: ${limited.getUsageCount('ONCE')} (should be 0)`);
+
+    console.log('\n✓ Malformed nested entries (should throw INVALID_STATE)...');
+    const stored = new ShoppingCart();
+    stored.addItem('Widget', 10, 1);
+    const good = stored.toJSON();
+    const malformed = {
+        'Null item': { items: [null] },
+        'Null add-on': { items: [{ ...good.items[0], addOns: [null] }] },
+        'Null saved line': { saved: [null] },
+        'Non-string saved product': { saved: [{ ...good.items[0], product: 5 }] },
+        'Numeric code': { appliedCodes: [5] },
+        'Non-array price breaks': { items: [{ ...good.items[0], pricing: { ...good.items[0].pricing, priceBreaks: 5 } }] }
+    };
+    for (const [label, changes] of Object.entries(malformed)) {
+        try {
+            ShoppingCart.fromJSON({ ...good, ...changes });
+            console.log(`  - ${label}: ❌ FAILED`);
+        } catch (error) {
+            console.log(`  - ${label}: ${error.code === 'INVALID_STATE' ? '✓' : '❌ FAILED'} ${error.message}`);
+        }
+    }
+}
+
+function testErrorModes() {
+    console.log('\n🚦 TEST 16: Structured Errors');
+    console.log('-'.repeat(50));
+
+    // The library must not write to the console
+    const originalError = console.error;
+    let consoleCalls = 0;
+    console.error = () => { consoleCalls++; };
+
+    console.log('\n✓ Boolean mode (default) with getLastError()...');
+    const inventory = new Inventory({ stock: { 'Laptop': 1 } });
+    const cart = new ShoppingCart({ inventory });
+    const checks = [
+        ['INVALID_PRICE', () => cart.addItem('Laptop', -5, 1)],
+        ['INVALID_QUANTITY', () => cart.addItem('Laptop', 5, 0)],
+        ['UNKNOWN_PRODUCT', () => cart.removeItem('Tablet')],
+        ['INVALID_CODE', () => cart.applyDiscount('BOGUS')],
+        ['OUT_OF_STOCK', () => cart.addItem('Laptop', 999.99, 2)]
+    ];
+    checks.forEach(([expected, operation]) => {
+        const result = operation();
+        const error = cart.getLastError();
+        console.log(`  - ${expected}: ${result === false && error instanceof CartError && error.code === expected ? '✓' : '❌ FAILED'} (${error && error.message})`);
+    });
+    cart.addItem('Laptop', 999.99, 1);
+    console.log(`  - Cleared after success: ${cart.getLastError() === null ? '✓' : '❌ FAILED'}`);
+    const outOfStock = (cart.addItem('Laptop', 999.99, 1), cart.getLastError());
+    console.log(`  - Details: requested ${outOfStock.details.requested}, available ${outOfStock.details.available} (should be 2, 1)`);
+
+    console.log('\n✓ Throw mode...');
+    const strict = new ShoppingCart({ errorMode: 'throw' });
+    try {
+        strict.updateQuantity('Laptop', 2);
+        console.log('  - Result: ❌ FAILED');
+    } catch (error) {
+        console.log(`  - Result: ${error instanceof CartError ? '✓' : '❌'} threw ${error.code}`);
+    }
+
+    console.log('\n✓ Result-object mode...');
+    const results = new ShoppingCart({ errorMode: 'result' });
+    const ok = results.addItem('Mouse', 25, 1);
+    const applied = results.applyDiscount('SAVE10 ');
+    const rejected = results.addItem('Mouse', 19.99, 1);
+    console.log(`  - Success: ok=${ok.ok}, value=${ok.value} (should be true, true)`);
+    console.log(`  - Applied code: ok=${applied.ok} (should be true)`);
+    console.log(`  - Failure: ok=${rejected.ok}, code=${rejected.error && rejected.error.code} (should be false, PRICE_CONFLICT)`);
+
+    console.log('\n✓ Companion modules report errors too...');
+    const catalog = new Catalog();
+    catalog.addProduct({ sku: 'A-1', name: 'Widget', price: 5 });
+    catalog.addProduct({ sku: 'a-1', name: 'Widget', price: 5 });
+    console.log(`  - Catalog: ${catalog.getLastError() ? catalog.getLastError().code : '❌ FAILED'} (should be DUPLICATE_PRODUCT)`);
+
+    console.error = originalError;
+    console.log(`\n✓ Console output from the library: ${consoleCalls} (should be 0)`);
+}
+
+function testEvents() {
+    console.log('\n📣 TEST 17: Change Events');
+    console.log('-'.repeat(50));
+
+    const cart = new ShoppingCart();
+    const received = [];
+    const unsubscribe = ShoppingCart.EVENTS.map(event => cart.on(event, payload => received.push(payload)));
+    const types = () => received.map(payload => payload.type).join(', ');
+
+    console.log('✓ Adding an item...');
+    cart.addItem('Laptop', 1000, 1);
+    console.log(`  - Events: ${types()} (should be itemAdded, totalsChanged)`);
+    console.log(`  - Before/after: ${received[0].before}, ${received[0].after.quantity} (should be null, 1)`);
+    console.log(`  - Total: ${received[1].before.total} -> ${received[1].after.total} (should be 0 -> 1100)`);
+
+    console.log('\n✓ Changing quantity and applying a code...');
+    received.length = 0;
+    cart.updateQuantity('Laptop', 2);
+    cart.applyDiscount('save10');
+    console.log(`  - Events: ${types()} (should be quantityChanged, totalsChanged, discountApplied, totalsChanged)`);
+    console.log(`  - Quantity: ${received[0].before.quantity} -> ${received[0].after.quantity} (should be 1 -> 2)`);
+    console.log(`  - Codes: ${received[2].codes} (should be SAVE10)`);
+
+    console.log('\n✓ No-ops and failures emit nothing...');
+    received.length = 0;
+    cart.updateQuantity('Laptop', 2);
+    cart.applyDiscount('SAVE10');
+    cart.addItem('Laptop', -1, 1);
+    cart.removeItem('Tablet');
+    console.log(`  - Events: ${received.length} (should be 0)`);
+
+    console.log('\n✓ Region change, removal and clearing...');
+    cart.setRegion('US-CA');
+    cart.addItem('Mouse', 20, 1);
+    cart.removeItem('mouse');
+    received.length = 0;
+    cart.clearCart();
+    console.log(`  - Events: ${types()} (should be cleared, totalsChanged)`);
+    console.log(`  - Cleared items: ${received[0].before.length} (should be 1)`);
+
+    console.log('\n✓ Locale change...');
+    received.length = 0;
+    cart.setLocale('es-es');
+    cart.setLocale('es-ES');
+    console.log(`  - Events: ${types()}, ${received[0].before} -> ${received[0].after} (should be localeChanged, en-US -> es-ES)`);
+    console.log(`  - Undo history untouched: ${cart.canUndo() && cart.undo() && cart.getLocale() === 'es-ES' ? '✓' : '❌ FAILED'}`);
+
+    console.log('\n✓ Unsubscribing...');
+    unsubscribe.forEach(stop => stop());
+    received.length = 0;
+    cart.addItem('Laptop', 1000, 1);
+    console.log(`  - Events after unsubscribe: ${received.length} (should be 0)`);
+
+    try {
+        cart.on('itemPurchased', () => {});
+        console.log('  - Unknown event: ❌ FAILED');
+    } catch (error) {
+        console.log(`  - Unknown event: ${error.code === 'INVALID_CONFIG' ? '✓ Correctly rejected' : '❌ FAILED'}`);
+    }
+}
+
+function testHistory() {
+    console.log('\n↩️  TEST 18: Undo, Redo & Transactions');
+    console.log('-'.repeat(50));
+
+    const inventory = new Inventory({ stock: { 'Laptop': 3 } });
+    const cart = new ShoppingCart({ inventory });
+
+    console.log('✓ Undoing an accidental removal...');
+    cart.addItem('Laptop', 1000, 2);
+    cart.addItem('Mouse', 25, 1);
+    cart.applyDiscount('SAVE10');
+    cart.removeItem('Laptop');
+    console.log(`  - Reserved after removal: ${inventory.getAvailable('Laptop')} available (should be 3)`);
+    cart.undo();
+    console.log(`  - Laptop back: ${cart.getCartItems().some(item => item.product === 'Laptop') ? '✓' : '❌ FAILED'}`);
+    console.log(`  - Reserved again: ${inventory.getAvailable('Laptop')} available (should be 1)`);
+
+    console.log('\n✓ Stepping back and forward...');
+    cart.undo();
+    console.log(`  - Codes after undoing the discount: [${cart.getAppliedCodes()}] (should be [])`);
+    cart.redo();
+    console.log(`  - Codes after redo: [${cart.getAppliedCodes()}] (should be [SAVE10])`);
+    cart.updateQuantity('Mouse', 3);
+    console.log(`  - Redo after a new change: ${cart.redo() ? '❌ FAILED' : '✓ Correctly rejected'} (${cart.getLastError().code})`);
+
+    console.log('\n✓ Transaction that commits...');
+    const before = cart.getTotal();
+    const committed = cart.transaction(tx => {
+        tx.removeItem('Mouse');
+        tx.addItem('Trackpad', 129, 1);
+    });
+    console.log(`  - Committed: ${committed} (should be true)`);
+    cart.undo();
+    console.log(`  - One undo step: total ${cart.getTotal()} (should be ${before})`);
+
+    console.log('\n✓ Transaction that fails validation...');
+    const events = [];
+    cart.on('itemAdded', payload => events.push(payload.type));
+    const total = cart.getTotal();
+    const rolledBack = cart.transaction(tx => {
+        tx.addItem('Keyboard', 75, 1);
+        tx.updateQuantity('Laptop', 5); // only 3 in stock
+    });
+    console.log(`  - Rolled back: ${rolledBack === false ? '✓' : '❌ FAILED'} (${cart.getLastError().code})`);
+    console.log(`  - Keyboard kept: ${cart.getCartItems().some(item => item.product === 'Keyboard') ? '❌ FAILED' : '✓ No'}`);
+    console.log(`  - Total unchanged: ${cart.getTotal()} (should be ${total})`);
+    console.log(`  - Events from the rolled-back transaction: ${events.length} (should be 0)`);
+
+    console.log('\n✓ Empty history...');
+    const fresh = new ShoppingCart();
+    console.log(`  - Undo: ${fresh.undo() ? '❌ FAILED' : '✓ Correctly rejected'} (${fresh.getLastError().code})`);
+}
+
+async function testCheckout() {
+    console.log('\n📬 TEST 19: Checkout & Orders');
+    console.log('-'.repeat(50));
+
+    const clock = () => new Date('2026-03-15T10:00:00Z');
+    const provider = new MockPaymentProvider();
+    const checkout = new Checkout({ paymentProvider: provider, clock });
+    const cart = new ShoppingCart();
+
+    console.log('✓ Empty cart...');
+    console.log(`  - Result: ${checkout.placeOrder(cart) ? '❌ FAILED' : '✓ Correctly rejected'} (${checkout.getLastError().code})`);
+
+    console.log('\n✓ Placing an order...');
+    cart.addItem('Laptop', 1000, 1);
+    cart.applyDiscount('SAVE10');
+    const order = checkout.placeOrder(cart);
+    console.log(`  - ID: ${order.getId()} (should be ORD-20260315-000001)`);
+    console.log(`  - Status: ${order.getStatus()}, total ${order.getTotals().total} (should be pending, 990)`);
+
+    cart.addItem('Mouse', 25, 1);
+    console.log(`  - Snapshot unaffected by later cart changes: ${order.getLines().length} line (should be 1)`);
+    try {
+        order.getLines()[0].quantity = 99;
+    } catch (error) {
+        // Frozen objects throw in strict mode
+    }
+    console.log(`  - Lines are frozen: quantity ${order.getLines()[0].quantity} (should be 1)`);
+
+    console.log('\n✓ Guarded transitions...');
+    console.log(`  - Fulfil unpaid: ${checkout.fulfill(order) ? '❌ FAILED' : '✓ Correctly rejected'} (${checkout.getLastError().code})`);
+    console.log(`  - No public status mutator: ${typeof order.transition === 'undefined' ? '✓' : '❌ FAILED'}`);
+    const silentProvider = { name: 'silent', charge: async () => undefined, refund: async () => ({}) };
+    const otherCheckout = new Checkout({ paymentProvider: silentProvider, clock });
+    const otherCart = new ShoppingCart();
+    otherCart.addItem('Cable', 10, 1);
+    const otherOrder = otherCheckout.placeOrder(otherCart);
+    console.log(`  - Order from another checkout: ${checkout.fulfill(otherOrder) ? '❌ FAILED' : '✓ Correctly rejected'} (${checkout.getLastError().code})`);
+    const unconfirmed = await otherCheckout.pay(otherOrder, { token: 'tok_visa' });
+    console.log(`  - Provider resolving nothing: ${unconfirmed} ${otherCheckout.getLastError().code}, status ${otherOrder.getStatus()} (should be false PAYMENT_FAILED, pending)`);
+
+    console.log('\n✓ Paying...');
+    const declinedOrder = checkout.placeOrder(cart);
+    const declined = await checkout.pay(declinedOrder, { token: MockPaymentProvider.DECLINED_TOKEN });
+    console.log(`  - Declined card: ${declined ? '❌ FAILED' : '✓ Correctly rejected'} (${checkout.getLastError().code}), status ${declinedOrder.getStatus()}`);
+    const [paid, concurrent] = await Promise.all([
+        checkout.pay(order, { token: 'tok_visa' }),
+        checkout.pay(order, { token: 'tok_visa' })
+    ]);
+    console.log(`  - Paid: ${paid}, second concurrent charge: ${concurrent} (should be true, false)`);
+    console.log(`  - Charges made: ${provider.getCharges().length}, amount ${order.getPayment().amount} (should be 1, 990)`);
+
+    console.log('\n✓ Fulfilment, refunds and cancellation...');
+    checkout.fulfill(order, { trackingNumber: '1Z999' });
+    const refunded = await checkout.refund(order, 'Damaged in transit');
+    console.log(`  - Refunded: ${refunded}, status ${order.getStatus()} (should be true, refunded)`);
+    console.log(`  - History: ${order.getHistory().map(entry => entry.status).join(' -> ')}`);
+    console.log(`  - Cancel a refunded order: ${checkout.cancel(order) ? '❌ FAILED' : '✓ Correctly rejected'}`);
+    console.log(`  - Cancel a pending order: ${checkout.cancel(declinedOrder, 'Customer request')} (should be true)`);
+    console.log(`  - Orders: ${checkout.listOrders().length} placed, ${checkout.listOrders({ status: 'cancelled' }).length} cancelled (should be 2, 1)`);
+
+    console.log('\n✓ A one-use code stays redeemed by its order...');
+    const promotions = new PromotionEngine({ promotions: { ONCE50: { type: 'percentage', value: 0.5, maxUses: 1 } } });
+    const first = new ShoppingCart({ promotions });
+    first.addItem('Laptop', 100, 1);
+    first.applyDiscount('ONCE50');
+    const firstOrder = checkout.placeOrder(first);
+    await checkout.pay(firstOrder, { token: 'tok_visa' });
+    first.clearCart();
+    console.log(`  - Uses after paying and clearing the cart: ${promotions.getUsageCount('ONCE50')} (should be 1)`);
+    const second = new ShoppingCart({ promotions });
+    second.addItem('Laptop', 100, 1);
+    console.log(`  - Second cart: ${second.applyDiscount('ONCE50') ? '❌ FAILED' : '✓ Correctly rejected'} (${second.getLastError().code})`);
+    await checkout.refund(firstOrder);
+    console.log(`  - Uses after refunding the order: ${promotions.getUsageCount('ONCE50')} (should be 0)`);
+    console.log(`  - Second cart after the refund: ${second.applyDiscount('ONCE50')} (should be true)`);
+    const secondOrder = checkout.placeOrder(second);
+    second.addItem('Mouse', 25, 1);
+    console.log(`  - Same cart ordered twice: ${checkout.placeOrder(second) ? '❌ FAILED' : '✓ Correctly rejected'} (${checkout.getLastError().code})`);
+    checkout.cancel(secondOrder);
+    second.clearCart();
+    console.log(`  - Uses after cancelling and clearing: ${promotions.getUsageCount('ONCE50')} (should be 0)`);
+
+    console.log('\n✓ Ordered units leave the stock...');
+    const inventory = new Inventory({ stock: { 'CAM-01': 1 } });
+    const catalog = new Catalog({
+        products: [
+            { sku: 'CAM-01', name: 'Webcam', price: 60 },
+            { sku: 'DOCK-01', name: 'Dock', price: 80, stock: 1 }
+        ]
+    });
+    const buyer = new ShoppingCart({ inventory, catalog });
+    buyer.addItem('CAM-01', 1);
+    buyer.addItem('DOCK-01', 1);
+    const stockOrder = checkout.placeOrder(buyer);
+    await checkout.pay(stockOrder, { token: 'tok_visa' });
+    buyer.clearCart();
+    console.log(`  - After paying and clearing: ${inventory.getAvailable('CAM-01')} webcam, ${catalog.getStock('DOCK-01')} dock (should be 0, 0)`);
+    const latecomer = new ShoppingCart({ inventory, catalog });
+    console.log(`  - Second cart, webcam: ${latecomer.addItem('CAM-01', 1) ? '❌ FAILED' : '✓ Correctly rejected'} (${latecomer.getLastError().code})`);
+    console.log(`  - Second cart, dock: ${latecomer.addItem('DOCK-01', 1) ? '❌ FAILED' : '✓ Correctly rejected'} (${latecomer.getLastError().code})`);
+    await checkout.refund(stockOrder);
+    console.log(`  - After the refund: ${inventory.getStock('CAM-01')} webcam, ${catalog.getStock('DOCK-01')} dock (should be 1, 1)`);
+    console.log(`  - Second cart after the refund: ${latecomer.addItem('CAM-01', 1) && latecomer.addItem('DOCK-01', 1)} (should be true)`);
+    inventory.setStock('CAM-01', 0);
+    console.log(`  - Sold out before checkout: ${checkout.placeOrder(latecomer) ? '❌ FAILED' : '✓ Correctly rejected'} (${checkout.getLastError().code}), dock stock ${catalog.getStock('DOCK-01')} (should be 1)`);
+}
+
+function testShipping() {
+    console.log('\n🚚 TEST 20: Shipping');
+    console.log('-'.repeat(50));
+
+    const shipping = new ShippingEngine({
+        methods: {
+            standard: { type: 'freeOver', threshold: 100, amount: 7.50, label: 'Standard' },
+            express: { type: 'flat', amount: 25, label: 'Express', destinations: ['US'] },
+            freight: { type: 'weight', base: 10, perKg: 2 },
+            courier: {
+                type: 'table',
+                rates: {
+                    'US': [{ maxWeight: 1, amount: 5 }, { maxWeight: 10, amount: 15 }],
+                    '*': [{ maxWeight: 10, amount: 30 }]
+                }
+            }
+        }
+    });
+    const cart = new ShoppingCart({ shipping });
+
+    console.log('✓ Weight and dimensions on lines...');
+    cart.addItem('Book', 40, 1, { weight: 0.5 });
+    cart.addItem('Pillow', 20, 1, { weight: 0.4, dimensions: { length: 50, width: 40, height: 10 } });
+    console.log(`  - Chargeable weight: ${shipping.getChargeableWeight(cart.getCartItems())} kg (should be 4.5: pillow is 4 kg volumetric)`);
+    console.log(`  - Invalid weight: ${cart.addItem('Rock', 5, 1, { weight: -1 }) ? '❌ FAILED' : '✓ Correctly rejected'}`);
+
+    console.log('\n✓ Methods...');
+    const quote = method => cart.getShippingOptions().find(option => option.method === method);
+    console.log(`  - Standard under threshold: ${quote('standard').amount} (should be 7.5)`);
+    console.log(`  - Express without destination: ${quote('express').available ? '❌ FAILED' : '✓ unavailable'} (${quote('express').reason})`);
+    console.log(`  - Weight-based: ${quote('freight').amount} (should be 19)`);
+    console.log(`  - Table rate, no destination: ${quote('courier').amount} (should be 30)`);
+    cart.setDestination({ country: 'us', region: 'CA', postalCode: '94103' });
+    console.log(`  - Table rate to US: ${quote('courier').amount} (should be 15)`);
+    console.log(`  - Unknown method: ${cart.setShippingMethod('teleport') ? '❌ FAILED' : '✓ Correctly rejected'} (${cart.getLastError().code})`);
+
+    console.log('\n✓ Shipping in the totals (taxed at 10%)...');
+    cart.setShippingMethod('standard');
+    const totals = cart.getTotals();
+    console.log(`  - Subtotal ${totals.subtotal}, shipping ${totals.shipping}, tax ${totals.tax}, total ${totals.total} (should be 60, 7.5, 6.75, 74.25)`);
+    console.log(`  - Summary line: ${cart.getSummary().split('\n').find(line => line.startsWith('Shipping'))}`);
+    cart.addItem('Book', 40, 1, { weight: 0.5 });
+    console.log(`  - Free over $100: shipping ${cart.getTotals().shipping} (should be 0)`);
+
+    console.log('\n✓ Untaxed shipping...');
+    const untaxed = new ShoppingCart({ shipping: new ShippingEngine({ methods: { flat: { type: 'flat', amount: 10 } }, taxCategory: 'exempt' }) });
+    untaxed.addItem('Book', 40, 1);
+    untaxed.setShippingMethod('flat');
+    console.log(`  - Tax ${untaxed.getTax()}, total ${untaxed.getTotal()} (should be 4, 54)`);
+
+    console.log('\n✓ Saved and restored...');
+    const restored = ShoppingCart.fromJSON(JSON.stringify(cart), { shipping });
+    console.log(`  - Method ${restored.getShippingMethod()}, country ${restored.getDestination().country}, total ${restored.getTotal()} (should be standard, US, ${cart.getTotal()})`);
+
+    console.log('\n✓ Checkout needs a deliverable method...');
+    const checkout = new Checkout({ paymentProvider: new MockPaymentProvider() });
+    const unchosen = new ShoppingCart({ shipping });
+    unchosen.addItem('Book', 40, 1);
+    console.log(`  - No method chosen: ${checkout.placeOrder(unchosen) ? '❌ FAILED' : '✓ Correctly rejected'} (${checkout.getLastError().code})`);
+    const order = checkout.placeOrder(cart);
+    console.log(`  - Order shipping: ${order.getShipping().label}, ${order.getTotals().shipping} (should be Standard, 0)`);
+}
+
+// Run all tests, then the demo
+function testTieredPricing() {
+    console.log('\n📊 TEST 21: Tiered and Customer-Group Pricing');
+    console.log('-'.repeat(50));
+
+    const cart = new ShoppingCart();
+    const chairPricing = {
+        priceBreaks: [{ minQuantity: 10, price: 229.99 }, { minQuantity: 25, price: 209.99 }],
+        groupPrices: { wholesale: 219.99, b2b: { priceBreaks: [{ minQuantity: 5, price: 199.99 }] } }
+    };
+
+    console.log('✓ Quantity breaks re-price the line...');
+    cart.addItem('Office Chair', 249.99, 9, chairPricing);
+    const chair = () => cart.getCartItems()[0];
+    console.log(`  - 9 chairs: ${chair().effectivePrice} each (should be 249.99)`);
+    cart.addItem('Office Chair', 249.99, 1);
+    console.log(`  - 10 chairs: ${chair().effectivePrice} each, list ${chair().listPrice}, savings ${chair().savings} (should be 229.99, 249.99, 200)`);
+    cart.updateQuantity('Office Chair', 30);
+    console.log(`  - 30 chairs: ${chair().effectivePrice} each (should be 209.99)`);
+    cart.updateQuantity('Office Chair', 9);
+    console.log(`  - Back to 9: ${chair().effectivePrice} each (should be 249.99)`);
+    console.log(`  - Subtotal follows: ${cart.getSubtotal()} (should be 2249.91)`);
+
+    console.log('\n✓ Customer groups...');
+    cart.setCustomerGroup('Wholesale');
+    console.log(`  - Wholesale, 9 chairs: ${chair().effectivePrice} (should be 219.99)`);
+    cart.updateQuantity('Office Chair', 25);
+    console.log(`  - Wholesale, 25 chairs: ${chair().effectivePrice} (should be 209.99: the lowest price wins)`);
+    cart.setCustomerGroup('b2b');
+    console.log(`  - B2B uses its own breaks: ${chair().effectivePrice} (should be 199.99)`);
+    cart.undo();
+    console.log(`  - Undo restores the group: ${cart.getCustomerGroup()} (should be wholesale)`);
+    console.log(`  - Empty group: ${cart.setCustomerGroup(' ') ? '❌ FAILED' : '✓ Correctly rejected'} (${cart.getLastError().code})`);
+
+    console.log('\n✓ Invalid pricing rules...');
+    console.log(`  - Break at 1: ${cart.addItem('Desk', 499.99, 1, { priceBreaks: [{ minQuantity: 1, price: 450 }] }) ? '❌ FAILED' : '✓ Correctly rejected'}`);
+    console.log(`  - Negative group price: ${cart.addItem('Desk', 499.99, 1, { groupPrices: { b2b: -1 } }) ? '❌ FAILED' : '✓ Correctly rejected'}`);
+    console.log(`  - Resolve directly: ${TieredPricing.resolve(100, TieredPricing.normalize({ priceBreaks: [{ minQuantity: 3, price: 90 }] }), 3)} (should be 90)`);
+
+    console.log('\n✓ Catalog products, counted across variants...');
+    const catalog = new Catalog({
+        products: [{
+            sku: 'KB-1', name: 'Keyboard', price: 89.99, attributes: { layout: ['US', 'UK'] },
+            priceBreaks: [{ minQuantity: 20, price: 79.99 }]
+        }]
+    });
+    const b2b = new ShoppingCart({ catalog });
+    b2b.addItem('KB-1', 12, { attributes: { layout: 'US' } });
+    console.log(`  - 12 keyboards: ${b2b.getCartItems()[0].effectivePrice} (should be 89.99)`);
+    b2b.addItem('KB-1', 8, { attributes: { layout: 'UK' } });
+    console.log(`  - 12 US + 8 UK: ${b2b.getCartItems().map(item => item.effectivePrice).join(', ')} (should be 79.99, 79.99)`);
+    console.log(`  - Bad catalog breaks: ${catalog.updateProduct('KB-1', { priceBreaks: 'cheap' }) ? '❌ FAILED' : '✓ Correctly rejected'}`);
+
+    console.log('\n✓ Saved, restored and converted...');
+    const restored = ShoppingCart.fromJSON(JSON.stringify(cart));
+    console.log(`  - Restored: group ${restored.getCustomerGroup()}, subtotal ${restored.getSubtotal()} (should be wholesale, ${cart.getSubtotal()})`);
+    const euros = cart.convertTo('EUR', { base: 'USD', rates: { EUR: 0.5 } });
+    console.log(`  - In EUR: list ${euros.getCartItems()[0].listPrice}, effective ${euros.getCartItems()[0].effectivePrice} (should be 125, 105)`);
+}
+
+function testReceipts() {
+    console.log('\n🧾 TEST 22: Receipts and Invoices');
+    console.log('-'.repeat(50));
+
+    const clock = () => new Date('2026-03-15T10:00:00Z');
+    const renderer = new ReceiptRenderer({
+        seller: { name: 'Acme Ltd', address: '1 Main St\nSpringfield', taxId: 'US-123' },
+        clock
+    });
+    const cart = new ShoppingCart();
+    cart.addItem('Desk <b>', 200, 1);
+    cart.addItem('=HYPERLINK("x")', 10, 2, { attributes: { colour: 'Red' } });
+    cart.applyDiscount('SAVE10');
+
+    console.log('✓ Text receipt from a cart...');
+    const text = renderer.render(cart);
+    const totalLine = text.split('\n').find(line => line.startsWith('TOTAL'));
+    console.log(`  - ${totalLine.replace(/\s+/g, ' ')} (should be TOTAL ${cart.formatAmount(cart.getTotal())})`);
+    console.log(`  - Discount line: ${text.includes('Discount (SAVE10)') ? '✓ present' : '❌ FAILED'}`);
+
+    console.log('\n✓ HTML, JSON and CSV...');
+    const html = renderer.render(cart, 'html');
+    console.log(`  - HTML escapes names: ${html.includes('Desk &lt;b&gt;') && !html.includes('<b>') ? '✓ escaped' : '❌ FAILED'}`);
+    const json = JSON.parse(renderer.render(cart, 'json'));
+    console.log(`  - JSON totals: ${json.totals.total}, ${json.lines.length} lines (should be ${cart.getTotal()}, 2)`);
+    const csv = renderer.render(cart, 'csv').trim().split('\r\n');
+    console.log(`  - CSV rows: ${csv.length} (should be 3 with the header)`);
+    console.log(`  - Formula guarded: ${csv[2].includes(`"'=HYPERLINK(""x"")"`) ? '✓ guarded' : '❌ FAILED'}`);
+
+    console.log('\n✓ Printable invoice from an order...');
+    const checkout = new Checkout({ paymentProvider: new MockPaymentProvider(), clock });
+    const order = checkout.placeOrder(cart);
+    const invoice = renderer.render(order, 'invoice', { buyer: { name: 'Jane Buyer', address: ['2 Side St'] }, notes: 'Net 30' });
+    const number = (invoice.match(/INV-\d{8}-\d{6}/) || ['none'])[0];
+    console.log(`  - Invoice number: ${number} (should be INV-20260315-000001)`);
+    console.log(`  - Seller, buyer and order: ${['Acme Ltd', 'Tax ID: US-123', 'Jane Buyer', order.getId(), 'Net 30'].every(part => invoice.includes(part)) ? '✓ present' : '❌ FAILED'}`);
+    console.log(`  - Same number when re-rendered: ${renderer.render(order, 'invoice').includes(number) ? '✓ stable' : '❌ FAILED'}`);
+
+    console.log('\n✓ Templates...');
+    renderer.registerTemplate('sms', (receipt, { money }) => `Paid ${money(receipt.totals.total)}, thanks!`);
+    console.log(`  - Custom format: ${renderer.render(order, 'sms')}`);
+    const spanish = new ReceiptRenderer({ labels: { total: 'Total a pagar' }, clock });
+    console.log(`  - Custom labels: ${spanish.render(cart).includes('TOTAL A PAGAR') ? '✓ used' : '❌ FAILED'}`);
+    console.log(`  - Unknown format: ${renderer.render(cart, 'pdf') ? '❌ FAILED' : '✓ Correctly rejected'} (${renderer.getLastError().code})`);
+    renderer.registerTemplate('broken', () => { throw new Error('boom'); });
+    console.log(`  - Failing template: ${renderer.render(cart, 'broken') ? '❌ FAILED' : '✓ Correctly rejected'} (${renderer.getLastError().code})`);
+    console.log(`  - Empty cart: ${renderer.render(new ShoppingCart()) ? '❌ FAILED' : '✓ Correctly rejected'} (${renderer.getLastError().code})`);
+}
+
+function testI18n() {
+    console.log('\n🌍 TEST 23: Internationalization');
+    console.log('-'.repeat(50));
+
+    console.log('✓ Localized summaries...');
+    const cart = new ShoppingCart({ currency: 'EUR', locale: 'es-ES' });
+    cart.addItem('Silla', 100, 3);
+    cart.applyDiscount('SAVE10');
+    const spanish = cart.getSummary().split('\n');
+    console.log(`  - Spanish title: ${spanish[0]} (should be === RESUMEN DEL CARRITO ===)`);
+    console.log(`  - Spanish total: ${spanish[spanish.length - 1]} (should be TOTAL: 297,00 €)`);
+    console.log(`  - Spanish empty cart: ${new ShoppingCart({ locale: 'es' }).getSummary()} (should be El carrito está vacío)`);
+    cart.setLocale('ar-EG');
+    const arabic = cart.getSummary().split('\n');
+    console.log(`  - Arabic subtotal: ${arabic.find(line => line.startsWith('المجموع الفرعي')) ? '✓ translated' : '❌ FAILED'}`);
+    console.log(`  - Arabic digits: ${arabic[arabic.length - 1].includes('٢٩٧٫٠٠') ? '✓ formatted' : '❌ FAILED'}`);
+    cart.setLocale('de-DE');
+    console.log(`  - No German catalog, English fallback: ${cart.getSummary().split('\n')[0]} (should be === CART SUMMARY ===)`);
+    console.log(`  - Invalid locale: ${cart.setLocale('not a locale!') ? '❌ FAILED' : '✓ Correctly rejected'} (${cart.getLastError().code})`);
+
+    console.log('\n✓ Plurals...');
+    const english = new I18n();
+    const arabicMessages = english.withLocale('ar');
+    console.log(`  - English: ${[0, 1, 5].map(count => english.t('cart.units', { count })).join(' / ')} (should be No items / 1 item / 5 items)`);
+    console.log(`  - Spanish: ${english.withLocale('es-MX').t('cart.units', { count: 1 })} / ${english.withLocale('es-MX').t('cart.units', { count: 2 })} (should be 1 artículo / 2 artículos)`);
+    console.log(`  - Arabic forms: ${[1, 2, 3, 11, 100].map(count => arabicMessages.t('cart.units', { count })).join(' / ')}`);
+    console.log(`  - Arabic two-form: ${arabicMessages.t('cart.units', { count: 2 }) === 'قطعتان' ? '✓ dual used' : '❌ FAILED'}`);
+
+    console.log('\n✓ Formatting and direction...');
+    console.log(`  - Numbers: ${english.formatNumber(1234.5)} / ${english.withLocale('es-ES').formatNumber(12345.5)} (should be 1,234.5 / 12.345,5)`);
+    console.log(`  - Dates: ${english.formatDate('2026-03-15T12:00:00Z')} / ${english.withLocale('es').formatDate('2026-03-15T12:00:00Z')}`);
+    console.log(`  - Direction: en ${english.getDirection()}, ar ${arabicMessages.getDirection()} (should be ltr, rtl)`);
+
+    console.log('\n✓ Custom messages...');
+    english.addMessages('es', { 'app.title': 'Mi carrito' });
+    console.log(`  - Added key: ${english.withLocale('es').t('app.title')} (should be Mi carrito)`);
+    console.log(`  - Built-ins untouched: ${new I18n({ locale: 'es' }).t('app.title')} (should be app.title)`);
+    console.log(`  - No French catalog, English fallback: ${english.withLocale('fr').t('summary.subtotal')} (should be Subtotal)`);
+    console.log(`  - Bad message: ${english.addMessages('es', { broken: { one: 'x' } }) ? '❌ FAILED' : '✓ Correctly rejected'} (${english.getLastError().code})`);
+}
+
+function testCartManager() {
+    console.log('\n👥 TEST 24: Cart Manager & Guest Merge');
+    console.log('-'.repeat(50));
+
+    let now = new Date('2026-03-15T10:00:00Z').getTime();
+    const clock = () => new Date(now);
+    const inventory = new Inventory({ stock: { 'Mouse': 5 }, clock });
+    const storage = CartStorage.memory();
+    const manager = new CartManager({ cartOptions: { inventory }, storage, clock });
+
+    console.log('\n✓ Carts by session and user...');
+    const guest = manager.getCart('session-1');
+    console.log(`  - Same cart on next request: ${manager.getCart('session-1') === guest ? '✓' : '❌ FAILED'}`);
+    console.log(`  - Other session, other cart: ${manager.getCart('session-2') !== guest ? '✓' : '❌ FAILED'}`);
+    const saved = manager.getUserCart('alice');
+    saved.addItem('Mouse', 25, 1);
+    saved.addItem('Keyboard', 80, 1);
+    manager.saveUserCart('alice');
+    console.log(`  - Invalid ID: ${manager.getCart('') ? '❌ FAILED' : '✓ Correctly rejected'} (${manager.getLastError().code})`);
+
+    console.log('\n✓ Login merges the guest cart (sum)...');
+    now += 60 * 1000;
+    guest.addItem('Mouse', 25, 2);
+    guest.addItem('Mousepad', 10, 1);
+    guest.applyDiscount('SAVE20');
+    let report = manager.login('session-1', 'alice');
+    const quantities = cart => cart.getCartItems().map(item => `${item.product} x${item.quantity}`).join(', ');
+    console.log(`  - Merged: ${quantities(report.cart)} (should be Mouse x3, Keyboard x1, Mousepad x1)`);
+    console.log(`  - Session now uses the user cart: ${manager.getCart('session-1') === saved ? '✓' : '❌ FAILED'}`);
+    console.log(`  - Guest cart emptied: ${guest.getItemCount()} lines (should be 0)`);
+    console.log(`  - Guest code carried over: ${report.appliedCodes.join(', ')} (should be SAVE20)`);
+    console.log(`  - Mouse reserved once: ${inventory.getAvailable('Mouse')} left (should be 2)`);
+
+    console.log('\n✓ Conflict policies...');
+    const mergeWith = (policy, guestQuantity, userQuantity, guestFirst) => {
+        const policyManager = new CartManager({ clock });
+        const user = policyManager.getUserCart('bob');
+        const visitor = policyManager.getCart('session-bob');
+
+        if (guestFirst) {
+            visitor.addItem('Mouse', 25, guestQuantity);
+            now += 1000;
+            user.addItem('Mouse', 25, userQuantity);
+        } else {
+            user.addItem('Mouse', 25, userQuantity);
+            now += 1000;
+            visitor.addItem('Mouse', 25, guestQuantity);
+        }
+
+        return policyManager.login('session-bob', 'bob', { policy }).cart.getCartItems()[0].quantity;
+    };
+    console.log(`  - sum: ${mergeWith('sum', 2, 3, false)} (should be 5)`);
+    console.log(`  - max: ${mergeWith('max', 2, 3, false)} (should be 3)`);
+    console.log(`  - latest (guest changed last): ${mergeWith('latest', 2, 3, false)} (should be 2)`);
+    console.log(`  - latest (user changed last): ${mergeWith('latest', 2, 3, true)} (should be 3)`);
+    console.log(`  - Unknown policy: ${manager.login('session-2', 'alice', { policy: 'min' }) ? '❌ FAILED' : '✓ Correctly rejected'} (${manager.getLastError().code})`);
+
+    console.log('\n✓ Discounts are re-validated...');
+    const promotions = new PromotionEngine({ promotions: {
+        'BIG50': { type: 'fixed', value: 50, minSubtotal: 200, currency: 'USD', stacking: 'exclusive' },
+        'SAVE10': { type: 'percentage', value: 0.10, stacking: 'stackable' }
+    } });
+    const codeManager = new CartManager({ cartOptions: { promotions }, clock });
+    const carol = codeManager.getUserCart('carol');
+    carol.addItem('Monitor', 250, 1);
+    carol.applyDiscount('BIG50');
+    const carolGuest = codeManager.getCart('session-carol');
+    carolGuest.addItem('Cable', 5, 1);
+    carolGuest.applyDiscount('SAVE10');
+    report = codeManager.login('session-carol', 'carol');
+    console.log(`  - Kept: ${report.appliedCodes.join(', ')} (should be BIG50)`);
+    console.log(`  - Dropped: ${report.droppedCodes.map(({ code, reason }) => `${code} (${reason})`).join(', ')} (should be SAVE10 (NOT_COMBINABLE))`);
+    console.log(`  - Guest's use given back: ${promotions.getUsageCount('SAVE10')} (should be 0)`);
+
+    console.log('\n✓ Failed merge changes nothing...');
+    const limited = new Inventory({ stock: { 'Lamp': 10 }, limits: { 'Lamp': { max: 3 } }, clock });
+    const limitManager = new CartManager({ cartOptions: { inventory: limited }, clock });
+    const dave = limitManager.getUserCart('dave');
+    const daveGuest = limitManager.getCart('session-dave');
+    dave.addItem('Lamp', 40, 2);
+    daveGuest.addItem('Lamp', 40, 2);
+    let result = limitManager.login('session-dave', 'dave');
+    console.log(`  - Sum above the purchase limit: ${result ? '❌ FAILED' : '✓ Correctly rejected'} (${limitManager.getLastError().code})`);
+    console.log(`  - Carts unchanged: guest x${daveGuest.getCartItems()[0].quantity}, user x${dave.getCartItems()[0].quantity}, available ${limited.getAvailable('Lamp')} (should be x2, x2, available 6)`);
+    result = limitManager.login('session-dave', 'dave', { policy: 'max' });
+    console.log(`  - With max instead: ${result ? '✓' : '❌ FAILED'} (Lamp x${dave.getCartItems()[0].quantity}, available ${limited.getAvailable('Lamp')}; should be x2, 8)`);
+
+    const euros = new ShoppingCart({ currency: 'EUR' });
+    euros.addItem('Mouse', 25, 1);
+    console.log(`  - Other currency: ${new ShoppingCart().merge(euros) ? '❌ FAILED' : '✓ Correctly rejected'}`);
+
+    console.log('\n✓ Expiry and logout...');
+    now += 31 * 60 * 1000;
+    const expired = manager.sweep();
+    console.log(`  - Expired sessions: ${expired.sessions.join(', ')} (should be session-1, session-2)`);
+    console.log(`  - Fresh guest cart after expiry: ${manager.getCart('session-1').getItemCount()} lines (should be 0)`);
+    manager.login('session-1', 'alice');
+    console.log(`  - Logout: ${manager.logout('session-1') ? '✓' : '❌ FAILED'}, next cart empty: ${manager.getCart('session-1').getItemCount() === 0 ? '✓' : '❌ FAILED'}`);
+    now += 8 * 24 * 60 * 60 * 1000;
+    console.log(`  - Idle user cart expires: ${manager.sweep().users.join(', ')} (should be alice)`);
+    console.log(`  - Reloaded from storage: ${quantities(manager.getUserCart('alice'))} (should be Mouse x3, Keyboard x1, Mousepad x1)`);
+    console.log(`  - Logout of a guest session: ${manager.logout('session-2') ? '❌ FAILED' : '✓ Correctly rejected'} (${manager.getLastError().code})`);
+}
+
+// Sends a JSON request to a local server; resolves to { status, headers, body }
+function sendRequest(port, method, path, body, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const payload = body === undefined ? '' : typeof body === 'string' ? body : JSON.stringify(body);
+        const request = http.request({
+            host: '127.0.0.1',
+            port,
+            method,
+            path,
+            agent: false,
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload), ...headers }
+        }, response => {
+            let text = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => (text += chunk));
+            response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body: text ? JSON.parse(text) : null }));
+        });
+
+        request.on('error', reject);
+        request.end(payload);
+    });
+}
+
+async function testServer() {
+    console.log('\n🌐 TEST 25: REST API Server');
+    console.log('-'.repeat(50));
+
+    const server = new CartServer({ manager: new CartManager({ cartOptions: { inventory: new Inventory({ stock: { 'Mouse': 3 } }) } }) });
+    const { port } = await server.listen(0);
+
+    try {
+        console.log(`\n✓ Listening on a local port (${port > 0 ? '✓' : '❌ FAILED'})...`);
+        let response = await sendRequest(port, 'POST', '/carts', { locale: 'es-ES' });
+        const cartPath = response.headers.location;
+        console.log(`  - Create cart: ${response.status} (should be 201), Location ${cartPath ? '✓' : '❌ FAILED'}, locale ${response.body.locale}`);
+
+        console.log('\n✓ Items and codes...');
+        response = await sendRequest(port, 'POST', `${cartPath}/items`, { product: 'Laptop', price: 999.99, quantity: 1 });
+        console.log(`  - Add item: ${response.status} (should be 200), subtotal ${response.body.totals.subtotal} (should be 999.99)`);
+        response = await sendRequest(port, 'POST', `${cartPath}/items`, { product: 'Mouse', price: 25, quantity: 2, attributes: { colour: 'Black' } });
+        const mouseLine = response.body.items.find(item => item.product === 'Mouse').id;
+        response = await sendRequest(port, 'PATCH', `${cartPath}/items/${encodeURIComponent(mouseLine)}`, { quantity: 3 });
+        console.log(`  - Update by line id: ${response.status}, Mouse x${response.body.items[1].quantity} (should be 200, x3)`);
+        response = await sendRequest(port, 'POST', `${cartPath}/discounts`, { code: 'save10' });
+        console.log(`  - Apply code: ${response.status}, applied ${response.body.appliedCodes.join(', ')} (should be 200, SAVE10)`);
+        response = await sendRequest(port, 'GET', `${cartPath}/totals`);
+        console.log(`  - Totals: ${response.status}, total ${response.body.total} ${response.body.currency} (should be 200, 1064.24 USD)`);
+        response = await sendRequest(port, 'GET', `${cartPath}/summary`);
+        console.log(`  - Summary: ${response.body.summary.split('\n')[0]} (should be === RESUMEN DEL CARRITO ===)`);
+        response = await sendRequest(port, 'DELETE', `${cartPath}/discounts/SAVE10`);
+        console.log(`  - Remove code: ${response.status}, ${response.body.appliedCodes.length} applied (should be 200, 0)`);
+        response = await sendRequest(port, 'DELETE', `${cartPath}/items/Laptop`);
+        console.log(`  - Remove by name: ${response.status}, ${response.body.items.length} line (should be 200, 1)`);
+
+        console.log('\n✓ Validation and cart errors map to status codes...');
+        const expectStatus = async (label, expected, ...args) => {
+            const { status, body } = await sendRequest(port, ...args);
+            console.log(`  - ${label}: ${status === expected ? '✓' : '❌ FAILED'} ${status} ${body ? body.error.code : ''}`);
+        };
+        await expectStatus('Missing field', 400, 'POST', `${cartPath}/items`, { product: 'Cable' });
+        await expectStatus('Unknown field', 400, 'POST', `${cartPath}/items`, { product: 'Cable', price: 5, colour: 'Red' });
+        await expectStatus('Wrong type', 400, 'PATCH', `${cartPath}/items/Mouse`, { quantity: '2' });
+        await expectStatus('Malformed JSON', 400, 'POST', `${cartPath}/items`, '{"product": ');
+        await expectStatus('Non-finite number', 400, 'POST', `${cartPath}/items`, '{"product": "Cable", "price": 1e400}');
+        await expectStatus('Negative price', 422, 'POST', `${cartPath}/items`, { product: 'Cable', price: -5 });
+        await expectStatus('Unknown code', 422, 'POST', `${cartPath}/discounts`, { code: 'NOPE' });
+        await expectStatus('Out of stock', 409, 'POST', `${cartPath}/items`, { product: 'Mouse', price: 25, quantity: 5 });
+        await expectStatus('Unknown line', 404, 'DELETE', `${cartPath}/items/Keyboard`);
+        await expectStatus('Unknown cart', 404, 'GET', '/carts/missing');
+        await expectStatus('Unknown route', 404, 'GET', '/orders');
+        await expectStatus('Wrong method', 405, 'PUT', cartPath, {});
+        await expectStatus('Bad setting', 422, 'PATCH', cartPath, { locale: 'en-GB', customerGroup: 'wholesale', region: '' });
+        response = await sendRequest(port, 'GET', cartPath);
+        console.log(`  - Rejected PATCH changes nothing: ${response.body.locale}, ${response.body.customerGroup} (should be es-ES, retail)`);
+
+        console.log('\n✓ ETag optimistic concurrency...');
+        response = await sendRequest(port, 'GET', cartPath);
+        const etag = response.headers.etag;
+        console.log(`  - ETag sent: ${etag ? '✓' : '❌ FAILED'}`);
+        response = await sendRequest(port, 'GET', cartPath, undefined, { 'If-None-Match': etag });
+        console.log(`  - Unchanged cart: ${response.status} (should be 304)`);
+        response = await sendRequest(port, 'PATCH', `${cartPath}/items/${encodeURIComponent(mouseLine)}`, { quantity: 1 }, { 'If-Match': etag });
+        console.log(`  - Change with current ETag: ${response.status} (should be 200), new ETag ${response.headers.etag !== etag ? '✓' : '❌ FAILED'}`);
+        response = await sendRequest(port, 'PATCH', `${cartPath}/items/${encodeURIComponent(mouseLine)}`, { quantity: 2 }, { 'If-Match': etag });
+        console.log(`  - Change with stale ETag: ${response.status} ${response.body.error.code} (should be 412 VERSION_MISMATCH)`);
+
+        const currentEtag = (await sendRequest(port, 'GET', cartPath)).headers.etag;
+        response = await sendRequest(port, 'GET', `${cartPath}/summary`, undefined, { 'If-None-Match': currentEtag });
+        console.log(`  - Summary with a matching ETag: ${response.status} (should be 200)`);
+
+        response = await sendRequest(port, 'DELETE', cartPath);
+        console.log(`\n✓ Delete cart: ${response.status} (should be 204), then GET ${(await sendRequest(port, 'GET', cartPath)).status} (should be 404)`);
+    } finally {
+        await server.close();
+    }
+
+    console.log(`  - Server closed: ${await sendRequest(port, 'GET', '/carts/x').then(() => '❌ FAILED', () => '✓')}`);
+
+    console.log('\n✓ ETag follows outside price changes...');
+    const catalog = new Catalog({ products: [{ sku: 'LAMP-01', name: 'Lamp', price: 40 }] });
+    const pricedServer = new CartServer({ manager: new CartManager({ cartOptions: { catalog } }) });
+    const priced = await pricedServer.listen(0);
+
+    try {
+        const lampPath = (await sendRequest(priced.port, 'POST', '/carts', {})).headers.location;
+        await sendRequest(priced.port, 'POST', `${lampPath}/items`, { sku: 'LAMP-01' });
+        const before = (await sendRequest(priced.port, 'GET', lampPath)).headers.etag;
+        catalog.updateProduct('LAMP-01', { price: 50 });
+        const response = await sendRequest(priced.port, 'GET', `${lampPath}/totals`, undefined, { 'If-None-Match': before });
+        console.log(`  - After a catalog price change: ${response.status}, subtotal ${response.body.subtotal} (should be 200, 50)`);
+        console.log(`  - New ETag: ${response.headers.etag !== before ? '✓' : '❌ FAILED'}`);
+    } finally {
+        await pricedServer.close();
+    }
+
+    console.log('\n✓ Idle carts are swept while listening...');
+    let now = new Date('2026-03-15T10:00:00Z');
+    const sweptManager = new CartManager({ sessionTtl: 1000, clock: () => now });
+    const sweeping = new CartServer({ manager: sweptManager, sweepInterval: 10 });
+    const swept = await sweeping.listen(0);
+
+    try {
+        await sendRequest(swept.port, 'POST', '/carts', {});
+        console.log(`  - Carts before: ${sweptManager.listSessions().length} (should be 1)`);
+        now = new Date('2026-03-15T10:00:05Z');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        console.log(`  - Carts after the TTL: ${sweptManager.listSessions().length} (should be 0)`);
+    } finally {
+        await sweeping.close();
+    }
+}
+
+async function testCli() {
+    console.log('\n⌨️  TEST 26: Command-Line Interface');
+    console.log('-'.repeat(50));
+
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { Readable } = require('stream');
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cart-cli-'));
+    const cartFile = path.join(directory, 'cart.json');
+    let output = '';
+    let errors = '';
+
+    // Each run is a fresh CLI, as each shell command would be
+    const cli = async (...argv) => {
+        output = '';
+        errors = '';
+        return new CartCli({ output: { write: text => (output += text) }, errorOutput: { write: text => (errors += text) }, cartFile })
+            .run(argv);
+    };
+
+    try {
+        console.log('\n✓ Commands read and save the cart file...');
+        let status = await cli('add', 'Laptop', '999.99');
+        console.log(`  - add: exit ${status} (should be 0), "${output.split('\n')[1]}" (should be "1 item, total $1,099.99")`);
+        console.log(`  - Cart file written: ${fs.existsSync(cartFile) ? '✓' : '❌ FAILED'}`);
+        await cli('add', 'T-Shirt', '19.99', '2', '--attr', 'size=L', '--addon', 'Gift wrap=2.50');
+        await cli('apply', 'save10');
+        await cli('update', 'Laptop', '2');
+        await cli('items');
+        const tshirtLine = output.split('\n').find(line => line.includes('T-Shirt')).split('\t')[0];
+        console.log(`  - items: ${output.trim().split('\n').length} lines (should be 2), T-Shirt line ${tshirtLine}`);
+        await cli('summary');
+        console.log(`  - summary: ${output.includes('Discount: -$204.50') ? '✓' : '❌ FAILED'} discount from the code saved in the file`);
+
+        console.log('\n✓ JSON output...');
+        await cli('totals', '--json');
+        const totals = JSON.parse(output);
+        console.log(`  - totals --json: total ${totals.total} ${totals.currency} (should be 2024.51 USD)`);
+        await cli('--json', 'remove', tshirtLine);
+        const view = JSON.parse(output);
+        console.log(`  - remove by line id: ${view.items.length} line, codes ${view.appliedCodes.join(', ')} (should be 1, SAVE10)`);
+
+        console.log('\n✓ Failures set the exit status...');
+        status = await cli('add', 'Cable', '-5');
+        console.log(`  - Negative price: exit ${status} (should be 1), ${errors.trim()}`);
+        status = await cli('--json', 'apply', 'NOPE');
+        console.log(`  - JSON error: exit ${status}, code ${JSON.parse(errors).error.code} (should be 1, INVALID_CODE)`);
+        status = await cli('frobnicate');
+        console.log(`  - Unknown command: exit ${status} (should be 2)`);
+        status = await cli('update', 'Laptop');
+        console.log(`  - Missing argument: exit ${status} (should be 2), ${errors.startsWith('Error: Usage: shopping-cart update') ? '✓' : '❌ FAILED'}`);
+        status = await cli('add', 'Cable', '5', '--colour', 'red');
+        console.log(`  - Unknown option: exit ${status} (should be 2)`);
+        status = await cli('add', 'Laptop', 'abc', '2');
+        console.log(`  - Non-numeric price: exit ${status} (should be 2), ${errors.includes('INVALID_COMMAND') ? '✓' : '❌ FAILED'}`);
+        status = await cli('add', 'Pizza', '10', '--addon', 'cheese=free');
+        console.log(`  - Non-numeric add-on price: exit ${status} (should be 2)`);
+        status = await cli('update', 'Laptop', 'two');
+        console.log(`  - Non-numeric quantity: exit ${status} (should be 2)`);
+        await cli('items');
+        console.log(`  - Cart unchanged: ${output.includes('Pizza') ? '❌ FAILED' : '✓'}`);
+
+        console.log('\n✓ Save, new and load...');
+        const copy = path.join(directory, 'copy.json');
+        await cli('save', copy);
+        await cli('new', '--currency', 'EUR', '--locale', 'de-DE');
+        console.log(`  - new: ${output.split('\n')[0]} (should be Started an empty EUR cart)`);
+        await cli('load', copy);
+        await cli('totals', '--json');
+        console.log(`  - load: total ${JSON.parse(output).total} ${JSON.parse(output).currency} (should be 1979.98 USD)`);
+        status = await cli('load', path.join(directory, 'missing.json'));
+        console.log(`  - Missing file: exit ${status} (should be 1), ${errors.includes('STORAGE_FAILED') ? '✓' : '❌ FAILED'}`);
+
+        console.log('\n✓ REPL reading a scripted scenario...');
+        output = '';
+        errors = '';
+        const repl = new CartCli({ output: { write: text => (output += text) }, errorOutput: { write: text => (errors += text) }, cartFile });
+        const script = ['clear', 'add "USB Cable" 5 3', 'add Mouse 25', 'undo', '', 'totals', 'save', 'exit', 'add Ignored 1'];
+        status = await repl.run(['repl'], Readable.from(script.map(line => `${line}\n`)));
+        console.log(`  - Exit status: ${status} (should be 0)`);
+        console.log(`  - Quoted name and undo: ${repl.getCart().getCartItems().map(item => `${item.product} x${item.quantity}`).join(', ')} (should be USB Cable x3)`);
+        console.log(`  - Lines after exit ignored: ${output.includes('Ignored') ? '❌ FAILED' : '✓'}`);
+        console.log(`  - save wrote the cart file: ${JSON.parse(fs.readFileSync(cartFile, 'utf8')).items.length} line (should be 1)`);
+        status = await repl.run(['repl'], Readable.from(['remove Keyboard\n', 'summary\n']));
+        console.log(`  - Failed command: exit ${status} (should be 1), later commands still ran ${output.includes('CART SUMMARY') ? '✓' : '❌ FAILED'}`);
+        errors = '';
+        const fragile = new CartCli({
+            output: { write: text => { if (text.includes('Fragile')) throw new TypeError('Output closed'); output += text; } },
+            errorOutput: { write: text => (errors += text) },
+            cartFile
+        });
+        output = '';
+        status = await fragile.run(['repl'], Readable.from(['add Fragile 5\n', 'totals\n']));
+        console.log(`  - Unexpected error: exit ${status} (should be 1), ${errors.trim()} (should be Error: Output closed (INTERNAL_ERROR))`);
+        console.log(`  - Session kept reading: ${output.includes('Total') ? '✓' : '❌ FAILED'}`);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+function testSavedItems() {
+    console.log('\n🔖 TEST 27: Saved for Later');
+    console.log('-'.repeat(50));
+
+    const clock = () => new Date('2026-04-01T09:00:00Z');
+    const inventory = new Inventory({ stock: { 'LAP-001': 3 }, clock });
+    const catalog = new Catalog({
+        products: [
+            { sku: 'LAP-001', name: 'Laptop', price: 999.99, stock: 3 },
+            { sku: 'MOU-001', name: 'Mouse', price: 29.99 }
+        ]
+    });
+    const cart = new ShoppingCart({ catalog, inventory, clock });
+    const events = [];
+    cart.on('itemSaved', ({ id, before, after }) => events.push(`itemSaved ${id} ${before.quantity}->${after.quantity}`));
+    cart.on('itemMovedToCart', ({ id }) => events.push(`itemMovedToCart ${id}`));
+    cart.addItem('LAP-001', 2);
+    cart.addItem('MOU-001', 1);
+
+    console.log('\n✓ Moving a line to saved for later...');
+    console.log(`  - Result: ${cart.moveToSaved('lap-001') ? '✓' : '❌ FAILED'}`);
+    console.log(`  - Cart lines: ${cart.getItemCount()} (should be 1), subtotal: $${cart.getSubtotal().toFixed(2)} (should be 29.99)`);
+    let [saved] = cart.getSavedItems();
+    console.log(`  - Saved: ${saved.product} x${saved.quantity} at $${saved.savedPrice} (should be Laptop x2 at $999.99)`);
+    console.log(`  - Saved at: ${saved.savedAt.toISOString()} (should be 2026-04-01T09:00:00.000Z)`);
+    console.log(`  - Stock released: ${inventory.getAvailable('LAP-001')} (should be 3)`);
+    console.log(`  - Event: ${events.join(', ')} (should be itemSaved LAP-001 2->2)`);
+
+    console.log('\n✓ Not in the cart (should fail)...');
+    const result = cart.moveToSaved('LAP-001');
+    console.log(`  - Result: ${result ? '❌ FAILED' : '✓ Correctly rejected'} (${cart.getLastError().code})`);
+
+    console.log('\n✓ Price changes since the item was saved...');
+    catalog.updateProduct('LAP-001', { price: 899.99 });
+    [saved] = cart.getSavedItems();
+    console.log(`  - Now $${saved.price}, change ${saved.priceChange} (should be $899.99, change -100)`);
+
+    console.log('\n✓ Saved items persist through toJSON()/fromJSON()...');
+    const restored = ShoppingCart.fromJSON(JSON.stringify(cart), { catalog, clock });
+    [saved] = restored.getSavedItems();
+    console.log(`  - Restored: ${saved.product} x${saved.quantity}, saved at $${saved.savedPrice}, change ${saved.priceChange} (should be Laptop x2, saved at $999.99, change -100)`);
+    console.log(`  - Cart lines: ${restored.getItemCount()} (should be 1)`);
+
+    console.log('\n✓ Undo brings the line back, redo saves it again...');
+    cart.undo();
+    console.log(`  - After undo: ${cart.getItemCount()} lines, ${cart.getSavedItems().length} saved (should be 2 and 0)`);
+    cart.redo();
+    console.log(`  - After redo: ${cart.getItemCount()} lines, ${cart.getSavedItems().length} saved (should be 1 and 1)`);
+
+    console.log('\n✓ Moving back to the cart at the current price...');
+    catalog.setStock('LAP-001', 1);
+    console.log(`  - Above stock: ${cart.moveToCart('LAP-001') ? '❌ FAILED' : '✓ Correctly rejected'}, still saved: ${cart.getSavedItems().length} (should be 1)`);
+    console.log(`  - Available: ${cart.getSavedItems()[0].available} (should be false)`);
+    catalog.setStock('LAP-001', 3);
+    console.log(`  - Result: ${cart.moveToCart('LAP-001') ? '✓' : '❌ FAILED'}`);
+    console.log(`  - Subtotal: $${cart.getSubtotal().toFixed(2)} (should be 1829.97), saved: ${cart.getSavedItems().length} (should be 0)`);
+    console.log(`  - Last event: ${events[events.length - 1]} (should be itemMovedToCart LAP-001)`);
+
+    console.log('\n✓ Removing a saved item...');
+    cart.moveToSaved('MOU-001');
+    console.log(`  - Result: ${cart.removeSavedItem('mou-001') ? '✓' : '❌ FAILED'}, saved: ${cart.getSavedItems().length} (should be 0)`);
+    console.log(`  - Again: ${cart.removeSavedItem('mou-001') ? '❌ FAILED' : '✓ Correctly rejected'}`);
+
+    console.log('\n✓ Free-form items keep their price through currency conversion...');
+    const freeForm = new ShoppingCart({ clock });
+    freeForm.addItem('Mug', 12, 1);
+    freeForm.moveToSaved('Mug');
+    freeForm.clearCart();
+    console.log(`  - Kept after clearCart(): ${freeForm.getSavedItems().length} (should be 1)`);
+    [saved] = freeForm.convertTo('EUR', { base: 'USD', rates: { EUR: 0.5 } }).getSavedItems();
+    console.log(`  - Converted: €${saved.price}, saved at €${saved.savedPrice} (should be €6, saved at €6)`);
+}
+
+async function testGiftCards() {
+    console.log('\n🎁 TEST 28: Gift Cards & Store Credit');
+    console.log('-'.repeat(50));
+
+    const clock = () => new Date('2026-05-01T12:00:00Z');
+    const ledger = new GiftCardLedger({
+        accounts: [
+            { id: 'GC-1111-2222', amount: 50 },
+            { id: 'alice', amount: 20, type: 'store-credit' },
+            { id: 'GC-OLD-0001', amount: 25, expiresAt: '2026-01-01' }
+        ],
+        clock
+    });
+    const provider = new MockPaymentProvider();
+    const checkout = new Checkout({ paymentProvider: provider, clock });
+    const cart = new ShoppingCart({ giftCards: ledger });
+    cart.addItem('Headphones', 100, 1);
+
+    console.log('\n✓ Tenders pay the total after tax...');
+    cart.applyTender('gc-1111-2222');
+    cart.applyTender('ALICE', 15);
+    let totals = cart.getTotals();
+    console.log(`  - Tax: ${totals.tax}, total: ${totals.total} (should be 10, 110)`);
+    console.log(`  - Tendered: ${totals.tendered}, amount due: ${totals.amountDue} (should be 65, 45)`);
+    console.log(`  - Tenders: ${cart.getTenders().map(tender => `${tender.account} ${tender.amount}`).join(', ')} (should be GC-1111-2222 50, ALICE 15)`);
+
+    console.log('\n✓ Invalid tenders (should fail)...');
+    const codeOf = applied => (applied ? '❌ FAILED' : cart.getLastError().code);
+    console.log(`  - Unknown: ${codeOf(cart.applyTender('GC-NOPE'))} (should be INVALID_GIFT_CARD)`);
+    console.log(`  - Expired: ${codeOf(cart.applyTender('GC-OLD-0001'))} (should be INVALID_GIFT_CARD)`);
+    console.log(`  - More than the balance: ${codeOf(cart.applyTender('alice', 30))} (should be INSUFFICIENT_BALANCE)`);
+    console.log(`  - No ledger: ${new ShoppingCart().applyTender('GC-1111-2222') ? '❌ FAILED' : '✓ Correctly rejected'}`);
+
+    console.log('\n✓ Placing the order redeems the tenders (split tender)...');
+    const order = checkout.placeOrder(cart);
+    console.log(`  - Balances: ${ledger.getBalance('GC-1111-2222')}, ${ledger.getBalance('alice')} (should be 0, 5)`);
+    console.log(`  - Order tenders: ${order.getTenders().length}, amount due ${order.getTotals().amountDue} (should be 2, 45)`);
+    await checkout.pay(order, { token: 'tok_visa' });
+    console.log(`  - Card charged: ${provider.getCharges()[0].amount} (should be 45)`);
+
+    console.log('\n✓ Partial redemption leaves the rest for later...');
+    const ledgerEntries = ledger.getLedger({ account: 'alice' });
+    console.log(`  - Alice's ledger: ${ledgerEntries.map(entry => `${entry.type} ${entry.amount} -> ${entry.balance}`).join(', ')} (should be issue 20 -> 20, redeem -15 -> 5)`);
+
+    console.log('\n✓ Refunding reverses the tenders...');
+    await checkout.refund(order, 'Returned');
+    console.log(`  - Balances: ${ledger.getBalance('GC-1111-2222')}, ${ledger.getBalance('alice')} (should be 50, 20)`);
+    console.log(`  - Card refunded: ${provider.getRefunds().length} (should be 1)`);
+
+    console.log('\n✓ Cancelling a pending order reverses the tenders...');
+    const covered = new ShoppingCart({ giftCards: ledger });
+    covered.addItem('Pen', 10, 2);
+    covered.applyTender('GC-1111-2222');
+    const pending = checkout.placeOrder(covered);
+    console.log(`  - Balance while pending: ${ledger.getBalance('GC-1111-2222')} (should be 28)`);
+    checkout.cancel(pending, 'Changed mind');
+    console.log(`  - Balance after cancel: ${ledger.getBalance('GC-1111-2222')} (should be 50)`);
+
+    console.log('\n✓ Fully covered orders skip the payment provider...');
+    const paid = checkout.placeOrder(covered);
+    const charges = provider.getCharges().length;
+    console.log(`  - Paid: ${await checkout.pay(paid) ? '✓' : '❌ FAILED'}, new charges: ${provider.getCharges().length - charges} (should be 0)`);
+
+    console.log('\n✓ Balance spent elsewhere since it was applied...');
+    const late = new ShoppingCart({ giftCards: ledger });
+    late.addItem('Lamp', 30, 1);
+    late.applyTender('alice', 20);
+    ledger.redeem('alice', 20);
+    ledger.issue('alice', 1);
+    console.log(`  - Covers what is left: ${late.getTenders()[0].amount}, due ${late.getAmountDue()} (should be 1, due 32)`);
+    const lateOrder = checkout.placeOrder(late);
+    console.log(`  - Order: redeemed ${lateOrder.getTenders()[0].amount}, due ${lateOrder.getTotals().amountDue} (should be 1, due 32)`);
+
+    console.log('\n✓ Tenders persist, undo and clear...');
+    const restored = ShoppingCart.fromJSON(JSON.stringify(cart), { giftCards: ledger });
+    console.log(`  - Restored tenders: ${restored.getTenders().length} (should be 2)`);
+    cart.undo();
+    console.log(`  - After undo: ${cart.getTenders().map(tender => tender.account).join(', ')} (should be GC-1111-2222)`);
+    cart.clearCart();
+    console.log(`  - After clearCart(): ${cart.getTenders().length} (should be 0)`);
+
+    console.log('\n✓ Ledger in another currency (should throw)...');
+    try {
+        new ShoppingCart({ currency: 'EUR', giftCards: ledger });
+        console.log('  - Result: ❌ FAILED');
+    } catch (error) {
+        console.log(`  - Result: ✓ Correctly rejected (${error.code})`);
+    }
+}
+
+async function testBusinessRules() {
+    console.log('\n🚦 TEST 29: Business Rules & Validation');
+    console.log('-'.repeat(50));
+
+    const catalog = new Catalog({
+        products: [
+            { sku: 'WINE-01', name: 'Red Wine', price: 15, category: 'alcohol' },
+            { sku: 'KNIFE-01', name: 'Chef Knife', price: 40, category: 'knives' },
+            { sku: 'BAT-01', name: 'Lithium Battery', price: 8, category: 'batteries' },
+            { sku: 'MUG-01', name: 'Mug', price: 0.5, category: 'kitchen' }
+        ]
+    });
+    const rules = new RuleEngine({
+        rules: {
+            'minimum-order': { type: 'minOrderValue', amount: 100 },
+            'max-items': { type: 'maxItems', max: 5 },
+            'no-knives-with-alcohol': { type: 'restrictedCombination', groups: [{ categories: ['alcohol'] }, { categories: ['knives'] }] },
+            'adults-only': { type: 'ageRestricted', minAge: 21, match: { categories: ['alcohol'] } },
+            'battery-ban': { type: 'regionBan', regions: ['US-CA'], match: { skus: ['BAT-01'] } },
+            'price-sanity': { type: 'priceLimit', min: 1, max: 500 }
+        }
+    });
+    const cart = new ShoppingCart({ catalog, rules, region: 'US-CA' });
+
+    console.log('\n✓ Empty cart reports only the minimum order...');
+    let report = cart.validate();
+    console.log(`  - Valid: ${report.valid}, codes: ${report.violations.map(v => v.code).join(', ')} (should be false, BELOW_MINIMUM_ORDER)`);
+
+    console.log('\n✓ Every broken rule is listed with a machine-readable code...');
+    cart.addItem('WINE-01', 2);
+    cart.addItem('KNIFE-01');
+    cart.addItem('BAT-01', 2);
+    cart.addItem('MUG-01');
+    report = cart.validate();
+    report.violations.forEach(violation => console.log(`  - ${violation.code} [${violation.rule}]: ${violation.message}`));
+    const codes = report.violations.map(v => v.code).join(',');
+    console.log(`  - Codes: ${codes === 'BELOW_MINIMUM_ORDER,TOO_MANY_ITEMS,RESTRICTED_COMBINATION,AGE_RESTRICTED,REGION_RESTRICTED,PRICE_OUT_OF_RANGE' ? '✓' : '❌ FAILED'}`);
+    const age = report.violations.find(v => v.code === 'AGE_RESTRICTED');
+    console.log(`  - Age check: ${age.details.reason}, lines ${age.lines.join(', ')} (should be AGE_UNKNOWN, WINE-01)`);
+    console.log(`  - Too young: ${cart.validate({ age: 18 }).violations.find(v => v.code === 'AGE_RESTRICTED').details.reason} (should be TOO_YOUNG)`);
+    console.log(`  - Old enough: ${cart.validate({ age: 30 }).violations.some(v => v.code === 'AGE_RESTRICTED') ? '❌ FAILED' : '✓'}`);
+
+    console.log('\n✓ Checkout is blocked with every violation...');
+    const checkout = new Checkout({ paymentProvider: new MockPaymentProvider() });
+    console.log(`  - placeOrder: ${checkout.placeOrder(cart, { age: 30 })} ${checkout.getLastError().code} (should be null RULE_VIOLATION)`);
+    console.log(`  - Violations in details: ${checkout.getLastError().details.violations.length} (should be 5)`);
+
+    console.log('\n✓ Fixing the cart clears the violations...');
+    cart.removeItem('KNIFE-01');
+    cart.removeItem('MUG-01');
+    cart.setRegion('US-NY');
+    cart.updateQuantity('WINE-01', 3);
+    cart.updateQuantity('BAT-01', 2);
+    console.log(`  - Region ban lifted outside California: ${cart.validate().violations.some(v => v.code === 'REGION_RESTRICTED') ? '❌ FAILED' : '✓'}`);
+    cart.setDestination({ country: 'US', region: 'CA' });
+    console.log(`  - Shipping to California is banned too: ${cart.validate().violations.some(v => v.code === 'REGION_RESTRICTED') ? '✓' : '❌ FAILED'}`);
+    cart.setDestination(null);
+    report = cart.validate({ age: 30 });
+    console.log(`  - Subtotal ${cart.getSubtotal()}: ${report.violations.map(v => v.code).join(', ')} (should be 61: BELOW_MINIMUM_ORDER)`);
+    rules.register('minimum-order', { type: 'minOrderValue', amount: 50, message: 'Spend at least $50' });
+    report = cart.validate({ age: 30 });
+    console.log(`  - Lower minimum registered at runtime: valid ${report.valid} (should be true)`);
+    const order = checkout.placeOrder(cart, { age: 30 });
+    console.log(`  - Order placed: ${order ? '✓' : '❌ FAILED'}`);
+
+    console.log('\n✓ Item limits count what the customer already ordered...');
+    const nextCart = new ShoppingCart({ catalog, rules, region: 'US-NY' });
+    nextCart.addItem('WINE-01', 4);
+    report = nextCart.validate({ age: 30 });
+    console.log(`  - Without history: ${report.valid} (should be true)`);
+    report = nextCart.validate({ age: 30, purchased: order.getLines() });
+    const limit = report.violations.find(v => v.code === 'TOO_MANY_ITEMS');
+    console.log(`  - With the earlier order: ${limit ? limit.message : '❌ FAILED'}`);
+    console.log(`  - Counted: ${limit.details.inCart} + ${limit.details.purchased} (should be 4 + 5)`);
+    console.log(`  - placeOrder: ${checkout.placeOrder(nextCart, { age: 30, purchased: order.getLines() })} ${checkout.getLastError().code} (should be null RULE_VIOLATION)`);
+    console.log(`  - History alone with an empty cart: ${new ShoppingCart({ rules: new RuleEngine({ rules: { 'max-items': { type: 'maxItems', max: 5 } } }) }).validate({ purchased: order.getLines() }).valid} (should be true)`);
+
+    console.log('\n✓ Custom messages and carts without rules...');
+    console.log(`  - Message: ${new ShoppingCart({ rules }).validate().violations[0].message} (should be Spend at least $50)`);
+    console.log(`  - No rules: ${new ShoppingCart().validate().valid} (should be true)`);
+
+    console.log('\n✓ Invalid rule definitions...');
+    console.log(`  - Unknown type: ${rules.register('bad', { type: 'maxWeight' })} ${rules.getLastError().code} (should be false INVALID_RULE)`);
+    console.log(`  - Age rule without match: ${rules.register('bad', { type: 'ageRestricted', minAge: 18 })} (should be false)`);
+    console.log(`  - Price min above max: ${rules.register('bad', { type: 'priceLimit', min: 10, max: 5 })} (should be false)`);
+    try {
+        new RuleEngine({ rules: { bad: { type: 'minOrderValue', amount: -1 } } });
+        console.log('  - Constructor: ❌ FAILED');
+    } catch (error) {
+        console.log(`  - Constructor: ✓ Correctly rejected (${error.code})`);
+    }
+
+    console.log('\n✓ REST API validation report...');
+    const server = new CartServer({ manager: new CartManager({ cartOptions: { rules } }) });
+    const { port } = await server.listen(0);
+
+    try {
+        const cartPath = (await sendRequest(port, 'POST', '/carts', {})).headers.location;
+        await sendRequest(port, 'POST', `${cartPath}/items`, { product: 'Widget', price: 20, quantity: 1 });
+        let response = await sendRequest(port, 'GET', `${cartPath}/validation`);
+        console.log(`  - Report: ${response.status} valid ${response.body.valid}, ${response.body.violations[0].code} (should be 200 false, BELOW_MINIMUM_ORDER)`);
+        response = await sendRequest(port, 'GET', `${cartPath}/validation?age=abc`);
+        console.log(`  - Bad age: ${response.status} ${response.body.error.code} (should be 400 INVALID_REQUEST)`);
+    } finally {
+        await server.close();
+    }
+}
+
+runTests().then(() => {
+    // Demo: Real-world shopping scenario
+    console.log('\n🛒 REAL-WORLD EXAMPLE: Electronics Purchase');
+    console.log('='.repeat(50));
 
-const myCart = new ShoppingCart();
-myCart.addItem('MacBook Pro', 1999.99, 1);
-myCart.addItem('USB-C Hub', 49.99, 1);
-myCart.addItem('Screen Protector', 9.99, 3);
+    const myCart = new ShoppingCart();
+    myCart.addItem('MacBook Pro', 1999.99, 1);
+    myCart.addItem('USB-C Hub', 49.99, 1);
+    myCart.addItem('Screen Protector', 9.99, 3);
 
-console.log(myCart.getSummary());
\ No newline at end of file
+    console.log(myCart.getSummary());
+}).catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
\ No newline at end of file